@@ -1,6 +1,7 @@
 // Cross-browser API abstraction for background scripts
 import ModelConfig from '../shared/models.js';
 import APIClient from '../shared/api-client.js';
+import Glossary from '../shared/glossary.js';
 import { DEBUG, DebugLogger } from '../shared/debug.js';
 import {
   shouldClearTranslationState,
@@ -10,6 +11,19 @@ import {
   getTranslationState,
   clearTranslationState,
 } from './translation-state.js';
+import {
+  billedUsage,
+  chunkBlocks,
+  estimateUsage,
+  maxTokensFor,
+  mergeResults,
+  precedingText,
+  runChunks,
+} from './stream-scheduler.js';
+import { DEFAULT_RETRY_AFTER_MS, RequestQueue, laneKey, parseRetryAfter } from './request-queue.js';
+// Classic scripts: define the globals TranslationCache and UsageLedger
+import '../shared/cache-db.js';
+import '../shared/usage-ledger.js';
 
 // Minimal abstraction for genuine browser differences only
 const BrowserAPI = {
@@ -46,6 +60,9 @@ class BackgroundScript {
     this.APIClient = APIClient;
     this.debug = DEBUG;
     this.debugLogger = DebugLogger;
+    // One queue for every tab's requests, with limits per account
+    this.requestQueue = new RequestQueue();
+    this.cacheEvictTimer = null; // Pending eviction pass after cache writes
     this.init();
   }
 
@@ -82,6 +99,9 @@ class BackgroundScript {
       this.handleActionClick(tab);
     });
 
+    this.setupContextMenus();
+    this.setupCommands();
+
     // ─── Streaming translation via long-lived port ──────────────────────────
     chrome.runtime.onConnect.addListener(port => {
       if (port.name !== 'streaming-translate') return;
@@ -107,7 +127,11 @@ class BackgroundScript {
           abortController.signal.aborted
         );
 
-        const { translationData, settings } = message;
+        const { translationData, profileId } = message;
+        // Fallback attempts name the profile to use instead of the active one
+        const settings = profileId
+          ? this.resolveProfileSettings(message.settings, profileId)
+          : message.settings;
 
         if (!translationData?.blocks || !Array.isArray(translationData.blocks)) {
           port.postMessage({
@@ -119,64 +143,166 @@ class BackgroundScript {
         }
 
         try {
-          const totalChars = translationData.blocks.reduce(
-            (sum, b) =>
-              sum +
-              b.items.reduce(
-                (s, item) =>
-                  s +
-                  (Array.isArray(item) ? item.reduce((c, seg) => c + String(seg).length, 0) : 0),
-                0
-              ),
-            0
-          );
-          const maxTokens = Math.min(64000, Math.max(4000, totalChars * 4));
+          // Refuse before spending anything once a budget would be exceeded,
+          // unless the user chose to go ahead from the popup
+          const overBudget = message.overrideSpending
+            ? null
+            : await this.checkBudgets(translationData.blocks, settings.model);
+          if (overBudget) {
+            port.postMessage({
+              type: 'error',
+              error: overBudget,
+              errorType: 'spending_limit',
+              isRetryable: false,
+            });
+            return;
+          }
 
           // Throttle reasoning updates to avoid flooding the port.
           // Buffer recent text so each update carries a meaningful snippet.
           let lastReasoningUpdate = 0;
           const REASONING_THROTTLE_MS = 300;
           let reasoningTextBuffer = '';
+          const reasoningChars = new Map(); // chunk index → chars so far
+
+          const config = {
+            apiKey: settings.apiKey,
+            apiEndpoint: settings.apiEndpoint,
+            model: settings.model,
+            apiFormat: this.ModelConfig.resolveApiFormat(settings.provider, settings.apiFormat),
+          };
 
-          const result = await this.APIClient.streamTranslate(
-            {
-              apiKey: settings.apiKey,
-              apiEndpoint: settings.apiEndpoint,
-              model: settings.model,
-            },
-            translationData,
-            {
-              maxTokens,
-              reasoningEffort: settings.reasoningEffort || 'off',
-              signal: abortController.signal,
-            },
-            (blockIndex, block) => {
-              try {
-                port.postMessage({ type: 'block', index: blockIndex, block });
-              } catch {
-                // Port disconnected mid-stream — user navigated away
-              }
-            },
-            ({ chars, elapsed, text }) => {
-              reasoningTextBuffer += text;
-              // Keep only the tail — no point buffering megabytes
-              if (reasoningTextBuffer.length > 500) {
-                reasoningTextBuffer = reasoningTextBuffer.slice(-400);
-              }
-              const now = Date.now();
-              if (now - lastReasoningUpdate < REASONING_THROTTLE_MS) return;
-              lastReasoningUpdate = now;
-              try {
-                port.postMessage({
-                  type: 'reasoning',
-                  chars,
-                  elapsed,
-                  snippet: reasoningTextBuffer.slice(-250),
-                });
-              } catch {
-                // Port disconnected
-              }
+          // Long pages are split into chunks streamed in parallel; every
+          // chunk reports into this one port, keyed by the block's own id
+          const chunks = chunkBlocks(translationData.blocks);
+          if (chunks.length > 1) {
+            console.log(
+              `[Background] ${translationData.blocks.length} blocks in ${chunks.length} chunks, ` +
+                `up to ${settings.maxConcurrentStreams} concurrent streams`
+            );
+          }
+
+          // Every tab's requests to this account share its queue and the
+          // strictest limits of its profiles; the tab hears where its first
+          // waiting chunk is in line
+          const lane = laneKey(config);
+          const limits = {
+            concurrency: settings.concurrencyLimit,
+            rpm: settings.requestsPerMinute,
+            tpm: settings.tokensPerMinute,
+          };
+          const chunkPositions = new Map(); // chunk index → queue position, 0 once started
+          let lastQueueReport = '';
+          const reportQueue = (chunkIndex, position, resumeAt) => {
+            chunkPositions.set(chunkIndex, position);
+            const positions = [...chunkPositions.values()];
+            const waiting = positions.includes(0) ? 0 : Math.min(...positions);
+            const report = {
+              type: 'queue',
+              position: waiting,
+              resumeAt: waiting > 0 ? resumeAt : null,
+            };
+            const key = `${report.position}:${report.resumeAt}`;
+            if (key === lastQueueReport) return;
+            lastQueueReport = key;
+            try {
+              port.postMessage(report);
+            } catch {
+              // Port disconnected
             }
+          };
+          const deliveredChunks = new Set(); // Chunks that streamed at least one block
+          const chunkTokens = chunks.map(chunk => {
+            const estimate = estimateUsage(chunk);
+            return estimate.prompt_tokens + estimate.completion_tokens;
+          });
+
+          let blockOffset = 0;
+          const chunkOffsets = chunks.map(chunk => {
+            const offset = blockOffset;
+            blockOffset += chunk.length;
+            return offset;
+          });
+
+          // Later chunks also get the text just before them
+          const chunkData = (chunk, chunkIndex) => {
+            if (chunkIndex === 0) return { ...translationData, blocks: chunk };
+            const previous = translationData.blocks.slice(0, chunkOffsets[chunkIndex]);
+            return {
+              ...translationData,
+              blocks: chunk,
+              context: { ...translationData.context, precedingText: precedingText(previous) },
+            };
+          };
+
+          const { results } = await runChunks(
+            chunks,
+            settings.maxConcurrentStreams,
+            (chunk, chunkIndex) =>
+              this.queueRequest(
+                lane,
+                {
+                  limits,
+                  source: settings.profileId,
+                  tokens: chunkTokens[chunkIndex],
+                  signal: abortController.signal,
+                  onPosition: (position, resumeAt) => reportQueue(chunkIndex, position, resumeAt),
+                },
+                () => deliveredChunks.has(chunkIndex),
+                () =>
+                  this.APIClient.streamTranslate(
+                    config,
+                    chunkData(chunk, chunkIndex),
+                    {
+                      maxTokens: maxTokensFor(chunk),
+                      reasoningEffort: settings.reasoningEffort || 'off',
+                      signal: abortController.signal,
+                    },
+                    (blockIndex, block) => {
+                      deliveredChunks.add(chunkIndex);
+                      try {
+                        port.postMessage({
+                          type: 'block',
+                          index: chunkOffsets[chunkIndex] + blockIndex,
+                          block,
+                        });
+                      } catch {
+                        // Port disconnected mid-stream — user navigated away
+                      }
+                    },
+                    ({ chars, elapsed, text }) => {
+                      reasoningChars.set(chunkIndex, chars);
+                      reasoningTextBuffer += text;
+                      // Keep only the tail — no point buffering megabytes
+                      if (reasoningTextBuffer.length > 500) {
+                        reasoningTextBuffer = reasoningTextBuffer.slice(-400);
+                      }
+                      const now = Date.now();
+                      if (now - lastReasoningUpdate < REASONING_THROTTLE_MS) return;
+                      lastReasoningUpdate = now;
+                      try {
+                        port.postMessage({
+                          type: 'reasoning',
+                          chars: [...reasoningChars.values()].reduce((a, b) => a + b, 0),
+                          elapsed,
+                          snippet: reasoningTextBuffer.slice(-250),
+                        });
+                      } catch {
+                        // Port disconnected
+                      }
+                    }
+                  )
+              ).finally(() => chunkPositions.delete(chunkIndex))
+          );
+          const result = mergeResults(results);
+
+          // Billed whether or not the stream finished; estimated for chunks
+          // whose provider reported no usage, so budgets still see them
+          this.recordUsage(
+            billedUsage(results, chunks, chunkIndex => deliveredChunks.has(chunkIndex)),
+            settings,
+            port.sender?.tab?.url,
+            message.cacheKey
           );
 
           if (abortController.signal.aborted) return; // Page gone, don't try to post
@@ -187,6 +313,7 @@ class BackgroundScript {
             port.postMessage({
               type: 'error',
               error: result.error,
+              errorType: result.errorType,
               isRetryable: result.isRetryable || false,
             });
           }
@@ -196,6 +323,7 @@ class BackgroundScript {
             port.postMessage({
               type: 'error',
               error: error.message || 'Unknown streaming error',
+              errorType: error.type || 'unknown',
               isRetryable: error.isRetryable || false,
             });
           } catch {
@@ -308,14 +436,45 @@ class BackgroundScript {
             message.targetLanguage,
             message.blocks,
             message.totalBlocks,
-            message.metadata
+            message.metadata,
+            message.sourceBlocks
           );
           return { success: true };
 
+        case 'CACHE_UPDATE_ITEM':
+          return {
+            updated: await this.cacheUpdateItem(
+              message.cacheKey,
+              message.blockId,
+              message.itemIndex,
+              message.segments
+            ),
+          };
+
+        case 'CACHE_UPDATE_BLOCK':
+          return { updated: await this.cacheUpdateBlock(message.cacheKey, message.block) };
+
+        case 'LEARN_CORRECTION':
+          await this.learnCorrection(message.targetLanguage, message.source, message.target);
+          return { success: true };
+
+        case 'CACHE_GET_BLOCKS':
+          return { blocks: await this.cacheGetBlocks(message.blockKeys || []) };
+
+        case 'CACHE_PUT_BLOCKS':
+          await this.cachePutBlocks(message.blocks || []);
+          return { success: true };
+
         case 'CACHE_REMOVE':
           await this.cacheRemove(message.cacheKey);
           return { success: true };
 
+        case 'ESTIMATE_PAGE_COST':
+          return await this.estimatePageCost(message.blocks || [], message.settings?.model);
+
+        case 'USAGE_PAGE_TOTALS':
+          return { totals: await this.usagePageTotals(message.cacheKeys || []) };
+
         case 'GET_CURRENT_TAB_ID':
           return await this.getCurrentTabId(sender);
 
@@ -365,30 +524,162 @@ class BackgroundScript {
       await BrowserAPI.injectScript(tab.id, { file: 'content/content-script.js' });
       await BrowserAPI.insertCSS(tab.id, { file: 'content/animations.css' });
 
-      const settings = await this.getSettings();
+      this.startTabTranslation(tab).catch(error =>
+        console.error('Error starting translation:', error)
+      );
+    } catch (error) {
+      console.error('Error handling action click:', error);
+      if (chrome.notifications && chrome.notifications.create) {
+        chrome.notifications.create({
+          type: 'basic',
+          iconUrl: 'assets/icon-48.png',
+          title: 'Error',
+          message: 'Failed to start translation. Please try again.',
+        });
+      }
+    }
+  }
 
-      if (!settings.apiKey) {
-        if (BrowserAPI.isFirefox) {
-          chrome.tabs.create({ url: 'settings/settings.html' });
-        } else {
-          chrome.tabs.create({ url: chrome.runtime.getURL('settings/settings.html') });
+  /**
+   * Send START_TRANSLATION with the current settings to a tab's content
+   * script, or open the settings page when there is no API key yet.
+   * Resolves with the content script's response once the translation ends;
+   * rejects when the tab has no content script.
+   */
+  async startTabTranslation(tab, { skipCache = false } = {}) {
+    const settings = await this.getSettings();
+
+    if (!settings.apiKey) {
+      if (BrowserAPI.isFirefox) {
+        chrome.tabs.create({ url: 'settings/settings.html' });
+      } else {
+        chrome.tabs.create({ url: chrome.runtime.getURL('settings/settings.html') });
+      }
+      return null;
+    }
+
+    return await chrome.tabs.sendMessage(tab.id, {
+      action: 'START_TRANSLATION',
+      tabId: tab.id,
+      settings,
+      skipCache,
+    });
+  }
+
+  // ─── Keyboard Shortcuts ────────────────────────────────────────────────────
+
+  setupCommands() {
+    if (!chrome.commands) return;
+
+    chrome.commands.onCommand.addListener((command, tab) => {
+      this.handleCommand(command, tab);
+    });
+  }
+
+  async handleCommand(command, tab) {
+    // Older Firefox versions don't pass the tab
+    if (!tab) [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.id) return;
+
+    try {
+      let response = null;
+      switch (command) {
+        case 'translate-page':
+          response = await this.startTabTranslation(tab);
+          break;
+
+        case 'retranslate-page':
+          response = await this.startTabTranslation(tab, { skipCache: true });
+          break;
+
+        case 'toggle-originals':
+          response = await chrome.tabs.sendMessage(tab.id, { action: 'TOGGLE_ORIGINALS' });
+          break;
+
+        case 'cycle-target-language': {
+          const { targetLanguage } = await this.getSettings();
+          await chrome.storage.local.set({
+            targetLanguage: this.ModelConfig.nextTargetLanguage(targetLanguage),
+          });
+          response = await this.startTabTranslation(tab);
+          break;
         }
-        return;
+
+        default:
+          console.warn('Unknown command:', command);
+      }
+
+      if (response && !response.success) {
+        console.warn(`Command "${command}" failed:`, response.error);
+      }
+    } catch (error) {
+      // No content script in this tab (opened before install, or restricted page)
+      console.error(`Error running command "${command}":`, error);
+      if (chrome.notifications && chrome.notifications.create) {
+        chrome.notifications.create({
+          type: 'basic',
+          iconUrl: 'assets/icon-48.png',
+          title: 'Error',
+          message: 'Could not reach this page. Reload it and try again.',
+        });
+      }
+    }
+  }
+
+  // ─── Context Menu ──────────────────────────────────────────────────────────
+
+  setupContextMenus() {
+    if (!chrome.contextMenus) return;
+
+    // Recreate on every background start — Firefox event pages don't keep
+    // menus across restarts, and create() with an existing id is an error
+    chrome.contextMenus.removeAll(() => {
+      chrome.contextMenus.create({
+        id: 'translate-selection',
+        title: 'Translate selection',
+        contexts: ['selection'],
+      });
+    });
+
+    chrome.contextMenus.onClicked.addListener((info, tab) => {
+      if (info.menuItemId === 'translate-selection') {
+        this.handleTranslateSelection(tab);
       }
+    });
+  }
 
-      chrome.tabs.sendMessage(tab.id, {
-        action: 'START_TRANSLATION',
+  async handleTranslateSelection(tab) {
+    if (!tab || !tab.id) return;
+
+    const settings = await this.getSettings();
+
+    if (!settings.apiKey) {
+      if (BrowserAPI.isFirefox) {
+        chrome.tabs.create({ url: 'settings/settings.html' });
+      } else {
+        chrome.tabs.create({ url: chrome.runtime.getURL('settings/settings.html') });
+      }
+      return;
+    }
+
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        action: 'TRANSLATE_SELECTION',
         tabId: tab.id,
         settings,
       });
+      if (response && !response.success) {
+        console.warn('Selection translation failed:', response.error);
+      }
     } catch (error) {
-      console.error('Error handling action click:', error);
+      // No content script in this tab (opened before install, or restricted page)
+      console.error('Error translating selection:', error);
       if (chrome.notifications && chrome.notifications.create) {
         chrome.notifications.create({
           type: 'basic',
           iconUrl: 'assets/icon-48.png',
           title: 'Error',
-          message: 'Failed to start translation. Please try again.',
+          message: 'Could not translate the selection. Reload the page and try again.',
         });
       }
     }
@@ -400,12 +691,28 @@ class BackgroundScript {
     if (!this.ModelConfig) await this.loadSharedConfig();
     const defaultSettings = this.ModelConfig.getDefaultSettings();
     const settings = await chrome.storage.local.get(Object.keys(defaultSettings));
-    const merged = this.ModelConfig.migrateSettings({ ...defaultSettings, ...settings });
+    const merged = this.ModelConfig.applyActiveProfile(
+      this.ModelConfig.migrateSettings({ ...defaultSettings, ...settings })
+    );
     // Resolve the endpoint from provider if not custom
     merged.apiEndpoint = this.ModelConfig.resolveEndpoint(merged.provider, merged.apiEndpoint);
+    merged.apiFormat = this.ModelConfig.resolveApiFormat(merged.provider, merged.apiFormat);
     return merged;
   }
 
+  // Settings with another saved profile's connection in place of the active one
+  resolveProfileSettings(settings, profileId) {
+    const resolved = this.ModelConfig.applyActiveProfile({
+      ...settings,
+      activeProfileId: profileId,
+    });
+    resolved.apiEndpoint = this.ModelConfig.resolveEndpoint(
+      resolved.provider,
+      resolved.apiEndpoint
+    );
+    return resolved;
+  }
+
   async saveSettings(newSettings) {
     await chrome.storage.local.set(newSettings);
     return { success: true };
@@ -429,86 +736,204 @@ class BackgroundScript {
   }
 
   // ─── Translation Cache (IndexedDB) ──────────────────────────────────────
-  // DB_NAME / STORE_NAME must match shared/cache-db.js.
+  // Storage lives in shared/cache-db.js (imported above for its side effect).
+  // Every write is followed by an eviction pass with the user's limits.
 
-  CACHE_DB_NAME = 'llm-translation-cache';
-  CACHE_STORE_NAME = 'translations';
-  _cacheDbPromise = null;
+  async cacheGet(cacheKey) {
+    return await TranslationCache.get(cacheKey);
+  }
 
-  _cacheInitDB() {
-    if (this._cacheDbPromise) return this._cacheDbPromise;
+  async cachePut(cacheKey, targetLanguage, blocks, totalBlocks, metadata, sourceBlocks) {
+    await TranslationCache.put(
+      cacheKey,
+      targetLanguage,
+      blocks,
+      totalBlocks,
+      metadata,
+      sourceBlocks
+    );
+    this.scheduleCacheEvict();
+  }
 
-    this._cacheDbPromise = new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.CACHE_DB_NAME, 1);
+  async cacheUpdateItem(cacheKey, blockId, itemIndex, segments) {
+    return await TranslationCache.updateItem(cacheKey, blockId, itemIndex, segments);
+  }
 
-      request.onupgradeneeded = event => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains(this.CACHE_STORE_NAME)) {
-          const store = db.createObjectStore(this.CACHE_STORE_NAME, { keyPath: 'cacheKey' });
-          store.createIndex('createdAt', 'createdAt', { unique: false });
-        }
-      };
+  async cacheUpdateBlock(cacheKey, block) {
+    return await TranslationCache.updateBlock(cacheKey, block);
+  }
 
-      request.onsuccess = event => resolve(event.target.result);
-      request.onerror = event => reject(event.target.error);
-    });
+  async cacheGetBlocks(blockKeys) {
+    return await TranslationCache.getBlocks(blockKeys);
+  }
 
-    return this._cacheDbPromise;
+  async cachePutBlocks(blocks) {
+    await TranslationCache.putBlocks(blocks);
+    this.scheduleCacheEvict();
   }
 
-  async cacheGet(cacheKey) {
-    const db = await this._cacheInitDB();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(this.CACHE_STORE_NAME, 'readonly');
-      const store = tx.objectStore(this.CACHE_STORE_NAME);
-      const request = store.get(cacheKey);
-
-      request.onsuccess = () => {
-        const record = request.result;
-        if (!record) {
-          resolve(null);
-          return;
-        }
-        resolve({ blocks: record.blocks, totalBlocks: record.totalBlocks });
-      };
-      request.onerror = () => reject(request.error);
+  async cacheRemove(cacheKey) {
+    await TranslationCache.remove(cacheKey);
+  }
+
+  // A page write comes with block writes (and lazy batches add more), so
+  // enforce the limits once things settle instead of after every put
+  CACHE_EVICT_DELAY_MS = 5000;
+
+  scheduleCacheEvict() {
+    clearTimeout(this.cacheEvictTimer);
+    this.cacheEvictTimer = setTimeout(() => this.cacheEvict(), this.CACHE_EVICT_DELAY_MS);
+  }
+
+  async cacheEvict() {
+    try {
+      const settings = await chrome.storage.local.get([
+        'cacheMaxEntries',
+        'cacheMaxMB',
+        'cacheTTLDays',
+      ]);
+      const removed = await TranslationCache.evict(
+        ModelConfig.getCacheLimits({ ...ModelConfig.getDefaultSettings(), ...settings })
+      );
+      if (removed > 0) console.log(`[Cache] Evicted ${removed} entries`);
+    } catch (error) {
+      console.warn('[Cache] Eviction failed:', error);
+    }
+  }
+
+  // Remember a hand-made correction; sent with later requests for the language
+  async learnCorrection(targetLanguage, source, target) {
+    if (!targetLanguage) return;
+    const { learnedCorrections = {} } = await chrome.storage.local.get('learnedCorrections');
+    await chrome.storage.local.set({
+      learnedCorrections: {
+        ...learnedCorrections,
+        [targetLanguage]: Glossary.addCorrection(learnedCorrections[targetLanguage], {
+          source,
+          target,
+        }),
+      },
     });
   }
 
-  async cachePut(cacheKey, targetLanguage, blocks, totalBlocks, metadata) {
-    const db = await this._cacheInitDB();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(this.CACHE_STORE_NAME, 'readwrite');
-      const store = tx.objectStore(this.CACHE_STORE_NAME);
-      const record = {
-        cacheKey,
-        targetLanguage,
-        blocks,
-        totalBlocks,
-        createdAt: Date.now(),
-        ...(metadata || {}),
-      };
-      const request = store.put(record);
+  // ─── Usage ledger ──────────────────────────────────────────────────────────
+  // Token counts live in shared/usage-ledger.js (imported above for its side
+  // effect); costs come from ModelConfig's price table and the user's prices.
 
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+  recordUsage(usage, settings, tabUrl, cacheKey) {
+    if (!usage) return;
+    let domain = '';
+    try {
+      domain = new URL(tabUrl).hostname;
+    } catch {
+      // No tab URL (e.g. the port's sender is gone)
+    }
+    UsageLedger.record({
+      provider: settings.provider || 'custom',
+      model: settings.model,
+      domain,
+      cacheKey,
+      usage,
     });
   }
 
-  async cacheRemove(cacheKey) {
-    const db = await this._cacheInitDB();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(this.CACHE_STORE_NAME, 'readwrite');
-      const store = tx.objectStore(this.CACHE_STORE_NAME);
-      const request = store.delete(cacheKey);
-
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+  async getPriceLookup() {
+    const { modelPrices } = await chrome.storage.local.get('modelPrices');
+    return model => ModelConfig.getModelPrice(model, modelPrices);
+  }
+
+  // ─── Request queue ──────────────────────────────────────────────────────────
+  // Limits and waiting live in ./request-queue.js; this adds the 429 handling.
+
+  RATE_LIMIT_RETRIES = 2;
+  // Longer Retry-After waits go back to the tab, which may switch to a fallback profile
+  MAX_RETRY_WAIT_MS = 60000;
+
+  /**
+   * Run one streaming request through its account's queue. A 429 pauses the
+   * account for its Retry-After, so other tabs wait too. If the request had
+   * not streamed anything yet, it queues again behind the pause (up to
+   * RATE_LIMIT_RETRIES times) instead of failing back to the tab.
+   * @param {Function} hasOutput - Whether the request delivered any blocks
+   * @param {Function} request - Starts the request; resolves to its result
+   */
+  async queueRequest(lane, options, hasOutput, request) {
+    for (let attempt = 0; ; attempt++) {
+      let result;
+      try {
+        result = await this.requestQueue.run(lane, options, request);
+      } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+        return { success: false, error: 'aborted', errorType: 'aborted', isRetryable: false };
+      }
+      if (result.errorType !== 'rate_limit') return result;
+
+      const wait = parseRetryAfter(result.retryAfter) ?? DEFAULT_RETRY_AFTER_MS;
+      this.requestQueue.pause(lane, wait);
+      if (hasOutput() || attempt >= this.RATE_LIMIT_RETRIES || wait > this.MAX_RETRY_WAIT_MS) {
+        return result;
+      }
+      console.log(`[Background] Rate limited by ${lane}; retrying in ${Math.ceil(wait / 1000)}s`);
+    }
+  }
+
+  // ─── Spending limits ───────────────────────────────────────────────────────
+  // Estimates use the same character counts as the output token budget
+  // (stream-scheduler's estimateUsage), priced like recorded usage.
+
+  /**
+   * Pre-flight estimate for translating a page's blocks, and a warning when
+   * it is above the user's per-page threshold.
+   * @returns {Object} { usage, cost (null without a price), warning (null if none) }
+   */
+  async estimatePageCost(blocks, model) {
+    const [{ pageCostWarning }, priceOf] = await Promise.all([
+      chrome.storage.local.get('pageCostWarning'),
+      this.getPriceLookup(),
+    ]);
+    const usage = estimateUsage(blocks);
+    const cost = UsageLedger.estimateCost(usage, model, priceOf);
+    const warning =
+      pageCostWarning > 0 && cost > pageCostWarning
+        ? `Translating this page would cost about ${UsageLedger.formatCost(cost)}, ` +
+          `above your ${UsageLedger.formatCost(pageCostWarning)} per-page warning.`
+        : null;
+    return { usage, cost, warning };
+  }
+
+  // Why a request for these blocks would go over a budget, or null. Spending
+  // so far includes the estimates recorded for providers that report no usage.
+  async checkBudgets(blocks, model) {
+    const { dailyBudget, monthlyBudget } = await chrome.storage.local.get([
+      'dailyBudget',
+      'monthlyBudget',
+    ]);
+    if (!(dailyBudget > 0) && !(monthlyBudget > 0)) return null;
+
+    const [ledger, priceOf] = await Promise.all([UsageLedger.load(), this.getPriceLookup()]);
+    const { today, month } = UsageLedger.summarize(ledger, priceOf);
+    const estimate = UsageLedger.estimateCost(estimateUsage(blocks), model, priceOf) || 0;
+    const problem = UsageLedger.overBudget({ today: today.cost, month: month.cost }, estimate, {
+      dailyBudget,
+      monthlyBudget,
     });
+    return problem && `${problem} Raise it in Settings, or choose Translate Anyway in the popup.`;
+  }
+
+  // What each cached page cost, for History: { [cacheKey]: total }
+  async usagePageTotals(cacheKeys) {
+    const [ledger, priceOf] = await Promise.all([UsageLedger.load(), this.getPriceLookup()]);
+    const totals = {};
+    for (const cacheKey of cacheKeys) {
+      const total = UsageLedger.pageTotal(ledger, cacheKey, priceOf);
+      if (total) totals[cacheKey] = total;
+    }
+    return totals;
   }
 
   getLanguageName(languageCode) {
     const languageMap = {
+      english: 'English',
       spanish: 'Spanish',
       french: 'French',
       german: 'German',
@@ -0,0 +1,228 @@
+// Client-side rate limiting for API requests, shared by every tab
+//
+// Each streaming request waits in a lane for its account (endpoint plus API
+// key), so several tabs translating at once queue up instead of all hitting the API
+// and getting 429s back. A lane starts its next request, first in first out,
+// once all of these allow it:
+//   - fewer than `concurrency` of its requests are running
+//   - fewer than `rpm` of its requests started in the last minute
+//   - the last minute's tokens plus this request's estimate fit in `tpm`
+//   - no Retry-After pause from an earlier 429 is in effect
+// A limit of 0 turns it off. Profiles on the same account share a lane, and
+// the strictest of their limits applies.
+
+export const WINDOW_MS = 60000;
+export const DEFAULT_LIMITS = { concurrency: 4, rpm: 0, tpm: 0 };
+
+// Pause after a 429 that came without a usable Retry-After header
+export const DEFAULT_RETRY_AFTER_MS = 10000;
+
+/**
+ * Retry-After header value in milliseconds, from delay-seconds or an HTTP date
+ * @returns {number|null} null when missing or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// A profile's limits keep applying to its lane this long after its last request
+export const LIMITS_TTL_MS = 10 * 60 * 1000;
+
+// Short DJB2 hash, so lane keys (and the logs that show them) never hold an API key
+function hashKey(value) {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash * 33) ^ value.charCodeAt(i);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Lane key for a request config: its endpoint and API key, so profiles that
+ * share an account (say a cheap and a strong model) share its limits too
+ */
+export function laneKey(config) {
+  const endpoint = String(config.apiEndpoint || '')
+    .trim()
+    .replace(/\/+$/, '')
+    .toLowerCase();
+  return `${endpoint}#${hashKey(String(config.apiKey || ''))}`;
+}
+
+// Whole, non-negative limits; missing ones fall back to the defaults
+function normalizeLimits(limits = {}) {
+  const normalized = {};
+  for (const [name, fallback] of Object.entries(DEFAULT_LIMITS)) {
+    const value = Number(limits[name] ?? fallback);
+    normalized[name] = Number.isFinite(value) ? Math.max(0, Math.floor(value)) : fallback;
+  }
+  return normalized;
+}
+
+// The strictest of several limit sets: the smallest value of each limit that
+// any of them turns on
+export function strictestLimits(limitSets) {
+  const strictest = {};
+  for (const name of Object.keys(DEFAULT_LIMITS)) {
+    const values = limitSets.map(limits => limits[name]).filter(value => value > 0);
+    strictest[name] = values.length > 0 ? Math.min(...values) : 0;
+  }
+  return strictest;
+}
+
+function abortError() {
+  const error = new Error('Request aborted while queued');
+  error.name = 'AbortError';
+  return error;
+}
+
+export class RequestQueue {
+  constructor() {
+    this.lanes = new Map();
+  }
+
+  lane(key) {
+    if (!this.lanes.has(key)) {
+      this.lanes.set(key, {
+        limits: { ...DEFAULT_LIMITS },
+        sources: new Map(), // source → { limits, seenAt } of each profile using the lane
+        running: 0,
+        waiting: [],
+        started: [], // { at, tokens } of requests started within WINDOW_MS, oldest first
+        pausedUntil: 0,
+        timer: null,
+      });
+    }
+    return this.lanes.get(key);
+  }
+
+  /**
+   * Run task() once the lane's limits allow it.
+   * @param {string} key - Lane, from laneKey()
+   * @param {Object} options - limits { concurrency, rpm, tpm } of the source
+   *   (profile) asking, tokens (estimate for tpm), signal, and
+   *   onPosition(position, resumeAt): 1 = next in line, 0 = started;
+   *   resumeAt is when a Retry-After pause ends, or null. The lane applies
+   *   the strictest limits of the sources seen within LIMITS_TTL_MS.
+   * @returns {Promise} The task's result. Rejects with an AbortError when the
+   *   signal aborts before the task started.
+   */
+  run(key, { limits, source = '', tokens = 0, signal, onPosition } = {}, task) {
+    const lane = this.lane(key);
+    if (limits) this.setLimits(lane, source, limits);
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      const entry = { tokens, onPosition, task, resolve, reject };
+      signal?.addEventListener(
+        'abort',
+        () => {
+          const index = lane.waiting.indexOf(entry);
+          if (index === -1) return; // Already running; the task handles its own abort
+          lane.waiting.splice(index, 1);
+          reject(abortError());
+          this.drain(key);
+        },
+        { once: true }
+      );
+
+      lane.waiting.push(entry);
+      this.drain(key);
+    });
+  }
+
+  setLimits(lane, source, limits) {
+    const now = Date.now();
+    lane.sources.set(source, { limits: normalizeLimits(limits), seenAt: now });
+    for (const [name, { seenAt }] of lane.sources) {
+      if (now - seenAt > LIMITS_TTL_MS) lane.sources.delete(name);
+    }
+    lane.limits = strictestLimits([...lane.sources.values()].map(entry => entry.limits));
+  }
+
+  /**
+   * Hold the lane's queue for `ms` (a 429's Retry-After). Running requests
+   * are not affected.
+   * @returns {number} When the pause ends (ms timestamp)
+   */
+  pause(key, ms) {
+    const lane = this.lane(key);
+    lane.pausedUntil = Math.max(lane.pausedUntil, Date.now() + ms);
+    this.drain(key);
+    return lane.pausedUntil;
+  }
+
+  // Start every waiting request the limits allow and tell the rest where they are
+  drain(key) {
+    const lane = this.lane(key);
+    const now = Date.now();
+    lane.started = lane.started.filter(request => now - request.at < WINDOW_MS);
+    clearTimeout(lane.timer);
+    lane.timer = null;
+
+    while (lane.waiting.length > 0) {
+      const wait = this.waitTime(lane, lane.waiting[0].tokens, now);
+      if (wait === Infinity) break; // Full; a finishing request drains again
+      if (wait > 0) {
+        lane.timer = setTimeout(() => this.drain(key), wait);
+        break;
+      }
+      this.start(key, lane, lane.waiting.shift(), now);
+    }
+
+    const resumeAt = lane.pausedUntil > now ? lane.pausedUntil : null;
+    lane.waiting.forEach((entry, index) => entry.onPosition?.(index + 1, resumeAt));
+  }
+
+  /**
+   * How long the next request must wait: 0 to start now, Infinity until a
+   * running request finishes, else milliseconds until a limit frees up.
+   */
+  waitTime(lane, tokens, now) {
+    const { concurrency, rpm, tpm } = lane.limits;
+    const { started } = lane;
+    if (concurrency > 0 && lane.running >= concurrency) return Infinity;
+
+    let wait = lane.pausedUntil - now;
+    if (rpm > 0 && started.length >= rpm) {
+      wait = Math.max(wait, started[started.length - rpm].at + WINDOW_MS - now);
+    }
+    if (tpm > 0) {
+      // Wait for the oldest requests to age out until this one fits; one
+      // bigger than the whole limit waits for an empty window
+      let used = started.reduce((sum, request) => sum + request.tokens, 0);
+      for (let i = 0; i < started.length && used + tokens > tpm; i++) {
+        used -= started[i].tokens;
+        wait = Math.max(wait, started[i].at + WINDOW_MS - now);
+      }
+    }
+    return Math.max(0, wait);
+  }
+
+  start(key, lane, entry, now) {
+    const request = { at: now, tokens: entry.tokens };
+    lane.started.push(request);
+    lane.running++;
+    entry.onPosition?.(0, null);
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(result => {
+        // Count what the request really used once it is known
+        if (result?.usage?.total_tokens) request.tokens = result.usage.total_tokens;
+        entry.resolve(result);
+      }, entry.reject)
+      .finally(() => {
+        lane.running--;
+        this.drain(key);
+      });
+  }
+}
@@ -0,0 +1,191 @@
+// Chunked, parallel streaming for long pages
+//
+// A page's blocks are split into size-bounded chunks, each translated by its
+// own streaming request. Up to `concurrency` requests run at once; the caller
+// forwards every chunk's blocks to the same content-script port, so block ids
+// (original indices) are all the content script needs to reassemble the page.
+
+// Source characters per chunk. Output tokens are budgeted at ~4× the input
+// characters, so this keeps each request well under the 64k output clamp.
+export const MAX_CHUNK_CHARS = 12000;
+
+export const DEFAULT_CONCURRENCY = 2;
+export const MAX_CONCURRENCY = 4;
+
+/**
+ * Count source characters in a translation block ({ id, items: [[segment]] })
+ */
+export function countBlockChars(block) {
+  return (block.items || []).reduce(
+    (sum, item) =>
+      sum + (Array.isArray(item) ? item.reduce((c, seg) => c + String(seg).length, 0) : 0),
+    0
+  );
+}
+
+/**
+ * Count source characters in a list of blocks
+ */
+export function countChars(blocks) {
+  return blocks.reduce((sum, block) => sum + countBlockChars(block), 0);
+}
+
+/**
+ * Output token budget for a chunk of blocks
+ */
+export function maxTokensFor(blocks) {
+  return Math.min(64000, Math.max(4000, countChars(blocks) * 4));
+}
+
+/**
+ * Split blocks into consecutive chunks of at most maxChars source characters.
+ * A block larger than maxChars gets a chunk of its own — blocks are never split.
+ * @returns {Array<Array<Object>>} Chunks in page order
+ */
+export function chunkBlocks(blocks, maxChars = MAX_CHUNK_CHARS) {
+  const chunks = [];
+  let current = [];
+  let currentChars = 0;
+
+  for (const block of blocks) {
+    const chars = countBlockChars(block);
+    if (current.length > 0 && currentChars + chars > maxChars) {
+      chunks.push(current);
+      current = [];
+      currentChars = 0;
+    }
+    current.push(block);
+    currentChars += chars;
+  }
+  if (current.length > 0) chunks.push(current);
+
+  return chunks;
+}
+
+// Pre-flight estimates. About 4 characters per token in English and 1–2 in
+// CJK scripts, so 3 is a middle ground; the JSON around every item adds ~20%.
+export const CHARS_PER_TOKEN = 3;
+export const JSON_OVERHEAD = 1.2;
+// System prompt, rules, examples and glossary, repeated in every chunk
+export const PROMPT_TOKENS_PER_CHUNK = 800;
+
+/**
+ * Rough token usage for translating blocks, before sending them: input is the
+ * text plus each chunk's prompt, output is the translation at about the same
+ * length. Reasoning tokens are not estimated.
+ * @returns {Object} { prompt_tokens, completion_tokens }, as in API usage
+ */
+export function estimateUsage(blocks, maxChars = MAX_CHUNK_CHARS) {
+  if (blocks.length === 0) return { prompt_tokens: 0, completion_tokens: 0 };
+  const textTokens = Math.ceil((countChars(blocks) / CHARS_PER_TOKEN) * JSON_OVERHEAD);
+  return {
+    prompt_tokens: textTokens + chunkBlocks(blocks, maxChars).length * PROMPT_TOKENS_PER_CHUNK,
+    completion_tokens: textTokens,
+  };
+}
+
+// Characters of preceding text sent with a chunk, for continuity
+export const PRECEDING_TEXT_CHARS = 600;
+
+/**
+ * The end of the source text before a chunk: its last paragraphs, up to
+ * maxChars. Chunks run in parallel, so the model never sees the earlier ones;
+ * this lets it keep names and terminology consistent across them.
+ * @returns {string} Paragraphs joined by newlines, '' when there is no text
+ */
+export function precedingText(blocks, maxChars = PRECEDING_TEXT_CHARS) {
+  const paragraphs = [];
+  let chars = 0;
+
+  for (let b = blocks.length - 1; b >= 0 && chars < maxChars; b--) {
+    const items = blocks[b].items || [];
+    for (let i = items.length - 1; i >= 0 && chars < maxChars; i--) {
+      const text = Array.isArray(items[i]) ? items[i].join('').replace(/\s+/g, ' ').trim() : '';
+      if (!text) continue;
+      paragraphs.unshift(text);
+      chars += text.length + 1;
+    }
+  }
+
+  const joined = paragraphs.join('\n');
+  return joined.length > maxChars ? `…${joined.slice(joined.length - maxChars + 1)}` : joined;
+}
+
+export function clampConcurrency(value) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) return DEFAULT_CONCURRENCY;
+  return Math.min(n, MAX_CONCURRENCY);
+}
+
+/**
+ * Run runChunk(chunk, index) for every chunk with at most `concurrency` in
+ * flight, in page order. Once a chunk fails ({ success: false }) no new
+ * chunks are started — the content script resumes whatever is left.
+ * @returns {Promise<Object>} { success, results } with one entry per started chunk
+ */
+export async function runChunks(chunks, concurrency, runChunk) {
+  const results = [];
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < chunks.length) {
+      const index = next++;
+      const result = await runChunk(chunks[index], index);
+      results[index] = result;
+      if (!result.success) failed = true;
+    }
+  };
+
+  const workers = Math.min(clampConcurrency(concurrency), chunks.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  return { success: !failed, results: results.filter(Boolean) };
+}
+
+/**
+ * Add up the token usage of chunk results, failed ones included (their tokens
+ * are billed too).
+ * @returns {Object|undefined} Summed usage, or undefined when none reported any
+ */
+export function sumUsage(results) {
+  return results.reduce((total, r) => {
+    if (!r.usage) return total;
+    const sum = { ...(total || {}) };
+    for (const [key, value] of Object.entries(r.usage)) {
+      if (typeof value === 'number') sum[key] = (sum[key] || 0) + value;
+    }
+    return sum;
+  }, undefined);
+}
+
+/**
+ * What to bill for a request's chunks: sumUsage() of their results, where a
+ * chunk that translated something but reported no usage (Ollama and most
+ * custom endpoints stream none) counts estimateUsage() of its blocks instead.
+ * The sum's `estimated` field counts those chunks.
+ * @param {Function} translated - Whether chunk i delivered any blocks
+ * @returns {Object|undefined} Summed usage, or undefined when there is none
+ */
+export function billedUsage(results, chunks, translated) {
+  return sumUsage(
+    results.map((r, i) =>
+      r.usage || !(r.success || translated(i))
+        ? r
+        : { ...r, usage: { ...estimateUsage(chunks[i]), estimated: 1 } }
+    )
+  );
+}
+
+/**
+ * Combine per-chunk results into one streamTranslate-style result. The first
+ * non-retryable failure wins, so e.g. a bad API key isn't reported as retryable.
+ */
+export function mergeResults(results) {
+  const failures = results.filter(r => !r.success);
+  if (failures.length > 0) {
+    return failures.find(r => !r.isRetryable) || failures[0];
+  }
+
+  return { success: true, usage: sumUsage(results), model: results.find(r => r.model)?.model };
+}
@@ -87,6 +87,24 @@ function showTranslationProgress() {
       -webkit-box-orient: vertical;
     }
 
+    .llm-progress-provider {
+      font-size: 10px;
+      color: #b45309;
+      margin: -6px 0 10px;
+    }
+
+    .llm-progress-queue {
+      font-size: 10px;
+      color: #b45309;
+      margin: -6px 0 10px;
+    }
+
+    .llm-progress-cache {
+      font-size: 10px;
+      color: #6b6760;
+      margin: -6px 0 10px;
+    }
+
     .llm-progress-track {
       width: 100%;
       height: 3px;
@@ -134,6 +152,81 @@ function updateReasoningProgress(seconds, kChars, snippet) {
   if (fill) fill.style.width = `${Math.min(30, Number(seconds) * 3)}%`;
 }
 
+// Note that the remaining blocks moved to another provider profile. The line
+// stays under the progress text until the bar is hidden.
+function showProviderFallback(profileName, reason) {
+  const progressBar = document.getElementById('llm-progress-bar');
+  if (!progressBar) return;
+
+  let notice = progressBar.querySelector('.llm-progress-provider');
+  if (!notice) {
+    notice = document.createElement('div');
+    notice.className = 'llm-progress-provider';
+    const track = progressBar.querySelector('.llm-progress-track');
+    track.parentNode.insertBefore(notice, track);
+  }
+  notice.textContent = `\u21aa ${profileName} (${reason})`;
+}
+
+// Note how many blocks were replayed from the block cache, e.g. "♻ 38/40 from cache (95%)"
+function showCacheHits(hits, total) {
+  const progressBar = document.getElementById('llm-progress-bar');
+  if (!progressBar) return;
+
+  let notice = progressBar.querySelector('.llm-progress-cache');
+  if (!notice) {
+    notice = document.createElement('div');
+    notice.className = 'llm-progress-cache';
+    const track = progressBar.querySelector('.llm-progress-track');
+    track.parentNode.insertBefore(notice, track);
+  }
+  notice.textContent = `\u267b ${hits}/${total} from cache (${Math.round((hits / total) * 100)}%)`;
+}
+
+let queueCountdown = null;
+
+// Note that this tab's requests are waiting in the background's queue behind
+// other tabs, e.g. "⧗ Queued · 2nd in line", or paused by the provider's
+// Retry-After with a countdown. Position 0 (started) removes the line.
+function showQueuePosition(position, resumeAt = null) {
+  clearInterval(queueCountdown);
+  queueCountdown = null;
+
+  const progressBar = document.getElementById('llm-progress-bar');
+  if (!progressBar) return;
+
+  let notice = progressBar.querySelector('.llm-progress-queue');
+  if (!position) {
+    notice?.remove();
+    return;
+  }
+  if (!notice) {
+    notice = document.createElement('div');
+    notice.className = 'llm-progress-queue';
+    const track = progressBar.querySelector('.llm-progress-track');
+    track.parentNode.insertBefore(notice, track);
+  }
+
+  const render = () => {
+    const seconds = resumeAt ? Math.ceil((resumeAt - Date.now()) / 1000) : 0;
+    if (seconds <= 0 || !notice.isConnected) {
+      clearInterval(queueCountdown);
+      queueCountdown = null;
+    }
+    notice.textContent =
+      seconds > 0
+        ? `\u29d7 Rate limited \u00b7 resuming in ${seconds}s`
+        : `\u29d7 Queued \u00b7 ${ordinal(position)} in line`;
+  };
+  render();
+  if (resumeAt) queueCountdown = setInterval(render, 1000);
+}
+
+function ordinal(n) {
+  const suffix = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffix[new Intl.PluralRules('en', { type: 'ordinal' }).select(n)]}`;
+}
+
 function escapeHTML(str) {
   return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
@@ -192,6 +285,8 @@ async function animateTranslation(block, translatedItems, settings) {
 
 /**
  * 4-phase animation: fade out → replace text nodes → fade in → settle.
+ * In bilingual mode the original is left untouched and the translation is
+ * appended beneath it instead (see appendBilingualTranslation).
  * Returns { originalHTML, translatedHTML } for toggle support.
  */
 async function animateLineTransition(item, translatedSegments, settings, debug) {
@@ -207,6 +302,10 @@ async function animateLineTransition(item, translatedSegments, settings, debug)
     ? translatedSegments
     : [String(translatedSegments ?? '')];
 
+  if (settings?.displayMode === 'bilingual') {
+    return appendBilingualTranslation(item, segments, debug);
+  }
+
   // Phase 1: Quick fade out
   element.classList.remove('llm-preparing');
   element.classList.add('llm-fading-out');
@@ -246,6 +345,84 @@ async function animateLineTransition(item, translatedSegments, settings, debug)
   return { originalHTML, translatedHTML };
 }
 
+// ─── Bilingual Rendering ──────────────────────────────────────────────────────
+
+/**
+ * Path of child indices from root down to node, or null if node is not
+ * (or no longer) inside root.
+ */
+function getChildIndexPath(root, node) {
+  const path = [];
+  let current = node;
+  while (current && current !== root) {
+    const parent = current.parentNode;
+    if (!parent) return null;
+    path.unshift(Array.prototype.indexOf.call(parent.childNodes, current));
+    current = parent;
+  }
+  return current === root ? path : null;
+}
+
+function resolveChildIndexPath(root, path) {
+  let current = root;
+  for (const index of path) {
+    current = current.childNodes[index];
+    if (!current) return null;
+  }
+  return current;
+}
+
+/**
+ * Bilingual mode: clone the element's inline markup, write the translated
+ * segments into the clone's matching text nodes, and append the result as a
+ * block-level span inside the element. The original text nodes are never
+ * modified, so toggling back to originalHTML simply drops the translation.
+ */
+async function appendBilingualTranslation(item, segments, debug) {
+  const element = item.element;
+  const originalHTML = element.innerHTML;
+
+  const clone = element.cloneNode(true);
+  const cloneNodes = item.textNodes.map(node => {
+    const path = getChildIndexPath(element, node);
+    return path ? resolveChildIndexPath(clone, path) : null;
+  });
+
+  if (segments.length === cloneNodes.length && cloneNodes.every(Boolean)) {
+    cloneNodes.forEach((node, i) => {
+      node.textContent = segments[i];
+    });
+  } else {
+    if (debug) {
+      console.warn(
+        `Segment count mismatch: expected ${item.textNodes.length}, got ${segments.length}`
+      );
+    }
+    clone.textContent = segments.join('');
+  }
+
+  // Duplicate IDs would break in-page anchors and scripts that look them up
+  clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+
+  const translation = document.createElement('span');
+  translation.className = 'llm-bilingual-translation llm-translated';
+  translation.setAttribute('data-llm-bilingual', 'true');
+  while (clone.firstChild) {
+    translation.appendChild(clone.firstChild);
+  }
+
+  element.classList.remove('llm-preparing');
+  element.appendChild(translation);
+  element.setAttribute('data-llm-state', 'translated');
+
+  const translatedHTML = element.innerHTML;
+
+  await delay(60);
+  element.classList.add('llm-settled');
+
+  return { originalHTML, translatedHTML };
+}
+
 // ─── Toggle Button ────────────────────────────────────────────────────────────
 
 function addGlobalToggleButton(translatedElements, retranslateCallback) {
@@ -383,29 +560,433 @@ function createToggleButton(translatedElements, retranslateCallback) {
     });
   }
 
-  const button = toggleButton.querySelector('.llm-toggle-btn');
-  let globalShowingOriginals = false;
+  toggleButton
+    .querySelector('.llm-toggle-btn')
+    .addEventListener('click', () => toggleOriginals(translatedElements));
+}
 
-  button.addEventListener('click', () => {
-    globalShowingOriginals = !globalShowingOriginals;
+/**
+ * Show every original, or every translation again once all originals are
+ * showing (elements can also be swapped one by one). Used by the toggle
+ * button and the keyboard shortcut; keeps the button's label in step.
+ * @returns {boolean} Whether originals are now showing
+ */
+function toggleOriginals(translatedElements) {
+  const showOriginals = [...translatedElements.keys()].some(
+    element => element.getAttribute('data-llm-state') !== 'showing-original'
+  );
+  for (const [element, data] of translatedElements) {
+    showElementOriginal(element, data, showOriginals);
+  }
 
-    button.classList.toggle('active', globalShowingOriginals);
-    button.querySelector('.toggle-text').textContent = globalShowingOriginals
+  const button = document.querySelector('#llm-original-toggle .llm-toggle-btn');
+  if (button) {
+    button.classList.toggle('active', showOriginals);
+    button.querySelector('.toggle-text').textContent = showOriginals
       ? 'Show Translations'
       : 'Show Originals';
+  }
+  return showOriginals;
+}
+
+/**
+ * Swap one translated element between its original and translated markup,
+ * using the { originalHTML, translatedHTML } pair from animateLineTransition.
+ */
+function showElementOriginal(element, data, showOriginal) {
+  element.innerHTML = showOriginal ? data.originalHTML : data.translatedHTML;
+  element.setAttribute('data-llm-state', showOriginal ? 'showing-original' : 'translated');
+  element.classList.toggle('llm-showing-original', showOriginal);
+}
+
+// ─── Correction Editor & Block Controls ──────────────────────────────────────
+
+const EDITOR_ID = 'llm-correction-editor';
+const RETRANSLATE_ID = 'llm-retranslate-panel';
+const CONTROLS_ID = 'llm-block-controls';
+
+function injectEditingStyle() {
+  if (document.querySelector('style[data-llm-editing]')) return;
+
+  const style = document.createElement('style');
+  style.setAttribute('data-llm-editing', '');
+  style.textContent = `
+    .llm-popover {
+      position: absolute;
+      z-index: 10000;
+      box-sizing: border-box;
+      background: #fffffe;
+      border: 1px solid #e0ded7;
+      border-radius: 4px;
+      padding: 12px 14px;
+      color: #2d2a25;
+      font-family: 'JetBrains Mono', 'SF Mono', 'Fira Code', ui-monospace, monospace;
+      font-size: 11px;
+      box-shadow: 0 4px 24px rgba(0, 0, 0, 0.08), 0 1px 3px rgba(0, 0, 0, 0.04);
+      animation: llmSlideIn 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+    }
+
+    .llm-popover .llm-editor-label {
+      font-size: 9px;
+      font-weight: 700;
+      letter-spacing: 0.1em;
+      text-transform: uppercase;
+      color: #d97706;
+      margin-bottom: 8px;
+    }
+
+    .llm-popover .llm-editor-source {
+      color: #8a857a;
+      line-height: 1.4;
+      margin: 0 0 4px;
+    }
+
+    .llm-popover textarea,
+    .llm-popover input[type='text'],
+    .llm-popover select {
+      display: block;
+      box-sizing: border-box;
+      width: 100%;
+      margin: 0 0 10px;
+      padding: 6px 8px;
+      border: 1px solid #e0ded7;
+      border-radius: 3px;
+      font: 13px/1.5 Georgia, serif;
+      color: #2d2a25;
+      background: #fff;
+    }
+
+    .llm-popover textarea {
+      resize: vertical;
+    }
+
+    .llm-popover .llm-editor-actions {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .llm-popover label,
+    .llm-popover .llm-retranslate-status {
+      flex: 1;
+      color: #6b6760;
+    }
+
+    .llm-popover .llm-retranslate-status.error,
+    .llm-popover .llm-editor-error {
+      color: #b91c1c;
+    }
+
+    .llm-popover .llm-editor-error {
+      margin: 0 0 8px;
+    }
+
+    .llm-popover button {
+      font: inherit;
+      padding: 5px 10px;
+      border: 1px solid #2d2a25;
+      border-radius: 3px;
+      background: #2d2a25;
+      color: #fffffe;
+      cursor: pointer;
+    }
+
+    .llm-popover button:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+
+    .llm-popover button.llm-editor-cancel {
+      background: transparent;
+      color: #2d2a25;
+      border-color: #e0ded7;
+    }
+
+    #${CONTROLS_ID} {
+      position: absolute;
+      z-index: 9999;
+      display: flex;
+      gap: 2px;
+      padding: 2px;
+      background: #fffffe;
+      border: 1px solid #e0ded7;
+      border-radius: 4px;
+      box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08);
+    }
+
+    #${CONTROLS_ID} button {
+      width: 22px;
+      height: 22px;
+      padding: 0;
+      border: none;
+      border-radius: 3px;
+      background: transparent;
+      color: #6b6760;
+      font: 13px/22px system-ui, sans-serif;
+      cursor: pointer;
+    }
 
-    for (const [element, data] of translatedElements) {
-      if (globalShowingOriginals) {
-        element.innerHTML = data.originalHTML;
-        element.setAttribute('data-llm-state', 'showing-original');
-        element.classList.add('llm-showing-original');
-      } else {
-        element.innerHTML = data.translatedHTML;
-        element.setAttribute('data-llm-state', 'translated');
-        element.classList.remove('llm-showing-original');
-      }
+    #${CONTROLS_ID} button:hover {
+      background: #f3f1ec;
+      color: #d97706;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+// Anchor a popover under an element, at least 320px wide and within the viewport
+function placeUnder(popover, element) {
+  const rect = element.getBoundingClientRect();
+  const width = Math.min(Math.max(rect.width, 320), 560, window.innerWidth - 16);
+  popover.style.width = `${width}px`;
+  popover.style.top = `${rect.bottom + window.scrollY + 6}px`;
+  popover.style.left = `${Math.max(8, rect.left + window.scrollX)}px`;
+}
+
+function hideCorrectionEditor() {
+  const existing = document.getElementById(EDITOR_ID);
+  if (existing) existing.remove();
+}
+
+function hideRetranslatePanel() {
+  const existing = document.getElementById(RETRANSLATE_ID);
+  if (existing) existing.remove();
+}
+
+/**
+ * Open an editor for one translated item, anchored under its element. There
+ * is one field per segment, labelled with the original segment, so inline
+ * markup such as links keeps its place. Ctrl/Cmd+Enter saves, Escape cancels.
+ *
+ * @param {Element} element - The translated element
+ * @param {Object} item - { sourceSegments, segments }
+ * @param {Function} onSave - Called with (segments, remember); may return a promise
+ */
+function showCorrectionEditor(element, { sourceSegments, segments }, onSave) {
+  hideCorrectionEditor();
+  hideRetranslatePanel();
+  injectEditingStyle();
+
+  const editor = document.createElement('div');
+  editor.id = EDITOR_ID;
+  editor.className = 'llm-popover llm-no-translate';
+
+  const label = document.createElement('div');
+  label.className = 'llm-editor-label';
+  label.textContent = 'Correct translation';
+  editor.appendChild(label);
+
+  const fields = segments.map((segment, i) => {
+    if (sourceSegments[i] !== undefined) {
+      const source = document.createElement('p');
+      source.className = 'llm-editor-source';
+      source.textContent = sourceSegments[i];
+      editor.appendChild(source);
+    }
+    const field = document.createElement('textarea');
+    field.rows = Math.min(6, Math.max(1, Math.ceil(segment.length / 60)));
+    field.value = segment;
+    editor.appendChild(field);
+    return field;
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'llm-editor-actions';
+  actions.innerHTML = `
+    <label><input type="checkbox" class="llm-editor-remember" /> Remember for future translations</label>
+    <button type="button" class="llm-editor-cancel">Cancel</button>
+    <button type="button" class="llm-editor-save">Save</button>
+  `;
+  const problem = document.createElement('p');
+  problem.className = 'llm-editor-error';
+  problem.hidden = true;
+  editor.appendChild(problem);
+  editor.appendChild(actions);
+
+  const saveButton = actions.querySelector('.llm-editor-save');
+  let busy = false;
+
+  // On failure the editor stays open with the error, so the edit isn't lost
+  const save = async () => {
+    if (busy) return;
+    busy = true;
+    saveButton.disabled = true;
+    problem.hidden = true;
+    const remember = actions.querySelector('.llm-editor-remember').checked;
+    try {
+      await onSave(
+        fields.map(field => field.value),
+        remember
+      );
+      hideCorrectionEditor();
+    } catch (error) {
+      problem.textContent = `Could not save: ${error.message}`;
+      problem.hidden = false;
+    } finally {
+      busy = false;
+      saveButton.disabled = false;
+    }
+  };
+
+  saveButton.addEventListener('click', save);
+  actions.querySelector('.llm-editor-cancel').addEventListener('click', hideCorrectionEditor);
+  editor.addEventListener('keydown', event => {
+    if (event.key === 'Escape') hideCorrectionEditor();
+    else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) save();
+  });
+
+  placeUnder(editor, element);
+  document.body.appendChild(editor);
+  fields[0]?.focus();
+  return editor;
+}
+
+/**
+ * Ask how to re-translate one block: which profile (model) to use and an
+ * optional hint such as "more formal". The panel stays open while the block
+ * streams and shows the error if it fails. Enter starts, Escape cancels.
+ *
+ * @param {Element} element - The translated element that was hovered
+ * @param {Object} options - { profiles: [{id, name, model}], profileId } (the active profile)
+ * @param {Function} onSubmit - Called with { profileId, hint }; may return a promise
+ */
+function showRetranslatePanel(element, { profiles = [], profileId = null }, onSubmit) {
+  hideCorrectionEditor();
+  hideRetranslatePanel();
+  injectEditingStyle();
+
+  const panel = document.createElement('div');
+  panel.id = RETRANSLATE_ID;
+  panel.className = 'llm-popover llm-no-translate';
+
+  const label = document.createElement('div');
+  label.className = 'llm-editor-label';
+  label.textContent = 'Re-translate paragraph';
+  panel.appendChild(label);
+
+  // A model choice only makes sense with more than one profile
+  let profileSelect = null;
+  if (profiles.length > 1) {
+    profileSelect = document.createElement('select');
+    profileSelect.className = 'llm-retranslate-profile';
+    for (const profile of profiles) {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.model ? `${profile.name} (${profile.model})` : profile.name;
+      option.selected = profile.id === profileId;
+      profileSelect.appendChild(option);
     }
+    panel.appendChild(profileSelect);
+  }
+
+  const hintInput = document.createElement('input');
+  hintInput.type = 'text';
+  hintInput.className = 'llm-retranslate-hint';
+  hintInput.placeholder = 'Optional hint, e.g. "more formal"';
+  panel.appendChild(hintInput);
+
+  const actions = document.createElement('div');
+  actions.className = 'llm-editor-actions';
+  actions.innerHTML = `
+    <span class="llm-retranslate-status"></span>
+    <button type="button" class="llm-editor-cancel">Cancel</button>
+    <button type="button" class="llm-retranslate-submit">Re-translate</button>
+  `;
+  panel.appendChild(actions);
+
+  const status = actions.querySelector('.llm-retranslate-status');
+  const submitButton = actions.querySelector('.llm-retranslate-submit');
+  let busy = false;
+
+  const submit = async () => {
+    if (busy) return;
+    busy = true;
+    submitButton.disabled = true;
+    status.className = 'llm-retranslate-status';
+    status.textContent = 'Translating\u2026';
+    try {
+      await onSubmit({
+        profileId: profileSelect ? profileSelect.value : profileId,
+        hint: hintInput.value.trim(),
+      });
+      hideRetranslatePanel();
+    } catch (error) {
+      status.className = 'llm-retranslate-status error';
+      status.textContent = error.message;
+    } finally {
+      busy = false;
+      submitButton.disabled = false;
+    }
+  };
+
+  submitButton.addEventListener('click', submit);
+  actions.querySelector('.llm-editor-cancel').addEventListener('click', hideRetranslatePanel);
+  panel.addEventListener('keydown', event => {
+    if (event.key === 'Escape') hideRetranslatePanel();
+    else if (event.key === 'Enter') submit();
   });
+
+  placeUnder(panel, element);
+  document.body.appendChild(panel);
+  hintInput.focus();
+  return panel;
+}
+
+function hideBlockControls() {
+  const existing = document.getElementById(CONTROLS_ID);
+  if (existing) existing.remove();
+}
+
+/**
+ * Small toolbar in the top-right corner of a hovered translated element,
+ * with buttons to swap it to its original and back, correct it, or
+ * re-translate it. Actions passed as null get no button. It overlaps the
+ * element so the pointer can reach it without leaving the element.
+ *
+ * @param {Element} element - The hovered translated element
+ * @param {Object} actions - { showingOriginal, onSwap, onEdit, onRetranslate }
+ */
+function showBlockControls(element, { showingOriginal = false, onSwap, onEdit, onRetranslate }) {
+  const existing = document.getElementById(CONTROLS_ID);
+  if (existing?.llmElement === element) return existing;
+  hideBlockControls();
+  injectEditingStyle();
+
+  const controls = document.createElement('div');
+  controls.id = CONTROLS_ID;
+  controls.className = 'llm-no-translate';
+  controls.llmElement = element;
+
+  const buttons = [
+    [onSwap, 'llm-control-swap', showingOriginal ? 'Show translation' : 'Show original', '\u21c4'],
+    [onEdit, 'llm-control-edit', 'Correct translation', '\u270e'],
+    [onRetranslate, 'llm-control-retranslate', 'Re-translate this paragraph', '\u21bb'],
+  ];
+  for (const [action, className, title, icon] of buttons) {
+    if (!action) continue;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.textContent = icon;
+    button.addEventListener('click', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      hideBlockControls();
+      action();
+    });
+    controls.appendChild(button);
+  }
+
+  const CONTROL_WIDTH = 24;
+  const width = controls.children.length * CONTROL_WIDTH + 4;
+  const rect = element.getBoundingClientRect();
+  controls.style.top = `${rect.top + window.scrollY}px`;
+  controls.style.left = `${Math.max(8, rect.right + window.scrollX - width)}px`;
+
+  document.body.appendChild(controls);
+  return controls;
 }
 
 // ─── Exports (global scope for content script) ───────────────────────────────
@@ -416,10 +997,21 @@ const Animation = {
   showTranslationProgress,
   updateReasoningProgress,
   updateTranslationProgress,
+  showProviderFallback,
+  showCacheHits,
+  showQueuePosition,
   hideTranslationProgress,
   animateBlockStart,
   animateBlockError,
   animateTranslation,
   animateLineTransition,
   addGlobalToggleButton,
+  toggleOriginals,
+  showElementOriginal,
+  showCorrectionEditor,
+  hideCorrectionEditor,
+  showRetranslatePanel,
+  hideRetranslatePanel,
+  showBlockControls,
+  hideBlockControls,
 };
@@ -5,13 +5,29 @@ class LineLocalizationMachine {
   constructor() {
     this.isTranslating = false;
     this.translatedElements = new Map(); // element → { originalHTML, translatedHTML }
+    this.translationJobs = []; // Jobs that rendered translatedElements, for corrections
     this.translationSettings = null;
     this.animationQueue = [];
     this.translationHistory = []; // Store translation pairs for context
     this.totalBlocks = 0;
     this.completedBlocks = 0;
     this.tabId = null; // Store current tab ID
+    this.sourceLanguage = null; // Dominant detected language of the text being translated
+    this.fallbackProfileName = null; // Set once remaining blocks moved to a fallback profile
     this.debug = false; // Set to true for verbose logging
+    this.liveObserver = null; // MutationObserver while live mode is on
+    this.livePendingRoots = new Set();
+    this.liveTimer = null;
+    this.liveBusy = false;
+    this.liveBatch = null; // Live batch in flight (see createBatch)
+    this.lazyObserver = null; // IntersectionObserver for off-screen blocks
+    this.lazyJob = null;
+    this.lazyPending = new Set();
+    this.lazyTimer = null;
+    this.lazyBusy = false;
+    this.lazyBatch = null; // Lazy batch in flight (see createBatch)
+    this.pageContext = null; // Title, domain, article excerpt… sent with each request
+    this.overrideSpending = false; // "Translate Anyway" from the popup: skip cost checks
 
     this.init();
   }
@@ -38,16 +54,70 @@ class LineLocalizationMachine {
         }
 
         const skipCache = message.skipCache || false;
-        this.startTranslation(message.settings, skipCache)
+        this.startTranslation(message.settings, skipCache, message.overrideSpending)
           .then(() => sendResponse({ success: true }))
-          .catch(error => sendResponse({ success: false, error: error.message }));
+          .catch(error =>
+            sendResponse({ success: false, error: error.message, errorType: error.errorType })
+          );
         return true; // Keep message channel open for async response
+      } else if (message.action === 'TRANSLATE_SELECTION') {
+        this.tabId = message.tabId || (sender && sender.tab && sender.tab.id) || null;
+
+        this.translateSelection(message.settings)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      } else if (message.action === 'TOGGLE_ORIGINALS') {
+        // Keyboard shortcut (commands API), same as the toggle button
+        if (this.translatedElements.size === 0) {
+          sendResponse({ success: false, error: 'Nothing on this page is translated' });
+        } else {
+          Animation.hideBlockControls();
+          sendResponse({
+            success: true,
+            showingOriginals: Animation.toggleOriginals(this.translatedElements),
+          });
+        }
+        return false;
       } else if (message.action === 'PING') {
         // Firefox state check: respond to indicate content script is available
         sendResponse({ success: true, status: 'content_script_available' });
         return false; // Synchronous response
       }
     });
+
+    // Alt+click on a translated element opens the correction editor;
+    // hovering one shows controls to swap, correct or re-translate it, and
+    // Alt+O swaps the selected or focused one from the keyboard
+    document.addEventListener('click', event => this.handleEditClick(event), true);
+    document.addEventListener('mouseover', event => this.handleHover(event), true);
+    document.addEventListener('keydown', event => this.handleSwapKey(event), true);
+
+    await this.applySiteRules();
+  }
+
+  /**
+   * Auto-translate on load when an 'always' site rule matches this host.
+   * Goes through the normal pipeline, so revisits replay from the cache.
+   */
+  async applySiteRules() {
+    try {
+      const { siteRules } = await chrome.storage.local.get('siteRules');
+      const rule = SiteRules.findRule(siteRules, window.location.hostname);
+      if (!rule || rule.mode !== 'always') return;
+
+      const settings = await chrome.runtime.sendMessage({ action: 'GET_SETTINGS' });
+      if (!settings?.apiKey) return;
+      if (this.isTranslating) return;
+
+      console.log(`[LLM] Site rule "${rule.pattern}" matched — translating automatically`);
+      await this.startTranslation({
+        ...settings,
+        targetLanguage: rule.targetLanguage || settings.targetLanguage,
+      });
+    } catch (error) {
+      console.warn('[LLM] Automatic translation failed:', error.message);
+    }
   }
 
   async performSelfCleanup() {
@@ -56,6 +126,7 @@ class LineLocalizationMachine {
 
       if (response?.success && response.tabId) {
         const currentTabId = response.tabId;
+        this.tabId = currentTabId;
         if (this.debug) {
           console.log(
             `[ContentScript] Self-cleanup: clearing any stale state for tab ${currentTabId}`
@@ -73,12 +144,7 @@ class LineLocalizationMachine {
     }
   }
 
-  async startTranslation(settings, skipCache = false) {
-    if (this.isTranslating) {
-      throw new Error('Translation already in progress');
-    }
-
-    // Validate settings
+  validateSettings(settings) {
     if (!settings.apiKey || typeof settings.apiKey !== 'string' || !settings.apiKey.trim()) {
       throw new Error('API key is required');
     }
@@ -92,11 +158,26 @@ class LineLocalizationMachine {
     ) {
       throw new Error('Target language is required');
     }
+  }
+
+  async startTranslation(settings, skipCache = false, overrideSpending = false) {
+    if (this.isTranslating) {
+      throw new Error('Translation already in progress');
+    }
+
+    this.validateSettings(settings);
 
     this.isTranslating = true;
     this.translationSettings = settings;
+    this.overrideSpending = Boolean(overrideSpending);
     this.translationHistory = [];
     this.completedBlocks = 0;
+    this.sourceLanguage = null;
+    this.fallbackProfileName = null;
+
+    // Stop watching before we rewrite the DOM ourselves, and wait for a live
+    // or lazy batch to stop rendering so it can't write over the restore below
+    await Promise.all([this.stopLiveTranslation(), this.stopLazyTranslation()]);
 
     // If re-translating an already translated page, restore original DOM text
     // before extraction, otherwise we extract translated text and re-translate it.
@@ -110,17 +191,10 @@ class LineLocalizationMachine {
     // Clear any existing progress indicators from previous translations
     this.clearPreviousTranslationState();
 
-    this.updateTranslationState({
-      isTranslating: true,
-      status: 'starting',
-      progress: 0,
-      totalBlocks: 0,
-      completedBlocks: 0,
-    });
-
-    try {
+    await this.runTranslation(() => {
       // Identify article content via Readability (or null for fallback)
       const articleData = TextExtraction.identifyArticleContent();
+      this.pageContext = this.collectPageContext(articleData);
 
       // Extract translatable text elements, filtered by article content
       const textElements = TextExtraction.extractTextElements(document.body, articleData);
@@ -138,7 +212,80 @@ class LineLocalizationMachine {
         });
       }
 
-      await this.translateWithAnimations(textElements, skipCache);
+      return textElements;
+    }, skipCache);
+
+    if (settings.liveTranslation) {
+      this.startLiveTranslation();
+    }
+  }
+
+  /**
+   * Translate only the elements touched by the current selection (context
+   * menu). Earlier translations elsewhere on the page are left in place.
+   */
+  async translateSelection(settings) {
+    if (this.isTranslating) {
+      throw new Error('Translation already in progress');
+    }
+
+    this.validateSettings(settings);
+
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+      throw new Error('No text selected');
+    }
+    const range = selection.getRangeAt(0);
+
+    this.isTranslating = true;
+    this.translationSettings = settings;
+    this.overrideSpending = false;
+    this.translationHistory = [];
+    this.completedBlocks = 0;
+    this.sourceLanguage = null;
+    this.fallbackProfileName = null;
+
+    await this.runTranslation(
+      () => {
+        const textElements = TextExtraction.extractSelectionElements(range);
+        if (textElements.length === 0) {
+          throw new Error('No translatable text in the selection');
+        }
+
+        // Selected text that was already translated: start again from the original
+        for (const item of textElements) {
+          const previous = this.translatedElements.get(item.element);
+          if (!previous) continue;
+          item.element.innerHTML = previous.originalHTML;
+          item.textNodes = TextExtraction.collectTextNodes(item.element);
+          this.translatedElements.delete(item.element);
+        }
+
+        selection.removeAllRanges();
+        return textElements.filter(item => item.textNodes.length > 0);
+      },
+      true,
+      { useCache: false, retranslate: false, lazy: false, checkCost: false }
+    );
+  }
+
+  /**
+   * Shared driver for page and selection translation: reports progress to
+   * the popup, runs the pipeline and records the final state.
+   */
+  async runTranslation(extractTextElements, skipCache, options) {
+    this.updateTranslationState({
+      isTranslating: true,
+      status: 'starting',
+      progress: 0,
+      totalBlocks: 0,
+      completedBlocks: 0,
+    });
+
+    try {
+      const textElements = extractTextElements();
+
+      await this.translateWithAnimations(textElements, skipCache, options);
 
       this.updateTranslationState({
         isTranslating: false,
@@ -175,8 +322,26 @@ class LineLocalizationMachine {
 
   // ─── Translation Pipeline ──────────────────────────────────────────────────
 
-  async translateWithAnimations(textElements, skipCache = false) {
-    const textBlocks = TextExtraction.groupIntoBlocks(textElements);
+  /**
+   * options.useCache: false skips both the cache lookup and the cache write
+   * (selection translations aren't worth a History entry).
+   * options.retranslate: false omits the re-translate button from the toggle.
+   * options.lazy: false translates everything now instead of deferring
+   * off-screen blocks until they are scrolled near.
+   * options.checkCost: false skips the per-page cost warning (budgets are
+   * still enforced by the background).
+   */
+  async translateWithAnimations(textElements, skipCache = false, options = {}) {
+    const { useCache = true, retranslate = true, lazy = true, checkCost = true } = options;
+    const targetLanguage = this.translationSettings.targetLanguage;
+
+    const detected = this.excludeTargetLanguage(textElements, targetLanguage);
+    this.sourceLanguage = detected.sourceLanguage;
+    if (detected.textElements.length === 0) {
+      throw new Error(`This content is already in ${this.getLanguageName(targetLanguage)}`);
+    }
+
+    const textBlocks = TextExtraction.groupIntoBlocks(detected.textElements);
     this.totalBlocks = textBlocks.length;
     this.completedBlocks = 0;
 
@@ -197,11 +362,34 @@ class LineLocalizationMachine {
       }
     });
 
-    // Check IndexedDB cache (unless user asked to skip)
-    const targetLanguage = this.translationSettings.targetLanguage;
-    const cacheKey = this.computeCacheKey(textBlocks, targetLanguage);
+    const glossary = await this.loadGlossary(targetLanguage);
+    const style = await this.loadStyle();
+    const cacheKey = useCache
+      ? this.computeCacheKey(textBlocks, targetLanguage, glossary, style)
+      : null;
+
+    // Shared across retries, fallbacks and lazy batches. Blocks are keyed by
+    // original index so the cache entry covers the whole page once every
+    // block has arrived, whatever order they were translated in.
+    const job = {
+      textBlocks,
+      glossary,
+      corrections: await this.loadCorrections(targetLanguage),
+      style,
+      cacheKey,
+      // Rendering overwrites the text nodes, so keep the original for the
+      // cache and for the correction editor
+      sourceBlocks: this.snapshotSourceBlocks(textBlocks),
+      completedBlockIndices: new Set(),
+      receivedBlocks: [],
+      // Active profile first, then the user's fallbacks
+      profileChain: this.getProfileChain(this.translationSettings),
+      profileIndex: 0,
+    };
+    this.translationJobs.push(job);
 
-    if (!skipCache) {
+    // Check IndexedDB cache (unless user asked to skip)
+    if (useCache && !skipCache) {
       try {
         const cached = await chrome.runtime.sendMessage({
           action: 'CACHE_GET',
@@ -209,6 +397,9 @@ class LineLocalizationMachine {
         });
         if (cached && cached.blocks && cached.blocks.length > 0) {
           console.log(`[LLM] Cache hit: ${cached.blocks.length} blocks for "${targetLanguage}"`);
+          cached.blocks.forEach(block => {
+            job.receivedBlocks[block.id] = block;
+          });
           await this.renderCachedBlocks(cached, textBlocks);
           return;
         }
@@ -217,19 +408,110 @@ class LineLocalizationMachine {
       }
     }
 
-    if (skipCache) {
+    if (useCache && skipCache) {
       console.log('[LLM] Cache skipped — forcing fresh translation');
     }
 
-    // Track completed blocks across retries by original index
-    const completedBlockIndices = new Set();
+    // No whole-page hit, but most blocks are often unchanged (only a
+    // timestamp or counter moved) — replay those and send only the rest
+    if (useCache && !skipCache) {
+      await this.replayCachedBlocks(job);
+    }
+
+    // Blocks on or near the screen go first; the rest wait until scrolled to
+    const allIndices = textBlocks.map((_, idx) => idx);
+    const partition =
+      lazy && typeof IntersectionObserver !== 'undefined'
+        ? this.partitionByViewport(textBlocks)
+        : { near: allIndices, far: [] };
+    const pending = idx => !job.completedBlockIndices.has(idx);
+    const near = partition.near.filter(pending);
+    const far = partition.far.filter(pending);
+    if (far.length > 0) {
+      console.log(`[LLM] Viewport first: ${near.length} blocks now, ${far.length} on scroll`);
+      this.stopBreathing(textBlocks, far);
+    }
+
+    // Estimate the whole page, including blocks left for later, before sending any
+    if (checkCost && !this.overrideSpending) {
+      try {
+        await this.checkPageCost(job, [...near, ...far]);
+      } catch (error) {
+        this.stopBreathing(textBlocks, near);
+        throw error;
+      }
+    }
+
+    await this.translateBlockSet(job, near);
+
+    // Stop the breathing animation on any blocks that were never translated
+    const unfinished = near.filter(idx => !job.completedBlockIndices.has(idx));
+    this.stopBreathing(textBlocks, unfinished);
+
+    if (unfinished.length > 0) {
+      console.warn(
+        `[LLM] Translation incomplete after retries: ` +
+          `${near.length - unfinished.length}/${near.length} blocks`
+      );
+    }
+
+    Animation.hideTranslationProgress();
+    Animation.addGlobalToggleButton(
+      this.translatedElements,
+      retranslate
+        ? () => this.startTranslation(this.translationSettings, true, this.overrideSpending)
+        : null
+    );
+
+    if (far.length > 0) this.startLazyTranslation(job, far);
+  }
+
+  /**
+   * Pre-flight cost check: throws a non-retryable 'spending_limit' error when
+   * the estimated cost of these blocks is above the user's per-page warning,
+   * so the popup can offer to translate anyway. A failed estimate never
+   * blocks the translation.
+   */
+  async checkPageCost(job, indices) {
+    if (indices.length === 0) return;
+
+    let estimate;
+    try {
+      estimate = await chrome.runtime.sendMessage({
+        action: 'ESTIMATE_PAGE_COST',
+        blocks: indices.map(idx => ({
+          id: idx,
+          items: job.textBlocks[idx].map(item => item.textNodes.map(node => node.textContent)),
+        })),
+        settings: this.translationSettings,
+      });
+    } catch (error) {
+      console.warn('[LLM] Cost estimate failed:', error.message);
+      return;
+    }
+    if (!estimate?.warning) return;
+
+    const error = new Error(estimate.warning);
+    error.errorType = 'spending_limit';
+    error.isRetryable = false;
+    throw error;
+  }
+
+  /**
+   * Translate the given block indices of a job, resuming after truncated
+   * streams and moving to fallback profiles when a provider fails. Each
+   * provider gets MAX_RETRIES resumes before the remaining blocks move on.
+   */
+  async translateBlockSet(job, indices, batch = null) {
+    const { textBlocks, cacheKey, completedBlockIndices, receivedBlocks } = job;
     const MAX_RETRIES = 3;
+    let attempt = 0;
 
-    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    while (!batch?.cancelled) {
       // Build payload for remaining blocks only
-      const remainingEntries = textBlocks
-        .map((block, idx) => ({ block, idx }))
-        .filter(({ idx }) => !completedBlockIndices.has(idx));
+      const remainingEntries = indices
+        .filter(idx => !completedBlockIndices.has(idx))
+        .map(idx => ({ block: textBlocks[idx], idx }));
 
       if (remainingEntries.length === 0) break;
 
@@ -240,67 +522,146 @@ class LineLocalizationMachine {
         );
       }
 
-      const translationData = {
-        targetLanguage: this.getLanguageName(this.translationSettings.targetLanguage),
-        blocks: remainingEntries.map(({ block, idx }) => ({
+      const translationData = this.buildTranslationData(
+        remainingEntries.map(({ block, idx }) => ({
           id: idx,
           items: block.map(item => item.textNodes.map(node => node.textContent)),
         })),
-      };
+        job
+      );
 
       console.log(
         `[LLM] Streaming translation: ${remainingEntries.length} blocks, ` +
           `${translationData.blocks.reduce((s, b) => s + b.items.length, 0)} items`
       );
 
+      const { profileChain } = job;
       const result = await this.streamTranslationBlocks(
         textBlocks,
         translationData,
         completedBlockIndices,
-        [],
-        cacheKey
+        receivedBlocks,
+        cacheKey,
+        job.profileIndex > 0 ? profileChain[job.profileIndex] : null,
+        job.sourceBlocks,
+        batch
       );
+      if (batch?.cancelled) break;
+
+      const hasFallback = job.profileIndex < profileChain.length - 1;
+      const providerFailed = this.isFallbackError(result.error) || attempt >= MAX_RETRIES;
 
-      if (result.fatal) throw result.error;
-      if (completedBlockIndices.size >= textBlocks.length) break;
+      if (result.fatal && !(hasFallback && providerFailed)) throw result.error;
+      if (indices.every(idx => completedBlockIndices.has(idx))) break;
 
       // All remaining blocks' elements are detached — no point retrying
       if (result.allDetached) break;
+
+      if (hasFallback && providerFailed) {
+        job.profileIndex++;
+        attempt = 0;
+        this.switchToFallbackProfile(profileChain[job.profileIndex], result.error);
+        continue;
+      }
+
+      if (attempt >= MAX_RETRIES) break;
+      attempt++;
     }
+  }
 
-    // Stop the breathing animation on any blocks that were never translated
-    for (let i = 0; i < textBlocks.length; i++) {
-      if (completedBlockIndices.has(i)) continue;
-      for (const item of textBlocks[i]) {
+  stopBreathing(textBlocks, indices) {
+    for (const idx of indices) {
+      for (const item of textBlocks[idx]) {
         item.element.classList.remove('llm-preparing');
       }
     }
+  }
 
-    if (completedBlockIndices.size < textBlocks.length) {
-      console.warn(
-        `[LLM] Translation incomplete after retries: ` +
-          `${completedBlockIndices.size}/${textBlocks.length} blocks`
-      );
-    }
+  // ─── Provider fallback ─────────────────────────────────────────────────────
 
-    Animation.hideTranslationProgress();
-    Animation.addGlobalToggleButton(this.translatedElements, () => {
-      return this.startTranslation(this.translationSettings, true);
+  FALLBACK_ERROR_TYPES = ['rate_limit', 'server_error'];
+
+  /**
+   * Ordered profiles to try: the active one, then settings.fallbackProfileIds.
+   * Empty when the settings carry no profiles (nothing to fall back to).
+   */
+  getProfileChain(settings) {
+    const profiles = Array.isArray(settings?.profiles) ? settings.profiles : [];
+    const ids = [settings?.profileId, ...(settings?.fallbackProfileIds || [])];
+    return [...new Set(ids)].map(id => profiles.find(p => p.id === id)).filter(Boolean);
+  }
+
+  // Provider-side failures (categorized by APIClient.categorizeError) that
+  // another provider may not share
+  isFallbackError(error) {
+    return !!error && this.FALLBACK_ERROR_TYPES.includes(error.errorType);
+  }
+
+  switchToFallbackProfile(profile, error) {
+    let why = 'stream kept stopping early';
+    if (error) why = error.errorType === 'rate_limit' ? 'rate limited' : 'provider error';
+    console.warn(`[LLM] Falling back to profile "${profile.name}" (${why})`);
+
+    this.fallbackProfileName = profile.name;
+    Animation.showProviderFallback(profile.name, why);
+    this.updateTranslationState({
+      isTranslating: true,
+      status: 'translating',
+      progress: Math.round((this.completedBlocks / this.totalBlocks) * 100),
+      totalBlocks: this.totalBlocks,
+      completedBlocks: this.completedBlocks,
     });
   }
 
+  /**
+   * Drop elements already written in the target language (mixed-language
+   * pages) and detect the dominant language of what remains.
+   * Returns { textElements, sourceLanguage } — sourceLanguage may be null.
+   */
+  excludeTargetLanguage(textElements, targetLanguage) {
+    // Unmarked Chinese is skipped only on pages written in the target variant
+    const pageLanguage = LanguageDetect.dominantLanguage(
+      textElements.map(item => item.originalText)
+    );
+    const remaining = textElements.filter(
+      item =>
+        !LanguageDetect.matchesTarget(
+          LanguageDetect.detect(item.originalText),
+          targetLanguage,
+          pageLanguage
+        )
+    );
+
+    const skipped = textElements.length - remaining.length;
+    if (skipped > 0) {
+      console.log(`[LLM] Skipping ${skipped} elements already in ${targetLanguage}`);
+    }
+
+    return {
+      textElements: remaining,
+      sourceLanguage: LanguageDetect.dominantLanguage(remaining.map(item => item.originalText)),
+    };
+  }
+
   /**
    * Opens a streaming port and renders translated blocks as they arrive.
    * Resolves with { fatal, error, allDetached } — never rejects.
-   * The caller retries when the stream is interrupted.
+   * The caller retries when the stream is interrupted. A lazy or live batch
+   * passes its handle (see createBatch) so cancelling it ends the stream.
    */
   streamTranslationBlocks(
     textBlocks,
     translationData,
     completedBlockIndices,
     receivedBlocks,
-    cacheKey
+    cacheKey,
+    fallbackProfile = null,
+    sourceBlocks = null,
+    batch = null
   ) {
+    // Cancelled while it was still being prepared
+    if (batch?.cancelled) return Promise.resolve({ fatal: false, error: null });
+
     let port;
     try {
       port = chrome.runtime.connect({ name: 'streaming-translate' });
@@ -316,13 +677,21 @@ class LineLocalizationMachine {
       let rendering = false;
       let streamDone = false;
       let fatalError = null;
+      let streamError = null;
+      // Blocks translated by this stream, for the block-level cache
+      const freshBlocks = [];
 
       const finalize = () => {
         const allDone = completedBlockIndices.size >= textBlocks.length;
+        if (cacheKey && freshBlocks.length > 0) {
+          chrome.runtime
+            .sendMessage({ action: 'CACHE_PUT_BLOCKS', blocks: freshBlocks })
+            .catch(err => console.warn('[LLM] Block cache write failed:', err.message));
+        }
         if (fatalError) {
           resolve({ fatal: true, error: fatalError });
         } else {
-          resolve({ fatal: false, allDetached: false });
+          resolve({ fatal: false, allDetached: false, error: streamError });
         }
         if (allDone) {
           console.log(
@@ -338,10 +707,15 @@ class LineLocalizationMachine {
                 targetLanguage: this.translationSettings.targetLanguage,
                 blocks: blocksForCache,
                 totalBlocks: textBlocks.length,
+                sourceBlocks,
                 metadata: {
                   url: window.location.href,
                   title: document.title,
-                  sourceText: textBlocks[0]?.[0]?.textNodes[0]?.textContent?.slice(0, 120) || '',
+                  sourceText: sourceBlocks?.[0]?.items[0]?.join('').slice(0, 120) || '',
+                  // Which profile/model produced this translation (shown in History)
+                  profileId: (fallbackProfile || this.translationSettings).profileId || '',
+                  profileName: fallbackProfile?.name || this.translationSettings.profileName || '',
+                  model: (fallbackProfile || this.translationSettings).model || '',
                 },
               })
               .catch(err => console.warn('[LLM] Cache write failed:', err.message));
@@ -353,7 +727,7 @@ class LineLocalizationMachine {
         if (rendering) return;
         rendering = true;
 
-        while (blockQueue.length > 0) {
+        while (blockQueue.length > 0 && !batch?.cancelled) {
           const renderStart = Date.now();
           const { blockId, translatedBlock } = blockQueue.shift();
           const originalBlock = textBlocks[blockId];
@@ -364,7 +738,13 @@ class LineLocalizationMachine {
           }
 
           try {
-            await this.renderBlockItems(originalBlock, translatedBlock.items || []);
+            await this.renderBlockItems(
+              originalBlock,
+              translatedBlock.items || [],
+              () => !batch?.cancelled
+            );
+            if (batch?.cancelled) break;
+            this.markGlossaryViolations(originalBlock, translatedBlock.glossaryViolations);
           } catch (error) {
             console.warn(`[LLM] Error processing block ${blockId}:`, error);
             Animation.animateBlockError(originalBlock);
@@ -408,10 +788,29 @@ class LineLocalizationMachine {
           const seconds = (message.elapsed / 1000).toFixed(1);
           const kChars = (message.chars / 1000).toFixed(0);
           Animation.updateReasoningProgress(seconds, kChars, message.snippet);
+        } else if (message.type === 'queue') {
+          // Waiting behind other tabs' requests to the same provider
+          Animation.showQueuePosition(message.position, message.resumeAt);
         } else if (message.type === 'block') {
           // Use block.id to map back to original textBlocks index
           const blockId = message.block?.id ?? message.index;
           blockQueue.push({ blockId, translatedBlock: message.block });
+
+          // Key on the source text that was sent (the DOM is rewritten on render)
+          const source = translationData.blocks.find(b => b.id === blockId);
+          if (cacheKey && source && message.block?.items) {
+            freshBlocks.push({
+              blockKey: this.computeBlockKey(
+                source.items,
+                this.translationSettings.targetLanguage,
+                (fallbackProfile || this.translationSettings).model,
+                translationData.glossary,
+                translationData.style
+              ),
+              items: message.block.items,
+              glossaryViolations: message.block.glossaryViolations,
+            });
+          }
           processQueue();
         } else if (message.type === 'done') {
           port.disconnect();
@@ -423,6 +822,8 @@ class LineLocalizationMachine {
 
           const error = new Error(message.error);
           error.isRetryable = message.isRetryable;
+          error.errorType = message.errorType;
+          streamError = error;
 
           streamDone = true;
           if (!message.isRetryable) {
@@ -433,6 +834,16 @@ class LineLocalizationMachine {
         }
       });
 
+      if (batch) {
+        // Our own disconnect() fires no onDisconnect, so finish here
+        batch.stopStream = () => {
+          if (streamDone) return;
+          streamDone = true;
+          port.disconnect();
+          if (!rendering) finalize();
+        };
+      }
+
       port.onDisconnect.addListener(() => {
         if (!streamDone) {
           const disconnectError = chrome.runtime.lastError;
@@ -447,34 +858,551 @@ class LineLocalizationMachine {
         action: 'START_STREAM',
         translationData,
         settings: this.translationSettings,
+        profileId: fallbackProfile?.id,
+        // Lets the usage ledger attribute the tokens to this page's History entry
+        cacheKey,
+        overrideSpending: this.overrideSpending,
       });
     });
   }
 
+  // ─── Live translation ──────────────────────────────────────────────────────
+  // Opt-in: after a page translation, watch for content added later (infinite
+  // scroll, "load more", SPA navigation) and translate it in small batches.
+
+  LIVE_DEBOUNCE_MS = 800;
+
+  startLiveTranslation() {
+    this.stopLiveTranslation();
+    if (typeof MutationObserver === 'undefined') return;
+
+    this.liveObserver = new MutationObserver(mutations => this.handleMutations(mutations));
+    this.liveObserver.observe(document.body, { childList: true, subtree: true });
+    console.log('[LLM] Live translation: watching for new content');
+  }
+
+  // Resolves once a live batch in flight has stopped rendering
+  stopLiveTranslation() {
+    if (this.liveObserver) {
+      this.liveObserver.disconnect();
+      this.liveObserver = null;
+    }
+    clearTimeout(this.liveTimer);
+    this.liveTimer = null;
+    this.livePendingRoots.clear();
+    const batch = this.liveBatch;
+    this.liveBatch = null;
+    return this.cancelBatch(batch);
+  }
+
+  handleMutations(mutations) {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        const element = node.nodeType === 1 /* ELEMENT_NODE */ ? node : node.parentElement;
+        if (!element || this.isOwnOrTrackedNode(element)) continue;
+        if (node.nodeType === 3 /* TEXT_NODE */ && !node.textContent.trim()) continue;
+        this.livePendingRoots.add(element);
+      }
+    }
+
+    if (this.livePendingRoots.size > 0) this.scheduleLiveTranslation();
+  }
+
+  scheduleLiveTranslation() {
+    clearTimeout(this.liveTimer);
+    this.liveTimer = setTimeout(() => this.translateAddedContent(), this.LIVE_DEBOUNCE_MS);
+  }
+
+  /**
+   * Nodes we must not treat as new page content: our own UI and bilingual
+   * output, orphan-text wrappers created during extraction, and anything
+   * inside an element we have already translated or are translating (the
+   * "Show originals" toggle rewrites those with innerHTML).
+   */
+  isOwnOrTrackedNode(element) {
+    if (element.closest('[id^="llm-"], [data-llm-bilingual], .llm-preparing')) return true;
+    if (element.hasAttribute('data-llm-orphan-wrap')) return true;
+
+    for (let current = element; current; current = current.parentElement) {
+      if (this.translatedElements.has(current)) return true;
+    }
+    return false;
+  }
+
+  async translateAddedContent() {
+    this.liveTimer = null;
+    if (!this.liveObserver) return;
+
+    // Never overlap with a page translation or another live/lazy batch
+    if (this.isTranslating || this.liveBusy || this.lazyBusy) {
+      this.scheduleLiveTranslation();
+      return;
+    }
+
+    // Keep only the outermost roots; nested ones are covered by their ancestor
+    const roots = [...this.livePendingRoots].filter(root => !this.isOwnOrTrackedNode(root));
+    this.livePendingRoots.clear();
+    const outermost = roots.filter(
+      root => !roots.some(other => other !== root && other.contains(root))
+    );
+
+    const added = TextExtraction.extractAddedElements(outermost, element =>
+      this.isOwnOrTrackedNode(element)
+    );
+    const { textElements, sourceLanguage } = this.excludeTargetLanguage(
+      added,
+      this.translationSettings.targetLanguage
+    );
+    if (textElements.length === 0) return;
+
+    this.liveBusy = true;
+    const batch = (this.liveBatch = this.createBatch());
+    try {
+      const textBlocks = TextExtraction.groupIntoBlocks(textElements);
+      textBlocks.forEach(block => Animation.animateBlockStart(block));
+
+      const targetLanguage = this.translationSettings.targetLanguage;
+      const translationData = this.buildTranslationData(
+        textBlocks.map((block, idx) => ({
+          id: idx,
+          items: block.map(item => item.textNodes.map(node => node.textContent)),
+        })),
+        {
+          glossary: await this.loadGlossary(targetLanguage),
+          corrections: await this.loadCorrections(targetLanguage),
+          style: await this.loadStyle(),
+        },
+        sourceLanguage
+      );
+
+      console.log(
+        `[LLM] Live translation: ${textElements.length} new elements in ${textBlocks.length} blocks`
+      );
+
+      // Single attempt, no cache: added content is rarely the same twice
+      const completedBlockIndices = new Set();
+      const result = await this.streamTranslationBlocks(
+        textBlocks,
+        translationData,
+        completedBlockIndices,
+        [],
+        null,
+        null,
+        null,
+        batch
+      );
+      if (result.fatal && !batch.cancelled) {
+        console.warn('[LLM] Live translation failed:', result.error?.message);
+      }
+
+      for (let i = 0; i < textBlocks.length; i++) {
+        if (completedBlockIndices.has(i)) continue;
+        for (const item of textBlocks[i]) {
+          item.element.classList.remove('llm-preparing');
+        }
+      }
+
+      // A cancelled batch leaves the progress state to the translation that replaced it
+      if (!batch.cancelled) this.clearTranslationState();
+    } finally {
+      this.liveBusy = false;
+      batch.finish();
+      if (this.liveBatch === batch) this.liveBatch = null;
+      if (this.livePendingRoots.size > 0) this.scheduleLiveTranslation();
+    }
+  }
+
+  /**
+   * Handle on a live or lazy batch in flight. Cancelling it stops its render
+   * queue before the next line and ends its stream; `finished` resolves once
+   * the batch is done with the DOM, so a page re-translate can wait for it
+   * instead of racing it.
+   */
+  createBatch() {
+    let finish;
+    const finished = new Promise(resolve => (finish = resolve));
+    return { cancelled: false, stopStream: null, finished, finish };
+  }
+
+  cancelBatch(batch) {
+    if (!batch) return Promise.resolve();
+    batch.cancelled = true;
+    batch.stopStream?.();
+    return batch.finished;
+  }
+
+  // ─── Viewport priority ─────────────────────────────────────────────────────
+  // Blocks on screen or within one screen of it are translated first, nearest
+  // first. The rest are translated in batches as they scroll into that range.
+
+  LAZY_DEBOUNCE_MS = 300;
+
+  /**
+   * Split block indices into { near, far }: near blocks are sorted by
+   * distance from the viewport, far blocks stay in document order.
+   */
+  partitionByViewport(textBlocks) {
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+    const distances = new Map();
+    const far = [];
+
+    textBlocks.forEach((block, idx) => {
+      const distance = this.viewportDistance(block[0].element, viewportHeight);
+      if (distance <= viewportHeight) {
+        distances.set(idx, distance);
+      } else {
+        far.push(idx);
+      }
+    });
+
+    // Array sort is stable, so equally distant blocks keep document order
+    const near = [...distances.keys()].sort((a, b) => distances.get(a) - distances.get(b));
+    return { near, far };
+  }
+
+  // Vertical distance in px between an element and the viewport (0 if on screen)
+  viewportDistance(element, viewportHeight) {
+    const rect = element.getBoundingClientRect();
+    if (rect.bottom < 0) return -rect.bottom;
+    if (rect.top > viewportHeight) return rect.top - viewportHeight;
+    return 0;
+  }
+
+  startLazyTranslation(job, indices) {
+    this.stopLazyTranslation();
+    this.lazyJob = job;
+
+    const indexByElement = new Map(indices.map(idx => [job.textBlocks[idx][0].element, idx]));
+    this.lazyObserver = new IntersectionObserver(
+      entries => {
+        for (const entry of entries) {
+          if (!entry.isIntersecting) continue;
+          this.lazyObserver.unobserve(entry.target);
+          this.lazyPending.add(indexByElement.get(entry.target));
+        }
+        if (this.lazyPending.size > 0) this.scheduleLazyTranslation();
+      },
+      // Same one-screen margin as partitionByViewport
+      { rootMargin: '100% 0px 100% 0px' }
+    );
+    for (const element of indexByElement.keys()) {
+      this.lazyObserver.observe(element);
+    }
+  }
+
+  // Resolves once a lazy batch in flight has stopped rendering
+  stopLazyTranslation() {
+    if (this.lazyObserver) {
+      this.lazyObserver.disconnect();
+      this.lazyObserver = null;
+    }
+    clearTimeout(this.lazyTimer);
+    this.lazyTimer = null;
+    this.lazyPending.clear();
+    this.lazyJob = null;
+    const batch = this.lazyBatch;
+    this.lazyBatch = null;
+    return this.cancelBatch(batch);
+  }
+
+  scheduleLazyTranslation() {
+    clearTimeout(this.lazyTimer);
+    this.lazyTimer = setTimeout(() => this.translateLazyBatch(), this.LAZY_DEBOUNCE_MS);
+  }
+
+  async translateLazyBatch() {
+    this.lazyTimer = null;
+    const job = this.lazyJob;
+    if (!job) return;
+
+    // Never overlap with a page translation or another live/lazy batch
+    if (this.isTranslating || this.lazyBusy || this.liveBusy) {
+      this.scheduleLazyTranslation();
+      return;
+    }
+
+    // Skip blocks that left the page or were translated some other way
+    // (e.g. via "Translate selection") since the page was first translated
+    const indices = [...this.lazyPending]
+      .filter(idx => !job.completedBlockIndices.has(idx))
+      .filter(idx =>
+        job.textBlocks[idx].every(
+          item => item.element.isConnected && !this.translatedElements.has(item.element)
+        )
+      )
+      .sort((a, b) => a - b);
+    this.lazyPending.clear();
+    if (indices.length === 0) return;
+
+    this.lazyBusy = true;
+    const batch = (this.lazyBatch = this.createBatch());
+    try {
+      console.log(`[LLM] Viewport first: translating ${indices.length} blocks scrolled into view`);
+      indices.forEach(idx => Animation.animateBlockStart(job.textBlocks[idx]));
+      await this.translateBlockSet(job, indices, batch);
+    } catch (error) {
+      console.warn('[LLM] Lazy translation failed:', error.message);
+    } finally {
+      this.stopBreathing(
+        job.textBlocks,
+        indices.filter(idx => !job.completedBlockIndices.has(idx))
+      );
+      this.lazyBusy = false;
+      batch.finish();
+      if (this.lazyBatch === batch) this.lazyBatch = null;
+      // A cancelled batch leaves the progress state to the translation that replaced it
+      if (!batch.cancelled) this.clearTranslationState();
+
+      if (this.lazyJob === job) {
+        if (job.completedBlockIndices.size >= job.textBlocks.length) {
+          this.stopLazyTranslation();
+        } else if (this.lazyPending.size > 0) {
+          this.scheduleLazyTranslation();
+        }
+      }
+    }
+  }
+
   // ─── Cache helpers ────────────────────────────────────────────────────────
 
-  DJB2_INIT = 5381;
-  DJB2_MULT = 33;
+  // Keys are built by shared/cache-keys.js, which History uses too
+
+  // The current text of each block, shaped like the blocks sent to the API
+  snapshotSourceBlocks(textBlocks) {
+    return textBlocks.map((block, idx) => ({
+      id: idx,
+      items: block.map(item => item.textNodes.map(n => n.textContent)),
+    }));
+  }
 
   computeHash(textBlocks) {
-    const content = JSON.stringify(
-      textBlocks.map((block, idx) => ({
-        id: idx,
-        items: block.map(item => item.textNodes.map(n => n.textContent)),
-      }))
+    return CacheKeys.hashString(JSON.stringify(this.snapshotSourceBlocks(textBlocks)));
+  }
+
+  computeCacheKey(textBlocks, targetLanguage, glossary, style) {
+    return CacheKeys.pageKey(
+      this.snapshotSourceBlocks(textBlocks),
+      targetLanguage,
+      glossary,
+      style
+    );
+  }
+
+  computeBlockKey(items, targetLanguage, model, glossary, style) {
+    return CacheKeys.blockKey(items, targetLanguage, model, glossary, style);
+  }
+
+  /**
+   * Render every block of a job found in the block-level cache and mark it
+   * completed, so only the rest is sent to the API.
+   * @returns {Promise<number>} Number of blocks replayed
+   */
+  async replayCachedBlocks(job) {
+    const { textBlocks, glossary, style, completedBlockIndices, receivedBlocks } = job;
+    const { targetLanguage, model } = this.translationSettings;
+    const blockKeys = textBlocks.map(block =>
+      this.computeBlockKey(
+        block.map(item => item.textNodes.map(node => node.textContent)),
+        targetLanguage,
+        model,
+        glossary,
+        style
+      )
     );
-    let hash = this.DJB2_INIT;
-    for (let i = 0; i < content.length; i++) {
-      hash = (hash * this.DJB2_MULT) ^ content.charCodeAt(i);
+
+    let cached;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'CACHE_GET_BLOCKS', blockKeys });
+      cached = response?.blocks || [];
+    } catch (err) {
+      console.warn('[LLM] Block cache read failed:', err.message);
+      return 0;
+    }
+
+    let hits = 0;
+    for (let idx = 0; idx < textBlocks.length; idx++) {
+      const record = cached[idx];
+      if (!record) continue;
+
+      try {
+        await this.renderBlockItems(textBlocks[idx], [...(record.items || [])]);
+        this.markGlossaryViolations(textBlocks[idx], record.glossaryViolations);
+      } catch (error) {
+        console.warn(`[LLM] Error rendering cached block ${idx}:`, error);
+        continue;
+      }
+
+      completedBlockIndices.add(idx);
+      receivedBlocks[idx] = {
+        id: idx,
+        items: record.items,
+        glossaryViolations: record.glossaryViolations,
+      };
+      hits++;
+    }
+
+    if (hits > 0) {
+      console.log(`[LLM] Block cache: ${hits}/${textBlocks.length} blocks unchanged`);
+      this.completedBlocks = completedBlockIndices.size;
+      Animation.updateTranslationProgress(completedBlockIndices.size, textBlocks.length);
+      Animation.showCacheHits(hits, textBlocks.length);
+      this.updateTranslationState({
+        isTranslating: true,
+        status: 'translating',
+        progress: Math.round((completedBlockIndices.size / textBlocks.length) * 100),
+        totalBlocks: textBlocks.length,
+        completedBlocks: completedBlockIndices.size,
+        cachedBlocks: hits,
+      });
+    }
+    return hits;
+  }
+
+  // ─── Glossary ─────────────────────────────────────────────────────────────
+
+  /**
+   * Read the glossary for a target language straight from storage (the
+   * settings passed with START_TRANSLATION don't always carry it).
+   * Returns null when there is no glossary or it is empty.
+   */
+  async loadGlossary(targetLanguage) {
+    try {
+      const { glossaries } = await chrome.storage.local.get('glossaries');
+      const glossary = glossaries?.[targetLanguage];
+      const terms = glossary?.terms || [];
+      const keep = glossary?.keep || [];
+      if (terms.length === 0 && keep.length === 0) return null;
+      return { terms, keep };
+    } catch (error) {
+      console.warn('[LLM] Could not load glossary:', error);
+      return null;
+    }
+  }
+
+  // Learned corrections for the language, sent with requests as examples
+  async loadCorrections(targetLanguage) {
+    try {
+      const { learnedCorrections } = await chrome.storage.local.get('learnedCorrections');
+      const corrections = learnedCorrections?.[targetLanguage];
+      return Array.isArray(corrections) && corrections.length > 0 ? corrections : null;
+    } catch (error) {
+      console.warn('[LLM] Could not load learned corrections:', error);
+      return null;
+    }
+  }
+
+  /**
+   * The translation style chosen in settings, as sent with requests:
+   * { id } for a preset, { id, instructions } for a custom style. Null for
+   * the default style, so cache keys made before styles existed still match.
+   */
+  async loadStyle() {
+    try {
+      const { translationStyle, customStyles } = await chrome.storage.local.get([
+        'translationStyle',
+        'customStyles',
+      ]);
+      if (!translationStyle || translationStyle === 'default') return null;
+      const custom = (customStyles || []).find(style => style.id === translationStyle);
+      return custom
+        ? { id: custom.id, instructions: custom.instructions }
+        : { id: translationStyle };
+    } catch (error) {
+      console.warn('[LLM] Could not load the translation style:', error);
+      return null;
     }
-    return (hash >>> 0).toString(16);
   }
 
-  computeCacheKey(textBlocks, targetLanguage) {
-    return `${this.computeHash(textBlocks)}_${targetLanguage}`;
+  /**
+   * Request payload for a set of blocks, with whatever shapes the prompt:
+   * prompt.glossary, prompt.corrections and prompt.style (a job carries all
+   * three), the page context and the detected source language.
+   */
+  buildTranslationData(blocks, prompt = {}, sourceLanguage = this.sourceLanguage) {
+    const translationData = {
+      targetLanguage: this.getLanguageName(this.translationSettings.targetLanguage),
+      blocks,
+    };
+    if (prompt.glossary) translationData.glossary = prompt.glossary;
+    if (prompt.corrections) translationData.corrections = prompt.corrections;
+    if (prompt.style) translationData.style = prompt.style;
+    const context = this.pageContext || this.collectPageContext();
+    if (Object.keys(context).length > 0) translationData.context = context;
+    if (sourceLanguage) translationData.sourceLanguage = this.getLanguageName(sourceLanguage);
+    return translationData;
+  }
+
+  // Longer descriptions and excerpts are cut; the context is only a hint
+  PAGE_CONTEXT_FIELD_CHARS = 300;
+
+  /**
+   * What the page is about, so the model can pick the right sense of a term
+   * ("Java" on a coffee shop's menu): { title, domain, description,
+   * articleTitle, excerpt }, empty fields left out. articleData is
+   * Readability's result from identifyArticleContent, when there is one.
+   */
+  collectPageContext(articleData = null) {
+    const meta = name =>
+      document
+        .querySelector(`meta[name="${name}"], meta[property="${name}"]`)
+        ?.getAttribute('content');
+    const clip = value => {
+      const text = String(value || '')
+        .replace(/\s+/g, ' ')
+        .trim();
+      return text.length > this.PAGE_CONTEXT_FIELD_CHARS
+        ? `${text.slice(0, this.PAGE_CONTEXT_FIELD_CHARS - 1)}…`
+        : text;
+    };
+
+    const title = clip(document.title);
+    const description = clip(meta('description') || meta('og:description'));
+    const articleTitle = clip(articleData?.title);
+    const excerpt = clip(articleData?.excerpt);
+    const fields = {
+      title,
+      domain: window.location.hostname,
+      description,
+      // Readability often repeats the <title> and the meta description
+      articleTitle: articleTitle !== title ? articleTitle : '',
+      excerpt: excerpt !== description ? excerpt : '',
+    };
+
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
   }
 
-  async renderBlockItems(originalBlock, translatedItems) {
+  /**
+   * Flag items whose translation still breaks the glossary after the
+   * background's auto-correction pass.
+   */
+  markGlossaryViolations(originalBlock, violations) {
+    if (!Array.isArray(violations)) return;
+
+    for (const { itemIndex, missing } of violations) {
+      const item = originalBlock[itemIndex];
+      if (!item || !Array.isArray(missing) || missing.length === 0) continue;
+
+      const summary = missing
+        .map(m => (m.term === m.expected ? `keep "${m.term}"` : `"${m.term}" → "${m.expected}"`))
+        .join(', ');
+      item.element.classList.add('llm-glossary-violation');
+      item.element.setAttribute('data-llm-glossary', `Glossary: ${summary}`);
+      if (!item.element.hasAttribute('title')) {
+        item.element.setAttribute('title', `Glossary: ${summary}`);
+      }
+    }
+  }
+
+  clearGlossaryViolation(element) {
+    if (element.getAttribute('title') === element.getAttribute('data-llm-glossary')) {
+      element.removeAttribute('title');
+    }
+    element.removeAttribute('data-llm-glossary');
+    element.classList.remove('llm-glossary-violation');
+  }
+
+  // isCurrent() false stops before the next line (a cancelled lazy or live batch)
+  async renderBlockItems(originalBlock, translatedItems, isCurrent = () => true) {
     if (translatedItems.length < originalBlock.length) {
       while (translatedItems.length < originalBlock.length) {
         const fallbackItem = originalBlock[translatedItems.length];
@@ -490,6 +1418,7 @@ class LineLocalizationMachine {
     });
 
     for (let k = 0; k < originalBlock.length; k++) {
+      if (!isCurrent()) return;
       const item = originalBlock[k];
       const segments = translatedItems[k] || item.textNodes.map(n => n.textContent);
 
@@ -528,6 +1457,7 @@ class LineLocalizationMachine {
 
       try {
         await this.renderBlockItems(originalBlock, block.items || []);
+        this.markGlossaryViolations(originalBlock, block.glossaryViolations);
       } catch (error) {
         console.warn(`[LLM] Error rendering cached block ${blockId}:`, error);
         Animation.animateBlockError(originalBlock);
@@ -552,7 +1482,7 @@ class LineLocalizationMachine {
 
     Animation.hideTranslationProgress();
     Animation.addGlobalToggleButton(this.translatedElements, () => {
-      return this.startTranslation(this.translationSettings, true);
+      return this.startTranslation(this.translationSettings, true, this.overrideSpending);
     });
 
     this.updateTranslationState({
@@ -572,6 +1502,7 @@ class LineLocalizationMachine {
 
   getLanguageName(languageCode) {
     const languageMap = {
+      english: 'English',
       spanish: 'Spanish',
       french: 'French',
       german: 'German',
@@ -591,6 +1522,307 @@ class LineLocalizationMachine {
     return languageMap[languageCode] || languageCode;
   }
 
+  // ─── Per-element controls & corrections ────────────────────────────────────
+
+  handleEditClick(event) {
+    if (!event.altKey || this.isTranslating) return;
+    const target = this.findEditTarget(event.target);
+    if (!target) return;
+
+    // Alt+click on a link would otherwise download it
+    event.preventDefault();
+    event.stopPropagation();
+    this.openCorrectionEditor(target);
+  }
+
+  handleHover(event) {
+    if (this.isTranslating || this.translatedElements.size === 0) return;
+    if (event.target.closest?.('#llm-block-controls')) return;
+
+    const element = this.findTranslatedElement(event.target);
+    if (!element) {
+      Animation.hideBlockControls();
+      return;
+    }
+    // Correcting and re-translating need the job; an element showing its
+    // original (or from live translation) can only be swapped
+    const target = this.findEditTarget(element);
+    Animation.showBlockControls(element, {
+      showingOriginal: element.getAttribute('data-llm-state') === 'showing-original',
+      onSwap: () => this.swapOriginal([element]),
+      onEdit: target ? () => this.openCorrectionEditor(target) : null,
+      onRetranslate: target ? () => this.openRetranslatePanel(target) : null,
+    });
+  }
+
+  // Alt+O (Option+O on macOS, hence the key code) swaps the paragraphs in
+  // the selection, or the one holding the keyboard focus
+  handleSwapKey(event) {
+    if (!event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    if (event.code !== 'KeyO' || this.isTranslating) return;
+
+    const selection = window.getSelection();
+    let elements = [];
+    if (selection && selection.rangeCount > 0 && !selection.isCollapsed) {
+      const range = selection.getRangeAt(0);
+      elements = [...this.translatedElements.keys()].filter(element =>
+        range.intersectsNode(element)
+      );
+    } else {
+      const element =
+        this.findTranslatedElement(selection?.anchorNode) ||
+        this.findTranslatedElement(document.activeElement);
+      if (element) elements = [element];
+    }
+    if (elements.length === 0) return;
+
+    event.preventDefault();
+    this.swapOriginal(elements);
+  }
+
+  /**
+   * Show the original of the given translated elements, or their
+   * translation again when none of them is translated right now.
+   */
+  swapOriginal(elements) {
+    const showOriginal = elements.some(
+      element => element.getAttribute('data-llm-state') !== 'showing-original'
+    );
+    for (const element of elements) {
+      Animation.showElementOriginal(element, this.translatedElements.get(element), showOriginal);
+    }
+    Animation.hideBlockControls();
+  }
+
+  openCorrectionEditor(target) {
+    const { job, blockId, itemIndex, element } = target;
+    const sourceSegments = job.sourceBlocks[blockId].items[itemIndex];
+    const segments = job.receivedBlocks[blockId]?.items?.[itemIndex] || sourceSegments;
+    Animation.showCorrectionEditor(element, { sourceSegments, segments }, (corrected, remember) =>
+      this.saveCorrection(target, corrected, remember)
+    );
+  }
+
+  openRetranslatePanel(target) {
+    const { profiles = [], profileId = null } = this.translationSettings;
+    Animation.showRetranslatePanel(target.element, { profiles, profileId }, options =>
+      this.retranslateBlock(target, options)
+    );
+  }
+
+  // The element in translatedElements containing a node, if any
+  findTranslatedElement(node) {
+    let element = node?.nodeType === 1 /* ELEMENT_NODE */ ? node : node?.parentElement;
+    while (element && !this.translatedElements.has(element)) element = element.parentElement;
+    return element || null;
+  }
+
+  /**
+   * The translated element around a node, with the job, block and item it
+   * was translated as (latest job first — a selection may re-translate part
+   * of the page). Elements from live translation have no job and can't be
+   * edited.
+   */
+  findEditTarget(node) {
+    const element = this.findTranslatedElement(node);
+    if (!element || element.getAttribute('data-llm-state') !== 'translated') return null;
+
+    for (let j = this.translationJobs.length - 1; j >= 0; j--) {
+      const job = this.translationJobs[j];
+      for (let blockId = 0; blockId < job.textBlocks.length; blockId++) {
+        const itemIndex = job.textBlocks[blockId].findIndex(item => item.element === element);
+        if (itemIndex !== -1) return { job, blockId, itemIndex, element };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Apply a hand-made correction: re-render the element, update the cached
+   * page and block so replays show it, and optionally remember it for
+   * future requests in this language.
+   */
+  async saveCorrection({ job, blockId, itemIndex, element }, segments, remember) {
+    const block = job.receivedBlocks[blockId];
+    const sourceSegments = job.sourceBlocks[blockId].items[itemIndex];
+    const previous = block?.items?.[itemIndex] || sourceSegments;
+    const changed = JSON.stringify(segments) !== JSON.stringify(previous);
+    const targetLanguage = this.translationSettings.targetLanguage;
+
+    if (changed && block) {
+      const rendered = this.translatedElements.get(element);
+      if (!rendered) throw new Error('this paragraph is no longer translated on the page');
+
+      // Re-render from the original markup: the toggle may have replaced the text nodes
+      const item = job.textBlocks[blockId][itemIndex];
+      element.innerHTML = rendered.originalHTML;
+      item.textNodes = TextExtraction.collectTextNodes(element);
+      const htmlPair = await Animation.animateLineTransition(
+        item,
+        segments,
+        this.translationSettings,
+        this.debug
+      );
+      if (htmlPair) this.translatedElements.set(element, htmlPair);
+      this.clearGlossaryViolation(element);
+
+      // Kept in the job too, so a page cache write still to come includes it
+      const corrected = {
+        ...block,
+        items: block.items.map((existing, i) => (i === itemIndex ? segments : existing)),
+      };
+      if (block.glossaryViolations) {
+        corrected.glossaryViolations = block.glossaryViolations.filter(
+          violation => violation.itemIndex !== itemIndex
+        );
+      }
+      job.receivedBlocks[blockId] = corrected;
+
+      if (job.cacheKey) {
+        chrome.runtime
+          .sendMessage({
+            action: 'CACHE_UPDATE_ITEM',
+            cacheKey: job.cacheKey,
+            blockId,
+            itemIndex,
+            segments,
+          })
+          .catch(err => console.warn('[LLM] Cache correction failed:', err.message));
+        chrome.runtime
+          .sendMessage({
+            action: 'CACHE_PUT_BLOCKS',
+            blocks: [
+              {
+                blockKey: this.computeBlockKey(
+                  job.sourceBlocks[blockId].items,
+                  targetLanguage,
+                  this.translationSettings.model,
+                  job.glossary,
+                  job.style
+                ),
+                items: corrected.items,
+                glossaryViolations: corrected.glossaryViolations,
+              },
+            ],
+          })
+          .catch(err => console.warn('[LLM] Block cache correction failed:', err.message));
+      }
+    }
+
+    if (remember) {
+      chrome.runtime
+        .sendMessage({
+          action: 'LEARN_CORRECTION',
+          targetLanguage,
+          source: sourceSegments.join(''),
+          target: segments.join(''),
+        })
+        .catch(err => console.warn('[LLM] Could not save the correction:', err.message));
+    }
+  }
+
+  /**
+   * Re-translate the block around a translated element on its own, with
+   * another profile or a hint for the model if given. Only that block is
+   * streamed and only that block of the cached page is replaced. If nothing
+   * comes back, the previous translation is put back and the error thrown.
+   *
+   * @param {Object} target - From findEditTarget
+   * @param {Object} options - { profileId?, hint? }
+   */
+  async retranslateBlock({ job, blockId }, { profileId = null, hint = '' } = {}) {
+    if (this.isTranslating) {
+      throw new Error('Translation already in progress');
+    }
+
+    const block = job.textBlocks[blockId];
+    const previous = job.receivedBlocks[blockId];
+    const targetLanguage = this.translationSettings.targetLanguage;
+    // Another profile goes through the same path as a provider fallback
+    const profile =
+      profileId && profileId !== this.translationSettings.profileId
+        ? (this.translationSettings.profiles || []).find(p => p.id === profileId) || null
+        : null;
+
+    this.isTranslating = true;
+    Animation.hideBlockControls();
+
+    try {
+      // Start from the original markup: the toggle may have replaced the text nodes
+      for (const item of block) {
+        const data = this.translatedElements.get(item.element);
+        if (data) {
+          item.element.innerHTML = data.originalHTML;
+          item.textNodes = TextExtraction.collectTextNodes(item.element);
+        }
+        this.clearGlossaryViolation(item.element);
+      }
+      Animation.animateBlockStart(block);
+
+      const translationData = this.buildTranslationData(
+        [{ id: blockId, items: job.sourceBlocks[blockId].items }],
+        job
+      );
+      if (hint) translationData.hint = hint;
+
+      // Progress counts the rest of the job as done; no cache key, so the
+      // stream doesn't overwrite the whole cached page with one block
+      const completedBlockIndices = new Set(job.completedBlockIndices);
+      completedBlockIndices.delete(blockId);
+      const receivedBlocks = [];
+      const result = await this.streamTranslationBlocks(
+        job.textBlocks,
+        translationData,
+        completedBlockIndices,
+        receivedBlocks,
+        null,
+        profile
+      );
+
+      const fresh = receivedBlocks[blockId];
+      if (!fresh) {
+        this.stopBreathing(job.textBlocks, [blockId]);
+        if (previous) {
+          await this.renderBlockItems(block, [...(previous.items || [])]);
+          this.markGlossaryViolations(block, previous.glossaryViolations);
+        }
+        throw result.error || new Error('The paragraph could not be re-translated');
+      }
+
+      job.receivedBlocks[blockId] = fresh;
+      job.completedBlockIndices.add(blockId);
+
+      if (job.cacheKey) {
+        chrome.runtime
+          .sendMessage({ action: 'CACHE_UPDATE_BLOCK', cacheKey: job.cacheKey, block: fresh })
+          .catch(err => console.warn('[LLM] Cache update failed:', err.message));
+        // Keyed under the active model like a correction, so a changed page
+        // replays the translation the reader chose
+        chrome.runtime
+          .sendMessage({
+            action: 'CACHE_PUT_BLOCKS',
+            blocks: [
+              {
+                blockKey: this.computeBlockKey(
+                  job.sourceBlocks[blockId].items,
+                  targetLanguage,
+                  this.translationSettings.model,
+                  job.glossary,
+                  job.style
+                ),
+                items: fresh.items,
+                glossaryViolations: fresh.glossaryViolations,
+              },
+            ],
+          })
+          .catch(err => console.warn('[LLM] Block cache update failed:', err.message));
+      }
+    } finally {
+      this.isTranslating = false;
+      this.clearTranslationState();
+    }
+  }
+
   // ─── State Management ──────────────────────────────────────────────────────
 
   updateTranslationState(state) {
@@ -599,6 +1831,13 @@ class LineLocalizationMachine {
       return;
     }
 
+    if (this.sourceLanguage) {
+      state = { ...state, sourceLanguage: this.sourceLanguage };
+    }
+    if (this.fallbackProfileName) {
+      state = { ...state, fallbackProfile: this.fallbackProfileName };
+    }
+
     if (this.debug) {
       console.log('Updating translation state for tab', this.tabId, ':', state);
     }
@@ -657,10 +1896,19 @@ class LineLocalizationMachine {
     if (existingToggle) existingToggle.remove();
 
     this.translatedElements.clear();
+    this.translationJobs = [];
+    this.pageContext = null;
+    Animation.hideCorrectionEditor();
+    Animation.hideRetranslatePanel();
+    Animation.hideBlockControls();
+
+    document
+      .querySelectorAll('[data-llm-glossary]')
+      .forEach(element => this.clearGlossaryViolation(element));
 
     document
       .querySelectorAll(
-        '.llm-preparing, .llm-fading-out, .llm-translated, .llm-settled, .llm-error'
+        '.llm-preparing, .llm-fading-out, .llm-translated, .llm-settled, .llm-error, .llm-glossary-violation'
       )
       .forEach(element => {
         element.classList.remove(
@@ -668,7 +1916,8 @@ class LineLocalizationMachine {
           'llm-fading-out',
           'llm-translated',
           'llm-settled',
-          'llm-error'
+          'llm-error',
+          'llm-glossary-violation'
         );
       });
   }
@@ -102,7 +102,8 @@ function collectTextNodes(element) {
           textNodes.push(child);
         }
       } else if (child.nodeType === 1 /* ELEMENT_NODE */) {
-        if (!SKIP_TAGS.has(child.tagName)) {
+        // Bilingual-mode translations are our own output, never source text
+        if (!SKIP_TAGS.has(child.tagName) && !child.hasAttribute('data-llm-bilingual')) {
           walk(child);
         }
       }
@@ -167,7 +168,13 @@ function identifyArticleContent() {
         `${articleTexts.size} text blocks, ${fullArticleText.length} chars`
     );
 
-    return { articleTexts, fullArticleText };
+    // Title and excerpt also give the translator context about the page
+    return {
+      articleTexts,
+      fullArticleText,
+      title: normalizedTitle,
+      excerpt: normalizeWhitespace(article.excerpt),
+    };
   } catch (error) {
     console.warn('[LLM] Readability error, using fallback:', error.message);
     return null;
@@ -190,6 +197,43 @@ function isArticleContent(element, articleData) {
 
 // ─── Element Extraction ───────────────────────────────────────────────────────
 
+/**
+ * Filters shared by page extraction and live (added-content) extraction:
+ * leaf block, visible, not code, long enough, and part of the content.
+ */
+function isTranslatableElement(element, container, articleData) {
+  // Skip code/script containers
+  if (SKIP_ANCESTORS.has(element.tagName)) return false;
+  if (element.closest([...SKIP_ANCESTORS].join(','))) return false;
+
+  // Skip hidden elements
+  if (element.getAttribute('aria-hidden') === 'true') return false;
+  if (element.classList.contains('llm-no-translate')) return false;
+
+  try {
+    const style = getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden') return false;
+  } catch (_styleError) {
+    // continue anyway
+  }
+
+  // Skip containers with block children (not leaf elements)
+  if (element.tagName === 'BLOCKQUOTE') return false;
+  if (element.querySelector(BLOCK_SELECTORS)) return false;
+
+  // Fallback mode: skip non-content zones when Readability is unavailable
+  if (!articleData) {
+    const nonContentAncestor = element.closest(FALLBACK_NON_CONTENT);
+    if (nonContentAncestor && nonContentAncestor !== container) return false;
+  }
+
+  // Check text length
+  if (element.textContent.trim().length < 10) return false;
+
+  // Readability filter: skip elements whose text isn't in the article
+  return isArticleContent(element, articleData);
+}
+
 /**
  * Extract translatable text elements from the page.
  * Uses articleData (from Readability) to filter to article content only.
@@ -227,43 +271,13 @@ function extractTextElements(container, articleData) {
       }
       if (ancestorProcessed) continue;
 
-      // Skip code/script containers
-      if (SKIP_ANCESTORS.has(element.tagName)) continue;
-      if (element.closest([...SKIP_ANCESTORS].join(','))) continue;
-
-      // Skip hidden elements
-      if (element.getAttribute('aria-hidden') === 'true') continue;
-      if (element.classList.contains('llm-no-translate')) continue;
-
-      try {
-        const style = getComputedStyle(element);
-        if (style.display === 'none' || style.visibility === 'hidden') continue;
-      } catch (_styleError) {
-        // continue anyway
-      }
-
-      // Skip containers with block children (not leaf elements)
-      if (element.tagName === 'BLOCKQUOTE') continue;
-      if (element.querySelector(BLOCK_SELECTORS)) continue;
-
-      // Fallback mode: skip non-content zones when Readability is unavailable
-      if (!articleData) {
-        const nonContentAncestor = element.closest(FALLBACK_NON_CONTENT);
-        if (nonContentAncestor && nonContentAncestor !== container) continue;
-      }
-
-      // Check text length
-      const text = element.textContent.trim();
-      if (text.length < 10) continue;
-
-      // Readability filter: skip elements whose text isn't in the article
-      if (!isArticleContent(element, articleData)) continue;
+      if (!isTranslatableElement(element, container, articleData)) continue;
 
       // Collect translatable text nodes
       const textNodes = collectTextNodes(element);
       if (textNodes.length === 0) continue;
 
-      textElements.push({ element, originalText: text, textNodes });
+      textElements.push({ element, originalText: element.textContent.trim(), textNodes });
       processedElements.add(element);
 
       if (textElements.length >= 1000) {
@@ -282,6 +296,82 @@ function extractTextElements(container, articleData) {
   return textElements;
 }
 
+/**
+ * Extract the block elements touched by a selection range (context-menu
+ * "Translate selection"). A selection inside one paragraph yields that whole
+ * paragraph; a wider selection yields every leaf block it intersects. No
+ * Readability or length filtering — the user picked the text explicitly.
+ */
+function extractSelectionElements(range) {
+  const textElements = [];
+
+  let root = range.commonAncestorContainer;
+  if (root.nodeType !== 1 /* ELEMENT_NODE */) root = root.parentElement;
+  if (!root) return textElements;
+
+  const enclosingBlock = root.closest(BLOCK_SELECTORS);
+  let candidates;
+  if (enclosingBlock) {
+    candidates = [enclosingBlock];
+  } else {
+    candidates = [...root.querySelectorAll(BLOCK_SELECTORS)].filter(
+      element => range.intersectsNode(element) && !element.querySelector(BLOCK_SELECTORS)
+    );
+    // Bare text inside a div: translate the container itself
+    if (candidates.length === 0) candidates = [root];
+  }
+
+  for (const element of candidates) {
+    if (element.closest([...SKIP_ANCESTORS].join(','))) continue;
+    if (element.closest('.llm-no-translate, [data-llm-bilingual]')) continue;
+
+    const textNodes = collectTextNodes(element);
+    if (textNodes.length === 0) continue;
+
+    textElements.push({ element, originalText: element.textContent.trim(), textNodes });
+  }
+
+  console.log(`[LLM] Extracted ${textElements.length} elements from selection`);
+  return textElements;
+}
+
+/**
+ * Extract translatable elements from subtrees added after the page was
+ * translated (live mode). Readability only ran on the initial document, so
+ * the fallback non-content blocklist is used. `isKnown(element)` lets the
+ * caller drop elements it has already translated or queued.
+ */
+function extractAddedElements(roots, isKnown = () => false) {
+  const textElements = [];
+  const seen = new Set();
+
+  for (const root of roots) {
+    if (!root.isConnected || textElements.length >= 1000) continue;
+
+    let found;
+    if (root.matches(BLOCK_SELECTORS) && !root.querySelector(BLOCK_SELECTORS)) {
+      // The added node is itself a leaf block (a new <li> in a feed, a <p> in a comment)
+      const textNodes = isTranslatableElement(root, document.body, null)
+        ? collectTextNodes(root)
+        : [];
+      found =
+        textNodes.length > 0
+          ? [{ element: root, originalText: root.textContent.trim(), textNodes }]
+          : [];
+    } else {
+      found = extractTextElements(root, null);
+    }
+
+    for (const item of found) {
+      if (seen.has(item.element) || isKnown(item.element)) continue;
+      seen.add(item.element);
+      textElements.push(item);
+    }
+  }
+
+  return textElements;
+}
+
 // ─── Orphan Text Collection ───────────────────────────────────────────────────
 
 /**
@@ -465,5 +555,7 @@ const TextExtraction = {
   normalizeWhitespace,
   isArticleContent,
   extractTextElements,
+  extractSelectionElements,
+  extractAddedElements,
   groupIntoBlocks,
 };
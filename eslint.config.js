@@ -35,13 +35,17 @@ module.exports = [
         clearInterval: 'readonly',
         fetch: 'readonly',
         FormData: 'readonly',
+        Blob: 'readonly',
         AbortController: 'readonly',
         TextDecoder: 'readonly',
         NodeFilter: 'readonly',
         TreeWalker: 'readonly',
         confirm: 'readonly',
         alert: 'readonly',
+        prompt: 'readonly',
         getComputedStyle: 'readonly',
+        MutationObserver: 'readonly',
+        IntersectionObserver: 'readonly',
         eval: 'readonly',
 
         // Vendored libraries (loaded as content scripts before content-script.js)
@@ -52,12 +56,18 @@ module.exports = [
         TextExtraction: 'readonly',
         Animation: 'readonly',
         TranslationCache: 'readonly',
+        UsageLedger: 'readonly',
+        HistoryExport: 'readonly',
+        SiteRules: 'readonly',
+        LanguageDetect: 'readonly',
+        CacheKeys: 'readonly',
 
         // Browser APIs
         indexedDB: 'readonly',
         IDBRequest: 'readonly',
         IDBTransaction: 'readonly',
         IDBObjectStore: 'readonly',
+        IDBKeyRange: 'readonly',
 
         // Node.js globals (for config files)
         process: 'readonly',
@@ -156,6 +166,8 @@ module.exports = [
         TextExtraction: 'readonly',
         Animation: 'readonly',
         TranslationCache: 'readonly',
+        UsageLedger: 'readonly',
+        CacheKeys: 'readonly',
         Readability: 'readonly',
         isProbablyReaderable: 'readonly',
       },
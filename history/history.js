@@ -1,33 +1,76 @@
-/* Translation History — loads entries from TranslationCache and renders a table. */
+/* Translation History — queries TranslationCache and renders a filterable, paged table. */
+
+const PAGE_SIZE = 25;
+
+// Current filters, sort and page; the table is re-queried whenever they change
+const view = {
+  text: '',
+  targetLanguage: '',
+  model: '',
+  from: '',
+  to: '',
+  sort: 'createdAt',
+  descending: true,
+  page: 0,
+};
+
+// Selected cache keys, kept across pages and filter changes
+const selected = new Set();
+
+const COLUMNS = [
+  { label: 'Page', sort: 'title' },
+  { label: 'Target', sort: 'targetLanguage' },
+  { label: 'Profile', sort: 'profileName' },
+  { label: 'Date', sort: 'createdAt' },
+  { label: 'Blocks', sort: 'totalBlocks' },
+  // From the usage ledger, not the cache, so it can't be sorted by
+  { label: 'Cost', sort: null },
+];
 
 document.addEventListener('DOMContentLoaded', async () => {
   const tableContainer = document.getElementById('historyTable');
-  const clearAllBtn = document.getElementById('clearAll');
   const overlay = document.getElementById('previewOverlay');
+  const importFile = document.getElementById('importFile');
 
   if (!tableContainer) return;
 
-  document
-    .getElementById('previewClose')
-    .addEventListener('click', () => overlay.classList.remove('open'));
-  overlay.addEventListener('click', e => {
-    if (e.target === overlay) overlay.classList.remove('open');
-  });
-  document.addEventListener('keydown', e => {
-    if (e.key === 'Escape') overlay.classList.remove('open');
+  // ─── Filters, sorting & paging ───
+
+  let searchTimer = null;
+  document.getElementById('historySearch').addEventListener('input', e => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => updateView({ text: e.target.value.trim() }), 250);
   });
+  for (const [id, key] of [
+    ['filterLanguage', 'targetLanguage'],
+    ['filterModel', 'model'],
+    ['filterFrom', 'from'],
+    ['filterTo', 'to'],
+  ]) {
+    document.getElementById(id).addEventListener('change', e => {
+      updateView({ [key]: e.target.value });
+    });
+  }
 
-  clearAllBtn.addEventListener('click', async () => {
-    if (!confirm('Delete all cached translations? This cannot be undone.')) return;
-    try {
-      await TranslationCache.clear();
-      renderEntries(tableContainer, clearAllBtn);
-    } catch (err) {
-      console.error('Clear all failed:', err);
-    }
+  document.getElementById('pagePrev').addEventListener('click', () => {
+    updateView({ page: view.page - 1 }, false);
+  });
+  document.getElementById('pageNext').addEventListener('click', () => {
+    updateView({ page: view.page + 1 }, false);
   });
 
   tableContainer.addEventListener('click', async e => {
+    const header = e.target.closest('th[data-sort]');
+    if (header) {
+      const sort = header.dataset.sort;
+      // The sorted column flips its order; a new column starts newest/largest
+      // first for dates and counts, A to Z for text
+      const descending =
+        sort === view.sort ? !view.descending : sort === 'createdAt' || sort === 'totalBlocks';
+      updateView({ sort, descending });
+      return;
+    }
+
     const btn = e.target.closest('button');
     if (!btn) return;
 
@@ -36,107 +79,479 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (btn.classList.contains('btn-preview')) {
       await showPreview(cacheKey, overlay);
     } else if (btn.classList.contains('btn-delete')) {
-      await deleteEntry(cacheKey, btn.closest('tr'), tableContainer, clearAllBtn);
+      await deleteEntries([cacheKey]);
     }
   });
 
-  await renderEntries(tableContainer, clearAllBtn);
+  // ─── Selection ───
+
+  tableContainer.addEventListener('change', e => {
+    if (e.target.id === 'selectAll') {
+      tableContainer.querySelectorAll('.row-select').forEach(box => {
+        box.checked = e.target.checked;
+        toggleSelected(box.dataset.key, box.checked);
+      });
+    } else if (e.target.classList.contains('row-select')) {
+      toggleSelected(e.target.dataset.key, e.target.checked);
+    }
+    updateSelectionActions();
+  });
+
+  // ─── Actions ───
+
+  document
+    .getElementById('exportHistory')
+    .addEventListener('click', () => exportEntries([...selected]));
+
+  document.getElementById('deleteSelected').addEventListener('click', async () => {
+    const count = selected.size;
+    if (!confirm(`Delete ${count} selected ${count === 1 ? 'translation' : 'translations'}?`)) {
+      return;
+    }
+    await deleteEntries([...selected]);
+  });
+
+  document.getElementById('importHistory').addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+    await importEntries(file);
+    await renderFilterOptions();
+    await renderEntries();
+  });
+
+  document.getElementById('clearAll').addEventListener('click', async () => {
+    if (!confirm('Delete all cached translations? This cannot be undone.')) return;
+    try {
+      await TranslationCache.clear();
+      selected.clear();
+      await renderFilterOptions();
+      await renderEntries();
+    } catch (err) {
+      console.error('Clear all failed:', err);
+    }
+  });
+
+  // ─── Preview ───
+
+  document.getElementById('downloadMarkdown').addEventListener('click', () => {
+    downloadEntry(overlay.dataset.key, 'md');
+  });
+  document.getElementById('downloadHTML').addEventListener('click', () => {
+    downloadEntry(overlay.dataset.key, 'html');
+  });
+  document.getElementById('previewBody').addEventListener('click', e => {
+    const item = e.target.closest('.preview-translation');
+    if (item) editPreviewItem(item, overlay);
+  });
+  document
+    .getElementById('previewClose')
+    .addEventListener('click', () => overlay.classList.remove('open'));
+  overlay.addEventListener('click', e => {
+    if (e.target === overlay) overlay.classList.remove('open');
+  });
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape') overlay.classList.remove('open');
+  });
+
+  await renderFilterOptions();
+  await renderEntries();
 });
 
+// Apply view changes and re-render; any change except paging starts from page 1
+function updateView(changes, resetPage = true) {
+  Object.assign(view, changes);
+  if (resetPage) view.page = 0;
+  return renderEntries();
+}
+
+function toggleSelected(cacheKey, isSelected) {
+  if (isSelected) selected.add(cacheKey);
+  else selected.delete(cacheKey);
+}
+
+function hasFilters() {
+  return Boolean(view.text || view.targetLanguage || view.model || view.from || view.to);
+}
+
+// Local calendar day boundaries for the date inputs ("YYYY-MM-DD")
+function dayStart(value) {
+  return value ? new Date(`${value}T00:00:00`).getTime() : undefined;
+}
+
+function dayEnd(value) {
+  return value ? new Date(`${value}T23:59:59.999`).getTime() : undefined;
+}
+
 async function showPreview(cacheKey, overlay) {
-  const entries = await TranslationCache.list();
-  const entry = entries.find(e => e.cacheKey === cacheKey);
+  const entry = await TranslationCache.getRecord(cacheKey);
   if (!entry) return;
 
   document.getElementById('previewTitle').textContent = entry.title || 'Unknown page';
   document.getElementById('previewBody').innerHTML = buildPreviewContent(entry);
+  // Side-by-side pairs need the wider dialog
+  overlay
+    .querySelector('.modal-dialog')
+    .classList.toggle('bilingual', Array.isArray(entry.sourceBlocks));
+  overlay.dataset.key = cacheKey;
   overlay.classList.add('open');
 }
 
-async function deleteEntry(cacheKey, row, container, clearAllBtn) {
-  if (!cacheKey) return;
+/**
+ * Swap a translated item in the preview for an editor (one field per
+ * segment). Saving writes the correction into the cached page and its block
+ * cache entry and, if asked, adds it to the learned corrections sent with
+ * future requests.
+ */
+async function editPreviewItem(itemElement, overlay) {
+  const cacheKey = overlay.dataset.key;
+  const blockId = Number(itemElement.dataset.block);
+  const itemIndex = Number(itemElement.dataset.item);
+  const entry = await TranslationCache.getRecord(cacheKey);
+  const segments = entry?.blocks.find(block => block.id === blockId)?.items[itemIndex];
+  if (!Array.isArray(segments)) return;
+  const sourceSegments = entry.sourceBlocks?.find(block => block.id === blockId)?.items[itemIndex];
+
+  const editor = document.createElement('div');
+  editor.className = 'preview-editor';
+  editor.innerHTML =
+    segments.map(segment => `<textarea rows="2">${escapeHTML(segment)}</textarea>`).join('') +
+    '<div class="preview-editor-actions">' +
+    (sourceSegments
+      ? '<label><input type="checkbox" class="preview-remember" /> Remember for future translations</label>'
+      : '') +
+    '<button type="button" class="btn-secondary preview-cancel">Cancel</button>' +
+    '<button type="button" class="btn-secondary preview-save">Save</button>' +
+    '</div>';
+  itemElement.replaceWith(editor);
+  editor.querySelector('textarea').focus();
+
+  editor.querySelector('.preview-cancel').addEventListener('click', () => {
+    showPreview(cacheKey, overlay);
+  });
+  const save = editor.querySelector('.preview-save');
+  save.addEventListener('click', async () => {
+    const corrected = [...editor.querySelectorAll('textarea')].map(field => field.value);
+    const remember = editor.querySelector('.preview-remember')?.checked;
+    save.disabled = true;
+    // Name the step that failed: once the page is saved, a later failure
+    // leaves the block cache or learned corrections behind it
+    let step = 'save the correction';
+    try {
+      await TranslationCache.updateItem(cacheKey, blockId, itemIndex, corrected);
+      step = 'update the block cache (the page was saved)';
+      await updateBlockCache(cacheKey, blockId);
+      if (remember) {
+        step = 'remember the correction (it was saved)';
+        await chrome.runtime.sendMessage({
+          action: 'LEARN_CORRECTION',
+          targetLanguage: entry.targetLanguage,
+          source: sourceSegments.join(''),
+          target: corrected.join(''),
+        });
+      }
+    } catch (err) {
+      // Keep the editor open with the user's text so they can try again
+      console.error(`Could not ${step}:`, err);
+      showStatus(`Could not ${step}: ${err.message}`, true);
+      save.disabled = false;
+      return;
+    }
+    await showPreview(cacheKey, overlay);
+  });
+}
+
+/**
+ * Copy a corrected block of a cached page into the block-level cache, so a
+ * page that only partly matches the cache later replays the correction too.
+ * Pages saved without their source text have no block key to update.
+ */
+async function updateBlockCache(cacheKey, blockId) {
+  const entry = await TranslationCache.getRecord(cacheKey);
+  const source = entry?.sourceBlocks?.find(block => block.id === blockId);
+  const block = entry?.blocks.find(b => b.id === blockId);
+  if (!source || !block) return;
+
+  await TranslationCache.putBlocks([
+    {
+      blockKey: CacheKeys.blockKeyInPage(cacheKey, entry.targetLanguage, entry.model, source.items),
+      items: block.items,
+      glossaryViolations: block.glossaryViolations,
+    },
+  ]);
+}
+
+async function deleteEntries(cacheKeys) {
+  if (cacheKeys.length === 0) return;
 
   try {
-    await TranslationCache.remove(cacheKey);
+    await TranslationCache.removeMany(cacheKeys);
   } catch (err) {
     console.error('Delete failed:', err);
     return;
   }
 
-  row.remove();
+  cacheKeys.forEach(cacheKey => selected.delete(cacheKey));
+  await renderFilterOptions();
+  await renderEntries();
+}
+
+function updateSelectionActions() {
+  const exportBtn = document.getElementById('exportHistory');
+  const deleteBtn = document.getElementById('deleteSelected');
+  const hasEntries = document.getElementById('clearAll').style.display !== 'none';
 
-  const tbody = container.querySelector('tbody');
-  if (!tbody || tbody.children.length === 0) {
-    container.innerHTML = '<div class="empty-state">No cached translations yet</div>';
-    clearAllBtn.style.display = 'none';
+  exportBtn.textContent = selected.size > 0 ? `Export ${selected.size} Selected` : 'Export All';
+  exportBtn.disabled = !hasEntries;
+  deleteBtn.textContent = `Delete ${selected.size} Selected`;
+  deleteBtn.style.display = selected.size > 0 ? '' : 'none';
+}
+
+// ─── Export / import ──────────────────────────────────────────────────────────
+
+// Export the given entries (all of them when none are selected) as JSON
+async function exportEntries(cacheKeys) {
+  try {
+    const entries =
+      cacheKeys.length > 0
+        ? (await Promise.all(cacheKeys.map(key => TranslationCache.getRecord(key)))).filter(Boolean)
+        : await TranslationCache.list();
+    const data = HistoryExport.buildExport(entries);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `translation-history-${date}.json`,
+      JSON.stringify(data, null, 2),
+      'application/json'
+    );
+  } catch (err) {
+    showStatus('Export failed', true);
+    console.error('Export failed:', err);
   }
 }
 
-function renderEntries(container, clearAllBtn) {
-  return TranslationCache.list()
-    .then(entries => {
-      if (!entries || entries.length === 0) {
-        container.innerHTML = '<div class="empty-state">No cached translations yet</div>';
-        if (clearAllBtn) clearAllBtn.style.display = 'none';
-        return;
-      }
+async function importEntries(file) {
+  try {
+    const { records, invalid } = HistoryExport.parseExport(await file.text());
+    const { added, updated, skipped } = await TranslationCache.importRecords(records);
 
-      if (clearAllBtn) clearAllBtn.style.display = '';
-
-      const table = document.createElement('table');
-      table.className = 'history-table';
-
-      table.innerHTML = `
-        <thead>
-          <tr>
-            <th>Page</th>
-            <th>Target</th>
-            <th>Date</th>
-            <th>Blocks</th>
-            <th></th>
-          </tr>
-        </thead>
-      `;
-
-      const tbody = document.createElement('tbody');
-
-      entries.forEach(entry => {
-        const tr = document.createElement('tr');
-
-        const title = entry.title || 'Unknown page';
-        const url = entry.url || '';
-        const langName = getLanguageName(entry.targetLanguage);
-
-        tr.innerHTML = `
-          <td>
-            ${url ? `<a class="cell-title" href="${escapeHTML(url)}" target="_blank" rel="noopener" title="${escapeHTML(url)}">${escapeHTML(title)}</a>` : `<span class="cell-title">${escapeHTML(title)}</span>`}
-          </td>
-          <td class="cell-lang"><span class="lang-badge">&rarr; ${escapeHTML(langName)}</span></td>
-          <td class="cell-date">${formatRelativeTime(entry.createdAt)}</td>
-          <td class="cell-blocks">${entry.totalBlocks || 0}</td>
-          <td class="cell-action">
-            <button class="btn-preview btn-secondary" data-key="${escapeHTML(entry.cacheKey)}">Preview</button>
-            <button class="btn-delete btn-danger" data-key="${escapeHTML(entry.cacheKey)}">Delete</button>
-          </td>
-        `;
-
-        tbody.appendChild(tr);
-      });
+    const parts = [`${added} added`, `${updated} updated`];
+    if (skipped > 0) parts.push(`${skipped} already up to date`);
+    if (invalid > 0) parts.push(`${invalid} invalid ignored`);
+    showStatus(`Imported ${file.name}: ${parts.join(', ')}`);
+  } catch (err) {
+    showStatus(`Import failed: ${err.message}`, true);
+    console.error('Import failed:', err);
+  }
+}
+
+async function downloadEntry(cacheKey, extension) {
+  const entry = await TranslationCache.getRecord(cacheKey);
+  if (!entry) return;
 
-      table.appendChild(tbody);
-      container.innerHTML = '';
-      container.appendChild(table);
-    })
-    .catch(err => {
-      container.innerHTML = '<div class="empty-state">Failed to load translation history</div>';
-      console.error('History load error:', err);
+  const languageName = getLanguageName(entry.targetLanguage);
+  if (extension === 'md') {
+    downloadFile(
+      HistoryExport.fileName(entry, 'md'),
+      HistoryExport.toMarkdown(entry, languageName),
+      'text/markdown'
+    );
+  } else {
+    downloadFile(
+      HistoryExport.fileName(entry, 'html'),
+      HistoryExport.toHTML(entry, languageName),
+      'text/html'
+    );
+  }
+}
+
+function downloadFile(name, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function showStatus(message, isError = false) {
+  const status = document.getElementById('historyStatus');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+  status.hidden = false;
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+
+// Fill the language/model filter menus with the values present in the cache
+async function renderFilterOptions() {
+  let languages = [];
+  let models = [];
+  try {
+    ({ languages, models } = await TranslationCache.facets());
+  } catch (err) {
+    console.error('History filter load error:', err);
+  }
+
+  for (const [id, values, label, allLabel] of [
+    ['filterLanguage', languages, getLanguageName, 'All languages'],
+    ['filterModel', models, value => value, 'All models'],
+  ]) {
+    const select = document.getElementById(id);
+    const current = select.value;
+    select.innerHTML = `<option value="">${allLabel}</option>`;
+    for (const value of values) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label(value);
+      select.appendChild(option);
+    }
+    // Keep the current choice if it still exists
+    select.value = values.includes(current) ? current : '';
+  }
+}
+
+async function renderEntries() {
+  const container = document.getElementById('historyTable');
+  const clearAllBtn = document.getElementById('clearAll');
+  const pager = document.getElementById('historyPager');
+
+  let result;
+  try {
+    result = await TranslationCache.query({
+      text: view.text,
+      targetLanguage: view.targetLanguage,
+      model: view.model,
+      from: dayStart(view.from),
+      to: dayEnd(view.to),
+      sort: view.sort,
+      descending: view.descending,
+      offset: view.page * PAGE_SIZE,
+      limit: PAGE_SIZE,
     });
+  } catch (err) {
+    container.innerHTML = '<div class="empty-state">Failed to load translation history</div>';
+    console.error('History load error:', err);
+    return;
+  }
+
+  const { entries, total } = result;
+
+  // Deleting the last entries of the last page: step back a page
+  if (entries.length === 0 && view.page > 0) {
+    view.page = Math.max(0, Math.ceil(total / PAGE_SIZE) - 1);
+    return renderEntries();
+  }
+
+  pager.hidden = total <= PAGE_SIZE;
+  const first = view.page * PAGE_SIZE;
+  document.getElementById('pageInfo').textContent =
+    `${first + 1}–${first + entries.length} of ${total}`;
+  document.getElementById('pagePrev').disabled = view.page === 0;
+  document.getElementById('pageNext').disabled = first + entries.length >= total;
+
+  if (total === 0) {
+    if (hasFilters()) {
+      container.innerHTML = '<div class="empty-state">No translations match these filters</div>';
+    } else {
+      container.innerHTML = '<div class="empty-state">No cached translations yet</div>';
+      clearAllBtn.style.display = 'none';
+    }
+    updateSelectionActions();
+    return;
+  }
+
+  clearAllBtn.style.display = '';
+
+  const table = document.createElement('table');
+  table.className = 'history-table';
+
+  const costs = await fetchPageCosts(entries.map(entry => entry.cacheKey));
+
+  const headers = COLUMNS.map(({ label, sort }) => {
+    if (!sort) return `<th>${label}</th>`;
+    const active = sort === view.sort;
+    const arrow = active ? (view.descending ? ' &darr;' : ' &uarr;') : '';
+    return `<th data-sort="${sort}" class="sortable${active ? ' sorted' : ''}">${label}${arrow}</th>`;
+  }).join('');
+  const allSelected = entries.every(entry => selected.has(entry.cacheKey));
+
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th class="cell-select"><input type="checkbox" id="selectAll" title="Select page" ${allSelected ? 'checked' : ''} /></th>
+        ${headers}
+        <th></th>
+      </tr>
+    </thead>
+  `;
+
+  const tbody = document.createElement('tbody');
+
+  entries.forEach(entry => {
+    const tr = document.createElement('tr');
+
+    const title = entry.title || 'Unknown page';
+    const url = entry.url || '';
+    const langName = getLanguageName(entry.targetLanguage);
+    const checked = selected.has(entry.cacheKey) ? 'checked' : '';
+
+    tr.innerHTML = `
+      <td class="cell-select"><input type="checkbox" class="row-select" data-key="${escapeHTML(entry.cacheKey)}" ${checked} /></td>
+      <td>
+        ${url ? `<a class="cell-title" href="${escapeHTML(url)}" target="_blank" rel="noopener" title="${escapeHTML(url)}">${escapeHTML(title)}</a>` : `<span class="cell-title">${escapeHTML(title)}</span>`}
+      </td>
+      <td class="cell-lang"><span class="lang-badge">&rarr; ${escapeHTML(langName)}</span></td>
+      <td class="cell-profile" title="${escapeHTML(entry.model || '')}">${escapeHTML(entry.profileName || entry.model || '—')}</td>
+      <td class="cell-date">${formatRelativeTime(entry.createdAt)}</td>
+      <td class="cell-blocks">${entry.totalBlocks || 0}</td>
+      ${costCell(costs[entry.cacheKey])}
+      <td class="cell-action">
+        <button class="btn-preview btn-secondary" data-key="${escapeHTML(entry.cacheKey)}">Preview</button>
+        <button class="btn-delete btn-danger" data-key="${escapeHTML(entry.cacheKey)}">Delete</button>
+      </td>
+    `;
+
+    tbody.appendChild(tr);
+  });
+
+  table.appendChild(tbody);
+  container.innerHTML = '';
+  container.appendChild(table);
+  updateSelectionActions();
+}
+
+// What the listed pages cost, from the background's usage ledger
+async function fetchPageCosts(cacheKeys) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'USAGE_PAGE_TOTALS', cacheKeys });
+    return response?.totals || {};
+  } catch (err) {
+    console.warn('Usage totals unavailable:', err);
+    return {};
+  }
+}
+
+// Pages translated before usage was recorded have no total
+function costCell(total) {
+  if (!total) return '<td class="cell-cost">—</td>';
+  const tokens =
+    `${total.prompt.toLocaleString()} tokens in, ${total.completion.toLocaleString()} out` +
+    (total.reasoning ? ` (${total.reasoning.toLocaleString()} reasoning)` : '') +
+    `, ${total.requests} ${total.requests === 1 ? 'request' : 'requests'}` +
+    (total.estimated ? ` (${total.estimated} estimated: the provider reported no usage)` : '');
+  const cost =
+    total.unpricedTokens > 0 && total.cost === 0
+      ? 'no price'
+      : `${total.estimated ? '~' : ''}${UsageLedger.formatCost(total.cost)}`;
+  return `<td class="cell-cost" title="${escapeHTML(tokens)}">${cost}</td>`;
 }
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
 function getLanguageName(code) {
   const map = {
+    english: 'English',
     spanish: 'Spanish',
     french: 'French',
     german: 'German',
@@ -156,26 +571,35 @@ function getLanguageName(code) {
   return map[code] || code;
 }
 
+// Original and translation side by side; pages cached before the original
+// text was stored show the translation alone
 function buildPreviewContent(entry) {
-  const blocks = entry.blocks || [];
+  const blocks = HistoryExport.blockPairs(entry);
   if (blocks.length === 0) return '<p class="preview-empty">No content available</p>';
 
-  const parts = [];
-  for (const block of blocks) {
-    const items = (block.items || [])
-      .map(item => (Array.isArray(item) ? item.join(' ') : String(item ?? '')))
-      .filter(text => text.trim().length > 0);
-
-    if (items.length === 0) continue;
-
-    parts.push(
-      '<div class="preview-block">' +
-        items.map(text => `<p class="preview-item">${escapeHTML(text)}</p>`).join('') +
+  const bilingual = Array.isArray(entry.sourceBlocks);
+  // Translations are clickable to correct them (see editPreviewItem)
+  const translationHTML = ({ blockId, itemIndex, translation }) =>
+    `<p class="preview-item preview-translation" data-block="${blockId}" ` +
+    `data-item="${itemIndex}" title="Click to correct">${escapeHTML(translation)}</p>`;
+  const renderPair = pair =>
+    bilingual
+      ? '<div class="preview-pair">' +
+        `<p class="preview-item preview-source">${escapeHTML(pair.source)}</p>` +
+        translationHTML(pair) +
         '</div>'
-    );
-  }
-
-  return parts.length > 0 ? parts.join('') : '<p class="preview-empty">No content available</p>';
+      : translationHTML(pair);
+
+  const header = bilingual
+    ? '<div class="preview-pair preview-columns"><span>Original</span><span>Translation</span></div>'
+    : '<p class="preview-note">The original text was not saved with this translation.</p>';
+
+  return (
+    header +
+    blocks
+      .map(pairs => `<div class="preview-block">${pairs.map(renderPair).join('')}</div>`)
+      .join('')
+  );
 }
 
 function formatRelativeTime(timestamp) {
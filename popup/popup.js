@@ -11,18 +11,25 @@ class BeautifulPopupController {
   constructor() {
     this.elements = {
       quickLanguage: document.getElementById('quickLanguage'),
+      quickProfile: document.getElementById('quickProfile'),
+      profileSelector: document.getElementById('profileSelector'),
+      quickDisplayMode: document.getElementById('quickDisplayMode'),
+      alwaysTranslateSite: document.getElementById('alwaysTranslateSite'),
       translatePage: document.getElementById('translatePage'),
       openSettings: document.getElementById('openSettings'),
       openHistory: document.getElementById('openHistory'),
       statusBadge: document.getElementById('statusBadge'),
       statusText: document.getElementById('statusText'),
       statusMessage: document.getElementById('statusMessage'),
+      spendingNotice: document.getElementById('spendingNotice'),
+      translateAnyway: document.getElementById('translateAnyway'),
     };
 
     this.settings = {};
     this.isTranslating = false;
     this.translationState = null;
     this.refreshTimer = null;
+    this.siteHostname = null;
     this.debug = false; // Set to true for verbose logging
     this.init();
   }
@@ -41,15 +48,26 @@ class BeautifulPopupController {
             apiKey: '',
             provider: 'openai',
             apiEndpoint: 'https://api.openai.com/v1',
+            apiFormat: 'openai',
             model: 'gpt-5.4-nano',
             customModel: '',
             targetLanguage: 'chinese-traditional',
             reasoningEffort: 'medium',
+            displayMode: 'replace',
+            liveTranslation: false,
+            maxConcurrentStreams: 2,
+            siteRules: [],
+            profiles: [],
+            activeProfileId: '',
+            fallbackProfileIds: [],
           };
         },
         migrateSettings(s) {
           return s;
         },
+        applyActiveProfile(s) {
+          return s;
+        },
         resolveEndpoint(provider, endpoint) {
           return endpoint;
         },
@@ -130,6 +148,7 @@ class BeautifulPopupController {
   async init() {
     await this.loadSettings();
     await this.checkTranslationState();
+    await this.loadSiteHostname();
     this.updateUI();
     this.bindEvents();
     this.addEntryAnimations();
@@ -162,9 +181,17 @@ class BeautifulPopupController {
         'apiKey',
         'provider',
         'apiEndpoint',
+        'apiFormat',
         'model',
         'targetLanguage',
         'reasoningEffort',
+        'displayMode',
+        'liveTranslation',
+        'maxConcurrentStreams',
+        'siteRules',
+        'profiles',
+        'activeProfileId',
+        'fallbackProfileIds',
       ]);
 
       // Load shared config if not available
@@ -172,11 +199,13 @@ class BeautifulPopupController {
         await this.loadSharedConfig();
       }
 
-      // Set defaults if missing, then migrate & resolve endpoint
-      this.settings = this.ModelConfig.migrateSettings({
-        ...this.ModelConfig.getDefaultSettings(),
-        ...this.settings,
-      });
+      // Set defaults if missing, then migrate, apply the active profile & resolve endpoint
+      this.settings = this.ModelConfig.applyActiveProfile(
+        this.ModelConfig.migrateSettings({
+          ...this.ModelConfig.getDefaultSettings(),
+          ...this.settings,
+        })
+      );
       this.settings.apiEndpoint = this.ModelConfig.resolveEndpoint(
         this.settings.provider,
         this.settings.apiEndpoint
@@ -333,6 +362,11 @@ class BeautifulPopupController {
     if (this.settings.targetLanguage) {
       this.elements.quickLanguage.value = this.settings.targetLanguage;
     }
+    if (this.settings.displayMode) {
+      this.elements.quickDisplayMode.value = this.settings.displayMode;
+    }
+    this.updateProfileSelector();
+    this.updateSiteRuleToggle();
 
     // Defensive state reset: If no translation state, ensure local flags are reset
     if (!this.translationState) {
@@ -385,7 +419,7 @@ class BeautifulPopupController {
       }
     }
 
-    this.updateStatusBadge('working', statusText);
+    this.updateStatusBadge('working', this.describeStatus(statusText, state));
     this.elements.translatePage.disabled = true;
     this.startTranslationAnimation();
 
@@ -433,12 +467,38 @@ class BeautifulPopupController {
       badgeType = 'error';
     }
 
-    this.updateStatusBadge(badgeType, statusText);
+    this.updateStatusBadge(badgeType, this.describeStatus(statusText, state));
     this.elements.translatePage.disabled = state.isTranslating;
   }
 
+  // Prefix the badge with the detected source language, e.g. "EN → Translating",
+  // and note when the remaining blocks moved to a fallback profile
+  describeStatus(statusText, state) {
+    const notes = [];
+    let text = statusText;
+
+    if (state?.sourceLanguage) {
+      const option = this.elements.quickLanguage.querySelector(
+        `option[value="${state.sourceLanguage}"]`
+      );
+      notes.push(`Detected source language: ${option ? option.textContent : state.sourceLanguage}`);
+      text = `${LanguageDetect.shortCode(state.sourceLanguage)} → ${text}`;
+    }
+
+    if (state?.fallbackProfile) {
+      notes.push(`Continued with fallback profile: ${state.fallbackProfile}`);
+      text = `${text} ↪`;
+    }
+
+    this.elements.statusBadge.title = notes.join('\n');
+    return text;
+  }
+
   bindEvents() {
     this.elements.translatePage.addEventListener('click', () => this.translatePage());
+    this.elements.translateAnyway.addEventListener('click', () =>
+      this.translatePage({ overrideSpending: true })
+    );
     this.elements.openSettings.addEventListener('click', () => this.openSettings());
     this.elements.openHistory.addEventListener('click', () => this.openHistory());
 
@@ -453,9 +513,124 @@ class BeautifulPopupController {
         console.error('Error saving language preference:', error);
       }
     });
+
+    this.elements.quickProfile.addEventListener('change', async () => {
+      try {
+        const activeProfileId = this.elements.quickProfile.value;
+        await chrome.storage.local.set({ activeProfileId });
+        this.settings = this.ModelConfig.applyActiveProfile({ ...this.settings, activeProfileId });
+        this.settings.apiEndpoint = this.ModelConfig.resolveEndpoint(
+          this.settings.provider,
+          this.settings.apiEndpoint
+        );
+      } catch (error) {
+        console.error('Error switching profile:', error);
+      }
+    });
+
+    this.elements.alwaysTranslateSite.addEventListener('change', () => {
+      this.setAlwaysTranslateSite(this.elements.alwaysTranslateSite.checked);
+    });
+
+    this.elements.quickDisplayMode.addEventListener('change', async () => {
+      try {
+        await chrome.storage.local.set({
+          displayMode: this.elements.quickDisplayMode.value,
+        });
+        this.settings.displayMode = this.elements.quickDisplayMode.value;
+      } catch (error) {
+        console.error('Error saving display mode preference:', error);
+      }
+    });
+  }
+
+  // ─── Profiles ──────────────────────────────────────────────────────────────
+
+  updateProfileSelector() {
+    const profiles = this.settings.profiles || [];
+    // Nothing to switch between with a single profile
+    this.elements.profileSelector.style.display = profiles.length > 1 ? '' : 'none';
+
+    const select = this.elements.quickProfile;
+    select.innerHTML = '';
+    for (const profile of profiles) {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    }
+    if (this.settings.profileId) {
+      select.value = this.settings.profileId;
+    }
+  }
+
+  // ─── Site rules ────────────────────────────────────────────────────────────
+
+  async loadSiteHostname() {
+    try {
+      const tab = await BrowserAPI.getActiveTab();
+      const url = new URL(tab?.url || '');
+      this.siteHostname = ['http:', 'https:'].includes(url.protocol) ? url.hostname : null;
+    } catch {
+      this.siteHostname = null;
+    }
+  }
+
+  updateSiteRuleToggle() {
+    const toggle = this.elements.alwaysTranslateSite;
+    const label = toggle.closest('.site-rule-toggle');
+
+    toggle.disabled = !this.siteHostname;
+    label.classList.toggle('disabled', !this.siteHostname);
+
+    const rule = SiteRules.findRule(this.settings.siteRules, this.siteHostname);
+    toggle.checked = rule?.mode === 'always';
+    label.title = rule ? `Matched by rule: ${rule.pattern}` : '';
+  }
+
+  /**
+   * Toggle auto-translation for the current hostname. Turning it off while a
+   * wildcard rule still matches adds an exact 'never' rule to override it.
+   */
+  async setAlwaysTranslateSite(enabled) {
+    const hostname = this.siteHostname;
+    if (!hostname) return;
+
+    const rules = (this.settings.siteRules || []).filter(rule => rule.pattern !== hostname);
+
+    if (enabled) {
+      rules.push(
+        SiteRules.createRule({
+          pattern: hostname,
+          mode: 'always',
+          targetLanguage: this.elements.quickLanguage.value,
+        })
+      );
+    } else if (SiteRules.findRule(rules, hostname)?.mode === 'always') {
+      rules.push(SiteRules.createRule({ pattern: hostname, mode: 'never' }));
+    }
+
+    try {
+      await chrome.storage.local.set({ siteRules: rules });
+      this.settings.siteRules = rules;
+      this.showStatusMessage(
+        enabled
+          ? `${hostname} will be translated automatically`
+          : `Auto-translate off for ${hostname}`,
+        'info'
+      );
+    } catch (error) {
+      console.error('Error saving site rule:', error);
+      this.showStatusMessage('Could not save site rule', 'error');
+    }
+    this.updateSiteRuleToggle();
   }
 
-  async translatePage() {
+  /**
+   * @param {Object} options - overrideSpending: true skips the per-page cost
+   *   warning and the daily/monthly budgets ("Translate Anyway")
+   */
+  async translatePage({ overrideSpending = false } = {}) {
     if (!this.settings.apiKey) {
       this.openSettings();
       return;
@@ -473,6 +648,7 @@ class BeautifulPopupController {
 
       // Clear any existing progress/error state
       this.clearTranslationState();
+      this.elements.spendingNotice.hidden = true;
 
       this.startTranslationAnimation();
 
@@ -480,6 +656,7 @@ class BeautifulPopupController {
       const tab = await BrowserAPI.getActiveTab();
 
       const targetLanguage = this.elements.quickLanguage.value;
+      const displayMode = this.elements.quickDisplayMode.value;
 
       // Clear existing translation state in background script
       try {
@@ -500,7 +677,9 @@ class BeautifulPopupController {
           settings: {
             ...this.settings,
             targetLanguage: targetLanguage,
+            displayMode: displayMode,
           },
+          overrideSpending,
         };
 
         // Enhanced debugging for translation initiation
@@ -544,7 +723,9 @@ class BeautifulPopupController {
             settings: {
               ...this.settings,
               targetLanguage: targetLanguage,
+              displayMode: displayMode,
             },
+            overrideSpending,
           });
         } catch (injectionError) {
           throw new Error(
@@ -599,6 +780,11 @@ class BeautifulPopupController {
       } else if (error.errorType === 'rate_limit') {
         this.showStatusMessage('Rate limit exceeded. Please try again later.', 'warning', 8000);
         this.updateStatusBadge('warning', 'Rate Limited');
+      } else if (error.errorType === 'spending_limit') {
+        // Stays open until the user decides; Translate Anyway retries with the override
+        this.elements.spendingNotice.querySelector('.spending-text').textContent = error.message;
+        this.elements.spendingNotice.hidden = false;
+        this.updateStatusBadge('warning', 'Over Budget');
       } else if (error.errorType === 'client_error') {
         this.showStatusMessage('Configuration error. Please check your settings.', 'error', 8000);
         this.updateStatusBadge('error', 'Config Error');
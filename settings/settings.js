@@ -1,20 +1,77 @@
 import ModelConfig from '../shared/models.js';
 import APIClient from '../shared/api-client.js';
+import Glossary from '../shared/glossary.js';
+import PromptStyles from '../shared/prompt-styles.js';
 
 // Settings now use chrome.storage directly (standardized across browsers)
 
 class SettingsController {
   constructor() {
     this.elements = {
+      profileSelect: document.getElementById('profileSelect'),
+      profileName: document.getElementById('profileName'),
+      addProfile: document.getElementById('addProfile'),
+      deleteProfile: document.getElementById('deleteProfile'),
+      fallbackList: document.getElementById('fallbackList'),
+      fallbackProfileSelect: document.getElementById('fallbackProfileSelect'),
+      addFallbackProfile: document.getElementById('addFallbackProfile'),
       provider: document.getElementById('provider'),
       apiKey: document.getElementById('apiKey'),
       apiEndpoint: document.getElementById('apiEndpoint'),
       customEndpointSection: document.getElementById('customEndpointSection'),
+      apiFormat: document.getElementById('apiFormat'),
+      apiFormatSection: document.getElementById('apiFormatSection'),
       model: document.getElementById('model'),
       customModel: document.getElementById('customModel'),
       customModelSection: document.getElementById('customModelSection'),
       targetLanguage: document.getElementById('targetLanguage'),
       reasoningEffort: document.getElementById('reasoningEffort'),
+      concurrencyLimit: document.getElementById('concurrencyLimit'),
+      requestsPerMinute: document.getElementById('requestsPerMinute'),
+      tokensPerMinute: document.getElementById('tokensPerMinute'),
+      displayMode: document.getElementById('displayMode'),
+      liveTranslation: document.getElementById('liveTranslation'),
+      maxConcurrentStreams: document.getElementById('maxConcurrentStreams'),
+      cacheUsage: document.getElementById('cacheUsage'),
+      cacheMaxEntries: document.getElementById('cacheMaxEntries'),
+      cacheMaxMB: document.getElementById('cacheMaxMB'),
+      cacheTTLDays: document.getElementById('cacheTTLDays'),
+      dailyBudget: document.getElementById('dailyBudget'),
+      monthlyBudget: document.getElementById('monthlyBudget'),
+      pageCostWarning: document.getElementById('pageCostWarning'),
+      translationStyle: document.getElementById('translationStyle'),
+      styleName: document.getElementById('styleName'),
+      styleNameGroup: document.getElementById('styleNameGroup'),
+      styleInstructions: document.getElementById('styleInstructions'),
+      styleProblem: document.getElementById('styleProblem'),
+      addStyle: document.getElementById('addStyle'),
+      deleteStyle: document.getElementById('deleteStyle'),
+      glossaryLanguage: document.getElementById('glossaryLanguage'),
+      glossaryTerms: document.getElementById('glossaryTerms'),
+      glossaryKeep: document.getElementById('glossaryKeep'),
+      correctionsTable: document.getElementById('correctionsTable'),
+      correctionsBody: document.getElementById('correctionsBody'),
+      correctionsEmpty: document.getElementById('correctionsEmpty'),
+      usageToday: document.getElementById('usageToday'),
+      usageTodayDetail: document.getElementById('usageTodayDetail'),
+      usageMonth: document.getElementById('usageMonth'),
+      usageMonthDetail: document.getElementById('usageMonthDetail'),
+      usageTable: document.getElementById('usageTable'),
+      usageBody: document.getElementById('usageBody'),
+      usageEmpty: document.getElementById('usageEmpty'),
+      pricesBody: document.getElementById('pricesBody'),
+      clearUsage: document.getElementById('clearUsage'),
+      shortcutsTable: document.getElementById('shortcutsTable'),
+      shortcutsBody: document.getElementById('shortcutsBody'),
+      shortcutsEmpty: document.getElementById('shortcutsEmpty'),
+      changeShortcuts: document.getElementById('changeShortcuts'),
+      siteRulesTable: document.getElementById('siteRulesTable'),
+      siteRulesBody: document.getElementById('siteRulesBody'),
+      siteRulesEmpty: document.getElementById('siteRulesEmpty'),
+      siteRulePattern: document.getElementById('siteRulePattern'),
+      siteRuleMode: document.getElementById('siteRuleMode'),
+      siteRuleLanguage: document.getElementById('siteRuleLanguage'),
+      addSiteRule: document.getElementById('addSiteRule'),
       toggleApiKey: document.getElementById('toggleApiKey'),
       testConnection: document.getElementById('testConnection'),
       saveSettings: document.getElementById('saveSettings'),
@@ -23,16 +80,32 @@ class SettingsController {
     };
 
     this.defaultSettings = ModelConfig.getDefaultSettings();
+    this.glossaries = {};
+    this.learnedCorrections = {};
+    this.customStyles = [];
+    this.styleShownId = PromptStyles.DEFAULT_STYLE;
+    this.siteRules = [];
+    this.modelPrices = {};
+    this.usageLedger = null;
+    this.profiles = [];
+    this.activeProfileId = '';
+    this.fallbackProfileIds = [];
 
     this.init();
   }
 
   async init() {
     this.populateProviderOptions();
+    this.populateApiFormatOptions();
+    this.populateGlossaryLanguageOptions();
+    this.populateSiteRuleLanguageOptions();
     await this.loadSettings();
     this.bindEvents();
     this.updateProviderSection();
     this.updateModelSection();
+    this.showCacheUsage();
+    this.showUsage().then(() => this.renderPrices());
+    this.renderShortcuts();
   }
 
   populateProviderOptions() {
@@ -48,6 +121,34 @@ class SettingsController {
     });
   }
 
+  populateApiFormatOptions() {
+    const formatSelect = this.elements.apiFormat;
+    formatSelect.innerHTML = '';
+
+    Object.entries(ModelConfig.API_FORMATS).forEach(([formatId, label]) => {
+      const option = document.createElement('option');
+      option.value = formatId;
+      option.textContent = label;
+      formatSelect.appendChild(option);
+    });
+  }
+
+  populateGlossaryLanguageOptions() {
+    // Same languages as the target language picker
+    this.elements.glossaryLanguage.innerHTML = this.elements.targetLanguage.innerHTML;
+  }
+
+  populateSiteRuleLanguageOptions() {
+    const select = this.elements.siteRuleLanguage;
+    select.innerHTML = this.elements.targetLanguage.innerHTML;
+
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'Default';
+    select.insertBefore(defaultOption, select.firstChild);
+    select.value = '';
+  }
+
   populateModelOptions(providerId) {
     const modelSelect = this.elements.model;
     modelSelect.innerHTML = '';
@@ -70,35 +171,235 @@ class SettingsController {
   async loadSettings() {
     try {
       const settings = await chrome.storage.local.get(Object.keys(this.defaultSettings));
-      const migrated = ModelConfig.migrateSettings({ ...this.defaultSettings, ...settings });
+      const migrated = ModelConfig.applyActiveProfile(
+        ModelConfig.migrateSettings({ ...this.defaultSettings, ...settings })
+      );
+
+      this.profiles = migrated.profiles;
+      this.activeProfileId = migrated.activeProfileId;
+      this.fallbackProfileIds = migrated.fallbackProfileIds || [];
+      this.renderProfileOptions();
+      this.showProfile(ModelConfig.getActiveProfile(migrated));
 
-      this.elements.provider.value = migrated.provider;
-      this.elements.apiKey.value = migrated.apiKey;
-      this.elements.apiEndpoint.value = migrated.apiEndpoint;
-      this.elements.customModel.value = migrated.customModel;
       this.elements.targetLanguage.value = migrated.targetLanguage;
-      this.elements.reasoningEffort.value = migrated.reasoningEffort || 'medium';
+      this.elements.displayMode.value = migrated.displayMode || 'replace';
+      this.elements.liveTranslation.value = migrated.liveTranslation ? 'on' : 'off';
+      this.elements.maxConcurrentStreams.value = String(migrated.maxConcurrentStreams);
+      this.elements.cacheMaxEntries.value = String(migrated.cacheMaxEntries);
+      this.elements.cacheMaxMB.value = String(migrated.cacheMaxMB);
+      this.elements.cacheTTLDays.value = String(migrated.cacheTTLDays);
+      this.elements.dailyBudget.value = String(migrated.dailyBudget || 0);
+      this.elements.monthlyBudget.value = String(migrated.monthlyBudget || 0);
+      this.elements.pageCostWarning.value = String(migrated.pageCostWarning || 0);
 
-      // Populate models for the selected provider
-      this.populateModelOptions(migrated.provider);
+      this.customStyles = (migrated.customStyles || []).map(style => ({ ...style }));
+      this.renderStyleOptions(migrated.translationStyle);
+      this.showStyle(this.elements.translationStyle.value);
 
-      // Handle model selection
-      if (ModelConfig.isPredefinedModel(migrated.provider, migrated.model)) {
-        this.elements.model.value = migrated.model;
-      } else if (migrated.model && migrated.model !== '') {
-        this.elements.model.value = 'custom';
-        this.elements.customModel.value = migrated.model;
-      }
+      this.glossaries = migrated.glossaries || {};
+      this.learnedCorrections = migrated.learnedCorrections || {};
+      this.elements.glossaryLanguage.value = migrated.targetLanguage;
+      this.showGlossary(migrated.targetLanguage);
 
-      this.updateProviderSection();
-      this.updateModelSection();
+      this.siteRules = Array.isArray(migrated.siteRules) ? migrated.siteRules : [];
+      this.renderSiteRules();
+
+      this.modelPrices = migrated.modelPrices || {};
     } catch (error) {
       this.showStatus('Error loading settings', 'error');
       console.error('Settings load error:', error);
     }
   }
 
+  // ─── Profiles ──────────────────────────────────────────────────────────────
+
+  renderProfileOptions() {
+    const select = this.elements.profileSelect;
+    select.innerHTML = '';
+
+    this.profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    });
+
+    select.value = this.activeProfileId;
+    this.elements.deleteProfile.disabled = this.profiles.length <= 1;
+    this.renderFallbackProfiles();
+  }
+
+  renderFallbackProfiles() {
+    const list = this.elements.fallbackList;
+    list.innerHTML = '';
+
+    // The active profile always goes first, so it can't also be a fallback
+    const fallbacks = this.fallbackProfileIds
+      .filter(id => id !== this.activeProfileId)
+      .map(id => this.profiles.find(p => p.id === id))
+      .filter(Boolean);
+
+    fallbacks.forEach((profile, index) => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = profile.name;
+
+      const upButton = document.createElement('button');
+      upButton.type = 'button';
+      upButton.className = 'btn-secondary';
+      upButton.textContent = '\u2191';
+      upButton.title = 'Try earlier';
+      upButton.disabled = index === 0;
+      upButton.addEventListener('click', () => this.moveFallbackProfile(profile.id));
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'btn-danger';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => this.removeFallbackProfile(profile.id));
+
+      item.append(name, upButton, removeButton);
+      list.appendChild(item);
+    });
+
+    const select = this.elements.fallbackProfileSelect;
+    select.innerHTML = '';
+    this.profiles
+      .filter(p => p.id !== this.activeProfileId && !fallbacks.includes(p))
+      .forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+      });
+    select.disabled = select.options.length === 0;
+    this.elements.addFallbackProfile.disabled = select.options.length === 0;
+  }
+
+  async addFallbackProfile() {
+    const profileId = this.elements.fallbackProfileSelect.value;
+    if (!profileId) return;
+    this.fallbackProfileIds = [
+      ...this.fallbackProfileIds.filter(id => id !== profileId),
+      profileId,
+    ];
+    this.renderFallbackProfiles();
+    await this.saveSettings(true);
+  }
+
+  async moveFallbackProfile(profileId) {
+    const ids = this.fallbackProfileIds.filter(id => id !== this.activeProfileId);
+    const index = ids.indexOf(profileId);
+    if (index <= 0) return;
+    [ids[index - 1], ids[index]] = [ids[index], ids[index - 1]];
+    this.fallbackProfileIds = ids;
+    this.renderFallbackProfiles();
+    await this.saveSettings(true);
+  }
+
+  async removeFallbackProfile(profileId) {
+    this.fallbackProfileIds = this.fallbackProfileIds.filter(id => id !== profileId);
+    this.renderFallbackProfiles();
+    await this.saveSettings(true);
+  }
+
+  // Fill the connection fields from a profile
+  showProfile(profile) {
+    this.elements.profileName.value = profile.name;
+    this.elements.provider.value = profile.provider;
+    this.elements.apiKey.value = profile.apiKey || '';
+    this.elements.apiEndpoint.value = profile.apiEndpoint || '';
+    this.elements.apiFormat.value = ModelConfig.resolveApiFormat('custom', profile.apiFormat);
+    this.elements.customModel.value = profile.customModel || '';
+    this.elements.reasoningEffort.value = profile.reasoningEffort || 'medium';
+    for (const field of ['concurrencyLimit', 'requestsPerMinute', 'tokensPerMinute']) {
+      this.elements[field].value = String(profile[field] ?? this.defaultSettings[field]);
+    }
+
+    // Populate models for the selected provider
+    this.populateModelOptions(profile.provider);
+
+    // Handle model selection
+    if (ModelConfig.isPredefinedModel(profile.provider, profile.model)) {
+      this.elements.model.value = profile.model;
+    } else if (profile.model && profile.model !== '') {
+      this.elements.model.value = 'custom';
+      this.elements.customModel.value = profile.model;
+    }
+
+    this.updateProviderSection();
+    this.updateModelSection();
+  }
+
+  // Write the connection fields back into the active profile
+  collectProfile() {
+    const profile = this.profiles.find(p => p.id === this.activeProfileId);
+    if (!profile) return this.profiles;
+
+    Object.assign(profile, {
+      name: this.elements.profileName.value.trim() || profile.name,
+      provider: this.elements.provider.value,
+      apiKey: this.elements.apiKey.value.trim(),
+      apiEndpoint: this.getResolvedEndpoint(),
+      apiFormat: this.elements.apiFormat.value,
+      model: this.getResolvedModel(),
+      customModel: this.elements.customModel.value.trim(),
+      reasoningEffort: this.elements.reasoningEffort.value,
+      concurrencyLimit: this.readLimit(this.elements.concurrencyLimit),
+      requestsPerMinute: this.readLimit(this.elements.requestsPerMinute),
+      tokensPerMinute: this.readLimit(this.elements.tokensPerMinute),
+    });
+    return this.profiles;
+  }
+
+  async switchProfile(profileId) {
+    this.collectProfile();
+    this.activeProfileId = profileId;
+    this.showProfile(this.profiles.find(p => p.id === profileId));
+    this.renderProfileOptions();
+    await this.saveSettings(true);
+  }
+
+  async addProfile() {
+    const name = prompt('Name for the new profile:', '');
+    if (name === null) return;
+
+    // Start from the current connection so only what differs needs editing
+    const current = this.collectProfile().find(p => p.id === this.activeProfileId);
+    const profile = ModelConfig.createProfile(name, current);
+    this.profiles.push(profile);
+    await this.switchProfile(profile.id);
+    this.showStatus(`Profile "${profile.name}" created`, 'success');
+  }
+
+  async deleteProfile() {
+    if (this.profiles.length <= 1) return;
+
+    const profile = this.profiles.find(p => p.id === this.activeProfileId);
+    if (!confirm(`Delete profile "${profile.name}"?`)) return;
+
+    this.profiles = this.profiles.filter(p => p.id !== profile.id);
+    this.fallbackProfileIds = this.fallbackProfileIds.filter(id => id !== profile.id);
+    this.activeProfileId = this.profiles[0].id;
+    this.showProfile(this.profiles[0]);
+    this.renderProfileOptions();
+    await this.saveSettings(true);
+    this.showStatus(`Profile "${profile.name}" deleted`, 'info');
+  }
+
   bindEvents() {
+    // Profile management
+    this.elements.profileSelect.addEventListener('change', () => {
+      this.switchProfile(this.elements.profileSelect.value);
+    });
+    this.elements.addProfile.addEventListener('click', () => this.addProfile());
+    this.elements.addFallbackProfile.addEventListener('click', () => this.addFallbackProfile());
+    this.elements.deleteProfile.addEventListener('click', () => this.deleteProfile());
+    this.elements.profileName.addEventListener('input', () => {
+      const option = this.elements.profileSelect.selectedOptions[0];
+      if (option) option.textContent = this.elements.profileName.value.trim() || option.value;
+    });
+
     // Provider change — swap model list and toggle endpoint visibility
     this.elements.provider.addEventListener('change', () => {
       const providerId = this.elements.provider.value;
@@ -117,6 +418,39 @@ class SettingsController {
       this.updateModelSection();
     });
 
+    // Style change — keep edits to the previous custom style in memory
+    this.elements.translationStyle.addEventListener('change', () => {
+      this.collectStyles();
+      this.showStyle(this.elements.translationStyle.value);
+    });
+    this.elements.styleName.addEventListener('input', () => {
+      const option = this.elements.translationStyle.selectedOptions[0];
+      if (option) option.textContent = this.styleLabel(this.elements.styleName.value);
+    });
+    this.elements.styleInstructions.addEventListener('input', () => {
+      if (this.elements.styleInstructions.readOnly) return;
+      this.showStyleProblem(PromptStyles.validate(this.elements.styleInstructions.value));
+    });
+    this.elements.addStyle.addEventListener('click', () => this.addStyle());
+    this.elements.deleteStyle.addEventListener('click', () => this.deleteStyle());
+
+    // Glossary language change — keep edits to the previous language in memory
+    this.elements.glossaryLanguage.addEventListener('change', () => {
+      this.collectGlossary();
+      this.showGlossary(this.elements.glossaryLanguage.value);
+    });
+
+    // Site rules save immediately rather than through the debounced auto-save
+    this.elements.addSiteRule.addEventListener('click', () => this.addSiteRule());
+    this.elements.changeShortcuts.addEventListener('click', () => this.openShortcutSettings());
+    this.elements.clearUsage.addEventListener('click', () => this.clearUsage());
+    this.elements.siteRulePattern.addEventListener('keydown', event => {
+      if (event.key === 'Enter') this.addSiteRule();
+    });
+    this.elements.siteRuleMode.addEventListener('change', () => {
+      this.elements.siteRuleLanguage.disabled = this.elements.siteRuleMode.value === 'never';
+    });
+
     // Model selection change
     this.elements.model.addEventListener('change', () => {
       this.updateModelSection();
@@ -145,14 +479,36 @@ class SettingsController {
     // Auto-save on input changes (with debouncing)
     let saveTimeout;
     const autoSaveElements = [
+      this.elements.profileName,
       this.elements.provider,
       this.elements.apiKey,
       this.elements.apiEndpoint,
+      this.elements.apiFormat,
       this.elements.customModel,
       this.elements.targetLanguage,
+      this.elements.translationStyle,
+      this.elements.styleName,
+      this.elements.styleInstructions,
       this.elements.reasoningEffort,
+      this.elements.concurrencyLimit,
+      this.elements.requestsPerMinute,
+      this.elements.tokensPerMinute,
+      this.elements.displayMode,
+      this.elements.liveTranslation,
+      this.elements.maxConcurrentStreams,
+      this.elements.cacheMaxEntries,
+      this.elements.cacheMaxMB,
+      this.elements.cacheTTLDays,
+      this.elements.dailyBudget,
+      this.elements.monthlyBudget,
+      this.elements.pageCostWarning,
+      this.elements.glossaryTerms,
+      this.elements.glossaryKeep,
     ];
 
+    // Price inputs are rendered later, so listen on their table
+    autoSaveElements.push(this.elements.pricesBody);
+
     autoSaveElements.forEach(element => {
       const eventType = element.tagName === 'SELECT' ? 'change' : 'input';
       element.addEventListener(eventType, () => {
@@ -166,6 +522,7 @@ class SettingsController {
     const providerId = this.elements.provider.value;
     const isCustom = providerId === 'custom';
     this.elements.customEndpointSection.style.display = isCustom ? 'block' : 'none';
+    this.elements.apiFormatSection.style.display = isCustom ? 'block' : 'none';
   }
 
   updateModelSection() {
@@ -177,6 +534,220 @@ class SettingsController {
     }
   }
 
+  showGlossary(languageCode) {
+    const glossary = this.glossaries[languageCode] || {};
+    this.glossaryLanguageShown = languageCode;
+    this.elements.glossaryTerms.value = Glossary.formatTerms(glossary.terms);
+    this.elements.glossaryKeep.value = Glossary.formatKeepList(glossary.keep);
+    this.renderCorrections(languageCode);
+  }
+
+  renderCorrections(languageCode) {
+    const tbody = this.elements.correctionsBody;
+    tbody.innerHTML = '';
+
+    const corrections = this.learnedCorrections[languageCode] || [];
+    this.elements.correctionsTable.style.display = corrections.length > 0 ? '' : 'none';
+    this.elements.correctionsEmpty.style.display = corrections.length > 0 ? 'none' : '';
+
+    corrections.forEach(correction => {
+      const row = document.createElement('tr');
+
+      const sourceCell = document.createElement('td');
+      sourceCell.textContent = correction.source;
+
+      const targetCell = document.createElement('td');
+      targetCell.textContent = correction.target;
+
+      const actionCell = document.createElement('td');
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'btn-danger';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () =>
+        this.removeCorrection(languageCode, correction.source)
+      );
+      actionCell.appendChild(removeButton);
+
+      row.append(sourceCell, targetCell, actionCell);
+      tbody.appendChild(row);
+    });
+  }
+
+  async removeCorrection(languageCode, source) {
+    const remaining = (this.learnedCorrections[languageCode] || []).filter(
+      correction => correction.source !== source
+    );
+    const learnedCorrections = { ...this.learnedCorrections, [languageCode]: remaining };
+    if (remaining.length === 0) delete learnedCorrections[languageCode];
+
+    try {
+      await chrome.storage.local.set({ learnedCorrections });
+      this.learnedCorrections = learnedCorrections;
+      this.renderCorrections(languageCode);
+    } catch (error) {
+      this.showStatus('Error saving corrections', 'error');
+      console.error('Corrections save error:', error);
+    }
+  }
+
+  // ─── Translation styles ────────────────────────────────────────────────────
+
+  styleLabel(name) {
+    return `${name.trim() || 'Custom style'} (custom)`;
+  }
+
+  renderStyleOptions(selectedId) {
+    const select = this.elements.translationStyle;
+    select.innerHTML = '';
+    for (const style of PromptStyles.list(this.customStyles)) {
+      const option = document.createElement('option');
+      option.value = style.id;
+      option.textContent = style.preset ? style.name : this.styleLabel(style.name);
+      select.appendChild(option);
+    }
+    // A deleted custom style falls back to the default
+    select.value = selectedId;
+    if (select.value !== selectedId) select.value = PromptStyles.DEFAULT_STYLE;
+  }
+
+  showStyle(styleId) {
+    const styles = PromptStyles.list(this.customStyles);
+    const style = styles.find(s => s.id === styleId) || styles[0];
+    const custom = !style.preset;
+    this.styleShownId = style.id;
+
+    this.elements.styleInstructions.value = style.instructions;
+    this.elements.styleInstructions.readOnly = !custom;
+    this.elements.styleName.value = custom ? style.name : '';
+    this.elements.styleNameGroup.style.display = custom ? '' : 'none';
+    this.elements.deleteStyle.style.display = custom ? '' : 'none';
+    this.showStyleProblem(custom ? PromptStyles.validate(style.instructions) : null);
+  }
+
+  showStyleProblem(problem) {
+    this.elements.styleProblem.textContent = problem || '';
+  }
+
+  // Fold the name and instructions fields back into the custom style on screen
+  collectStyles() {
+    const style = this.customStyles.find(s => s.id === this.styleShownId);
+    if (style) {
+      style.name = this.elements.styleName.value.trim() || 'Custom style';
+      style.instructions = this.elements.styleInstructions.value.trim();
+    }
+    return this.customStyles;
+  }
+
+  // A new custom style starts as a copy of the instructions on screen
+  addStyle() {
+    this.collectStyles();
+    const style = PromptStyles.createStyle('', this.elements.styleInstructions.value);
+    this.customStyles.push(style);
+    this.renderStyleOptions(style.id);
+    this.showStyle(style.id);
+    this.elements.styleName.focus();
+    this.saveSettings(true);
+  }
+
+  deleteStyle() {
+    this.customStyles = this.customStyles.filter(style => style.id !== this.styleShownId);
+    this.renderStyleOptions(PromptStyles.DEFAULT_STYLE);
+    this.showStyle(PromptStyles.DEFAULT_STYLE);
+    this.saveSettings(true);
+  }
+
+  // Fold the textareas back into this.glossaries for the language on screen
+  collectGlossary() {
+    const languageCode = this.glossaryLanguageShown;
+    if (!languageCode) return this.glossaries;
+
+    const glossary = {
+      terms: Glossary.parseTerms(this.elements.glossaryTerms.value),
+      keep: Glossary.parseKeepList(this.elements.glossaryKeep.value),
+    };
+    if (Glossary.isEmpty(glossary)) {
+      delete this.glossaries[languageCode];
+    } else {
+      this.glossaries[languageCode] = glossary;
+    }
+    return this.glossaries;
+  }
+
+  renderSiteRules() {
+    const tbody = this.elements.siteRulesBody;
+    tbody.innerHTML = '';
+
+    const hasRules = this.siteRules.length > 0;
+    this.elements.siteRulesTable.style.display = hasRules ? '' : 'none';
+    this.elements.siteRulesEmpty.style.display = hasRules ? 'none' : '';
+
+    this.siteRules.forEach(rule => {
+      const row = document.createElement('tr');
+
+      const patternCell = document.createElement('td');
+      patternCell.textContent = rule.pattern;
+
+      const modeCell = document.createElement('td');
+      modeCell.textContent = rule.mode === 'never' ? 'Never' : 'Always';
+      modeCell.className = `rule-mode-${rule.mode}`;
+
+      const languageCell = document.createElement('td');
+      if (rule.mode === 'always') {
+        const option = this.elements.targetLanguage.querySelector(
+          `option[value="${rule.targetLanguage}"]`
+        );
+        languageCell.textContent = option ? option.textContent : 'Default';
+      } else {
+        languageCell.textContent = '—';
+      }
+
+      const actionCell = document.createElement('td');
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'btn-danger';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => this.removeSiteRule(rule.id));
+      actionCell.appendChild(removeButton);
+
+      row.append(patternCell, modeCell, languageCell, actionCell);
+      tbody.appendChild(row);
+    });
+  }
+
+  async addSiteRule() {
+    const pattern = this.elements.siteRulePattern.value;
+    if (!SiteRules.isValidPattern(pattern)) {
+      this.showStatus('Enter a hostname like example.jp or *.example.jp', 'error');
+      return;
+    }
+
+    const rule = SiteRules.createRule({
+      pattern,
+      mode: this.elements.siteRuleMode.value,
+      targetLanguage: this.elements.siteRuleLanguage.value,
+    });
+
+    // One rule per pattern — adding again replaces the old one
+    await this.saveSiteRules([...this.siteRules.filter(r => r.pattern !== rule.pattern), rule]);
+    this.elements.siteRulePattern.value = '';
+  }
+
+  async removeSiteRule(ruleId) {
+    await this.saveSiteRules(this.siteRules.filter(rule => rule.id !== ruleId));
+  }
+
+  async saveSiteRules(rules) {
+    try {
+      await chrome.storage.local.set({ siteRules: rules });
+      this.siteRules = rules;
+      this.renderSiteRules();
+    } catch (error) {
+      this.showStatus('Error saving site rules', 'error');
+      console.error('Site rules save error:', error);
+    }
+  }
+
   getResolvedEndpoint() {
     const providerId = this.elements.provider.value;
     return ModelConfig.resolveEndpoint(providerId, this.elements.apiEndpoint.value.trim());
@@ -205,17 +776,40 @@ class SettingsController {
         return;
       }
 
+      // Instructions that would fight the JSON rules are never saved
+      const customStyles = this.collectStyles();
+      for (const style of customStyles) {
+        const problem = PromptStyles.validate(style.instructions);
+        if (problem) {
+          if (!silent) this.showStatus(`Style "${style.name}": ${problem}`, 'error');
+          return;
+        }
+      }
+
       const settings = {
-        provider: providerId,
-        apiKey: this.elements.apiKey.value.trim(),
-        apiEndpoint: this.getResolvedEndpoint(),
-        model: actualModel,
-        customModel: this.elements.customModel.value.trim(),
+        profiles: this.collectProfile(),
+        activeProfileId: this.activeProfileId,
+        fallbackProfileIds: this.fallbackProfileIds,
         targetLanguage: this.elements.targetLanguage.value,
-        reasoningEffort: this.elements.reasoningEffort.value,
+        displayMode: this.elements.displayMode.value,
+        liveTranslation: this.elements.liveTranslation.value === 'on',
+        maxConcurrentStreams: Number(this.elements.maxConcurrentStreams.value),
+        cacheMaxEntries: this.readLimit(this.elements.cacheMaxEntries),
+        cacheMaxMB: this.readLimit(this.elements.cacheMaxMB),
+        cacheTTLDays: this.readLimit(this.elements.cacheTTLDays),
+        glossaries: this.collectGlossary(),
+        translationStyle: this.elements.translationStyle.value,
+        customStyles,
+        modelPrices: this.collectPrices(),
+        dailyBudget: this.readAmount(this.elements.dailyBudget),
+        monthlyBudget: this.readAmount(this.elements.monthlyBudget),
+        pageCostWarning: this.readAmount(this.elements.pageCostWarning),
       };
 
       await chrome.storage.local.set(settings);
+      await this.applyCacheLimits(settings);
+      this.modelPrices = settings.modelPrices;
+      await this.showUsage();
 
       if (!silent) {
         this.showStatus('Settings saved successfully', 'success');
@@ -226,6 +820,236 @@ class SettingsController {
     }
   }
 
+  // Non-negative whole number from a limit input (empty or invalid = 0, no limit)
+  readLimit(input) {
+    return Math.max(0, Math.floor(Number(input.value) || 0));
+  }
+
+  // Non-negative amount in USD, to the cent (empty or invalid = 0, no limit)
+  readAmount(input) {
+    return Math.max(0, Math.round((Number(input.value) || 0) * 100) / 100);
+  }
+
+  // Trim the cache to new limits right away instead of on the next translation
+  async applyCacheLimits(settings) {
+    try {
+      await TranslationCache.evict(ModelConfig.getCacheLimits(settings));
+    } catch (error) {
+      console.warn('Cache eviction error:', error);
+    }
+    await this.showCacheUsage();
+  }
+
+  async showCacheUsage() {
+    try {
+      const { pages, blocks, bytes } = await TranslationCache.usage();
+      const megabytes = (bytes / (1024 * 1024)).toFixed(1);
+      this.elements.cacheUsage.textContent =
+        `Using ${megabytes} MB: ${pages} ${pages === 1 ? 'page' : 'pages'}, ` +
+        `${blocks} ${blocks === 1 ? 'block' : 'blocks'}`;
+    } catch (error) {
+      this.elements.cacheUsage.textContent = 'Storage usage unavailable';
+      console.warn('Cache usage error:', error);
+    }
+  }
+
+  // ─── Usage & cost ──────────────────────────────────────────────────────────
+
+  USAGE_ROWS = 20;
+
+  priceOf(model) {
+    return ModelConfig.getModelPrice(model, this.modelPrices);
+  }
+
+  // "12 requests · 45,210 tokens", plus reasoning, estimated requests and
+  // unpriced tokens if any
+  describeUsage(total) {
+    const parts = [
+      `${total.requests} ${total.requests === 1 ? 'request' : 'requests'}`,
+      `${(total.prompt + total.completion).toLocaleString()} tokens`,
+    ];
+    if (total.reasoning) parts.push(`${total.reasoning.toLocaleString()} reasoning`);
+    if (total.estimated) parts.push(`${total.estimated} estimated`);
+    if (total.unpricedTokens) {
+      parts.push(`${total.unpricedTokens.toLocaleString()} without a price`);
+    }
+    return parts.join(' · ');
+  }
+
+  async showUsage() {
+    try {
+      this.usageLedger = await UsageLedger.load();
+    } catch (error) {
+      console.warn('Usage ledger unavailable:', error);
+      return;
+    }
+    const { today, month, breakdown } = UsageLedger.summarize(this.usageLedger, model =>
+      this.priceOf(model)
+    );
+
+    const withBudget = (cost, input) => {
+      const budget = this.readAmount(input);
+      const spent = UsageLedger.formatCost(cost);
+      return budget > 0 ? `${spent} of ${UsageLedger.formatCost(budget)}` : spent;
+    };
+    this.elements.usageToday.textContent = withBudget(today.cost, this.elements.dailyBudget);
+    this.elements.usageTodayDetail.textContent = this.describeUsage(today);
+    this.elements.usageMonth.textContent = withBudget(month.cost, this.elements.monthlyBudget);
+    this.elements.usageMonthDetail.textContent = this.describeUsage(month);
+
+    const tbody = this.elements.usageBody;
+    tbody.innerHTML = '';
+    this.elements.usageTable.style.display = breakdown.length > 0 ? '' : 'none';
+    this.elements.usageEmpty.style.display = breakdown.length > 0 ? 'none' : '';
+
+    breakdown.slice(0, this.USAGE_ROWS).forEach(row => {
+      const tr = document.createElement('tr');
+      const cells = [
+        ModelConfig.PROVIDERS[row.provider]?.name || row.provider,
+        row.model,
+        row.domain || '—',
+      ].map(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        return cell;
+      });
+
+      const tokensCell = document.createElement('td');
+      tokensCell.className = 'usage-tokens';
+      tokensCell.textContent =
+        (row.estimated ? '~' : '') +
+        `${row.prompt.toLocaleString()} in / ${row.completion.toLocaleString()} out` +
+        (row.reasoning ? ` (${row.reasoning.toLocaleString()} reasoning)` : '');
+
+      const costCell = document.createElement('td');
+      costCell.textContent = this.priceOf(row.model) ? UsageLedger.formatCost(row.cost) : '—';
+
+      tr.append(...cells, tokensCell, costCell);
+      tbody.appendChild(tr);
+    });
+  }
+
+  // Models in the profiles, the ledger or the user's prices first, then the rest of the list
+  renderPrices() {
+    const usedModels = Object.values(this.usageLedger?.days || {}).flatMap(rows =>
+      rows.map(row => row.model)
+    );
+    const models = [
+      ...new Set([
+        ...this.profiles.map(profile => profile.model),
+        ...usedModels,
+        ...Object.keys(this.modelPrices),
+        ...Object.keys(ModelConfig.MODEL_PRICES),
+      ]),
+    ].filter(Boolean);
+
+    const tbody = this.elements.pricesBody;
+    tbody.innerHTML = '';
+    models.forEach(model => {
+      const row = document.createElement('tr');
+      row.dataset.model = model;
+
+      const modelCell = document.createElement('td');
+      modelCell.textContent = model;
+      row.appendChild(modelCell);
+
+      const listPrice = ModelConfig.MODEL_PRICES[model];
+      for (const field of ['input', 'output']) {
+        const cell = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = 'any';
+        input.dataset.field = field;
+        input.placeholder = listPrice ? String(listPrice[field]) : 'none';
+        input.value = this.modelPrices[model]?.[field] ?? '';
+        input.setAttribute('aria-label', `${model} ${field} price`);
+        cell.appendChild(input);
+        row.appendChild(cell);
+      }
+      tbody.appendChild(row);
+    });
+  }
+
+  // Prices the user entered; a half-filled row takes the list price for the other field
+  collectPrices() {
+    const prices = {};
+    this.elements.pricesBody.querySelectorAll('tr').forEach(row => {
+      const { model } = row.dataset;
+      const values = {};
+      row.querySelectorAll('input').forEach(input => {
+        const value = Number.parseFloat(input.value);
+        if (Number.isFinite(value) && value >= 0) values[input.dataset.field] = value;
+      });
+      if (Object.keys(values).length === 0) return;
+
+      const listPrice = ModelConfig.MODEL_PRICES[model] || { input: 0, output: 0 };
+      prices[model] = { ...listPrice, ...values };
+    });
+    return prices;
+  }
+
+  async clearUsage() {
+    if (!confirm('Clear all recorded usage? Totals here and in History start again from zero.')) {
+      return;
+    }
+    try {
+      await UsageLedger.clear();
+      await this.showUsage();
+      this.showStatus('Usage cleared', 'info');
+    } catch (error) {
+      this.showStatus('Error clearing usage', 'error');
+      console.error('Usage clear error:', error);
+    }
+  }
+
+  // Current bindings of the manifest's commands (the user may have changed them)
+  async renderShortcuts() {
+    const tbody = this.elements.shortcutsBody;
+    tbody.innerHTML = '';
+
+    let commands = [];
+    try {
+      commands = chrome.commands ? await chrome.commands.getAll() : [];
+    } catch (error) {
+      console.warn('Could not read keyboard shortcuts:', error);
+    }
+    // Leave out the browser's built-in command for opening the popup (_execute_action)
+    commands = commands.filter(command => !command.name.startsWith('_'));
+
+    this.elements.shortcutsTable.style.display = commands.length > 0 ? '' : 'none';
+    this.elements.shortcutsEmpty.style.display = commands.length > 0 ? 'none' : '';
+
+    commands.forEach(command => {
+      const row = document.createElement('tr');
+
+      const actionCell = document.createElement('td');
+      actionCell.textContent = command.description;
+
+      const shortcutCell = document.createElement('td');
+      if (command.shortcut) {
+        const key = document.createElement('kbd');
+        key.textContent = command.shortcut;
+        shortcutCell.appendChild(key);
+      } else {
+        shortcutCell.className = 'shortcut-unset';
+        shortcutCell.textContent = 'Not set';
+      }
+
+      row.append(actionCell, shortcutCell);
+      tbody.appendChild(row);
+    });
+  }
+
+  // Browsers only let their own settings page change extension shortcuts
+  openShortcutSettings() {
+    if (chrome.commands?.openShortcutSettings) {
+      chrome.commands.openShortcutSettings();
+    } else {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    }
+  }
+
   async testConnection() {
     const apiKey = this.elements.apiKey.value.trim();
     const apiEndpoint = this.getResolvedEndpoint();
@@ -257,6 +1081,10 @@ class SettingsController {
           apiKey: apiKey,
           apiEndpoint: apiEndpoint,
           model: actualModel,
+          apiFormat: ModelConfig.resolveApiFormat(
+            this.elements.provider.value,
+            this.elements.apiFormat.value
+          ),
         },
         {
           reasoningEffort: this.elements.reasoningEffort.value,
@@ -291,23 +1119,45 @@ class SettingsController {
     }
 
     try {
-      // Clear all stored settings
+      // Clear all stored settings. Usage is a record of what was spent, not a
+      // setting, so it survives the reset.
+      const { [UsageLedger.STORAGE_KEY]: usageLedger } = await chrome.storage.local.get(
+        UsageLedger.STORAGE_KEY
+      );
       await chrome.storage.local.clear();
+      if (usageLedger) await chrome.storage.local.set({ [UsageLedger.STORAGE_KEY]: usageLedger });
 
-      // Reset provider and repopulate models
-      this.elements.provider.value = this.defaultSettings.provider;
-      this.populateModelOptions(this.defaultSettings.provider);
+      // Back to a single default profile
+      const defaults = ModelConfig.migrateProfiles(this.defaultSettings);
+      this.profiles = defaults.profiles;
+      this.activeProfileId = defaults.activeProfileId;
+      this.fallbackProfileIds = [];
+      this.renderProfileOptions();
+      this.showProfile(this.profiles[0]);
 
       // Reset form to defaults
-      this.elements.apiKey.value = this.defaultSettings.apiKey;
-      this.elements.apiEndpoint.value = this.defaultSettings.apiEndpoint;
-      this.elements.customModel.value = this.defaultSettings.customModel;
       this.elements.targetLanguage.value = this.defaultSettings.targetLanguage;
-      this.elements.reasoningEffort.value = this.defaultSettings.reasoningEffort;
-      this.elements.model.value = this.defaultSettings.model;
-
-      this.updateProviderSection();
-      this.updateModelSection();
+      this.elements.displayMode.value = this.defaultSettings.displayMode;
+      this.elements.liveTranslation.value = this.defaultSettings.liveTranslation ? 'on' : 'off';
+      this.elements.maxConcurrentStreams.value = String(this.defaultSettings.maxConcurrentStreams);
+      this.elements.cacheMaxEntries.value = String(this.defaultSettings.cacheMaxEntries);
+      this.elements.cacheMaxMB.value = String(this.defaultSettings.cacheMaxMB);
+      this.elements.cacheTTLDays.value = String(this.defaultSettings.cacheTTLDays);
+      this.elements.dailyBudget.value = String(this.defaultSettings.dailyBudget);
+      this.elements.monthlyBudget.value = String(this.defaultSettings.monthlyBudget);
+      this.elements.pageCostWarning.value = String(this.defaultSettings.pageCostWarning);
+      this.glossaries = {};
+      this.learnedCorrections = {};
+      this.customStyles = [];
+      this.renderStyleOptions(PromptStyles.DEFAULT_STYLE);
+      this.showStyle(PromptStyles.DEFAULT_STYLE);
+      this.siteRules = [];
+      this.renderSiteRules();
+      this.modelPrices = {};
+      this.renderPrices();
+      await this.showUsage();
+      this.elements.glossaryLanguage.value = this.defaultSettings.targetLanguage;
+      this.showGlossary(this.defaultSettings.targetLanguage);
 
       this.showStatus('Settings reset to defaults', 'info');
     } catch (error) {
@@ -1,8 +1,13 @@
 import { parse as jsonriverParse } from '../vendor/jsonriver-1.1.1/index.js';
+import Glossary from './glossary.js';
+import PromptStyles from './prompt-styles.js';
+import ProviderAdapters from './provider-adapters.js';
 
 /**
  * Centralized LLM API Client
- * Handles all requests to OpenAI-compatible API endpoints
+ * Handles all requests to LLM API endpoints. The wire format (OpenAI-compatible
+ * chat completions or Anthropic messages) is chosen by config.apiFormat via
+ * ProviderAdapters.
  */
 export default class APIClient {
   /**
@@ -34,12 +39,33 @@ export default class APIClient {
 
     return `${cleanBase}/${cleanPath}`;
   }
+
+  /**
+   * Build an Error for a non-OK API response
+   * @param {Response} response - Fetch response
+   * @param {Object} adapter - Provider adapter used for the request
+   * @returns {Promise<Error>} Error with status, type and retry metadata
+   */
+  static async buildResponseError(response, adapter) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = adapter.errorMessage(errorData) || response.statusText;
+
+    const error = new Error(`API Error: ${response.status} - ${errorMessage}`);
+    error.status = response.status;
+    error.type = this.categorizeError(response.status);
+    error.isRetryable = response.status >= 500 || response.status === 429;
+    error.apiMessage = errorMessage;
+    error.retryAfter = response.headers.get('retry-after');
+    return error;
+  }
+
   /**
    * Makes a chat completion request to the LLM API
    * @param {Object} config - API configuration
    * @param {string} config.apiKey - API key for authentication
    * @param {string} config.apiEndpoint - API endpoint URL
    * @param {string} config.model - Model to use
+   * @param {string} [config.apiFormat] - 'openai' (default) or 'anthropic'
    * @param {Array} messages - Array of messages for the conversation
    * @param {Object} options - Additional options
    * @param {number} options.maxTokens - Maximum completion tokens (default: 2000)
@@ -63,66 +89,34 @@ export default class APIClient {
       throw new Error('Messages array is required and must not be empty');
     }
 
-    const requestBody = {
-      model: config.model,
-      messages: messages,
-      temperature: 1,
-      max_completion_tokens: maxTokens,
-    };
-
-    // Only add reasoning_effort if enabled (not 'off')
-    if (reasoningEffort && reasoningEffort !== 'off') {
-      requestBody.reasoning_effort = reasoningEffort;
-    }
+    const adapter = ProviderAdapters.get(config.apiFormat);
+    const request = adapter.buildRequest(config, messages, { maxTokens, reasoningEffort });
 
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
 
     try {
-      const response = await fetch(this.joinUrl(config.apiEndpoint, 'chat/completions'), {
+      const response = await fetch(this.joinUrl(config.apiEndpoint, request.path), {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${config.apiKey}`,
-        },
-        body: JSON.stringify(requestBody),
+        headers: request.headers,
+        body: JSON.stringify(request.body),
         signal: controller.signal,
       });
 
       clearTimeout(timeoutId);
 
       if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMessage = errorData.error?.message || response.statusText;
-
-        const error = new Error(`API Error: ${response.status} - ${errorMessage}`);
-        error.status = response.status;
-        error.type = this.categorizeError(response.status);
-        error.isRetryable = response.status >= 500 || response.status === 429;
-        error.apiMessage = errorMessage;
-        error.retryAfter = response.headers.get('retry-after');
-
-        throw error;
+        throw await this.buildResponseError(response, adapter);
       }
 
       const data = await response.json();
-
-      if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-        throw new Error('Invalid API response format');
-      }
-
-      // Safe content extraction — some models (DeepSeek, QwQ) put output in
-      // reasoning/reasoning_content instead of content
-      const message = data.choices[0].message;
-      const messageContent =
-        message.content || message.reasoning || message.reasoning_content || '';
-      const content = (typeof messageContent === 'string' ? messageContent : '').trim();
+      const { content, usage, model } = adapter.parseResponse(data);
 
       return {
         success: true,
         content: content,
-        usage: data.usage,
-        model: data.model,
+        usage: usage,
+        model: model,
       };
     } catch (error) {
       clearTimeout(timeoutId);
@@ -196,14 +190,15 @@ export default class APIClient {
    * Async generator that streams chat completion deltas via SSE.
    * Yields content strings as they arrive from the API.
    *
-   * @param {Object} config - API configuration (apiKey, apiEndpoint, model)
+   * @param {Object} config - API configuration (apiKey, apiEndpoint, model, apiFormat)
    * @param {Array} messages - Messages array
-   * @param {Object} options - maxTokens, reasoningEffort
+   * @param {Object} options - maxTokens, reasoningEffort, signal, onUsage (called once
+   *   with the token usage the stream reported, if any)
    * @param {Function} [onReasoning] - Called with {chars, elapsed} during reasoning phase
    * @yields {string} Content delta strings
    */
   static async *streamChatCompletion(config, messages, options = {}, onReasoning) {
-    const { maxTokens = 2000, reasoningEffort = 'off', signal } = options;
+    const { maxTokens = 2000, reasoningEffort = 'off', signal, onUsage } = options;
 
     if (!config.apiKey) throw new Error('API key is required');
     if (!config.apiEndpoint) throw new Error('API endpoint is required');
@@ -212,48 +207,29 @@ export default class APIClient {
       throw new Error('Messages array is required and must not be empty');
     }
 
-    const requestBody = {
-      model: config.model,
-      messages,
-      temperature: 1,
-      max_completion_tokens: maxTokens,
+    const adapter = ProviderAdapters.get(config.apiFormat);
+    const request = adapter.buildRequest(config, messages, {
+      maxTokens,
+      reasoningEffort,
       stream: true,
-    };
-
-    if (reasoningEffort && reasoningEffort !== 'off') {
-      requestBody.reasoning_effort = reasoningEffort;
-    }
+    });
 
     console.log(
-      `[APIClient] stream request: model=${config.model}, ` +
+      `[APIClient] stream request: format=${config.apiFormat || 'openai'}, model=${config.model}, ` +
         `reasoning_effort=${reasoningEffort}, maxTokens=${maxTokens}`
     );
 
     const fetchOptions = {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${config.apiKey}`,
-      },
-      body: JSON.stringify(requestBody),
+      headers: request.headers,
+      body: JSON.stringify(request.body),
     };
     if (signal) fetchOptions.signal = signal;
 
-    const response = await fetch(
-      this.joinUrl(config.apiEndpoint, 'chat/completions'),
-      fetchOptions
-    );
+    const response = await fetch(this.joinUrl(config.apiEndpoint, request.path), fetchOptions);
 
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const errorMessage = errorData.error?.message || response.statusText;
-      const error = new Error(`API Error: ${response.status} - ${errorMessage}`);
-      error.status = response.status;
-      error.type = this.categorizeError(response.status);
-      error.isRetryable = response.status >= 500 || response.status === 429;
-      error.apiMessage = errorMessage;
-      error.retryAfter = response.headers.get('retry-after');
-      throw error;
+      throw await this.buildResponseError(response, adapter);
     }
 
     const reader = response.body.getReader();
@@ -263,6 +239,7 @@ export default class APIClient {
     let contentChars = 0;
     let firstContentTime = 0;
     const streamStartTime = Date.now();
+    const usage = {};
 
     // Processes complete SSE lines, yielding content deltas
     const processLines = function* (lines) {
@@ -272,38 +249,50 @@ export default class APIClient {
         if (trimmed === 'data: [DONE]') return;
         if (!trimmed.startsWith('data: ')) continue;
 
+        let event;
         try {
-          const payload = JSON.parse(trimmed.slice(6));
-          const delta = payload.choices?.[0]?.delta;
-          if (!delta) continue;
-
-          // Track reasoning tokens (not yielded — would corrupt JSON parser)
-          if (delta.reasoning_content || delta.reasoning) {
-            const text = delta.reasoning_content || delta.reasoning;
-            reasoningChars += text.length;
-            if (onReasoning) {
-              onReasoning({
-                chars: reasoningChars,
-                elapsed: Date.now() - streamStartTime,
-                text,
-              });
-            }
+          event = adapter.parseStreamEvent(JSON.parse(trimmed.slice(6)));
+        } catch {
+          // Skip malformed SSE lines
+          continue;
+        }
+
+        if (event.usage) Object.assign(usage, event.usage);
+        if (event.done) return;
+
+        // Errors reported mid-stream (e.g. Anthropic "overloaded_error")
+        if (event.error) {
+          const error = new Error(`API Error: ${event.error}`);
+          error.type = 'server_error';
+          error.isRetryable = true;
+          error.apiMessage = event.error;
+          throw error;
+        }
+
+        // Track reasoning tokens (not yielded — would corrupt JSON parser)
+        if (event.reasoning) {
+          const text = event.reasoning;
+          reasoningChars += text.length;
+          if (onReasoning) {
+            onReasoning({
+              chars: reasoningChars,
+              elapsed: Date.now() - streamStartTime,
+              text,
+            });
           }
+        }
 
-          // Only yield actual content deltas
-          if (delta.content) {
-            if (!firstContentTime) {
-              firstContentTime = Date.now();
-              console.log(
-                `[APIClient] first content after ${firstContentTime - streamStartTime}ms ` +
-                  `(${reasoningChars} reasoning chars skipped)`
-              );
-            }
-            contentChars += delta.content.length;
-            yield delta.content;
+        // Only yield actual content deltas
+        if (event.content) {
+          if (!firstContentTime) {
+            firstContentTime = Date.now();
+            console.log(
+              `[APIClient] first content after ${firstContentTime - streamStartTime}ms ` +
+                `(${reasoningChars} reasoning chars skipped)`
+            );
           }
-        } catch {
-          // Skip malformed SSE lines
+          contentChars += event.content.length;
+          yield event.content;
         }
       }
     };
@@ -327,6 +316,10 @@ export default class APIClient {
       }
     } finally {
       reader.releaseLock();
+      if (onUsage && Object.keys(usage).length > 0) {
+        usage.total_tokens ||= (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+        onUsage(usage);
+      }
       const elapsed = Date.now() - streamStartTime;
       console.log(
         `[APIClient] stream done in ${elapsed}ms: ` +
@@ -341,12 +334,17 @@ export default class APIClient {
    * Uses jsonriver to progressively parse the JSON response. When a complete
    * block object appears at path ['blocks', N], fires onBlock(index, block).
    *
+   * Blocks are checked against translationData.glossary (if any) before
+   * delivery: fixable term violations are corrected in place, the rest are
+   * attached to the block as `glossaryViolations`.
+   *
    * @param {Object} config - API configuration
-   * @param {Object} translationData - { targetLanguage, blocks: [{id, items}] }
+   * @param {Object} translationData - { targetLanguage, sourceLanguage?, blocks: [{id, items}], glossary?, corrections?, hint?, style?, context? }
    * @param {Object} options - maxTokens, reasoningEffort
    * @param {Function} onBlock - Called with (blockIndex, blockObject) as each block completes
    * @param {Function} [onReasoning] - Called with {chars, elapsed} during reasoning phase
-   * @returns {Promise<Object>} { success, usage, model }
+   * @returns {Promise<Object>} { success, usage, model }; failures carry the usage
+   *   reported before they happened too, since those tokens are billed
    */
   static async streamTranslate(config, translationData, options = {}, onBlock, onReasoning) {
     if (!translationData || !translationData.blocks || !Array.isArray(translationData.blocks)) {
@@ -358,9 +356,28 @@ export default class APIClient {
       };
     }
 
-    const { targetLanguage, blocks } = translationData;
-
-    const systemPrompt = `You are a native ${targetLanguage} speaker and professional translator. Your goal is to accurately convey the meaning and nuances of the original text while adhering to ${targetLanguage} grammar, vocabulary, and cultural sensitivities. The result should read as if originally written in ${targetLanguage}.
+    const { targetLanguage, sourceLanguage, blocks, glossary, corrections, hint, style, context } =
+      translationData;
+    const extraSections = [
+      PromptStyles.buildContextSection(context),
+      Glossary.buildPromptSection(glossary),
+      Glossary.buildCorrectionsSection(corrections),
+      // Set when the reader re-translates a single block, e.g. "more formal"
+      hint?.trim()
+        ? `READER'S REQUEST (apply it to the wording, but keep the output format and structure above): ${hint.trim()}`
+        : '',
+    ].filter(Boolean);
+    const sourceNote = sourceLanguage
+      ? ` The source text is mostly ${sourceLanguage}; leave anything already written in ${targetLanguage} unchanged.`
+      : '';
+
+    // The style only sets the opening; the format rules below always follow it
+    const intro = PromptStyles.buildIntro(style, {
+      targetLanguage,
+      pageTitle: context?.title,
+    });
+
+    const systemPrompt = `${intro}${sourceNote}
 
 OUTPUT FORMAT: Valid JSON only. No markdown, no explanation, no code blocks.
 
@@ -377,13 +394,14 @@ Output: {"blocks":[{"id":0,"items":[["譯文1"],["譯文2","譯文3"]]},{"id":1,
 
 EXAMPLE:
 Input:  {"blocks":[{"id":0,"items":[["Click ","here"," to continue"],["Hello world"]]}]}
-Output: {"blocks":[{"id":0,"items":[["點擊","這裡","繼續"],["你好世界"]]}]}`;
+Output: {"blocks":[{"id":0,"items":[["點擊","這裡","繼續"],["你好世界"]]}]}${extraSections.map(section => `\n\n${section}`).join('')}`;
 
     const messages = [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: JSON.stringify({ blocks }) },
     ];
 
+    let usage;
     try {
       // Create an async iterable that yields content deltas from SSE
       const rawDeltaStream = this.streamChatCompletion(
@@ -393,6 +411,9 @@ Output: {"blocks":[{"id":0,"items":[["點擊","這裡","繼續"],["你好世界"
           maxTokens: options.maxTokens || 16000,
           reasoningEffort: options.reasoningEffort || 'off',
           signal: options.signal,
+          onUsage: reported => {
+            usage = reported;
+          },
         },
         onReasoning
       );
@@ -405,6 +426,7 @@ Output: {"blocks":[{"id":0,"items":[["點擊","這裡","繼續"],["你好世界"
 
       // Track which blocks have been delivered to avoid duplicates
       const deliveredBlocks = new Set();
+      const sourceBlocksById = new Map(blocks.map(b => [b.id, b]));
 
       const completeCallback = (value, pathInfo) => {
         const segments = pathInfo.segments();
@@ -424,7 +446,10 @@ Output: {"blocks":[{"id":0,"items":[["點擊","這裡","繼續"],["你好世界"
               `[APIClient] block ${blockIndex}/${blocks.length} parsed ` +
                 `(${value.items.length} items)`
             );
-            onBlock(blockIndex, value);
+            onBlock(
+              blockIndex,
+              this.applyGlossary(value, sourceBlocksById.get(value.id), glossary)
+            );
           }
         }
       };
@@ -457,12 +482,18 @@ Output: {"blocks":[{"id":0,"items":[["點擊","這裡","繼續"],["你好世界"
       console.log(
         `[APIClient] streamTranslate: ${deliveredBlocks.size}/${blocks.length} blocks delivered`
       );
-      return { success: true };
+      return { success: true, usage, model: config.model };
     } catch (error) {
       // Abort is expected when the user navigates away — not an error
       if (error.name === 'AbortError') {
         console.log('[APIClient] stream aborted (page closed/refreshed)');
-        return { success: false, error: 'aborted', errorType: 'aborted', isRetryable: false };
+        return {
+          success: false,
+          error: 'aborted',
+          errorType: 'aborted',
+          isRetryable: false,
+          usage,
+        };
       }
 
       console.error('[APIClient] streamTranslate error:', error.message);
@@ -475,14 +506,41 @@ Output: {"blocks":[{"id":0,"items":[["點擊","這裡","繼續"],["你好世界"
         isRetryable: error.isRetryable || false,
         apiMessage: error.apiMessage,
         retryAfter: error.retryAfter,
+        usage,
       };
     }
   }
 
+  /**
+   * Run glossary verification on a parsed block. Returns the block unchanged
+   * when there is no glossary, otherwise a copy with corrected items and any
+   * remaining violations attached as `glossaryViolations`.
+   */
+  static applyGlossary(block, sourceBlock, glossary) {
+    if (Glossary.isEmpty(glossary) || !sourceBlock) return block;
+
+    const { items, violations, corrections } = Glossary.enforce(
+      sourceBlock.items,
+      block.items,
+      glossary
+    );
+    if (corrections > 0 || violations.length > 0) {
+      console.log(
+        `[APIClient] block ${block.id} glossary: ${corrections} corrected, ` +
+          `${violations.length} items flagged`
+      );
+    }
+    return violations.length > 0
+      ? { ...block, items, glossaryViolations: violations }
+      : { ...block, items };
+  }
+
   /**
    * Wraps an async iterable of string chunks, yielding only the content
    * between the first '{' and its matching '}'. Strips markdown code fences,
    * preamble text, and trailing content that would choke a JSON parser.
+   * The rest of the stream is still read (not yielded), so events after the
+   * content, such as token usage, reach the underlying generator.
    *
    * @param {AsyncIterable<string>} stream - Raw content delta stream
    * @yields {string} JSON-only content chunks
@@ -490,10 +548,12 @@ Output: {"blocks":[{"id":0,"items":[["點擊","這裡","繼續"],["你好世界"
   static async *isolateJSON(stream) {
     let depth = 0;
     let started = false;
+    let closed = false;
     let inString = false;
     let escaped = false;
 
     for await (const chunk of stream) {
+      if (closed) continue;
       if (!started) {
         // Scan for the first '{' — skip preamble/code fences
         const openIdx = chunk.indexOf('{');
@@ -527,7 +587,8 @@ Output: {"blocks":[{"id":0,"items":[["點擊","這裡","繼續"],["你好世界"
         }
         if (cutoff !== -1) {
           yield chunk.slice(openIdx, cutoff);
-          return;
+          closed = true;
+          continue;
         }
         yield chunk.slice(openIdx);
         continue;
@@ -563,7 +624,8 @@ Output: {"blocks":[{"id":0,"items":[["點擊","這裡","繼續"],["你好世界"
       if (cutoff !== -1) {
         // Top-level object closes mid-chunk — yield up to the closing '}'
         yield chunk.slice(0, cutoff);
-        return;
+        closed = true;
+        continue;
       }
 
       yield chunk;
@@ -1,13 +1,44 @@
 /**
  * IndexedDB cache for translation results.
+ *
+ * Two stores: `translations` holds whole pages (one record per page hash,
+ * listed in History), `blocks` holds individual translated blocks keyed by
+ * block content + target language + model, so a page that changed slightly
+ * only needs its changed blocks translated again.
+ *
+ * Both stores are bounded by evict(): a time-to-live, a maximum number of
+ * pages and a maximum total size, enforced least-recently-used first. The
+ * `eviction` index ([lastAccessedAt, createdAt, size], refreshed on every
+ * read) lets it walk keys and bookkeeping only, without loading records.
+ *
+ * Pages are also indexed by target language, model and search terms (words
+ * from the title, URL and translation) so History can filter and page
+ * through them with query() instead of loading every record.
+ *
+ * The original text of a page lives in a third store, `sources`, under the
+ * same cacheKey. It is only needed to audit a translation side by side, so
+ * keeping it apart keeps History's cursors over `translations` lean; it is
+ * written and deleted together with its page and counted in the page's size.
+ *
  * Exposed as global `TranslationCache` (non-module, matches project pattern).
+ * The background service worker is an ES module and imports this file for
+ * its side effect, so it is also published on globalThis.
  */
 
-// eslint-disable-next-line no-unused-vars
 const TranslationCache = (() => {
   const DB_NAME = 'llm-translation-cache';
   const STORE_NAME = 'translations';
-  const DB_VERSION = 1;
+  const BLOCK_STORE_NAME = 'blocks';
+  const SOURCE_STORE_NAME = 'sources';
+  const STORES = [STORE_NAME, BLOCK_STORE_NAME];
+  const PAGE_STORES = [STORE_NAME, SOURCE_STORE_NAME];
+  const DB_VERSION = 6;
+  const EVICTION_KEY_PATH = ['lastAccessedAt', 'createdAt', 'size'];
+  const PAGE_INDEXES = [
+    ['targetLanguage', 'targetLanguage'],
+    ['model', 'model'],
+    ['searchTerms', 'searchTerms', { multiEntry: true }],
+  ];
 
   let dbPromise = null;
 
@@ -19,10 +50,55 @@ const TranslationCache = (() => {
 
       request.onupgradeneeded = event => {
         const db = event.target.result;
+        const tx = event.target.transaction;
         if (!db.objectStoreNames.contains(STORE_NAME)) {
           const store = db.createObjectStore(STORE_NAME, { keyPath: 'cacheKey' });
           store.createIndex('createdAt', 'createdAt', { unique: false });
         }
+        // v2: block-level cache
+        if (!db.objectStoreNames.contains(BLOCK_STORE_NAME)) {
+          const blockStore = db.createObjectStore(BLOCK_STORE_NAME, { keyPath: 'blockKey' });
+          blockStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+        // v3: LRU index
+        for (const name of STORES) {
+          const store = tx.objectStore(name);
+          if (!store.indexNames.contains('lastAccessedAt')) {
+            store.createIndex('lastAccessedAt', 'lastAccessedAt', { unique: false });
+          }
+        }
+        // v4: History filters and search
+        const pages = tx.objectStore(STORE_NAME);
+        for (const [indexName, keyPath, options] of PAGE_INDEXES) {
+          if (!pages.indexNames.contains(indexName)) {
+            pages.createIndex(indexName, keyPath, { unique: false, ...options });
+          }
+        }
+        // v5: original text of each page (older pages have none)
+        if (!db.objectStoreNames.contains(SOURCE_STORE_NAME)) {
+          db.createObjectStore(SOURCE_STORE_NAME, { keyPath: 'cacheKey' });
+        }
+        // v6: everything eviction needs, readable with a key cursor
+        for (const name of STORES) {
+          const store = tx.objectStore(name);
+          if (!store.indexNames.contains('eviction')) {
+            store.createIndex('eviction', EVICTION_KEY_PATH, { unique: false });
+          }
+        }
+
+        // Fill in the indexed fields on records written by older versions
+        // (one cursor per store, so two upgrade steps never race on a record)
+        if (event.oldVersion > 0) {
+          for (const name of STORES) {
+            tx.objectStore(name).openCursor().onsuccess = e => {
+              const cursor = e.target.result;
+              if (!cursor) return;
+              const upgraded = upgradeRecord(name, cursor.value);
+              if (upgraded) cursor.update(upgraded);
+              cursor.continue();
+            };
+          }
+        }
       };
 
       request.onsuccess = event => resolve(event.target.result);
@@ -32,10 +108,78 @@ const TranslationCache = (() => {
     return dbPromise;
   }
 
+  // The record with fields added since it was written, or null if up to date
+  function upgradeRecord(storeName, record) {
+    const upgraded = { ...record };
+    // Records from before the LRU index count as last used when created
+    if (!upgraded.lastAccessedAt) upgraded.lastAccessedAt = upgraded.createdAt || 0;
+    // Records missing a field of the eviction index would be left out of it
+    if (typeof upgraded.createdAt !== 'number') upgraded.createdAt = 0;
+    if (storeName === STORE_NAME && !Array.isArray(upgraded.searchTerms)) {
+      upgraded.searchTerms = searchTermsFor(upgraded);
+    }
+    if (typeof upgraded.size !== 'number') upgraded.size = recordSize(upgraded);
+    const changed =
+      upgraded.lastAccessedAt !== record.lastAccessedAt ||
+      upgraded.createdAt !== record.createdAt ||
+      upgraded.searchTerms !== record.searchTerms ||
+      upgraded.size !== record.size;
+    return changed ? upgraded : null;
+  }
+
+  // ─── Search terms ─────────────────────────────────────────────────────────
+
+  const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+  /**
+   * Split text into lowercase search terms. CJK text has no spaces between
+   * words, so it is indexed as overlapping character pairs instead.
+   */
+  function tokenize(text) {
+    const terms = new Set();
+    for (const word of String(text ?? '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []) {
+      if (CJK.test(word)) {
+        const chars = [...word];
+        if (chars.length === 1) terms.add(word);
+        for (let i = 0; i < chars.length - 1; i++) terms.add(chars[i] + chars[i + 1]);
+      } else if (word.length >= 2) {
+        terms.add(word.slice(0, 40));
+      }
+    }
+    return [...terms];
+  }
+
+  function searchTermsFor(record) {
+    const translated = (record.blocks || [])
+      .flatMap(block => block.items || [])
+      .map(item => (Array.isArray(item) ? item.join(' ') : String(item ?? '')));
+    return tokenize([record.title, record.url, ...translated].join(' '));
+  }
+
+  // A page record as stored: bookkeeping plus its search terms
+  function stampPage(record) {
+    return stamp({ ...record, searchTerms: searchTermsFor(record) });
+  }
+
+  // Approximate stored size in bytes (UTF-8 length of the JSON form)
+  function recordSize(record) {
+    return new Blob([JSON.stringify(record)]).size;
+  }
+
+  // Add the bookkeeping fields every stored record carries
+  function stamp(record) {
+    const now = Date.now();
+    const stamped = { ...record, createdAt: now, lastAccessedAt: now };
+    stamped.size = recordSize(stamped);
+    return stamped;
+  }
+
   async function get(cacheKey) {
     const db = await initDB();
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, 'readonly');
+      const tx = db.transaction(STORE_NAME, 'readwrite');
       const store = tx.objectStore(STORE_NAME);
       const request = store.get(cacheKey);
 
@@ -45,70 +189,488 @@ const TranslationCache = (() => {
           resolve(null);
           return;
         }
+        store.put({ ...record, lastAccessedAt: Date.now() });
         resolve({ blocks: record.blocks, totalBlocks: record.totalBlocks });
       };
       request.onerror = () => reject(request.error);
     });
   }
 
-  async function put(cacheKey, targetLanguage, blocks, totalBlocks, metadata) {
+  // Write a stamped page and its original text (dropping any stale one)
+  function writePage(tx, page, sourceBlocks) {
+    const sources = tx.objectStore(SOURCE_STORE_NAME);
+    if (Array.isArray(sourceBlocks) && sourceBlocks.length > 0) {
+      const source = { cacheKey: page.cacheKey, blocks: sourceBlocks };
+      page.size += recordSize(source);
+      sources.put(source);
+    } else {
+      sources.delete(page.cacheKey);
+    }
+    tx.objectStore(STORE_NAME).put(page);
+  }
+
+  function deletePages(tx, cacheKeys) {
+    for (const cacheKey of cacheKeys) {
+      for (const name of PAGE_STORES) tx.objectStore(name).delete(cacheKey);
+    }
+  }
+
+  /**
+   * Store a translated page.
+   * @param {Array} blocks - Translated blocks: [{ id, items: [[segment]] }]
+   * @param {Array} [sourceBlocks] - The original text in the same shape
+   */
+  async function put(cacheKey, targetLanguage, blocks, totalBlocks, metadata, sourceBlocks) {
     const db = await initDB();
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, 'readwrite');
-      const store = tx.objectStore(STORE_NAME);
-      const record = {
+      const tx = db.transaction(PAGE_STORES, 'readwrite');
+      const page = stampPage({
         cacheKey,
         targetLanguage,
         blocks,
         totalBlocks,
-        createdAt: Date.now(),
         ...(metadata || {}),
-      };
-      const request = store.put(record);
+      });
+      writePage(tx, page, sourceBlocks);
 
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
     });
   }
 
-  async function list() {
+  /**
+   * Rewrite the blocks of a cached page in place, keeping its metadata and
+   * original text. `replaceBlocks` returns the new blocks, or null to leave
+   * the page alone.
+   * @returns {Promise<boolean>} Whether the page was changed
+   */
+  async function updatePage(cacheKey, replaceBlocks) {
     const db = await initDB();
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, 'readonly');
+      const tx = db.transaction(STORE_NAME, 'readwrite');
       const store = tx.objectStore(STORE_NAME);
-      const request = store.getAll();
+      const request = store.get(cacheKey);
+      let updated = false;
 
       request.onsuccess = () => {
-        const records = request.result || [];
-        records.sort((a, b) => b.createdAt - a.createdAt);
-        resolve(records);
+        const record = request.result;
+        const blocks = record && replaceBlocks(record.blocks);
+        if (!blocks) return;
+
+        const page = { ...record, blocks };
+        page.searchTerms = searchTermsFor(page);
+        page.size = (record.size || 0) + recordSize(page) - recordSize(record);
+        store.put(page);
+        updated = true;
       };
-      request.onerror = () => reject(request.error);
+
+      tx.oncomplete = () => resolve(updated);
+      tx.onerror = () => reject(tx.error);
     });
   }
 
-  async function remove(cacheKey) {
+  /**
+   * Replace one translated item of a cached page with a user's correction.
+   * The item's glossary warnings are dropped: a person has reviewed it.
+   * @param {Array<string>} segments - The corrected segments
+   * @returns {Promise<boolean>} Whether the page had that item
+   */
+  function updateItem(cacheKey, blockId, itemIndex, segments) {
+    return updatePage(cacheKey, blocks => {
+      const block = blocks.find(b => b.id === blockId);
+      if (!block || !(itemIndex >= 0 && itemIndex < block.items.length)) return null;
+
+      const corrected = {
+        ...block,
+        items: block.items.map((item, i) => (i === itemIndex ? segments : item)),
+      };
+      if (block.glossaryViolations) {
+        corrected.glossaryViolations = block.glossaryViolations.filter(
+          violation => violation.itemIndex !== itemIndex
+        );
+      }
+      return blocks.map(b => (b === block ? corrected : b));
+    });
+  }
+
+  /**
+   * Replace one block of a cached page with a fresh translation of it
+   * (a single-block re-translate). The rest of the page is left as is.
+   * @param {Object} block - { id, items, glossaryViolations? }
+   * @returns {Promise<boolean>} Whether the page had that block
+   */
+  function updateBlock(cacheKey, block) {
+    return updatePage(cacheKey, blocks => {
+      if (!blocks.some(b => b.id === block.id)) return null;
+      return blocks.map(b => (b.id === block.id ? block : b));
+    });
+  }
+
+  /**
+   * Look up several blocks in one transaction.
+   * @returns {Promise<Array>} One { items, glossaryViolations } or null per key, in order
+   */
+  async function getBlocks(blockKeys) {
     const db = await initDB();
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, 'readwrite');
+      const tx = db.transaction(BLOCK_STORE_NAME, 'readwrite');
+      const store = tx.objectStore(BLOCK_STORE_NAME);
+      const results = new Array(blockKeys.length).fill(null);
+      const now = Date.now();
+
+      blockKeys.forEach((blockKey, i) => {
+        const request = store.get(blockKey);
+        request.onsuccess = () => {
+          const record = request.result;
+          if (record) {
+            store.put({ ...record, lastAccessedAt: now });
+            results[i] = { items: record.items, glossaryViolations: record.glossaryViolations };
+          }
+        };
+      });
+
+      tx.oncomplete = () => resolve(results);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Store translated blocks: [{ blockKey, items, glossaryViolations? }]
+   */
+  async function putBlocks(blocks) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(BLOCK_STORE_NAME, 'readwrite');
+      const store = tx.objectStore(BLOCK_STORE_NAME);
+      for (const { blockKey, items, glossaryViolations } of blocks) {
+        store.put(stamp({ blockKey, items, glossaryViolations }));
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Merge imported page records by cacheKey: new keys are added, existing
+   * ones are replaced only by a newer translation (later createdAt).
+   * @returns {Promise<Object>} { added, updated, skipped }
+   */
+  async function importRecords(records) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(PAGE_STORES, 'readwrite');
       const store = tx.objectStore(STORE_NAME);
-      const request = store.delete(cacheKey);
+      const counts = { added: 0, updated: 0, skipped: 0 };
 
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+      for (const { sourceBlocks, ...record } of records) {
+        const request = store.get(record.cacheKey);
+        request.onsuccess = () => {
+          const existing = request.result;
+          if (existing && existing.createdAt >= record.createdAt) {
+            counts.skipped++;
+            return;
+          }
+          // Keep the original translation date; it's new to this machine
+          writePage(tx, { ...stampPage(record), createdAt: record.createdAt }, sourceBlocks);
+          counts[existing ? 'updated' : 'added']++;
+        };
+      }
+
+      tx.oncomplete = () => resolve(counts);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // A page with its original text attached as `sourceBlocks`, if it has any
+  function withSource(page, source) {
+    return source ? { ...page, sourceBlocks: source.blocks } : page;
+  }
+
+  /**
+   * Read one full page record, with its original text, without counting it
+   * as a use (e.g. a preview).
+   */
+  async function getRecord(cacheKey) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(PAGE_STORES, 'readonly');
+      const [page, source] = PAGE_STORES.map(name => tx.objectStore(name).get(cacheKey));
+      tx.oncomplete = () => resolve(page.result ? withSource(page.result, source.result) : null);
+      tx.onerror = () => reject(tx.error);
     });
   }
 
+  // ─── History queries ──────────────────────────────────────────────────────
+
+  // What History shows for a page, without the (large) translated blocks
+  function summarize(record) {
+    const { blocks: _blocks, searchTerms: _searchTerms, ...summary } = record;
+    return summary;
+  }
+
+  function compareBy(sort) {
+    return (a, b) => {
+      const x = a[sort] ?? '';
+      const y = b[sort] ?? '';
+      const order =
+        typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(y);
+      return order || a.createdAt - b.createdAt;
+    };
+  }
+
+  /**
+   * Filter, sort and page through page records using the store's indexes.
+   * The cursor is driven by the most selective index for the filters given;
+   * only summaries (no blocks) of matching records are kept in memory.
+   * @param {Object} options - { text, targetLanguage, model, from, to, sort, descending, offset, limit }
+   * @returns {Promise<Object>} { entries, total } — one page of summaries and the match count
+   */
+  async function query(options = {}) {
+    const {
+      text = '',
+      targetLanguage = '',
+      model = '',
+      from = 0,
+      to = Number.MAX_SAFE_INTEGER,
+      sort = 'createdAt',
+      descending = true,
+      offset = 0,
+      limit = 25,
+    } = options;
+    const terms = tokenize(text);
+    const db = await initDB();
+
+    const matches = record =>
+      (!targetLanguage || record.targetLanguage === targetLanguage) &&
+      (!model || record.model === model) &&
+      record.createdAt >= from &&
+      record.createdAt <= to &&
+      terms.every(term => (record.searchTerms || []).some(t => t.startsWith(term)));
+
+    let indexName = 'createdAt';
+    let range = IDBKeyRange.bound(from, to);
+    if (terms.length > 0) {
+      // The longest term is usually the rarest
+      const term = terms.reduce((a, b) => (b.length > a.length ? b : a));
+      indexName = 'searchTerms';
+      range = IDBKeyRange.bound(term, term + '\uffff');
+    } else if (targetLanguage) {
+      indexName = 'targetLanguage';
+      range = IDBKeyRange.only(targetLanguage);
+    } else if (model) {
+      indexName = 'model';
+      range = IDBKeyRange.only(model);
+    }
+    // Walking the date index in order needs no sorting: keep just one page
+    const walkInOrder = indexName === 'createdAt' && sort === 'createdAt';
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const index = tx.objectStore(STORE_NAME).index(indexName);
+      const direction = walkInOrder && descending ? 'prev' : 'next';
+      const seen = new Set();
+      const kept = [];
+      let total = 0;
+
+      index.openCursor(range, direction).onsuccess = e => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        const record = cursor.value;
+        // A multiEntry index can list the same record under several terms
+        if (!seen.has(record.cacheKey) && matches(record)) {
+          seen.add(record.cacheKey);
+          if (!walkInOrder) kept.push(summarize(record));
+          else if (total >= offset && total < offset + limit) kept.push(summarize(record));
+          total++;
+        }
+        cursor.continue();
+      };
+
+      tx.oncomplete = () => {
+        if (walkInOrder) {
+          resolve({ entries: kept, total });
+          return;
+        }
+        kept.sort(compareBy(sort));
+        if (descending) kept.reverse();
+        resolve({ entries: kept.slice(offset, offset + limit), total });
+      };
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Distinct target languages and models, for History's filter menus.
+   * @returns {Promise<Object>} { languages, models }
+   */
+  async function facets() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const store = tx.objectStore(STORE_NAME);
+      const result = { languages: [], models: [] };
+
+      for (const [indexName, values] of [
+        ['targetLanguage', result.languages],
+        ['model', result.models],
+      ]) {
+        store.index(indexName).openKeyCursor(null, 'nextunique').onsuccess = e => {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          if (cursor.key) values.push(cursor.key);
+          cursor.continue();
+        };
+      }
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async function removeMany(cacheKeys) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(PAGE_STORES, 'readwrite');
+      deletePages(tx, cacheKeys);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Every page with its original text, newest first (e.g. for export)
+  async function list() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(PAGE_STORES, 'readonly');
+      const [pages, sources] = PAGE_STORES.map(name => tx.objectStore(name).getAll());
+
+      tx.oncomplete = () => {
+        const sourceByKey = new Map(sources.result.map(source => [source.cacheKey, source]));
+        const records = pages.result.map(page => withSource(page, sourceByKey.get(page.cacheKey)));
+        records.sort((a, b) => b.createdAt - a.createdAt);
+        resolve(records);
+      };
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async function remove(cacheKey) {
+    return removeMany([cacheKey]);
+  }
+
   async function clear() {
     const db = await initDB();
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, 'readwrite');
+      const tx = db.transaction([...STORES, SOURCE_STORE_NAME], 'readwrite');
       tx.objectStore(STORE_NAME).clear();
+      tx.objectStore(BLOCK_STORE_NAME).clear();
+      tx.objectStore(SOURCE_STORE_NAME).clear();
       tx.oncomplete = () => resolve();
       tx.onerror = () => reject(tx.error);
     });
   }
 
+  // ─── Limits & eviction ────────────────────────────────────────────────────
+
+  /**
+   * Read bookkeeping for every record, least recently used first. Walks the
+   * eviction index with a key cursor, so no record is loaded.
+   * @returns {Promise<Array>} [{ store, key, createdAt, lastAccessedAt, size }]
+   */
+  async function readEntries(db) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORES, 'readonly');
+      const entries = [];
+
+      for (const name of STORES) {
+        const request = tx.objectStore(name).index('eviction').openKeyCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          const [lastAccessedAt, createdAt, size] = cursor.key;
+          entries.push({ store: name, key: cursor.primaryKey, createdAt, lastAccessedAt, size });
+          cursor.continue();
+        };
+      }
+
+      tx.oncomplete = () => {
+        entries.sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+        resolve(entries);
+      };
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Pick the entries to delete. Expired entries go first; then, least
+   * recently used first, pages until at most maxEntries remain and any
+   * entry until the total size is within maxBytes. 0 means unlimited.
+   * @param {Array} entries - From readEntries, least recently used first
+   * @returns {Array} The entries to delete
+   */
+  function selectEvictions(entries, limits = {}, now = Date.now()) {
+    const { maxEntries = 0, maxBytes = 0, ttlMs = 0 } = limits;
+    const evicted = [];
+    const live = [];
+
+    for (const entry of entries) {
+      if (ttlMs > 0 && now - entry.createdAt > ttlMs) evicted.push(entry);
+      else live.push(entry);
+    }
+
+    let pages = live.filter(entry => entry.store === STORE_NAME).length;
+    let bytes = live.reduce((sum, entry) => sum + entry.size, 0);
+
+    for (const entry of live) {
+      const overEntries = maxEntries > 0 && pages > maxEntries;
+      const overBytes = maxBytes > 0 && bytes > maxBytes;
+      if (!overEntries && !overBytes) break;
+
+      const isPage = entry.store === STORE_NAME;
+      // Over the page count only: blocks don't count towards it
+      if (!overBytes && !isPage) continue;
+
+      evicted.push(entry);
+      bytes -= entry.size;
+      if (isPage) pages--;
+    }
+
+    return evicted;
+  }
+
+  /**
+   * Enforce the cache limits ({ maxEntries, maxBytes, ttlMs }).
+   * @returns {Promise<number>} Number of records removed
+   */
+  async function evict(limits) {
+    const db = await initDB();
+    const evicted = selectEvictions(await readEntries(db), limits);
+    if (evicted.length === 0) return 0;
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([...STORES, SOURCE_STORE_NAME], 'readwrite');
+      for (const { store, key } of evicted) {
+        if (store === STORE_NAME) deletePages(tx, [key]);
+        else tx.objectStore(store).delete(key);
+      }
+      tx.oncomplete = () => resolve(evicted.length);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Current storage usage
+   * @returns {Promise<Object>} { pages, blocks, bytes }
+   */
+  async function usage() {
+    const entries = await readEntries(await initDB());
+    return {
+      pages: entries.filter(entry => entry.store === STORE_NAME).length,
+      blocks: entries.filter(entry => entry.store === BLOCK_STORE_NAME).length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    };
+  }
+
   async function closeDB() {
     if (!dbPromise) return;
     const db = await dbPromise;
@@ -116,5 +678,27 @@ const TranslationCache = (() => {
     dbPromise = null;
   }
 
-  return { initDB, get, put, list, remove, clear, closeDB };
+  return {
+    initDB,
+    get,
+    put,
+    updateItem,
+    updateBlock,
+    getBlocks,
+    putBlocks,
+    importRecords,
+    getRecord,
+    query,
+    facets,
+    list,
+    remove,
+    removeMany,
+    clear,
+    selectEvictions,
+    evict,
+    usage,
+    closeDB,
+  };
 })();
+
+globalThis.TranslationCache = TranslationCache;
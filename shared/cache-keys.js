@@ -0,0 +1,67 @@
+/**
+ * Translation cache keys.
+ * Exposed as global `CacheKeys` (non-module, matches project pattern) so the
+ * content script and the History page build the same keys.
+ *
+ *   page:  <hash of all source blocks>_<targetLanguage>[_g<glossary>][_s<style>]
+ *   block: <hash of one block's source items>_<targetLanguage>_<model>[_g…][_s…]
+ *
+ * A glossary or translation style changes what the model is told to produce,
+ * so they are part of both keys; the default style adds nothing. Hashes are
+ * DJB2 over the JSON form, in hex.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const CacheKeys = (() => {
+  const DJB2_INIT = 5381;
+  const DJB2_MULT = 33;
+
+  function hashString(content) {
+    let hash = DJB2_INIT;
+    for (let i = 0; i < content.length; i++) {
+      hash = (hash * DJB2_MULT) ^ content.charCodeAt(i);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  function promptKeySuffix(glossary, style) {
+    let suffix = '';
+    if (glossary) suffix += `_g${hashString(JSON.stringify(glossary))}`;
+    if (style) suffix += `_s${hashString(JSON.stringify(style))}`;
+    return suffix;
+  }
+
+  // sourceBlocks: [{ id, items: [[segment]] }], as sent to the API
+  function pageKey(sourceBlocks, targetLanguage, glossary, style) {
+    return (
+      `${hashString(JSON.stringify(sourceBlocks))}_${targetLanguage}` +
+      promptKeySuffix(glossary, style)
+    );
+  }
+
+  function blockKey(items, targetLanguage, model, glossary, style) {
+    return (
+      `${hashString(JSON.stringify(items))}_${targetLanguage}_${model || ''}` +
+      promptKeySuffix(glossary, style)
+    );
+  }
+
+  /**
+   * Key of one block of a cached page, for code that has the page's key but
+   * not the glossary and style it was made with (History): both keys end in
+   * the same glossary and style suffix.
+   */
+  function blockKeyInPage(pageKey, targetLanguage, model, items) {
+    const prefix = `_${targetLanguage}`;
+    const start = pageKey.indexOf(prefix);
+    const suffix = start === -1 ? '' : pageKey.slice(start + prefix.length);
+    return `${hashString(JSON.stringify(items))}_${targetLanguage}_${model || ''}${suffix}`;
+  }
+
+  return {
+    hashString,
+    pageKey,
+    blockKey,
+    blockKeyInPage,
+  };
+})();
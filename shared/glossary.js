@@ -0,0 +1,162 @@
+// Per-language glossary handling for Line Localization Machine
+//
+// A glossary is stored per target language code in chrome.storage.local:
+//   glossaries: { [languageCode]: { terms: [{ source, target }], keep: [term] } }
+// `terms` map a source term to the required translation; `keep` lists terms
+// that must be copied through untranslated (product names, code identifiers).
+
+const Glossary = {
+  // ─── Parsing (settings page textareas) ────────────────────────────────────
+
+  // One mapping per line: "source = target"
+  parseTerms(text) {
+    return String(text || '')
+      .split('\n')
+      .map(line => {
+        const sep = line.indexOf('=');
+        if (sep === -1) return null;
+        const source = line.slice(0, sep).trim();
+        const target = line.slice(sep + 1).trim();
+        return source && target ? { source, target } : null;
+      })
+      .filter(Boolean);
+  },
+
+  // One term per line
+  parseKeepList(text) {
+    return String(text || '')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+  },
+
+  formatTerms(terms) {
+    return (terms || []).map(t => `${t.source} = ${t.target}`).join('\n');
+  },
+
+  formatKeepList(keep) {
+    return (keep || []).join('\n');
+  },
+
+  isEmpty(glossary) {
+    return !glossary || ((glossary.terms || []).length === 0 && (glossary.keep || []).length === 0);
+  },
+
+  // ─── Prompt ───────────────────────────────────────────────────────────────
+
+  buildPromptSection(glossary) {
+    if (this.isEmpty(glossary)) return '';
+
+    const lines = [];
+    if (glossary.terms?.length) {
+      lines.push('GLOSSARY (mandatory — always translate these terms exactly as given):');
+      glossary.terms.forEach(t => lines.push(`- "${t.source}" → "${t.target}"`));
+    }
+    if (glossary.keep?.length) {
+      if (lines.length) lines.push('');
+      lines.push('NEVER TRANSLATE (copy these terms exactly as written):');
+      glossary.keep.forEach(term => lines.push(`- "${term}"`));
+    }
+    return lines.join('\n');
+  },
+
+  // ─── Learned corrections ──────────────────────────────────────────────────
+  //
+  // Translations the user fixed by hand, kept per target language apart from
+  // the glossary:
+  //   learnedCorrections: { [languageCode]: [{ source, target }] }
+  // They are examples for the model rather than rules, so they are neither
+  // enforced nor part of cache keys (learning one doesn't invalidate pages).
+
+  MAX_CORRECTIONS: 20,
+
+  // Newest first; correcting the same source text again replaces the old entry
+  addCorrection(corrections, { source, target }) {
+    const entry = { source: String(source || '').trim(), target: String(target || '').trim() };
+    const others = (corrections || []).filter(c => c.source !== entry.source);
+    if (!entry.source || !entry.target) return others;
+    return [entry, ...others].slice(0, this.MAX_CORRECTIONS);
+  },
+
+  buildCorrectionsSection(corrections) {
+    if (!corrections?.length) return '';
+
+    const lines = [
+      'PAST CORRECTIONS (the reader fixed these earlier translations — follow the same wording when the same or similar text appears):',
+    ];
+    corrections.forEach(c => lines.push(`- "${c.source}" → "${c.target}"`));
+    return lines.join('\n');
+  },
+
+  // ─── Verification ─────────────────────────────────────────────────────────
+
+  termPattern(term, flags) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Word boundaries only make sense for terms that start/end with word chars;
+    // CJK terms have no spaces around them
+    const start = /^\w/.test(term) ? '\\b' : '';
+    const end = /\w$/.test(term) ? '\\b' : '';
+    return new RegExp(`${start}${escaped}${end}`, flags);
+  },
+
+  containsTerm(text, term) {
+    return this.termPattern(term, 'i').test(text);
+  },
+
+  /**
+   * Check one translated block against the glossary.
+   *
+   * When the model left a glossary source term untranslated, the term is
+   * replaced with its required translation in place (segment structure is
+   * preserved). Anything that cannot be fixed that way is reported as a
+   * violation so the page can flag it.
+   *
+   * @param {Array<Array<string>>} sourceItems - Original segments per item
+   * @param {Array<Array<string>>} translatedItems - Translated segments per item
+   * @param {Object} glossary - { terms, keep }
+   * @returns {{items: Array, violations: Array<{itemIndex, missing}>, corrections: number}}
+   */
+  enforce(sourceItems, translatedItems, glossary) {
+    if (this.isEmpty(glossary) || !Array.isArray(translatedItems)) {
+      return { items: translatedItems, violations: [], corrections: 0 };
+    }
+
+    const violations = [];
+    let corrections = 0;
+
+    const items = translatedItems.map((segments, itemIndex) => {
+      if (!Array.isArray(segments)) return segments;
+
+      const sourceSegments = sourceItems?.[itemIndex];
+      const sourceText = Array.isArray(sourceSegments) ? sourceSegments.join('') : '';
+      let fixed = segments.map(s => String(s ?? ''));
+      const missing = [];
+
+      for (const { source, target } of glossary.terms || []) {
+        if (!this.containsTerm(sourceText, source)) continue;
+        if (this.containsTerm(fixed.join(''), target)) continue;
+
+        const replaced = fixed.map(seg => seg.replace(this.termPattern(source, 'gi'), target));
+        if (this.containsTerm(replaced.join(''), target)) {
+          fixed = replaced;
+          corrections++;
+        } else {
+          missing.push({ term: source, expected: target });
+        }
+      }
+
+      for (const term of glossary.keep || []) {
+        if (this.containsTerm(sourceText, term) && !this.containsTerm(fixed.join(''), term)) {
+          missing.push({ term, expected: term });
+        }
+      }
+
+      if (missing.length > 0) violations.push({ itemIndex, missing });
+      return fixed;
+    });
+
+    return { items, violations, corrections };
+  },
+};
+
+export default Glossary;
@@ -0,0 +1,251 @@
+/**
+ * Export / import format for translation history (TranslationCache records).
+ *
+ * A JSON export is { format, version, exportedAt, records }. Records carry
+ * only portable fields — per-machine bookkeeping (lastAccessedAt, size) is
+ * dropped on export and recreated on import. Entries can also be exported as
+ * standalone Markdown or HTML documents for reading and sharing; pages saved
+ * with their original text (`sourceBlocks`) read as source/translation pairs.
+ *
+ * Exposed as global `HistoryExport` (non-module, matches project pattern).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const HistoryExport = (() => {
+  const FORMAT = 'llm-translation-history';
+  const VERSION = 1;
+
+  // Optional string metadata written alongside a page (see content CACHE_PUT)
+  const METADATA_FIELDS = ['url', 'title', 'sourceText', 'profileId', 'profileName', 'model'];
+
+  function portableRecord(record) {
+    const portable = {
+      cacheKey: record.cacheKey,
+      targetLanguage: record.targetLanguage,
+      blocks: record.blocks,
+      totalBlocks: record.totalBlocks,
+      createdAt: record.createdAt,
+    };
+    for (const field of METADATA_FIELDS) {
+      if (typeof record[field] === 'string') portable[field] = record[field];
+    }
+    if (Array.isArray(record.sourceBlocks)) portable.sourceBlocks = record.sourceBlocks;
+    return portable;
+  }
+
+  function buildExport(records, now = Date.now()) {
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date(now).toISOString(),
+      records: records.map(portableRecord),
+    };
+  }
+
+  const isSegmentList = item => Array.isArray(item) && item.every(seg => typeof seg === 'string');
+
+  function isValidBlock(block) {
+    return (
+      block !== null &&
+      typeof block === 'object' &&
+      Number.isInteger(block.id) &&
+      block.id >= 0 &&
+      Array.isArray(block.items) &&
+      block.items.every(isSegmentList)
+    );
+  }
+
+  /**
+   * Validate one imported record.
+   * @returns {Object|null} The portable record, or null if it is malformed
+   */
+  function validateRecord(record) {
+    if (!record || typeof record !== 'object') return null;
+    if (typeof record.cacheKey !== 'string' || record.cacheKey.length === 0) return null;
+    if (typeof record.targetLanguage !== 'string' || record.targetLanguage.length === 0) {
+      return null;
+    }
+    if (!Array.isArray(record.blocks) || !record.blocks.every(isValidBlock)) return null;
+    // Original text is optional (older exports and pages have none)
+    if (
+      record.sourceBlocks !== undefined &&
+      !(Array.isArray(record.sourceBlocks) && record.sourceBlocks.every(isValidBlock))
+    ) {
+      return null;
+    }
+
+    const totalBlocks = Number.isInteger(record.totalBlocks)
+      ? record.totalBlocks
+      : record.blocks.length;
+    const createdAt = Number.isFinite(record.createdAt) ? record.createdAt : Date.now();
+
+    return portableRecord({ ...record, totalBlocks, createdAt });
+  }
+
+  /**
+   * Parse the contents of an export file.
+   * @returns {Object} { records, invalid } — valid records and the count of rejected ones
+   * @throws {Error} If the text is not a history export at all
+   */
+  function parseExport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('File is not valid JSON');
+    }
+    if (!data || data.format !== FORMAT || !Array.isArray(data.records)) {
+      throw new Error('File is not a translation history export');
+    }
+    if (data.version > VERSION) {
+      throw new Error('Export was made by a newer version of the extension');
+    }
+
+    const records = [];
+    let invalid = 0;
+    for (const record of data.records) {
+      const valid = validateRecord(record);
+      if (valid) records.push(valid);
+      else invalid++;
+    }
+    return { records, invalid };
+  }
+
+  // ─── Readable documents ─────────────────────────────────────────────────
+
+  const itemText = item => (Array.isArray(item) ? item.join(' ') : String(item ?? ''));
+
+  function hasSource(record) {
+    return Array.isArray(record.sourceBlocks) && record.sourceBlocks.length > 0;
+  }
+
+  /**
+   * Line up each translated item with the original it came from. Blocks are
+   * matched by id and items by position; `source` is '' when the page was
+   * saved without its original text.
+   * @returns {Array} One [{ blockId, itemIndex, source, translation }] list per non-empty block
+   */
+  function blockPairs(record) {
+    const sourceById = new Map((record.sourceBlocks || []).map(block => [block.id, block.items]));
+    return (record.blocks || [])
+      .map(block => {
+        const sourceItems = sourceById.get(block.id) || [];
+        return (block.items || [])
+          .map((item, i) => ({
+            blockId: block.id,
+            itemIndex: i,
+            source: sourceItems[i] ? itemText(sourceItems[i]) : '',
+            translation: itemText(item),
+          }))
+          .filter(pair => pair.translation.trim().length > 0);
+      })
+      .filter(pairs => pairs.length > 0);
+  }
+
+  function formatDate(timestamp) {
+    return new Date(timestamp || 0).toISOString().slice(0, 10);
+  }
+
+  function toMarkdown(record, languageName = record.targetLanguage) {
+    const lines = [`# ${record.title || 'Untitled page'}`, ''];
+    if (record.url) lines.push(`- Source: <${record.url}>`);
+    lines.push(`- Translated to: ${languageName}`);
+    if (record.profileName || record.model) {
+      lines.push(`- Model: ${[record.profileName, record.model].filter(Boolean).join(' · ')}`);
+    }
+    lines.push(`- Date: ${formatDate(record.createdAt)}`, '');
+
+    const bilingual = hasSource(record);
+    if (record.sourceText && !bilingual) {
+      lines.push(`> ${record.sourceText.replace(/\s+/g, ' ').trim()}…`, '');
+    }
+
+    // Originals are quoted above their translation
+    const quote = text => `> ${text.replace(/\s+/g, ' ').trim()}\n\n`;
+    const blocks = blockPairs(record).map(pairs =>
+      pairs
+        .map(({ source, translation }) => (bilingual && source ? quote(source) : '') + translation)
+        .join('\n\n')
+    );
+    lines.push(blocks.join('\n\n---\n\n'), '');
+    return lines.join('\n');
+  }
+
+  function escapeHTML(str) {
+    return String(str ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function toHTML(record, languageName = record.targetLanguage) {
+    const title = escapeHTML(record.title || 'Untitled page');
+    const meta = [
+      record.url ? `<a href="${escapeHTML(record.url)}">${escapeHTML(record.url)}</a>` : '',
+      `Translated to ${escapeHTML(languageName)}`,
+      escapeHTML([record.profileName, record.model].filter(Boolean).join(' · ')),
+      formatDate(record.createdAt),
+    ].filter(Boolean);
+
+    const bilingual = hasSource(record);
+    const pairHTML = ({ source, translation }) =>
+      bilingual
+        ? `<div class="pair"><p class="source">${escapeHTML(source)}</p>` +
+          `<p>${escapeHTML(translation)}</p></div>`
+        : `<p>${escapeHTML(translation)}</p>`;
+    const body = blockPairs(record)
+      .map(pairs => `<section>${pairs.map(pairHTML).join('')}</section>`)
+      .join('\n');
+    const excerpt =
+      record.sourceText && !bilingual
+        ? `<blockquote>${escapeHTML(record.sourceText)}…</blockquote>`
+        : '';
+
+    return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { max-width: 40em; margin: 2em auto; padding: 0 1em; font: 16px/1.7 Georgia, serif; color: #2d2a25; }
+  .meta { font: 12px monospace; color: #8a857a; }
+  blockquote { color: #8a857a; border-left: 3px solid #e0ded7; margin: 1em 0; padding-left: 1em; }
+  section { border-bottom: 1px solid #e0ded7; padding: 0.5em 0; }
+  body.bilingual { max-width: 64em; }
+  .pair { display: grid; grid-template-columns: 1fr 1fr; gap: 1.5em; }
+  .source { color: #8a857a; }
+</style>
+</head>
+<body${bilingual ? ' class="bilingual"' : ''}>
+<h1>${title}</h1>
+<p class="meta">${meta.join(' &middot; ')}</p>
+${excerpt}
+${body}
+</body>
+</html>
+`;
+  }
+
+  // A filesystem-safe name such as "my-article-japanese.md"
+  function fileName(record, extension) {
+    const slug = `${record.title || 'translation'} ${record.targetLanguage || ''}`
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80);
+    return `${slug || 'translation'}.${extension}`;
+  }
+
+  return {
+    FORMAT,
+    VERSION,
+    buildExport,
+    validateRecord,
+    parseExport,
+    blockPairs,
+    toMarkdown,
+    toHTML,
+    fileName,
+  };
+})();
@@ -0,0 +1,194 @@
+/**
+ * Lightweight local source-language detection.
+ * Exposed as global `LanguageDetect` (non-module, matches project pattern) so
+ * the content script and popup can share it.
+ *
+ * Detection works in two steps: the dominant Unicode script settles most
+ * languages outright (kana → Japanese, Hangul → Korean, Cyrillic → Russian…);
+ * Han text is split into Simplified/Traditional by variant-specific
+ * characters, and Latin text is scored against short stopword lists.
+ * Returns one of the extension's language codes, or null when unsure.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const LanguageDetect = (() => {
+  const MIN_LETTERS = 6;
+
+  const SCRIPTS = {
+    han: /\p{Script=Han}/gu,
+    kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+    hangul: /\p{Script=Hangul}/gu,
+    cyrillic: /\p{Script=Cyrillic}/gu,
+    arabic: /\p{Script=Arabic}/gu,
+    devanagari: /\p{Script=Devanagari}/gu,
+    latin: /\p{Script=Latin}/gu,
+  };
+
+  // Common characters that differ between the two Chinese scripts, in pairs
+  // (the same position in both strings)
+  const SIMPLIFIED_ONLY =
+    '这们个来说时为国会对发后过还没样经问学现开关长见点种让书电话动语车东机业实体应与' +
+    '从两网无头题门间边请输码继续购买卖须价运费税该产仅线销转认记设计读写师华单员务区' +
+    '医标据报级约红给结统络总处钱银错页领馆选择链节确误显态户账号览载签录';
+  const TRADITIONAL_ONLY =
+    '這們個來說時為國會對發後過還沒樣經問學現開關長見點種讓書電話動語車東機業實體應與' +
+    '從兩網無頭題門間邊請輸碼繼續購買賣須價運費稅該產僅線銷轉認記設計讀寫師華單員務區' +
+    '醫標據報級約紅給結統絡總處錢銀錯頁領館選擇鏈節確誤顯態戶賬號覽載簽錄';
+
+  // Space-separated stopword lists for Latin-script languages
+  const STOPWORDS = {
+    english: 'the and is are of to in that with for this it you was be on not have',
+    spanish: 'el la los las de que y en un una es por con para del se no su',
+    french: 'le la les de des et est un une que qui dans pour pas sur du au ce',
+    german: 'der die das und ist nicht ein eine zu den mit sich auf für von dem auch ich',
+    portuguese: 'o a os as de que e do da em um uma para não com por é mais',
+    italian: 'il la di che e un una per non sono del della con gli le è nel si',
+    dutch: 'de het een en van is dat niet op te zijn met voor ook maar er wel ik',
+    swedish: 'och att det som en är på för med inte av till den har jag om ett var',
+    norwegian: 'og at det som en er på for med ikke av til den har jeg om et var',
+  };
+  const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(' '))])
+  );
+
+  const SHORT_CODES = {
+    english: 'EN',
+    spanish: 'ES',
+    french: 'FR',
+    german: 'DE',
+    chinese: 'ZH',
+    'chinese-traditional': 'ZH-TW',
+    japanese: 'JA',
+    korean: 'KO',
+    portuguese: 'PT',
+    italian: 'IT',
+    russian: 'RU',
+    arabic: 'AR',
+    hindi: 'HI',
+    dutch: 'NL',
+    swedish: 'SV',
+    norwegian: 'NO',
+  };
+
+  function countMatches(text, pattern) {
+    return (text.match(pattern) || []).length;
+  }
+
+  function countChars(text, chars) {
+    let count = 0;
+    for (const ch of text) {
+      if (chars.includes(ch)) count++;
+    }
+    return count;
+  }
+
+  function detectChinese(text) {
+    const simplified = countChars(text, SIMPLIFIED_ONLY);
+    const traditional = countChars(text, TRADITIONAL_ONLY);
+    if (traditional > simplified) return 'chinese-traditional';
+    if (simplified > traditional) return 'chinese';
+    // No variant-specific characters: the text reads the same in both
+    return 'chinese-any';
+  }
+
+  function detectLatin(text) {
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    let best = null;
+    let bestScore = 0;
+    let secondScore = 0;
+
+    for (const [lang, stopwords] of Object.entries(STOPWORD_SETS)) {
+      const score = words.reduce((n, word) => n + (stopwords.has(word) ? 1 : 0), 0);
+      if (score > bestScore) {
+        secondScore = bestScore;
+        bestScore = score;
+        best = lang;
+      } else if (score > secondScore) {
+        secondScore = score;
+      }
+    }
+
+    // Require a few hits and a clear winner — short or ambiguous text stays unknown
+    if (bestScore < 2 || bestScore === secondScore) return null;
+    return best;
+  }
+
+  /**
+   * Detect the language of a piece of text. May return 'chinese-any' for Han
+   * text with no Simplified/Traditional markers; see matchesTarget().
+   */
+  function detect(text) {
+    const value = String(text || '');
+    const counts = Object.fromEntries(
+      Object.entries(SCRIPTS).map(([script, pattern]) => [script, countMatches(value, pattern)])
+    );
+    const letters = Object.values(counts).reduce((a, b) => a + b, 0);
+    if (letters < MIN_LETTERS) return null;
+
+    if (counts.kana > 0 && counts.kana + counts.han >= letters * 0.5) return 'japanese';
+    if (counts.hangul >= letters * 0.5) return 'korean';
+    if (counts.han >= letters * 0.5) return detectChinese(value);
+    if (counts.cyrillic >= letters * 0.5) return 'russian';
+    if (counts.arabic >= letters * 0.5) return 'arabic';
+    if (counts.devanagari >= letters * 0.5) return 'hindi';
+    if (counts.latin >= letters * 0.5) return detectLatin(value);
+    return null;
+  }
+
+  /**
+   * Whether detected text is already in the target language. Han text with no
+   * variant markers ('chinese-any') can't be told apart, so it only counts as
+   * the target when the page's dominant language (see dominantLanguage()) is
+   * that same Chinese variant; otherwise it gets translated.
+   */
+  function matchesTarget(detected, targetLanguage, pageLanguage = null) {
+    if (!detected) return false;
+    if (detected === 'chinese-any') {
+      return targetLanguage.startsWith('chinese') && pageLanguage === targetLanguage;
+    }
+    return detected === targetLanguage;
+  }
+
+  /**
+   * Most common detected language across texts, weighted by length.
+   * Returns null when nothing could be detected.
+   */
+  function dominantLanguage(texts) {
+    const weights = new Map();
+    let ambiguousChinese = 0;
+    for (const text of texts) {
+      const lang = detect(text);
+      if (!lang) continue;
+      if (lang === 'chinese-any') {
+        ambiguousChinese += String(text).length;
+        continue;
+      }
+      weights.set(lang, (weights.get(lang) || 0) + String(text).length);
+    }
+
+    // Unmarked Han text follows whichever Chinese variant the rest of the page uses
+    if (ambiguousChinese > 0) {
+      const variant =
+        (weights.get('chinese-traditional') || 0) > (weights.get('chinese') || 0)
+          ? 'chinese-traditional'
+          : 'chinese';
+      weights.set(variant, (weights.get(variant) || 0) + ambiguousChinese);
+    }
+
+    let best = null;
+    let bestWeight = 0;
+    for (const [lang, weight] of weights) {
+      if (weight > bestWeight) {
+        best = lang;
+        bestWeight = weight;
+      }
+    }
+    return best;
+  }
+
+  function shortCode(languageCode) {
+    return SHORT_CODES[languageCode] || String(languageCode || '').toUpperCase();
+  }
+
+  return { detect, matchesTarget, dominantLanguage, shortCode };
+})();
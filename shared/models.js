@@ -1,7 +1,8 @@
 // Centralized model & provider configuration for Line Localization Machine
 
 const ModelConfig = {
-  // Provider presets — each has a name, endpoint, default model, and model list
+  // Provider presets — each has a name, endpoint, default model, and model list.
+  // `api` names the wire format (see API_FORMATS); omitted means 'openai'.
   PROVIDERS: {
     openai: {
       name: 'OpenAI',
@@ -25,6 +26,18 @@ const ModelConfig = {
         'gemini-2.5-pro': 'Gemini 2.5 Pro',
       },
     },
+    anthropic: {
+      name: 'Anthropic',
+      endpoint: 'https://api.anthropic.com/v1',
+      api: 'anthropic',
+      defaultModel: 'claude-haiku-4-5',
+      models: ['claude-haiku-4-5', 'claude-sonnet-4-5', 'claude-opus-4-1'],
+      descriptions: {
+        'claude-haiku-4-5': 'Claude Haiku 4.5 (Recommended)',
+        'claude-sonnet-4-5': 'Claude Sonnet 4.5',
+        'claude-opus-4-1': 'Claude Opus 4.1',
+      },
+    },
     ollama: {
       name: 'Ollama',
       endpoint: 'https://ollama.com/v1/',
@@ -45,17 +58,98 @@ const ModelConfig = {
 
   DEFAULT_PROVIDER: 'openai',
 
+  // Supported API wire formats — custom providers pick one in settings
+  API_FORMATS: {
+    openai: 'OpenAI-compatible (/chat/completions)',
+    anthropic: 'Anthropic Messages (/messages)',
+  },
+
+  // Target language codes, in the order the language menus list them
+  TARGET_LANGUAGES: [
+    'english',
+    'spanish',
+    'french',
+    'german',
+    'chinese',
+    'chinese-traditional',
+    'japanese',
+    'korean',
+    'portuguese',
+    'italian',
+    'russian',
+    'arabic',
+    'hindi',
+    'dutch',
+    'swedish',
+    'norwegian',
+  ],
+
+  // List prices in USD per million tokens, used to estimate what translations
+  // cost. Reasoning tokens are billed as output. Settings lets the user correct
+  // these or price other models; their entries are stored as
+  // modelPrices: { [modelId]: { input, output } } and win over this table.
+  MODEL_PRICES: {
+    'gpt-5.4-nano': { input: 0.2, output: 1.25 },
+    'gpt-5.4-mini': { input: 0.75, output: 4.5 },
+    'gpt-5.4': { input: 2.5, output: 15 },
+    'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'claude-sonnet-4-5': { input: 3, output: 15 },
+    'claude-opus-4-1': { input: 15, output: 75 },
+  },
+
   // Default extension settings
   DEFAULT_SETTINGS: {
     apiKey: '',
     provider: 'openai',
     apiEndpoint: 'https://api.openai.com/v1',
+    apiFormat: 'openai',
     model: 'gpt-5.4-nano',
     customModel: '',
     targetLanguage: 'chinese-traditional',
     reasoningEffort: 'medium',
+    displayMode: 'replace',
+    liveTranslation: false,
+    maxConcurrentStreams: 2,
+    // Per profile, applied across all tabs to every profile on the same
+    // endpoint and API key (the strictest one wins); 0 = no limit
+    concurrencyLimit: 4,
+    requestsPerMinute: 0,
+    tokensPerMinute: 0,
+    cacheMaxEntries: 500,
+    cacheMaxMB: 50,
+    cacheTTLDays: 30,
+    glossaries: {},
+    learnedCorrections: {},
+    translationStyle: 'default',
+    customStyles: [],
+    modelPrices: {},
+    pageCostWarning: 0, // USD per page; 0 = never warn
+    dailyBudget: 0, // USD; 0 = no budget
+    monthlyBudget: 0,
+    siteRules: [],
+    profiles: [],
+    activeProfileId: '',
+    fallbackProfileIds: [],
   },
 
+  // Connection settings that belong to a profile. The top-level keys of the
+  // same name are only read to seed the first profile for older installs.
+  PROFILE_FIELDS: [
+    'provider',
+    'apiEndpoint',
+    'apiFormat',
+    'apiKey',
+    'model',
+    'customModel',
+    'reasoningEffort',
+    'concurrencyLimit',
+    'requestsPerMinute',
+    'tokensPerMinute',
+  ],
+
   // Helper methods
   getProvider(providerId) {
     return this.PROVIDERS[providerId] || this.PROVIDERS.custom;
@@ -87,6 +181,14 @@ const ModelConfig = {
     return this.getProvider(providerId).endpoint;
   },
 
+  // Preset providers fix their format; custom providers use the stored choice
+  resolveApiFormat(providerId, customFormat) {
+    if (providerId === 'custom') {
+      return this.API_FORMATS[customFormat] ? customFormat : 'openai';
+    }
+    return this.getProvider(providerId).api || 'openai';
+  },
+
   // Migrate legacy settings that have no provider field
   migrateSettings(settings) {
     if (settings.provider) {
@@ -107,6 +209,74 @@ const ModelConfig = {
     return { ...settings, provider: 'custom' };
   },
 
+  createProfile(name, fields = {}) {
+    const profile = {
+      id: `profile_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      name: String(name || '').trim() || 'Untitled',
+    };
+    for (const field of this.PROFILE_FIELDS) {
+      profile[field] = field in fields ? fields[field] : this.DEFAULT_SETTINGS[field];
+    }
+    return profile;
+  },
+
+  // Ensure settings carry at least one profile and a valid activeProfileId.
+  // Installs from before profiles existed get a "Default" profile built from
+  // their top-level connection settings.
+  migrateProfiles(settings) {
+    let profiles = Array.isArray(settings.profiles) ? settings.profiles : [];
+    if (profiles.length === 0) {
+      const profile = this.createProfile('Default', settings);
+      profiles = [{ ...profile, id: 'default' }];
+    }
+
+    const activeProfileId = profiles.some(p => p.id === settings.activeProfileId)
+      ? settings.activeProfileId
+      : profiles[0].id;
+
+    return { ...settings, profiles, activeProfileId };
+  },
+
+  getActiveProfile(settings) {
+    const migrated = this.migrateProfiles(settings);
+    return migrated.profiles.find(p => p.id === migrated.activeProfileId);
+  },
+
+  // Flatten the active profile onto the settings object so consumers can keep
+  // reading settings.apiKey, settings.model, etc. Adds profileId/profileName.
+  applyActiveProfile(settings) {
+    const migrated = this.migrateProfiles(settings);
+    const profile = migrated.profiles.find(p => p.id === migrated.activeProfileId);
+
+    const flattened = { ...migrated, profileId: profile.id, profileName: profile.name };
+    for (const field of this.PROFILE_FIELDS) {
+      if (profile[field] !== undefined) flattened[field] = profile[field];
+    }
+    return flattened;
+  },
+
+  // Translate the cache settings into TranslationCache.evict() limits (0 = unlimited)
+  getCacheLimits(settings) {
+    const number = value => Math.max(0, Number(value) || 0);
+    return {
+      maxEntries: number(settings.cacheMaxEntries),
+      maxBytes: number(settings.cacheMaxMB) * 1024 * 1024,
+      ttlMs: number(settings.cacheTTLDays) * 24 * 60 * 60 * 1000,
+    };
+  },
+
+  // A model's price as { input, output } per million tokens: the user's own
+  // price for it if set, else the built-in one, else null
+  getModelPrice(modelId, modelPrices) {
+    return modelPrices?.[modelId] || this.MODEL_PRICES[modelId] || null;
+  },
+
+  // The language after `current` in TARGET_LANGUAGES, wrapping around
+  nextTargetLanguage(current) {
+    const index = this.TARGET_LANGUAGES.indexOf(current);
+    return this.TARGET_LANGUAGES[(index + 1) % this.TARGET_LANGUAGES.length];
+  },
+
   getDefaultSettings() {
     return { ...this.DEFAULT_SETTINGS };
   },
@@ -0,0 +1,230 @@
+// Provider wire-format adapters for APIClient
+//
+// APIClient speaks one internal shape (OpenAI-style `messages` in, plain
+// content/reasoning text out). Each adapter translates that to and from one
+// HTTP API:
+//   buildRequest(config, messages, options) → { path, headers, body }
+//   parseResponse(data)      → { content, usage, model }  (non-streaming)
+//   parseStreamEvent(payload) → { content?, reasoning?, usage?, done?, error? }
+//   errorMessage(errorData)  → message from an error response body
+//
+// Usage is normalised to OpenAI's field names: { prompt_tokens,
+// completion_tokens, total_tokens, reasoning_tokens? }. A stream may report it
+// in pieces; later events overwrite earlier fields.
+
+// Endpoints known to accept stream_options (OpenAI and the Google preset).
+// Other OpenAI-compatible servers may reject the request over it, so their
+// streams go without usage and the background records an estimate instead.
+const STREAM_USAGE_ENDPOINTS = [
+  /^https:\/\/api\.openai\.com(\/|$)/i,
+  /^https:\/\/generativelanguage\.googleapis\.com(\/|$)/i,
+];
+
+const OpenAIAdapter = {
+  buildRequest(config, messages, { maxTokens, reasoningEffort, stream }) {
+    const body = {
+      model: config.model,
+      messages,
+      temperature: 1,
+      max_completion_tokens: maxTokens,
+    };
+    if (stream) {
+      body.stream = true;
+      const endpoint = String(config.apiEndpoint || '').trim();
+      if (STREAM_USAGE_ENDPOINTS.some(pattern => pattern.test(endpoint))) {
+        // Adds a final chunk with token usage (choices is empty in it)
+        body.stream_options = { include_usage: true };
+      }
+    }
+
+    // Only add reasoning_effort if enabled (not 'off')
+    if (reasoningEffort && reasoningEffort !== 'off') {
+      body.reasoning_effort = reasoningEffort;
+    }
+
+    return {
+      path: 'chat/completions',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${config.apiKey}`,
+      },
+      body,
+    };
+  },
+
+  parseResponse(data) {
+    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+      throw new Error('Invalid API response format');
+    }
+
+    // Safe content extraction — some models (DeepSeek, QwQ) put output in
+    // reasoning/reasoning_content instead of content
+    const message = data.choices[0].message;
+    const messageContent = message.content || message.reasoning || message.reasoning_content || '';
+    return {
+      content: (typeof messageContent === 'string' ? messageContent : '').trim(),
+      usage: data.usage,
+      model: data.model,
+    };
+  },
+
+  parseStreamEvent(payload) {
+    const delta = payload.choices?.[0]?.delta;
+    const event = {};
+    if (delta) {
+      event.reasoning = delta.reasoning_content || delta.reasoning || undefined;
+      event.content = delta.content || undefined;
+    }
+    if (payload.usage) event.usage = this.normalizeUsage(payload.usage);
+    return event;
+  },
+
+  // Reasoning tokens are already counted in completion_tokens
+  normalizeUsage(usage) {
+    const normalized = {
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      total_tokens: usage.total_tokens || 0,
+    };
+    const reasoning = usage.completion_tokens_details?.reasoning_tokens;
+    if (reasoning) normalized.reasoning_tokens = reasoning;
+    return normalized;
+  },
+
+  errorMessage(errorData) {
+    return errorData?.error?.message;
+  },
+};
+
+// Extended-thinking token budgets for the shared reasoningEffort setting
+const ANTHROPIC_THINKING_BUDGETS = {
+  minimal: 1024,
+  low: 2048,
+  medium: 4096,
+  high: 8192,
+};
+
+// Most output tokens (thinking included) each model accepts in max_tokens.
+// Models not listed, e.g. custom IDs, get the lowest current cap.
+const ANTHROPIC_OUTPUT_CAPS = {
+  'claude-haiku-4-5': 64000,
+  'claude-sonnet-4-5': 64000,
+  'claude-opus-4-1': 32000,
+};
+const DEFAULT_ANTHROPIC_OUTPUT_CAP = 32000;
+
+const AnthropicAdapter = {
+  API_VERSION: '2023-06-01',
+
+  outputCap(model) {
+    return ANTHROPIC_OUTPUT_CAPS[model] || DEFAULT_ANTHROPIC_OUTPUT_CAP;
+  },
+
+  buildRequest(config, messages, { maxTokens, reasoningEffort, stream }) {
+    // Anthropic takes the system prompt as a top-level field, not a message
+    const system = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+
+    const cap = this.outputCap(config.model);
+    const body = {
+      model: config.model,
+      max_tokens: Math.min(maxTokens, cap),
+      messages: messages
+        .filter(m => m.role !== 'system')
+        .map(m => ({ role: m.role, content: m.content })),
+    };
+    if (system) body.system = system;
+    if (stream) body.stream = true;
+
+    // The thinking budget counts against max_tokens, so add room for it up
+    // to the model's cap; past that, thinking comes out of the answer's share
+    const budget = ANTHROPIC_THINKING_BUDGETS[reasoningEffort];
+    if (budget) {
+      body.thinking = { type: 'enabled', budget_tokens: budget };
+      body.max_tokens = Math.min(maxTokens + budget, cap);
+    }
+
+    return {
+      path: 'messages',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': config.apiKey,
+        'anthropic-version': this.API_VERSION,
+        // Required for requests made from a browser (extension) context
+        'anthropic-dangerous-direct-browser-access': 'true',
+      },
+      body,
+    };
+  },
+
+  parseResponse(data) {
+    if (!Array.isArray(data.content)) {
+      throw new Error('Invalid API response format');
+    }
+
+    const content = data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('')
+      .trim();
+
+    // Normalise usage to the OpenAI field names the rest of the code reads
+    const usage = data.usage
+      ? {
+          prompt_tokens: data.usage.input_tokens,
+          completion_tokens: data.usage.output_tokens,
+          total_tokens: (data.usage.input_tokens || 0) + (data.usage.output_tokens || 0),
+        }
+      : undefined;
+
+    return { content, usage, model: data.model };
+  },
+
+  parseStreamEvent(payload) {
+    switch (payload.type) {
+      case 'content_block_delta': {
+        const delta = payload.delta || {};
+        if (delta.type === 'text_delta') return { content: delta.text };
+        if (delta.type === 'thinking_delta') return { reasoning: delta.thinking };
+        return {};
+      }
+      // Input tokens arrive first, the (cumulative) output count at the end
+      case 'message_start': {
+        const usage = payload.message?.usage;
+        return usage ? { usage: { prompt_tokens: usage.input_tokens || 0 } } : {};
+      }
+      case 'message_delta':
+        return payload.usage
+          ? { usage: { completion_tokens: payload.usage.output_tokens || 0 } }
+          : {};
+      case 'message_stop':
+        return { done: true };
+      case 'error':
+        return { error: payload.error?.message || 'Stream error' };
+      default:
+        return {};
+    }
+  },
+
+  errorMessage(errorData) {
+    return errorData?.error?.message;
+  },
+};
+
+const ADAPTERS = {
+  openai: OpenAIAdapter,
+  anthropic: AnthropicAdapter,
+};
+
+const ProviderAdapters = {
+  FORMATS: Object.keys(ADAPTERS),
+
+  // Unknown or missing formats fall back to OpenAI-compatible
+  get(apiFormat) {
+    return ADAPTERS[apiFormat] || OpenAIAdapter;
+  },
+};
+
+export default ProviderAdapters;
@@ -0,0 +1,91 @@
+/**
+ * Per-site auto-translate rules.
+ * Exposed as global `SiteRules` (non-module, matches project pattern) so the
+ * content script, popup and settings page can share the matching logic.
+ *
+ * Rules live in chrome.storage.local under `siteRules`:
+ *   [{ id, pattern, mode: 'always' | 'never', targetLanguage }]
+ * `pattern` is a hostname glob: `*` matches any run of characters, and a
+ * leading `*.` also matches the bare domain (`*.example.jp` ⊇ `example.jp`).
+ * An empty `targetLanguage` means "use the default language from settings".
+ */
+
+// eslint-disable-next-line no-unused-vars
+const SiteRules = (() => {
+  const MODES = ['always', 'never'];
+
+  // Accept pasted URLs as well as bare hostnames
+  function normalizePattern(pattern) {
+    return String(pattern || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+      .replace(/[/?#].*$/, '')
+      .replace(/:\d+$/, '');
+  }
+
+  function isValidPattern(pattern) {
+    const normalized = normalizePattern(pattern);
+    return normalized.length > 0 && /^[a-z0-9*.-]+$/.test(normalized) && normalized !== '*';
+  }
+
+  function patternToRegExp(pattern) {
+    const normalized = normalizePattern(pattern);
+    const escaped = normalized
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    const source = normalized.startsWith('*.') ? `(?:.*\\.)?${escaped.slice(4)}` : escaped;
+    return new RegExp(`^${source}$`);
+  }
+
+  function matchesHost(pattern, hostname) {
+    if (!isValidPattern(pattern) || !hostname) return false;
+    return patternToRegExp(pattern).test(String(hostname).toLowerCase());
+  }
+
+  // Exact hostnames beat any wildcard; among wildcards, more literal characters win
+  function specificity(pattern) {
+    const normalized = normalizePattern(pattern);
+    const literal = normalized.replace(/\*/g, '').length;
+    return normalized.includes('*') ? literal : Number.MAX_SAFE_INTEGER;
+  }
+
+  /**
+   * Find the rule that applies to a hostname: the matching rule with the most
+   * specific pattern, so an exact rule overrides a wildcard either way. On a
+   * tie 'never' wins, then the earlier rule.
+   */
+  function findRule(rules, hostname) {
+    if (!Array.isArray(rules) || !hostname) return null;
+
+    let best = null;
+    for (const rule of rules) {
+      if (!rule || !matchesHost(rule.pattern, hostname)) continue;
+      if (!best) {
+        best = rule;
+        continue;
+      }
+      const diff = specificity(rule.pattern) - specificity(best.pattern);
+      if (diff > 0 || (diff === 0 && rule.mode === 'never' && best.mode !== 'never')) best = rule;
+    }
+    return best;
+  }
+
+  function createRule({ pattern, mode = 'always', targetLanguage = '' }) {
+    if (!isValidPattern(pattern)) {
+      throw new Error(`Invalid site pattern: "${pattern}"`);
+    }
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid rule mode: "${mode}"`);
+    }
+    return {
+      id: `rule_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      pattern: normalizePattern(pattern),
+      mode,
+      targetLanguage: mode === 'always' ? targetLanguage || '' : '',
+    };
+  }
+
+  return { MODES, normalizePattern, isValidPattern, matchesHost, findRule, createRule };
+})();
@@ -0,0 +1,255 @@
+/**
+ * Token usage ledger: what every translation request consumed, for the cost
+ * totals in Settings and History.
+ *
+ * Kept in chrome.storage.local under `usageLedger`:
+ *   days:  { 'YYYY-MM-DD': [{ provider, model, domain, requests, estimated, prompt, completion, reasoning }] }
+ *   pages: { [cacheKey]: { updatedAt, rows: [{ provider, model, requests, estimated, prompt, completion, reasoning }] } }
+ * Days are local dates; pages use the translation cache's key, so History can
+ * show what each cached translation cost. `estimated` counts the requests
+ * whose tokens were (partly) estimated because the provider reported none.
+ *
+ * Only token counts are stored. Costs are worked out when shown, from the
+ * price table in effect (ModelConfig.MODEL_PRICES plus the user's own prices),
+ * so correcting a price corrects past totals too. Reasoning tokens are already
+ * part of the completion tokens and billed as output; they are kept apart only
+ * to be shown.
+ *
+ * The same prices turn pre-flight token estimates into costs for the per-page
+ * warning and the daily and monthly budgets (estimateCost, overBudget).
+ *
+ * The background records usage as requests finish; record() serialises the
+ * read-modify-write so concurrent streams don't overwrite each other.
+ *
+ * Exposed as global `UsageLedger` (non-module, matches project pattern).
+ * The background service worker imports this file for its side effect, so it
+ * is also published on globalThis.
+ */
+
+const UsageLedger = (() => {
+  const STORAGE_KEY = 'usageLedger';
+  const KEEP_DAYS = 400; // This month and the same month a year ago
+  const MAX_PAGES = 2000;
+  const TOKEN_FIELDS = ['prompt', 'completion', 'reasoning'];
+
+  function empty() {
+    return { days: {}, pages: {} };
+  }
+
+  // Local calendar date as 'YYYY-MM-DD', so string order is date order
+  function dayKey(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // { prompt, completion, reasoning } from API usage (OpenAI field names)
+  function tokensOf(usage) {
+    return {
+      prompt: usage?.prompt_tokens || 0,
+      completion: usage?.completion_tokens || 0,
+      reasoning: usage?.reasoning_tokens || 0,
+    };
+  }
+
+  // Add tokens to the row matching every field of `key`, creating it if needed
+  function addTo(rows, key, tokens, requests = 1, estimated = 0) {
+    let row = rows.find(r => Object.entries(key).every(([field, value]) => r[field] === value));
+    if (!row) {
+      row = { ...key, requests: 0, estimated: 0, prompt: 0, completion: 0, reasoning: 0 };
+      rows.push(row);
+    }
+    row.requests += requests;
+    // Rows recorded before estimates existed have no count
+    row.estimated = (row.estimated || 0) + estimated;
+    TOKEN_FIELDS.forEach(field => (row[field] += tokens[field]));
+  }
+
+  /**
+   * Add one request's usage to a ledger (mutates and returns it). Days older
+   * than KEEP_DAYS and the least recently updated pages beyond MAX_PAGES are
+   * dropped.
+   * @param {Object} entry - { provider, model, domain, cacheKey?, usage };
+   *   usage.estimated is set when some of its tokens are estimates
+   */
+  function add(ledger, { provider, model, domain, cacheKey, usage }, now = new Date()) {
+    const tokens = tokensOf(usage);
+    const estimated = usage?.estimated ? 1 : 0;
+    const day = dayKey(now);
+    ledger.days[day] ||= [];
+    addTo(ledger.days[day], { provider, model, domain: domain || '' }, tokens, 1, estimated);
+
+    if (cacheKey) {
+      ledger.pages[cacheKey] ||= { rows: [] };
+      ledger.pages[cacheKey].updatedAt = now.getTime();
+      addTo(ledger.pages[cacheKey].rows, { provider, model }, tokens, 1, estimated);
+    }
+
+    const cutoff = dayKey(new Date(now.getTime() - KEEP_DAYS * 24 * 60 * 60 * 1000));
+    Object.keys(ledger.days)
+      .filter(key => key < cutoff)
+      .forEach(key => delete ledger.days[key]);
+
+    const pages = Object.entries(ledger.pages);
+    if (pages.length > MAX_PAGES) {
+      pages
+        .sort(([, a], [, b]) => a.updatedAt - b.updatedAt)
+        .slice(0, pages.length - MAX_PAGES)
+        .forEach(([key]) => delete ledger.pages[key]);
+    }
+    return ledger;
+  }
+
+  /**
+   * Sum usage rows and price them. priceOf(model) returns { input, output }
+   * in USD per million tokens, or null for a model without a price; those
+   * tokens are counted in unpricedTokens instead of the cost.
+   * @returns {Object} { requests, estimated, prompt, completion, reasoning, cost, unpricedTokens }
+   */
+  function total(rows, priceOf) {
+    const sum = {
+      requests: 0,
+      estimated: 0,
+      prompt: 0,
+      completion: 0,
+      reasoning: 0,
+      cost: 0,
+      unpricedTokens: 0,
+    };
+    for (const row of rows) {
+      sum.requests += row.requests;
+      sum.estimated += row.estimated || 0;
+      TOKEN_FIELDS.forEach(field => (sum[field] += row[field]));
+      const price = priceOf(row.model);
+      if (price) {
+        sum.cost += (row.prompt * (price.input || 0) + row.completion * (price.output || 0)) / 1e6;
+      } else {
+        sum.unpricedTokens += row.prompt + row.completion;
+      }
+    }
+    return sum;
+  }
+
+  // Rows of the days from `from` to `to`, both 'YYYY-MM-DD' and inclusive
+  function rowsBetween(ledger, from, to) {
+    return Object.entries(ledger.days)
+      .filter(([day]) => day >= from && day <= to)
+      .flatMap(([, rows]) => rows);
+  }
+
+  /**
+   * Totals for today and this month, and this month's usage per provider,
+   * model and domain, most expensive first.
+   * @returns {Object} { today, month, breakdown: [{ provider, model, domain, ...total }] }
+   */
+  function summarize(ledger, priceOf, now = new Date()) {
+    const today = dayKey(now);
+    const monthRows = rowsBetween(ledger, `${today.slice(0, 8)}01`, today);
+
+    const grouped = [];
+    monthRows.forEach(({ provider, model, domain, requests, estimated, ...tokens }) =>
+      addTo(grouped, { provider, model, domain }, tokens, requests, estimated || 0)
+    );
+    const breakdown = grouped
+      .map(row => ({ ...row, ...total([row], priceOf) }))
+      .sort((a, b) => b.cost - a.cost || b.prompt + b.completion - (a.prompt + a.completion));
+
+    return {
+      today: total(rowsBetween(ledger, today, today), priceOf),
+      month: total(monthRows, priceOf),
+      breakdown,
+    };
+  }
+
+  // Total for one cached page, or null when nothing was recorded for it
+  function pageTotal(ledger, cacheKey, priceOf) {
+    const page = ledger.pages[cacheKey];
+    return page ? total(page.rows, priceOf) : null;
+  }
+
+  /**
+   * Price an estimated usage ({ prompt_tokens, completion_tokens }) for a model.
+   * @returns {number|null} USD, or null when the model has no price
+   */
+  function estimateCost(usage, model, priceOf) {
+    if (!priceOf(model)) return null;
+    return total([{ model, requests: 1, ...tokensOf(usage) }], priceOf).cost;
+  }
+
+  /**
+   * Check spending so far plus an estimate against the daily and monthly
+   * budgets (USD; 0 or unset turns a budget off).
+   * @param {Object} spent - { today, month } costs so far
+   * @param {number} estimate - Estimated cost of the next request
+   * @param {Object} budgets - { dailyBudget, monthlyBudget }
+   * @returns {string|null} Which budget would be exceeded and by what, or null
+   */
+  function overBudget(spent, estimate, { dailyBudget, monthlyBudget }) {
+    const limits = [
+      ['daily', dailyBudget, spent.today, 'today'],
+      ['monthly', monthlyBudget, spent.month, 'this month'],
+    ];
+    for (const [name, budget, used, period] of limits) {
+      if (!(budget > 0)) continue;
+      if (used >= budget) {
+        return `Your ${name} budget of ${formatCost(budget)} is used up (${formatCost(used)} spent ${period}).`;
+      }
+      if (used + estimate > budget) {
+        return (
+          `This would cost about ${formatCost(estimate)}, going over your ${name} budget of ` +
+          `${formatCost(budget)} (${formatCost(used)} spent ${period}).`
+        );
+      }
+    }
+    return null;
+  }
+
+  // '$0.0042' below a cent, '$1.25' above
+  function formatCost(usd) {
+    return `$${usd > 0 && usd < 0.01 ? usd.toFixed(4) : usd.toFixed(2)}`;
+  }
+
+  // ─── Storage ───
+
+  async function load() {
+    const { [STORAGE_KEY]: ledger } = await chrome.storage.local.get(STORAGE_KEY);
+    return ledger?.days && ledger?.pages ? ledger : empty();
+  }
+
+  let pending = Promise.resolve();
+
+  /**
+   * Add one request's usage to the stored ledger. Writes are queued one
+   * after another; failures are logged, not thrown.
+   */
+  function record(entry) {
+    pending = pending
+      .then(async () => {
+        const ledger = add(await load(), entry);
+        await chrome.storage.local.set({ [STORAGE_KEY]: ledger });
+      })
+      .catch(error => console.warn('[UsageLedger] Could not record usage:', error));
+    return pending;
+  }
+
+  async function clear() {
+    await pending;
+    await chrome.storage.local.remove(STORAGE_KEY);
+  }
+
+  return {
+    STORAGE_KEY,
+    dayKey,
+    add,
+    total,
+    summarize,
+    pageTotal,
+    estimateCost,
+    overBudget,
+    formatCost,
+    load,
+    record,
+    clear,
+  };
+})();
+
+globalThis.UsageLedger = UsageLedger;
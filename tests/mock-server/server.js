@@ -31,53 +31,39 @@ function prefixWords(text) {
   return text.replace(/\b([a-zA-Z]+)\b/g, 'TR_$1');
 }
 
-// Mock OpenAI-compatible API endpoint
-app.post('/v1/chat/completions', async (req, res) => {
-  requestCount++;
+const MOCK_ERRORS = {
+  429: { message: 'Rate limit exceeded', type: 'rate_limit_error' },
+  500: { message: 'Internal server error', type: 'server_error' },
+  401: { message: 'Invalid API key', type: 'authentication_error' },
+};
 
+/**
+ * Apply the configured delay, then send the configured error (if any).
+ * Anthropic wraps errors as { type: 'error', error }; OpenAI as { error }.
+ * @returns {Promise<boolean>} true if an error response was sent
+ */
+async function handleMockConditions(res, format) {
   // Add artificial delay if specified
   if (delay > 0) {
     await new Promise(resolve => setTimeout(resolve, delay));
   }
 
-  // Handle error scenarios
-  if (shouldError) {
-    switch (errorType) {
-      case '429':
-        return res.status(429).json({
-          error: { message: 'Rate limit exceeded', type: 'rate_limit_error' },
-        });
-      case '500':
-        return res.status(500).json({
-          error: { message: 'Internal server error', type: 'server_error' },
-        });
-      case '401':
-        return res.status(401).json({
-          error: { message: 'Invalid API key', type: 'authentication_error' },
-        });
-      default:
-        return res.status(500).json({
-          error: { message: 'Unknown error', type: 'unknown_error' },
-        });
-    }
-  }
-
-  const { messages, model, stream } = req.body;
+  if (!shouldError) return false;
 
-  // Extract text to translate from the last user message
-  const userMessage = messages.find(m => m.role === 'user');
-  if (!userMessage) {
-    return res.status(400).json({
-      error: { message: 'No user message found', type: 'invalid_request' },
-    });
-  }
-
-  let mockTranslation;
+  const status = MOCK_ERRORS[errorType] ? Number(errorType) : 500;
+  const error = MOCK_ERRORS[errorType] || { message: 'Unknown error', type: 'unknown_error' };
+  res.status(status).json(format === 'anthropic' ? { type: 'error', error } : { error });
+  return true;
+}
 
+/**
+ * Build the mock translation for a user message according to translationMode.
+ */
+function buildMockTranslation(content) {
   if (translationMode === 'json') {
     // Parse as JSON translation request with segment arrays
     try {
-      const input = JSON.parse(userMessage.content);
+      const input = JSON.parse(content);
       if (input.blocks && Array.isArray(input.blocks)) {
         // Process each block — items are arrays of segment arrays
         const translatedBlocks = input.blocks.map(block => ({
@@ -91,36 +77,63 @@ app.post('/v1/chat/completions', async (req, res) => {
             return [mockTranslateSegment(item)];
           }),
         }));
-        mockTranslation = JSON.stringify({ blocks: translatedBlocks });
-      } else {
-        mockTranslation = prefixWords(userMessage.content);
+        return JSON.stringify({ blocks: translatedBlocks });
       }
+      return prefixWords(content);
     } catch {
-      mockTranslation = prefixWords(userMessage.content);
+      return prefixWords(content);
     }
-  } else {
-    // Legacy mode: reverse the text character by character
-    mockTranslation = userMessage.content
-      .split('\n')
-      .map(line => line.split('').reverse().join(''))
-      .join('\n');
   }
 
+  // Legacy mode: reverse the text character by character
+  return content
+    .split('\n')
+    .map(line => line.split('').reverse().join(''))
+    .join('\n');
+}
+
+/**
+ * Split a translation into realistic SSE chunks (20 chars each)
+ */
+function chunkText(text) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += 20) {
+    chunks.push(text.slice(i, i + 20));
+  }
+  return chunks;
+}
+
+function startEventStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+}
+
+// Mock OpenAI-compatible API endpoint
+app.post('/v1/chat/completions', async (req, res) => {
+  requestCount++;
+
+  if (await handleMockConditions(res, 'openai')) return;
+
+  const { messages, model, stream, stream_options: streamOptions } = req.body;
+
+  // Extract text to translate from the last user message
+  const userMessage = messages.find(m => m.role === 'user');
+  if (!userMessage) {
+    return res.status(400).json({
+      error: { message: 'No user message found', type: 'invalid_request' },
+    });
+  }
+
+  const mockTranslation = buildMockTranslation(userMessage.content);
+
   console.log(`[Mock] Request #${requestCount} (mode=${translationMode}, stream=${!!stream})`);
 
   // ─── Streaming SSE response ───────────────────────────────────────────────
   if (stream) {
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    // Split the translation into realistic chunks (roughly 10-30 chars each)
-    const chunks = [];
-    for (let i = 0; i < mockTranslation.length; i += 20) {
-      chunks.push(mockTranslation.slice(i, i + 20));
-    }
+    startEventStream(res);
 
-    for (const chunk of chunks) {
+    for (const chunk of chunkText(mockTranslation)) {
       const ssePayload = JSON.stringify({
         id: `mock-${Date.now()}`,
         object: 'chat.completion.chunk',
@@ -137,6 +150,23 @@ app.post('/v1/chat/completions', async (req, res) => {
       res.write(`data: ${ssePayload}\n\n`);
     }
 
+    // Like OpenAI: one last chunk with no choices, only the token usage
+    if (streamOptions?.include_usage) {
+      const usagePayload = JSON.stringify({
+        id: `mock-${Date.now()}`,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: model || 'gpt-4',
+        choices: [],
+        usage: {
+          prompt_tokens: userMessage.content.length,
+          completion_tokens: mockTranslation.length,
+          total_tokens: userMessage.content.length + mockTranslation.length,
+        },
+      });
+      res.write(`data: ${usagePayload}\n\n`);
+    }
+
     res.write('data: [DONE]\n\n');
     res.end();
     return;
@@ -163,6 +193,103 @@ app.post('/v1/chat/completions', async (req, res) => {
   });
 });
 
+// Mock Anthropic Messages API endpoint
+app.post('/v1/messages', async (req, res) => {
+  requestCount++;
+
+  if (await handleMockConditions(res, 'anthropic')) return;
+
+  const { messages, model, stream, thinking } = req.body;
+
+  // Content may be a plain string or an array of content blocks
+  const userMessage = (messages || []).find(m => m.role === 'user');
+  const userContent = Array.isArray(userMessage?.content)
+    ? userMessage.content.map(block => block.text || '').join('')
+    : userMessage?.content;
+  if (!userContent) {
+    return res.status(400).json({
+      type: 'error',
+      error: { message: 'No user message found', type: 'invalid_request_error' },
+    });
+  }
+
+  const mockTranslation = buildMockTranslation(userContent);
+  const messageId = `msg_mock_${Date.now()}`;
+  const usage = { input_tokens: userContent.length, output_tokens: mockTranslation.length };
+
+  console.log(
+    `[Mock] Request #${requestCount} (anthropic, mode=${translationMode}, stream=${!!stream})`
+  );
+
+  // ─── Streaming SSE response ───────────────────────────────────────────────
+  if (stream) {
+    startEventStream(res);
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('message_start', {
+      type: 'message_start',
+      message: {
+        id: messageId,
+        type: 'message',
+        role: 'assistant',
+        model: model || 'claude-mock',
+        content: [],
+        usage: { input_tokens: usage.input_tokens, output_tokens: 0 },
+      },
+    });
+
+    let index = 0;
+    // Emit a short thinking block when extended thinking was requested
+    if (thinking && thinking.type === 'enabled') {
+      send('content_block_start', {
+        type: 'content_block_start',
+        index,
+        content_block: { type: 'thinking', thinking: '' },
+      });
+      send('content_block_delta', {
+        type: 'content_block_delta',
+        index,
+        delta: { type: 'thinking_delta', thinking: 'Translating the blocks in order.' },
+      });
+      send('content_block_stop', { type: 'content_block_stop', index });
+      index++;
+    }
+
+    send('content_block_start', {
+      type: 'content_block_start',
+      index,
+      content_block: { type: 'text', text: '' },
+    });
+    for (const chunk of chunkText(mockTranslation)) {
+      send('content_block_delta', {
+        type: 'content_block_delta',
+        index,
+        delta: { type: 'text_delta', text: chunk },
+      });
+    }
+    send('content_block_stop', { type: 'content_block_stop', index });
+    send('message_delta', {
+      type: 'message_delta',
+      delta: { stop_reason: 'end_turn' },
+      usage: { output_tokens: usage.output_tokens },
+    });
+    send('message_stop', { type: 'message_stop' });
+    res.end();
+    return;
+  }
+
+  // ─── Non-streaming response ─────────────────────────────────────────────
+  res.json({
+    id: messageId,
+    type: 'message',
+    role: 'assistant',
+    model: model || 'claude-mock',
+    content: [{ type: 'text', text: mockTranslation }],
+    stop_reason: 'end_turn',
+    usage,
+  });
+});
+
 // Control endpoints for testing
 app.post('/test/reset', (req, res) => {
   requestCount = 0;
@@ -208,7 +335,8 @@ app.use('/test-pages', express.static(path.join(__dirname, '../e2e')));
 app.listen(PORT, () => {
   console.log(`Mock API server running on http://localhost:${PORT}`);
   console.log('Available endpoints:');
-  console.log('  POST /v1/chat/completions - Mock translation API');
+  console.log('  POST /v1/chat/completions - Mock translation API (OpenAI-compatible)');
+  console.log('  POST /v1/messages         - Mock translation API (Anthropic Messages)');
   console.log('  POST /test/reset          - Reset server state');
   console.log('  POST /test/error          - Set error mode (body: {type: "429"|"500"|"401"})');
   console.log('  POST /test/delay          - Set response delay (body: {ms: number})');
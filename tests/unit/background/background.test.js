@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the background service worker's streaming port
+ * (background/background.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const read = file => fs.readFileSync(path.resolve(__dirname, '../../..', file), 'utf8');
+
+// ES modules as plain script: imports dropped, exports unwrapped
+const asScript = source =>
+  source
+    .replace(/^import[\s\S]*?;\n/gm, '')
+    .replace(/^export default .*$/m, '')
+    .replace(/^export /gm, '');
+
+// Classic scripts: publish TranslationCache and UsageLedger on globalThis
+eval(read('shared/cache-db.js'));
+eval(read('shared/usage-ledger.js'));
+
+const APIClient = { streamTranslate: jest.fn() };
+
+// Everything background.js imports, then the class instead of the instance
+function loadBackgroundScript() {
+  const modules = [
+    'shared/models.js',
+    'background/stream-scheduler.js',
+    'background/request-queue.js',
+  ];
+  const source =
+    modules.map(file => asScript(read(file))).join('\n') +
+    asScript(read('background/background.js')).replace(/^new BackgroundScript\(\);$/m, '') +
+    '\nreturn BackgroundScript;';
+  const stubs = {
+    APIClient,
+    Glossary: {},
+    DEBUG: false,
+    DebugLogger: {},
+    shouldClearTranslationState: () => false,
+    addFirefoxSpecificListeners: () => {},
+    startPeriodicCleanup: () => {},
+    updateTranslationState: () => {},
+    getTranslationState: () => {},
+    clearTranslationState: () => {},
+  };
+  return new Function(...Object.keys(stubs), source)(...Object.values(stubs));
+}
+
+const event = () => ({ addListener: jest.fn() });
+let store;
+
+beforeEach(() => {
+  store = {};
+  global.chrome = {
+    storage: {
+      local: {
+        get: jest.fn(async keys => {
+          const names = keys === undefined ? Object.keys(store) : [].concat(keys);
+          return Object.fromEntries(
+            names.filter(key => key in store).map(key => [key, store[key]])
+          );
+        }),
+        set: jest.fn(async data => Object.assign(store, JSON.parse(JSON.stringify(data)))),
+        remove: jest.fn(async key => delete store[key]),
+      },
+    },
+    runtime: { onInstalled: event(), onMessage: event(), onConnect: event(), getURL: p => p },
+    action: { onClicked: event() },
+    tabs: { onRemoved: event(), onUpdated: event() },
+  };
+  delete global.browser; // Chrome paths
+});
+
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+// Connect a streaming port, send START_STREAM, and collect what comes back
+async function startStream(settings, blocks) {
+  const [onConnect] = chrome.runtime.onConnect.addListener.mock.calls.at(-1);
+  const posted = [];
+  let onMessage;
+  onConnect({
+    name: 'streaming-translate',
+    sender: { tab: { url: 'https://example.com/article' } },
+    postMessage: message => posted.push(message),
+    onDisconnect: { addListener: () => {} },
+    onMessage: { addListener: listener => (onMessage = listener) },
+  });
+  await onMessage({
+    action: 'START_STREAM',
+    settings,
+    translationData: { targetLanguage: 'french', blocks },
+    cacheKey: 'page-1',
+  });
+  await flush(); // Let the usage ledger write
+  return posted;
+}
+
+describe('START_STREAM budgets', () => {
+  const BackgroundScript = loadBackgroundScript();
+  const blocks = [{ id: 0, items: [['x'.repeat(3000)]] }];
+  const settings = {
+    provider: 'google',
+    apiEndpoint: 'https://generativelanguage.googleapis.com/v1beta/openai/',
+    apiKey: 'key',
+    model: 'gemini-2.5-pro',
+    maxConcurrentStreams: 1,
+  };
+
+  test('refuses once estimated usage of a provider without usage fills the budget', async () => {
+    APIClient.streamTranslate.mockImplementation(async (config, data, options, onBlock) => {
+      onBlock(0, { id: 0, items: [['y'.repeat(3000)]] });
+      return { success: true, model: config.model }; // No usage in the stream
+    });
+    store.dailyBudget = 0.02;
+    new BackgroundScript();
+
+    const first = await startStream(settings, blocks);
+    expect(first.at(-1)).toMatchObject({ type: 'done' });
+    expect(store.usageLedger.pages['page-1'].rows[0]).toMatchObject({ requests: 1, estimated: 1 });
+
+    const second = await startStream(settings, blocks);
+    expect(second).toEqual([
+      expect.objectContaining({ type: 'error', errorType: 'spending_limit' }),
+    ]);
+    expect(APIClient.streamTranslate).toHaveBeenCalledTimes(1);
+  });
+});
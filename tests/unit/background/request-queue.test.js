@@ -0,0 +1,195 @@
+/**
+ * Unit tests for the background request queue (background/request-queue.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ES module with named exports; strip `export` and evaluate it as a script
+const queueSource = fs
+  .readFileSync(path.resolve(__dirname, '../../../background/request-queue.js'), 'utf8')
+  .replace(/^export /gm, '');
+const { RequestQueue, parseRetryAfter, laneKey, LIMITS_TTL_MS } = eval(
+  `(() => {\n${queueSource}\nreturn { RequestQueue, parseRetryAfter, laneKey, LIMITS_TTL_MS };\n})()`
+);
+
+// A task that resolves when the test says so
+function deferredTask(result = { success: true }) {
+  let finish;
+  const task = jest.fn(() => new Promise(resolve => (finish = () => resolve(result))));
+  return { task, finish: () => finish() };
+}
+
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+describe('parseRetryAfter', () => {
+  test('reads delay-seconds and HTTP dates', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    expect(parseRetryAfter('20', now)).toBe(20000);
+    expect(parseRetryAfter('Mon, 19 Oct 2026 12:00:30 GMT', now)).toBe(30000);
+  });
+
+  test('returns null without a usable value', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('laneKey', () => {
+  test('groups requests by endpoint and API key', () => {
+    expect(laneKey({ apiEndpoint: 'https://API.openai.com/v1/', apiKey: 'sk-a' })).toBe(
+      laneKey({ apiEndpoint: 'https://api.openai.com/v1', apiKey: 'sk-a' })
+    );
+  });
+
+  test('keeps different accounts on the same endpoint apart', () => {
+    const endpoint = 'https://api.openai.com/v1';
+    expect(laneKey({ apiEndpoint: endpoint, apiKey: 'sk-a' })).not.toBe(
+      laneKey({ apiEndpoint: endpoint, apiKey: 'sk-b' })
+    );
+  });
+
+  test('never contains the API key', () => {
+    expect(
+      laneKey({ apiEndpoint: 'https://api.openai.com/v1', apiKey: 'sk-secret' })
+    ).not.toContain('sk-secret');
+  });
+});
+
+describe('RequestQueue', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('applies the strictest limits of the profiles sharing a lane', () => {
+    const queue = new RequestQueue();
+    queue.run(
+      'lane',
+      { limits: { concurrency: 4, rpm: 0, tpm: 50000 }, source: 'cheap' },
+      jest.fn()
+    );
+    queue.run('lane', { limits: { concurrency: 2, rpm: 30, tpm: 0 }, source: 'strong' }, jest.fn());
+    expect(queue.lane('lane').limits).toEqual({ concurrency: 2, rpm: 30, tpm: 50000 });
+
+    // A later request from the looser profile doesn't loosen the lane
+    queue.run(
+      'lane',
+      { limits: { concurrency: 4, rpm: 0, tpm: 50000 }, source: 'cheap' },
+      jest.fn()
+    );
+    expect(queue.lane('lane').limits).toEqual({ concurrency: 2, rpm: 30, tpm: 50000 });
+  });
+
+  test('forgets the limits of a profile that stopped sending requests', () => {
+    const queue = new RequestQueue();
+    queue.run('lane', { limits: { concurrency: 1 }, source: 'old' }, jest.fn());
+    jest.advanceTimersByTime(LIMITS_TTL_MS + 1);
+    queue.run('lane', { limits: { concurrency: 3 }, source: 'new' }, jest.fn());
+    expect(queue.lane('lane').limits.concurrency).toBe(3);
+  });
+
+  test('runs up to the concurrency limit and reports queue positions', async () => {
+    const queue = new RequestQueue();
+    const limits = { concurrency: 1 };
+    const first = deferredTask();
+    const second = deferredTask();
+    const positions = [];
+
+    queue.run('lane', { limits }, first.task);
+    const done = queue.run(
+      'lane',
+      { limits, onPosition: position => positions.push(position) },
+      second.task
+    );
+    await flush();
+
+    expect(first.task).toHaveBeenCalled();
+    expect(second.task).not.toHaveBeenCalled();
+    expect(positions).toEqual([1]);
+
+    first.finish();
+    await flush();
+    expect(second.task).toHaveBeenCalled();
+    expect(positions).toEqual([1, 0]);
+
+    second.finish();
+    await expect(done).resolves.toEqual({ success: true });
+  });
+
+  test('keeps lanes apart', async () => {
+    const queue = new RequestQueue();
+    const a = deferredTask();
+    const b = deferredTask();
+
+    queue.run('provider-a', { limits: { concurrency: 1 } }, a.task);
+    queue.run('provider-b', { limits: { concurrency: 1 } }, b.task);
+    await flush();
+
+    expect(a.task).toHaveBeenCalled();
+    expect(b.task).toHaveBeenCalled();
+  });
+
+  test('holds requests beyond the per-minute request limit', async () => {
+    const queue = new RequestQueue();
+    const limits = { concurrency: 0, rpm: 2 };
+    const tasks = [jest.fn(async () => ({})), jest.fn(async () => ({})), jest.fn(async () => ({}))];
+
+    tasks.forEach(task => queue.run('lane', { limits }, task));
+    await flush();
+    expect(tasks[2]).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(60000);
+    await flush();
+    expect(tasks[2]).toHaveBeenCalled();
+  });
+
+  test('holds a request that would go over the per-minute token limit', async () => {
+    const queue = new RequestQueue();
+    const limits = { tpm: 10000 };
+    const small = jest.fn(async () => ({ usage: { total_tokens: 7000 } }));
+    const large = jest.fn(async () => ({}));
+
+    await queue.run('lane', { limits, tokens: 2000 }, small);
+    queue.run('lane', { limits, tokens: 4000 }, large);
+    await flush();
+    // Counted with the 7000 tokens it really used, not the 2000 estimated
+    expect(large).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(60000);
+    await flush();
+    expect(large).toHaveBeenCalled();
+  });
+
+  test('pauses the lane for a Retry-After and reports when it resumes', async () => {
+    const queue = new RequestQueue();
+    const task = jest.fn(async () => ({}));
+    const positions = [];
+
+    const resumeAt = queue.pause('lane', 5000);
+    queue.run('lane', { onPosition: (...args) => positions.push(args) }, task);
+    await flush();
+    expect(task).not.toHaveBeenCalled();
+    expect(positions).toEqual([[1, resumeAt]]);
+
+    jest.advanceTimersByTime(5000);
+    await flush();
+    expect(task).toHaveBeenCalled();
+  });
+
+  test('drops a waiting request when its signal aborts', async () => {
+    const queue = new RequestQueue();
+    const limits = { concurrency: 1 };
+    const first = deferredTask();
+    const waiting = jest.fn(async () => ({}));
+    const controller = new AbortController();
+
+    queue.run('lane', { limits }, first.task);
+    const aborted = queue.run('lane', { limits, signal: controller.signal }, waiting);
+    controller.abort();
+
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+    first.finish();
+    await flush();
+    expect(waiting).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Unit tests for the chunked stream scheduler (background/stream-scheduler.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ES module with named exports; strip `export` and evaluate it as a script
+const schedulerSource = fs
+  .readFileSync(path.resolve(__dirname, '../../../background/stream-scheduler.js'), 'utf8')
+  .replace(/^export /gm, '');
+const {
+  chunkBlocks,
+  maxTokensFor,
+  estimateUsage,
+  precedingText,
+  clampConcurrency,
+  runChunks,
+  sumUsage,
+  billedUsage,
+  mergeResults,
+} = eval(
+  `(() => {\n${schedulerSource}\n` +
+    'return { chunkBlocks, maxTokensFor, estimateUsage, precedingText, clampConcurrency, runChunks, ' +
+    'sumUsage, billedUsage, mergeResults };\n})()'
+);
+
+const block = (id, chars) => ({ id, items: [['x'.repeat(chars)]] });
+
+describe('chunkBlocks', () => {
+  test('keeps consecutive blocks together up to the size limit', () => {
+    const blocks = [block(0, 40), block(1, 40), block(2, 40), block(3, 10)];
+    const chunks = chunkBlocks(blocks, 100);
+    expect(chunks.map(chunk => chunk.map(b => b.id))).toEqual([
+      [0, 1],
+      [2, 3],
+    ]);
+  });
+
+  test('gives an oversized block a chunk of its own', () => {
+    const chunks = chunkBlocks([block(0, 10), block(1, 500), block(2, 10)], 100);
+    expect(chunks.map(chunk => chunk.map(b => b.id))).toEqual([[0], [1], [2]]);
+  });
+
+  test('returns no chunks for no blocks', () => {
+    expect(chunkBlocks([])).toEqual([]);
+  });
+});
+
+describe('maxTokensFor', () => {
+  test('budgets ~4 tokens per source character within bounds', () => {
+    expect(maxTokensFor([block(0, 10)])).toBe(4000);
+    expect(maxTokensFor([block(0, 2000)])).toBe(8000);
+    expect(maxTokensFor([block(0, 100000)])).toBe(64000);
+  });
+});
+
+describe('estimateUsage', () => {
+  test('estimates text tokens plus a prompt per chunk', () => {
+    // 3000 chars → 1000 tokens, +20% JSON → 1200; one chunk's prompt on top
+    expect(estimateUsage([block(0, 1500), block(1, 1500)])).toEqual({
+      prompt_tokens: 1200 + 800,
+      completion_tokens: 1200,
+    });
+  });
+
+  test('counts the prompt once for every chunk', () => {
+    const usage = estimateUsage([block(0, 90), block(1, 90), block(2, 90)], 100);
+    expect(usage.prompt_tokens).toBe(108 + 3 * 800);
+  });
+
+  test('estimates nothing for no blocks', () => {
+    expect(estimateUsage([])).toEqual({ prompt_tokens: 0, completion_tokens: 0 });
+  });
+});
+
+describe('precedingText', () => {
+  test('returns the last paragraphs before a chunk, segments joined', () => {
+    const blocks = [
+      { id: 0, items: [['Roasting ', 'Java'], ['beans']] },
+      { id: 1, items: [['  Cupping   notes '], []] },
+    ];
+    expect(precedingText(blocks)).toBe('Roasting Java\nbeans\nCupping notes');
+    expect(precedingText([])).toBe('');
+  });
+
+  test('keeps only the end of the text within the limit', () => {
+    const blocks = [block(0, 50), { id: 1, items: [['y'.repeat(30)]] }];
+    const text = precedingText(blocks, 40);
+
+    expect(text).toHaveLength(40);
+    expect(text.startsWith('…x')).toBe(true);
+    expect(text.endsWith(`\n${'y'.repeat(30)}`)).toBe(true);
+  });
+});
+
+describe('clampConcurrency', () => {
+  test('falls back to the default and caps the maximum', () => {
+    expect(clampConcurrency(undefined)).toBe(2);
+    expect(clampConcurrency('3')).toBe(3);
+    expect(clampConcurrency(0)).toBe(2);
+    expect(clampConcurrency(10)).toBe(4);
+  });
+});
+
+describe('runChunks', () => {
+  test('never runs more than `concurrency` chunks at once', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const runChunk = async () => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return { success: true };
+    };
+
+    const { success, results } = await runChunks([1, 2, 3, 4, 5], 2, runChunk);
+    expect(success).toBe(true);
+    expect(results).toHaveLength(5);
+    expect(peak).toBe(2);
+  });
+
+  test('starts no new chunks after a failure', async () => {
+    const started = [];
+    const runChunk = async (chunk, index) => {
+      started.push(index);
+      return index === 0 ? { success: false, error: 'boom' } : { success: true };
+    };
+
+    const { success } = await runChunks(['a', 'b', 'c', 'd'], 1, runChunk);
+    expect(success).toBe(false);
+    expect(started).toEqual([0]);
+  });
+});
+
+describe('sumUsage', () => {
+  test('adds up every chunk, failed ones included', () => {
+    expect(
+      sumUsage([
+        { success: true, usage: { prompt_tokens: 10, completion_tokens: 5, reasoning_tokens: 2 } },
+        { success: false, usage: { prompt_tokens: 7, completion_tokens: 1 } },
+        { success: true },
+      ])
+    ).toEqual({ prompt_tokens: 17, completion_tokens: 6, reasoning_tokens: 2 });
+    expect(sumUsage([{ success: true }])).toBeUndefined();
+  });
+});
+
+describe('billedUsage', () => {
+  test('estimates chunks that translated without reporting usage', () => {
+    const chunks = [[block(0, 1500)], [block(1, 1500)], [block(2, 1500)]];
+    const estimate = estimateUsage(chunks[1]);
+    const usage = billedUsage(
+      [
+        { success: true, usage: { prompt_tokens: 10, completion_tokens: 5 } },
+        { success: true },
+        { success: false }, // Failed before any output: nothing to bill
+      ],
+      chunks,
+      () => false
+    );
+    expect(usage).toEqual({
+      prompt_tokens: 10 + estimate.prompt_tokens,
+      completion_tokens: 5 + estimate.completion_tokens,
+      estimated: 1,
+    });
+  });
+
+  test('estimates a failed chunk that had delivered blocks', () => {
+    const chunks = [[block(0, 1500)]];
+    expect(billedUsage([{ success: false }], chunks, i => i === 0)).toEqual({
+      ...estimateUsage(chunks[0]),
+      estimated: 1,
+    });
+    expect(billedUsage([{ success: false }], chunks, () => false)).toBeUndefined();
+  });
+});
+
+describe('mergeResults', () => {
+  test('sums usage across successful chunks', () => {
+    const merged = mergeResults([
+      { success: true, usage: { prompt_tokens: 10, completion_tokens: 5 }, model: 'm' },
+      { success: true, usage: { prompt_tokens: 3, completion_tokens: 2 } },
+    ]);
+    expect(merged).toEqual({
+      success: true,
+      usage: { prompt_tokens: 13, completion_tokens: 7 },
+      model: 'm',
+    });
+  });
+
+  test('prefers a non-retryable failure over retryable ones', () => {
+    const merged = mergeResults([
+      { success: true },
+      { success: false, error: 'rate limited', isRetryable: true },
+      { success: false, error: 'bad key', isRetryable: false },
+    ]);
+    expect(merged.error).toBe('bad key');
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * Unit tests for the Animation module (content/animation.js):
+ * in-place replacement vs. bilingual rendering in animateLineTransition,
+ * and the correction editor.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const textExtractionSource = fs.readFileSync(
+  path.resolve(__dirname, '../../../content/text-extraction.js'),
+  'utf8'
+);
+eval(textExtractionSource + '\nglobal.TextExtraction = TextExtraction;\n');
+
+const animationSource = fs.readFileSync(
+  path.resolve(__dirname, '../../../content/animation.js'),
+  'utf8'
+);
+// Use a local name so the content-script test's Animation stub is not clobbered
+eval(animationSource + '\nglobal.RealAnimation = Animation;\n');
+
+function makeItem(html) {
+  const element = document.createElement('p');
+  element.innerHTML = html;
+  document.body.appendChild(element);
+  return { element, textNodes: TextExtraction.collectTextNodes(element) };
+}
+
+describe('animateLineTransition', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('replace mode rewrites text nodes in place', async () => {
+    const item = makeItem('Click <a href="#x">here</a> now');
+
+    const pair = await global.RealAnimation.animateLineTransition(item, ['點擊', '這裡', '現在'], {
+      displayMode: 'replace',
+    });
+
+    expect(item.element.textContent).toBe('點擊這裡現在');
+    expect(item.element.querySelector('a').textContent).toBe('這裡');
+    expect(pair.originalHTML).toBe('Click <a href="#x">here</a> now');
+  });
+
+  test('bilingual mode keeps the original and appends the translation', async () => {
+    const item = makeItem('Click <a href="#x" id="link">here</a> now');
+
+    const pair = await global.RealAnimation.animateLineTransition(item, ['點擊', '這裡', '現在'], {
+      displayMode: 'bilingual',
+    });
+
+    const translation = item.element.querySelector('[data-llm-bilingual]');
+    expect(translation).not.toBeNull();
+    expect(translation.textContent).toBe('點擊這裡現在');
+    expect(translation.querySelector('a').getAttribute('href')).toBe('#x');
+    expect(translation.querySelector('[id]')).toBeNull();
+
+    // Original text nodes are untouched
+    expect(item.textNodes.map(n => n.textContent)).toEqual(['Click ', 'here', ' now']);
+    expect(pair.originalHTML).toBe('Click <a href="#x" id="link">here</a> now');
+    expect(pair.translatedHTML).toContain('data-llm-bilingual');
+  });
+
+  test('bilingual mode joins segments when counts do not match', async () => {
+    const item = makeItem('Hello <strong>big</strong> world');
+
+    await global.RealAnimation.animateLineTransition(item, ['你好世界'], {
+      displayMode: 'bilingual',
+    });
+
+    const translation = item.element.querySelector('[data-llm-bilingual]');
+    expect(translation.textContent).toBe('你好世界');
+    expect(item.element.querySelector('strong').textContent).toBe('big');
+  });
+
+  test('bilingual translations are not collected as source text', async () => {
+    const item = makeItem('Some original paragraph text');
+
+    await global.RealAnimation.animateLineTransition(item, ['一些原始段落文字'], {
+      displayMode: 'bilingual',
+    });
+
+    const nodes = TextExtraction.collectTextNodes(item.element);
+    expect(nodes.map(n => n.textContent)).toEqual(['Some original paragraph text']);
+  });
+});
+
+describe('showCorrectionEditor', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('shows one field per segment and saves the edited segments', async () => {
+    const item = makeItem('點擊<a href="#x">這裡</a>');
+    const onSave = jest.fn();
+
+    const editor = global.RealAnimation.showCorrectionEditor(
+      item.element,
+      { sourceSegments: ['Click ', 'here'], segments: ['點擊', '這裡'] },
+      onSave
+    );
+
+    const fields = editor.querySelectorAll('textarea');
+    expect([...fields].map(field => field.value)).toEqual(['點擊', '這裡']);
+    expect(editor.querySelector('.llm-editor-source').textContent).toBe('Click ');
+
+    fields[0].value = '按一下';
+    editor.querySelector('.llm-editor-remember').checked = true;
+    editor.querySelector('.llm-editor-save').click();
+    await Promise.resolve();
+
+    expect(onSave).toHaveBeenCalledWith(['按一下', '這裡'], true);
+    expect(document.getElementById('llm-correction-editor')).toBeNull();
+  });
+
+  test('keeps the editor open and shows the error when saving fails', async () => {
+    const item = makeItem('你好');
+    const onSave = jest.fn(async () => {
+      throw new Error('this paragraph is no longer translated on the page');
+    });
+    const editor = global.RealAnimation.showCorrectionEditor(
+      item.element,
+      { sourceSegments: ['Hello'], segments: ['你好'] },
+      onSave
+    );
+
+    editor.querySelector('.llm-editor-save').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(document.getElementById('llm-correction-editor')).toBe(editor);
+    const problem = editor.querySelector('.llm-editor-error');
+    expect(problem.hidden).toBe(false);
+    expect(problem.textContent).toBe(
+      'Could not save: this paragraph is no longer translated on the page'
+    );
+    expect(editor.querySelector('.llm-editor-save').disabled).toBe(false);
+  });
+
+  test('Escape closes the editor without saving', () => {
+    const item = makeItem('Hello');
+    const onSave = jest.fn();
+    const editor = global.RealAnimation.showCorrectionEditor(
+      item.element,
+      { sourceSegments: ['Hello'], segments: ['你好'] },
+      onSave
+    );
+
+    editor.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    expect(onSave).not.toHaveBeenCalled();
+    expect(document.getElementById('llm-correction-editor')).toBeNull();
+  });
+});
+
+describe('showRetranslatePanel', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  const profiles = [
+    { id: 'fast', name: 'Fast', model: 'gpt-5-nano' },
+    { id: 'careful', name: 'Careful', model: 'claude-sonnet-4-5' },
+  ];
+
+  test('submits the chosen profile and hint, then closes', async () => {
+    const item = makeItem('你好');
+    const onSubmit = jest.fn().mockResolvedValue();
+    const panel = global.RealAnimation.showRetranslatePanel(
+      item.element,
+      { profiles, profileId: 'fast' },
+      onSubmit
+    );
+
+    const select = panel.querySelector('.llm-retranslate-profile');
+    expect(select.value).toBe('fast');
+    expect(select.options[1].textContent).toBe('Careful (claude-sonnet-4-5)');
+
+    select.value = 'careful';
+    panel.querySelector('.llm-retranslate-hint').value = '  more formal ';
+    panel.querySelector('.llm-retranslate-submit').click();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(onSubmit).toHaveBeenCalledWith({ profileId: 'careful', hint: 'more formal' });
+    expect(document.getElementById('llm-retranslate-panel')).toBeNull();
+  });
+
+  test('offers no model choice with a single profile and stays open on failure', async () => {
+    const item = makeItem('你好');
+    const onSubmit = jest.fn().mockRejectedValue(new Error('Rate limited'));
+    const panel = global.RealAnimation.showRetranslatePanel(
+      item.element,
+      { profiles: profiles.slice(0, 1), profileId: 'fast' },
+      onSubmit
+    );
+
+    expect(panel.querySelector('select')).toBeNull();
+
+    panel.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(onSubmit).toHaveBeenCalledWith({ profileId: 'fast', hint: '' });
+    expect(document.getElementById('llm-retranslate-panel')).toBe(panel);
+    expect(panel.querySelector('.llm-retranslate-status').textContent).toBe('Rate limited');
+  });
+});
+
+describe('showBlockControls', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('shows one toolbar per element and runs the chosen action', () => {
+    const item = makeItem('你好');
+    const onEdit = jest.fn();
+    const onRetranslate = jest.fn();
+
+    const controls = global.RealAnimation.showBlockControls(item.element, {
+      onEdit,
+      onRetranslate,
+    });
+    expect(global.RealAnimation.showBlockControls(item.element, {})).toBe(controls);
+
+    expect(controls.querySelector('.llm-control-swap')).toBeNull();
+    controls.querySelector('.llm-control-retranslate').click();
+
+    expect(onRetranslate).toHaveBeenCalled();
+    expect(onEdit).not.toHaveBeenCalled();
+    expect(document.getElementById('llm-block-controls')).toBeNull();
+  });
+
+  test('labels the swap button with what it will show', () => {
+    const item = makeItem('Hello');
+    const onSwap = jest.fn();
+    const controls = global.RealAnimation.showBlockControls(item.element, {
+      showingOriginal: true,
+      onSwap,
+    });
+
+    const swap = controls.querySelector('.llm-control-swap');
+    expect(swap.getAttribute('aria-label')).toBe('Show translation');
+    expect(controls.querySelectorAll('button')).toHaveLength(1);
+    swap.click();
+    expect(onSwap).toHaveBeenCalled();
+  });
+});
+
+describe('showElementOriginal', () => {
+  test('swaps one element between its original and translation', () => {
+    const element = document.createElement('p');
+    const data = { originalHTML: 'Hello <b>world</b>', translatedHTML: '你好<b>世界</b>' };
+
+    global.RealAnimation.showElementOriginal(element, data, true);
+    expect(element.innerHTML).toBe('Hello <b>world</b>');
+    expect(element.getAttribute('data-llm-state')).toBe('showing-original');
+    expect(element.classList.contains('llm-showing-original')).toBe(true);
+
+    global.RealAnimation.showElementOriginal(element, data, false);
+    expect(element.innerHTML).toBe('你好<b>世界</b>');
+    expect(element.getAttribute('data-llm-state')).toBe('translated');
+    expect(element.classList.contains('llm-showing-original')).toBe(false);
+  });
+});
+
+describe('toggleOriginals', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('shows every original until all are showing, then every translation', () => {
+    document.body.innerHTML = `
+      <div id="llm-original-toggle">
+        <button class="llm-toggle-btn"><span class="toggle-text">Show Originals</span></button>
+      </div>`;
+    const translatedElements = new Map();
+    for (const text of ['一', '二']) {
+      const element = document.createElement('p');
+      element.textContent = text;
+      element.setAttribute('data-llm-state', 'translated');
+      translatedElements.set(element, { originalHTML: 'original', translatedHTML: text });
+    }
+    const [first, second] = translatedElements.keys();
+    // One element already swapped by hand
+    global.RealAnimation.showElementOriginal(first, translatedElements.get(first), true);
+
+    expect(global.RealAnimation.toggleOriginals(translatedElements)).toBe(true);
+    expect(second.textContent).toBe('original');
+    expect(document.querySelector('.toggle-text').textContent).toBe('Show Translations');
+
+    expect(global.RealAnimation.toggleOriginals(translatedElements)).toBe(false);
+    expect([first.textContent, second.textContent]).toEqual(['一', '二']);
+    expect(document.querySelector('.llm-toggle-btn').classList.contains('active')).toBe(false);
+  });
+});
+
+describe('showQueuePosition', () => {
+  beforeEach(() => global.RealAnimation.showTranslationProgress());
+  afterEach(() => {
+    document.body.innerHTML = '';
+    document.head.innerHTML = '';
+  });
+
+  const notice = () => document.querySelector('#llm-progress-bar .llm-progress-queue');
+
+  test('shows the position in line and removes the line once started', () => {
+    global.RealAnimation.showQueuePosition(2);
+    expect(notice().textContent).toBe('⧗ Queued · 2nd in line');
+
+    global.RealAnimation.showQueuePosition(0);
+    expect(notice()).toBeNull();
+  });
+
+  test('counts down a Retry-After pause', () => {
+    jest.useFakeTimers();
+    try {
+      global.RealAnimation.showQueuePosition(1, Date.now() + 3000);
+      expect(notice().textContent).toBe('⧗ Rate limited · resuming in 3s');
+
+      jest.advanceTimersByTime(3000);
+      expect(notice().textContent).toBe('⧗ Queued · 1st in line');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
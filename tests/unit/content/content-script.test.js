@@ -15,6 +15,26 @@ const textExtractionSource = fs.readFileSync(
 );
 eval(textExtractionSource + '\nglobal.TextExtraction = TextExtraction;\n');
 
+// ─── Load shared/site-rules.js, language-detect.js and cache-keys.js (globals)
+
+const siteRulesSource = fs.readFileSync(
+  path.resolve(__dirname, '../../../shared/site-rules.js'),
+  'utf8'
+);
+eval(siteRulesSource + '\nglobal.SiteRules = SiteRules;\n');
+
+const languageDetectSource = fs.readFileSync(
+  path.resolve(__dirname, '../../../shared/language-detect.js'),
+  'utf8'
+);
+eval(languageDetectSource + '\nglobal.LanguageDetect = LanguageDetect;\n');
+
+const cacheKeysSource = fs.readFileSync(
+  path.resolve(__dirname, '../../../shared/cache-keys.js'),
+  'utf8'
+);
+eval(cacheKeysSource + '\nglobal.CacheKeys = CacheKeys;\n');
+
 // ─── Load content-script.js (exposes LineLocalizationMachine class) ──────────
 
 // Stub Animation global so content-script.js doesn't blow up
@@ -24,12 +44,23 @@ global.Animation = {
   injectSpeedAdjustedCSS: () => {},
   showTranslationProgress: () => {},
   updateTranslationProgress: () => {},
+  showProviderFallback: () => {},
+  showCacheHits: () => {},
+  showQueuePosition: () => {},
   hideTranslationProgress: () => {},
   animateBlockStart: () => {},
   animateBlockError: () => {},
   animateTranslation: () => {},
   animateLineTransition: () => ({ originalHTML: '', translatedHTML: '' }),
   addGlobalToggleButton: () => {},
+  toggleOriginals: () => false,
+  showElementOriginal: () => {},
+  showCorrectionEditor: () => {},
+  hideCorrectionEditor: () => {},
+  showRetranslatePanel: () => {},
+  hideRetranslatePanel: () => {},
+  showBlockControls: () => {},
+  hideBlockControls: () => {},
   playCompletionSound: () => {},
 };
 
@@ -250,6 +281,83 @@ describe('extractTextElements', () => {
   });
 });
 
+// ─── extractSelectionElements ─────────────────────────────────────────────────
+
+describe('extractSelectionElements', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('selection inside one paragraph yields that whole paragraph', () => {
+    document.body.innerHTML = '<p id="a">Short <em>bit</em> of text</p><p>Other</p>';
+    const range = document.createRange();
+    range.selectNodeContents(document.querySelector('#a em'));
+
+    const elements = TextExtraction.extractSelectionElements(range);
+    expect(elements.length).toBe(1);
+    expect(elements[0].element.id).toBe('a');
+    expect(elements[0].textNodes.map(n => n.textContent)).toEqual(['Short ', 'bit', ' of text']);
+  });
+
+  test('selection across paragraphs yields only the touched ones', () => {
+    document.body.innerHTML =
+      '<div><p id="a">First</p><p id="b">Second</p><p id="c">Third</p></div>';
+    const range = document.createRange();
+    range.setStart(document.querySelector('#a').firstChild, 2);
+    range.setEnd(document.querySelector('#b').firstChild, 3);
+
+    const elements = TextExtraction.extractSelectionElements(range);
+    expect(elements.map(e => e.element.id)).toEqual(['a', 'b']);
+  });
+
+  test('skips code blocks inside the selection', () => {
+    document.body.innerHTML = '<div><p id="a">Prose</p><pre><code>x = 1</code></pre></div>';
+    const range = document.createRange();
+    range.selectNodeContents(document.querySelector('div'));
+
+    const elements = TextExtraction.extractSelectionElements(range);
+    expect(elements.map(e => e.element.id)).toEqual(['a']);
+  });
+});
+
+// ─── extractAddedElements (live mode) ─────────────────────────────────────────
+
+describe('extractAddedElements', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('an added leaf block is extracted as itself', () => {
+    document.body.innerHTML = '<ul id="feed"></ul>';
+    const li = document.createElement('li');
+    li.textContent = 'A freshly loaded feed entry with text';
+    document.getElementById('feed').appendChild(li);
+
+    const elements = TextExtraction.extractAddedElements([li]);
+    expect(elements.length).toBe(1);
+    expect(elements[0].element).toBe(li);
+  });
+
+  test('an added container yields its leaf blocks, minus known elements', () => {
+    document.body.innerHTML =
+      '<div id="more"><p id="a">First loaded paragraph here</p>' +
+      '<p id="b">Second loaded paragraph here</p></div>';
+    const known = document.getElementById('a');
+
+    const elements = TextExtraction.extractAddedElements(
+      [document.getElementById('more')],
+      element => element === known
+    );
+    expect(elements.map(e => e.element.id)).toEqual(['b']);
+  });
+
+  test('detached roots are ignored', () => {
+    const p = document.createElement('p');
+    p.textContent = 'Removed before the batch ran';
+    expect(TextExtraction.extractAddedElements([p])).toEqual([]);
+  });
+});
+
 // ─── identifyArticleContent ──────────────────────────────────────────────────
 
 describe('identifyArticleContent', () => {
@@ -391,6 +499,971 @@ describe('computeHash', () => {
     expect(keyEn).toContain('_en');
     expect(keyZh).not.toBe(keyEn);
   });
+
+  test('computeCacheKey changes when a glossary is applied', () => {
+    const block = {
+      element: document.createElement('p'),
+      originalText: 'Open a pull request',
+      textNodes: [document.createTextNode('Open a pull request')],
+    };
+    const blocks = [[block]];
+
+    const plain = machine.computeCacheKey(blocks, 'zh-TW');
+    const withGlossary = machine.computeCacheKey(blocks, 'zh-TW', {
+      terms: [{ source: 'pull request', target: '合併請求' }],
+      keep: [],
+    });
+    const otherGlossary = machine.computeCacheKey(blocks, 'zh-TW', {
+      terms: [{ source: 'pull request', target: '拉取請求' }],
+      keep: [],
+    });
+
+    expect(plain).toBe(machine.computeCacheKey(blocks, 'zh-TW', null));
+    expect(withGlossary).toMatch(/^[0-9a-f]+_zh-TW_g[0-9a-f]+$/);
+    expect(withGlossary).not.toBe(plain);
+    expect(withGlossary).not.toBe(otherGlossary);
+  });
+
+  test('computeCacheKey changes with the translation style', () => {
+    const blocks = [[{ textNodes: [document.createTextNode('Terms of service')] }]];
+
+    const plain = machine.computeCacheKey(blocks, 'french', null, null);
+    const formal = machine.computeCacheKey(blocks, 'french', null, { id: 'formal' });
+    const custom = machine.computeCacheKey(blocks, 'french', null, {
+      id: 'style-1',
+      instructions: 'Write like a lawyer.',
+    });
+    const edited = machine.computeCacheKey(blocks, 'french', null, {
+      id: 'style-1',
+      instructions: 'Write like a poet.',
+    });
+
+    expect(plain).toBe(machine.computeCacheKey(blocks, 'french'));
+    expect(formal).toMatch(/^[0-9a-f]+_french_s[0-9a-f]+$/);
+    expect(new Set([plain, formal, custom, edited]).size).toBe(4);
+    expect(machine.computeBlockKey([['Terms']], 'french', 'm', null, { id: 'formal' })).not.toBe(
+      machine.computeBlockKey([['Terms']], 'french', 'm', null)
+    );
+  });
+
+  test('loadStyle sends presets by id and custom styles with their instructions', async () => {
+    const originalGet = chrome.storage.local.get.getMockImplementation();
+    const stored = {
+      translationStyle: 'default',
+      customStyles: [{ id: 'style-1', name: 'Legal', instructions: 'Write like a lawyer.' }],
+    };
+    chrome.storage.local.get.mockImplementation(async () => stored);
+
+    try {
+      expect(await machine.loadStyle()).toBeNull();
+      stored.translationStyle = 'casual';
+      expect(await machine.loadStyle()).toEqual({ id: 'casual' });
+      stored.translationStyle = 'style-1';
+      expect(await machine.loadStyle()).toEqual({
+        id: 'style-1',
+        instructions: 'Write like a lawyer.',
+      });
+    } finally {
+      chrome.storage.local.get.mockImplementation(originalGet);
+    }
+  });
+
+  test('buildTranslationData carries the style and page context', () => {
+    machine.translationSettings = { targetLanguage: 'french' };
+    machine.pageContext = null;
+    document.title = 'Cooking with Java';
+
+    const data = machine.buildTranslationData([{ id: 0, items: [['Java']] }], {
+      glossary: null,
+      style: { id: 'casual' },
+    });
+
+    expect(data).toEqual({
+      targetLanguage: 'French',
+      blocks: [{ id: 0, items: [['Java']] }],
+      style: { id: 'casual' },
+      context: { title: 'Cooking with Java', domain: 'localhost' },
+    });
+    document.title = '';
+  });
+});
+
+// ─── Page context ─────────────────────────────────────────────────────────────
+
+describe('collectPageContext', () => {
+  let machine;
+
+  beforeEach(() => {
+    machine = new LineLocalizationMachine();
+    document.title = 'Our menu';
+  });
+
+  afterEach(() => {
+    document.title = '';
+    document.head.innerHTML = '';
+  });
+
+  test('gathers the title, domain, meta description and Readability data', () => {
+    document.head.insertAdjacentHTML(
+      'beforeend',
+      '<meta property="og:description" content="Espresso,\n  pour-over and cold brew">'
+    );
+
+    expect(
+      machine.collectPageContext({
+        title: 'Java beans we roast',
+        excerpt: 'Where our beans come from',
+      })
+    ).toEqual({
+      title: 'Our menu',
+      domain: 'localhost',
+      description: 'Espresso, pour-over and cold brew',
+      articleTitle: 'Java beans we roast',
+      excerpt: 'Where our beans come from',
+    });
+  });
+
+  test('leaves out empty and repeated fields and clips long ones', () => {
+    document.head.insertAdjacentHTML(
+      'beforeend',
+      `<meta name="description" content="${'a'.repeat(500)}">`
+    );
+
+    const context = machine.collectPageContext({ title: 'Our menu', excerpt: 'a'.repeat(500) });
+
+    expect(Object.keys(context)).toEqual(['title', 'domain', 'description']);
+    expect(context.description).toHaveLength(machine.PAGE_CONTEXT_FIELD_CHARS);
+    expect(context.description.endsWith('…')).toBe(true);
+  });
+
+  test('buildTranslationData reuses the context captured for the run', () => {
+    machine.translationSettings = { targetLanguage: 'german' };
+    machine.pageContext = { title: 'Release notes', excerpt: 'What changed in 2.0' };
+
+    expect(machine.buildTranslationData([]).context).toEqual({
+      title: 'Release notes',
+      excerpt: 'What changed in 2.0',
+    });
+  });
+});
+
+// ─── excludeTargetLanguage ────────────────────────────────────────────────────
+
+describe('excludeTargetLanguage', () => {
+  test('drops elements already in the target language and reports the source', () => {
+    const machine = new LineLocalizationMachine();
+    const item = text => ({ element: document.createElement('p'), originalText: text });
+    const english = item('The release notes describe the changes in this version');
+    const chinese = item('這是我們的問題，現在還沒有解決');
+
+    const result = machine.excludeTargetLanguage([english, chinese], 'chinese-traditional');
+
+    expect(result.textElements).toEqual([english]);
+    expect(result.sourceLanguage).toBe('english');
+  });
+
+  test('translates Simplified text on a Traditional page', () => {
+    const machine = new LineLocalizationMachine();
+    const item = text => ({ element: document.createElement('p'), originalText: text });
+    const traditional = item(
+      '這是我們的問題，現在還沒有解決。請輸入您的密碼以繼續操作，購買須知：價格包含運費和稅費。'
+    );
+    const unmarked = item('今天天氣很好，大家出去玩');
+    const simplified = [
+      item('请输入您的密码以继续操作'),
+      item('购买须知：价格包含运费和税费'),
+      item('该产品仅限线上销售，请勿转卖'),
+    ];
+
+    const result = machine.excludeTargetLanguage(
+      [traditional, unmarked, ...simplified],
+      'chinese-traditional'
+    );
+
+    expect(result.textElements).toEqual(simplified);
+  });
+});
+
+// ─── Live translation ─────────────────────────────────────────────────────────
+
+// A streaming port that stays open until the test (or the code) closes it
+function mockStreamingPort() {
+  const port = {
+    postMessage: jest.fn(),
+    disconnect: jest.fn(),
+    onMessage: { addListener: jest.fn(listener => (port.deliver = listener)) },
+    onDisconnect: { addListener: jest.fn() },
+  };
+  chrome.runtime.connect.mockReturnValueOnce(port);
+  return port;
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('live translation', () => {
+  let machine;
+
+  beforeEach(() => {
+    machine = new LineLocalizationMachine();
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    machine.stopLiveTranslation();
+  });
+
+  test('queues added content but ignores our own and already-translated nodes', () => {
+    const translated = document.createElement('p');
+    document.body.appendChild(translated);
+    machine.translatedElements.set(translated, { originalHTML: '', translatedHTML: '' });
+
+    const fresh = document.createElement('p');
+    fresh.textContent = 'New comment loaded later';
+    const restored = document.createElement('em');
+    translated.appendChild(restored);
+    const toggle = document.createElement('div');
+    toggle.id = 'llm-original-toggle';
+    document.body.append(fresh, toggle);
+
+    machine.scheduleLiveTranslation = jest.fn();
+    machine.handleMutations([{ addedNodes: [fresh, restored, toggle] }]);
+
+    expect([...machine.livePendingRoots]).toEqual([fresh]);
+    expect(machine.scheduleLiveTranslation).toHaveBeenCalled();
+  });
+
+  test('stopping live translation ends a batch that is still streaming', async () => {
+    const fresh = document.createElement('p');
+    fresh.textContent = 'New comment loaded later, after the page was translated';
+    document.body.appendChild(fresh);
+    machine.translationSettings = { targetLanguage: 'japanese' };
+    machine.loadGlossary = jest.fn(async () => null);
+    machine.loadCorrections = jest.fn(async () => null);
+    machine.loadStyle = jest.fn(async () => null);
+    machine.liveObserver = { disconnect: jest.fn() };
+    machine.livePendingRoots.add(fresh);
+    const port = mockStreamingPort();
+
+    const batchDone = machine.translateAddedContent();
+    await tick();
+    expect(port.postMessage).toHaveBeenCalled();
+
+    await machine.stopLiveTranslation();
+    await batchDone;
+
+    expect(port.disconnect).toHaveBeenCalled();
+    expect(machine.liveBusy).toBe(false);
+    expect(machine.liveBatch).toBeNull();
+  });
+});
+
+// ─── Provider fallback ─────────────────────────────────────────────────────────
+
+describe('provider fallback', () => {
+  const profiles = [
+    { id: 'cheap', name: 'Cheap' },
+    { id: 'strong', name: 'Strong' },
+    { id: 'home', name: 'Home' },
+  ];
+  let machine;
+  let origAnimation;
+
+  function makeElements() {
+    const p = document.createElement('p');
+    p.textContent = 'The quick brown fox is not here and the dog is asleep';
+    document.body.appendChild(p);
+    return [{ element: p, originalText: p.textContent, textNodes: [p.firstChild] }];
+  }
+
+  beforeEach(() => {
+    origAnimation = { ...Animation };
+    Animation.showProviderFallback = jest.fn();
+
+    machine = new LineLocalizationMachine();
+    machine.loadGlossary = jest.fn(async () => null);
+    machine.translationSettings = {
+      targetLanguage: 'japanese',
+      profileId: 'cheap',
+      profiles,
+      fallbackProfileIds: ['strong', 'home'],
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(Animation, origAnimation);
+    document.body.innerHTML = '';
+  });
+
+  test('getProfileChain lists the active profile first, then fallbacks in order', () => {
+    const chain = machine.getProfileChain({
+      profileId: 'strong',
+      profiles,
+      fallbackProfileIds: ['home', 'strong', 'missing', 'cheap'],
+    });
+    expect(chain.map(p => p.id)).toEqual(['strong', 'home', 'cheap']);
+    expect(machine.getProfileChain({ targetLanguage: 'japanese' })).toEqual([]);
+  });
+
+  test('moves remaining blocks to the next profile on a rate limit', async () => {
+    machine.streamTranslationBlocks = jest
+      .fn()
+      .mockResolvedValueOnce({ fatal: false, error: { errorType: 'rate_limit' } })
+      .mockImplementationOnce(async (blocks, data, completed) => {
+        completed.add(0);
+        return { fatal: false };
+      });
+
+    await machine.translateWithAnimations(makeElements(), false, { useCache: false });
+
+    expect(machine.streamTranslationBlocks).toHaveBeenCalledTimes(2);
+    expect(machine.streamTranslationBlocks.mock.calls[0][5]).toBeNull();
+    expect(machine.streamTranslationBlocks.mock.calls[1][5]).toEqual(profiles[1]);
+    expect(Animation.showProviderFallback).toHaveBeenCalledWith('Strong', 'rate limited');
+    expect(machine.fallbackProfileName).toBe('Strong');
+  });
+
+  test('falls back after repeated truncation exhausts the retries', async () => {
+    machine.streamTranslationBlocks = jest.fn(async () => ({ fatal: false }));
+
+    await machine.translateWithAnimations(makeElements(), false, { useCache: false });
+
+    // 4 attempts per profile across the 3-profile chain
+    expect(machine.streamTranslationBlocks).toHaveBeenCalledTimes(12);
+    expect(Animation.showProviderFallback).toHaveBeenCalledWith(
+      'Home',
+      'stream kept stopping early'
+    );
+  });
+
+  test('still throws errors that another provider would not fix', async () => {
+    const authError = Object.assign(new Error('Invalid API key'), {
+      errorType: 'authentication',
+    });
+    machine.streamTranslationBlocks = jest.fn(async () => ({ fatal: true, error: authError }));
+
+    await expect(
+      machine.translateWithAnimations(makeElements(), false, { useCache: false })
+    ).rejects.toThrow('Invalid API key');
+    expect(machine.streamTranslationBlocks).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ─── Viewport priority ─────────────────────────────────────────────────────────
+
+describe('viewport priority', () => {
+  let machine;
+  let observer;
+
+  // One heading per block, placed `top` px from the top of a 800px viewport
+  function makeElements(tops) {
+    return tops.map((top, i) => {
+      const p = document.createElement('h2');
+      p.textContent = `Section number ${i} has a long enough heading`;
+      p.getBoundingClientRect = () => ({ top, bottom: top + 50 });
+      document.body.appendChild(p);
+      return { element: p, originalText: p.textContent, textNodes: [p.firstChild] };
+    });
+  }
+
+  beforeEach(() => {
+    window.innerHeight = 800;
+    global.IntersectionObserver = jest.fn(callback => {
+      observer = { callback, observe: jest.fn(), unobserve: jest.fn(), disconnect: jest.fn() };
+      return observer;
+    });
+
+    machine = new LineLocalizationMachine();
+    machine.loadGlossary = jest.fn(async () => null);
+    machine.translationSettings = { targetLanguage: 'japanese' };
+    machine.streamTranslationBlocks = jest.fn(async (blocks, data, completed) => {
+      data.blocks.forEach(block => completed.add(block.id));
+      return { fatal: false };
+    });
+  });
+
+  afterEach(() => {
+    machine.stopLazyTranslation();
+    delete global.IntersectionObserver;
+    document.body.innerHTML = '';
+  });
+
+  test('partitionByViewport sorts near blocks by distance and keeps far ones in order', () => {
+    const elements = makeElements([5000, 1200, 100, -300, 3000]);
+    const blocks = elements.map(item => [item]);
+
+    expect(machine.partitionByViewport(blocks)).toEqual({ near: [2, 3, 1], far: [0, 4] });
+  });
+
+  test('translates visible blocks first and the rest once they scroll near', async () => {
+    const elements = makeElements([100, 5000, 300]);
+
+    await machine.translateWithAnimations(elements, false, { useCache: false });
+
+    expect(machine.streamTranslationBlocks).toHaveBeenCalledTimes(1);
+    expect(machine.streamTranslationBlocks.mock.calls[0][1].blocks.map(b => b.id)).toEqual([0, 2]);
+    expect(observer.observe).toHaveBeenCalledWith(elements[1].element);
+
+    observer.callback([{ isIntersecting: true, target: elements[1].element }]);
+    clearTimeout(machine.lazyTimer);
+    await machine.translateLazyBatch();
+
+    expect(machine.streamTranslationBlocks).toHaveBeenCalledTimes(2);
+    expect(machine.streamTranslationBlocks.mock.calls[1][1].blocks.map(b => b.id)).toEqual([1]);
+    // Every block done — nothing left to watch
+    expect(machine.lazyObserver).toBeNull();
+  });
+
+  test('stopping lazy translation cancels a batch mid-stream', async () => {
+    const elements = makeElements([100, 5000, 6000]);
+    await machine.translateWithAnimations(elements, false, { useCache: false });
+    const job = machine.lazyJob;
+    delete machine.streamTranslationBlocks; // The real stream from here on
+    const port = mockStreamingPort();
+    let finishRender;
+    const animate = jest
+      .spyOn(Animation, 'animateLineTransition')
+      .mockImplementation(() => new Promise(resolve => (finishRender = resolve)));
+
+    observer.callback([
+      { isIntersecting: true, target: elements[1].element },
+      { isIntersecting: true, target: elements[2].element },
+    ]);
+    clearTimeout(machine.lazyTimer);
+    const batchDone = machine.translateLazyBatch();
+    await tick();
+    port.deliver({ type: 'block', block: { id: 1, items: [['一']] } });
+    port.deliver({ type: 'block', block: { id: 2, items: [['二']] } });
+
+    // Re-translating stops the batch while block 1 is still animating
+    const stopped = machine.stopLazyTranslation();
+    expect(port.disconnect).toHaveBeenCalled();
+    finishRender({ originalHTML: 'a', translatedHTML: 'b' });
+    await stopped;
+    await batchDone;
+
+    expect(animate).toHaveBeenCalledTimes(1); // Block 2 never rendered
+    expect(job.completedBlockIndices.has(1)).toBe(false);
+    expect(machine.lazyBusy).toBe(false);
+    animate.mockRestore();
+  });
+
+  test('translates everything at once when lazy is off', async () => {
+    await machine.translateWithAnimations(makeElements([100, 5000]), false, {
+      useCache: false,
+      lazy: false,
+    });
+
+    expect(machine.streamTranslationBlocks.mock.calls[0][1].blocks).toHaveLength(2);
+    expect(global.IntersectionObserver).not.toHaveBeenCalled();
+  });
+
+  test('estimates the whole page, off-screen blocks included, before sending', async () => {
+    chrome.runtime.sendMessage.mockImplementation(async message =>
+      message.action === 'ESTIMATE_PAGE_COST' ? { cost: 0.01, warning: null } : {}
+    );
+
+    await machine.translateWithAnimations(makeElements([100, 5000]), false, { useCache: false });
+
+    const estimate = chrome.runtime.sendMessage.mock.calls
+      .map(([message]) => message)
+      .find(message => message.action === 'ESTIMATE_PAGE_COST');
+    expect(estimate.blocks.map(b => b.id)).toEqual([0, 1]);
+    expect(machine.streamTranslationBlocks).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops with a spending_limit error when the estimate is above the warning', async () => {
+    chrome.runtime.sendMessage.mockImplementation(async message =>
+      message.action === 'ESTIMATE_PAGE_COST' ? { cost: 2, warning: 'Too expensive' } : {}
+    );
+    const elements = makeElements([100]);
+
+    await expect(
+      machine.translateWithAnimations(elements, false, { useCache: false })
+    ).rejects.toMatchObject({ message: 'Too expensive', errorType: 'spending_limit' });
+    expect(machine.streamTranslationBlocks).not.toHaveBeenCalled();
+    expect(elements[0].element.classList.contains('llm-preparing')).toBe(false);
+  });
+
+  test('skips the estimate after Translate Anyway', async () => {
+    chrome.runtime.sendMessage.mockImplementation(async () => ({ warning: 'Too expensive' }));
+    machine.overrideSpending = true;
+
+    await machine.translateWithAnimations(makeElements([100]), false, { useCache: false });
+
+    expect(machine.streamTranslationBlocks).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ─── Block-level cache ─────────────────────────────────────────────────────────
+
+describe('block cache', () => {
+  let machine;
+  let origAnimation;
+
+  function makeElements(texts) {
+    return texts.map(text => {
+      const h2 = document.createElement('h2');
+      h2.textContent = text;
+      document.body.appendChild(h2);
+      return { element: h2, originalText: text, textNodes: [h2.firstChild] };
+    });
+  }
+
+  beforeEach(() => {
+    origAnimation = { ...Animation };
+    Animation.showCacheHits = jest.fn();
+    chrome.runtime.sendMessage.mockClear();
+
+    machine = new LineLocalizationMachine();
+    machine.loadGlossary = jest.fn(async () => null);
+    machine.translationSettings = { targetLanguage: 'japanese', model: 'gpt-test' };
+    machine.streamTranslationBlocks = jest.fn(async (blocks, data, completed) => {
+      data.blocks.forEach(block => completed.add(block.id));
+      return { fatal: false };
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(Animation, origAnimation);
+    chrome.runtime.sendMessage.mockImplementation(() => Promise.resolve({ success: true }));
+    document.body.innerHTML = '';
+  });
+
+  test('computeBlockKey changes with the source, language, model and glossary', () => {
+    const items = [['Hello there']];
+    const key = machine.computeBlockKey(items, 'japanese', 'gpt-test', null);
+
+    expect(machine.computeBlockKey([['Hello there']], 'japanese', 'gpt-test', null)).toBe(key);
+    expect(machine.computeBlockKey([['Hello!']], 'japanese', 'gpt-test', null)).not.toBe(key);
+    expect(machine.computeBlockKey(items, 'french', 'gpt-test', null)).not.toBe(key);
+    expect(machine.computeBlockKey(items, 'japanese', 'other-model', null)).not.toBe(key);
+    expect(
+      machine.computeBlockKey(items, 'japanese', 'gpt-test', { terms: [], keep: ['Hello'] })
+    ).not.toBe(key);
+  });
+
+  test('replays unchanged blocks and only sends the changed ones', async () => {
+    const elements = makeElements([
+      'The unchanged opening section heading',
+      'Updated 5 minutes ago with new numbers',
+    ]);
+    chrome.runtime.sendMessage.mockImplementation(async message => {
+      if (message.action === 'CACHE_GET_BLOCKS') {
+        return { blocks: [{ items: [['変更なしの見出し']] }, null] };
+      }
+      return null; // whole-page cache miss
+    });
+
+    await machine.translateWithAnimations(elements, false, { lazy: false });
+
+    const sent = machine.streamTranslationBlocks.mock.calls[0][1].blocks;
+    expect(sent.map(b => b.id)).toEqual([1]);
+    expect(Animation.showCacheHits).toHaveBeenCalledWith(1, 2);
+    expect(machine.translatedElements.has(elements[0].element)).toBe(true);
+  });
+
+  test('passes the original text for the page cache, captured before rendering', async () => {
+    const elements = makeElements(['The unchanged opening section heading', 'A second heading']);
+    chrome.runtime.sendMessage.mockImplementation(async message => {
+      if (message.action === 'CACHE_GET_BLOCKS') {
+        return { blocks: [{ items: [['変更なしの見出し']] }, null] };
+      }
+      return null;
+    });
+
+    await machine.translateWithAnimations(elements, false, { lazy: false });
+
+    // Block 0 was replayed from the cache, but its original text is kept
+    const sourceBlocks = machine.streamTranslationBlocks.mock.calls[0][6];
+    expect(sourceBlocks).toEqual([
+      { id: 0, items: [['The unchanged opening section heading']] },
+      { id: 1, items: [['A second heading']] },
+    ]);
+  });
+
+  test('skips the block cache when forcing a fresh translation', async () => {
+    await machine.translateWithAnimations(makeElements(['A long enough heading here']), true, {
+      lazy: false,
+    });
+
+    const actions = chrome.runtime.sendMessage.mock.calls.map(([message]) => message.action);
+    expect(actions).not.toContain('CACHE_GET_BLOCKS');
+    expect(machine.streamTranslationBlocks).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ─── Corrections ────────────────────────────────────────────────────────────────
+
+describe('corrections', () => {
+  let machine;
+  let origAnimation;
+  let heading;
+  let job;
+
+  beforeEach(() => {
+    origAnimation = { ...Animation };
+    Animation.showCorrectionEditor = jest.fn();
+    Animation.animateLineTransition = jest.fn(async (item, segments) => {
+      item.textNodes[0].textContent = segments[0];
+      return { originalHTML: 'Sign in to continue', translatedHTML: segments[0] };
+    });
+    chrome.runtime.sendMessage.mockClear();
+
+    machine = new LineLocalizationMachine();
+    machine.translationSettings = { targetLanguage: 'japanese', model: 'gpt-test' };
+
+    // A page translated from the cache: "Sign in to continue" → "続けるにはサインイン"
+    heading = document.createElement('h2');
+    heading.textContent = '続けるにはサインイン';
+    heading.setAttribute('data-llm-state', 'translated');
+    document.body.appendChild(heading);
+    job = {
+      textBlocks: [[{ element: heading, textNodes: [heading.firstChild] }]],
+      sourceBlocks: [{ id: 0, items: [['Sign in to continue']] }],
+      receivedBlocks: [{ id: 0, items: [['続けるにはサインイン']] }],
+      cacheKey: 'page_japanese',
+      glossary: null,
+    };
+    machine.translationJobs = [job];
+    machine.translatedElements.set(heading, {
+      originalHTML: 'Sign in to continue',
+      translatedHTML: '続けるにはサインイン',
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(Animation, origAnimation);
+    document.body.innerHTML = '';
+  });
+
+  const click = (target, altKey = true) => ({
+    target,
+    altKey,
+    preventDefault: jest.fn(),
+    stopPropagation: jest.fn(),
+  });
+
+  test('Alt+click on a translated element opens the editor with its segments', () => {
+    machine.handleEditClick(click(heading.firstChild, false));
+    expect(Animation.showCorrectionEditor).not.toHaveBeenCalled();
+
+    const event = click(heading.firstChild);
+    machine.handleEditClick(event);
+
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(Animation.showCorrectionEditor).toHaveBeenCalledWith(
+      heading,
+      { sourceSegments: ['Sign in to continue'], segments: ['続けるにはサインイン'] },
+      expect.any(Function)
+    );
+  });
+
+  test('ignores elements showing their original', () => {
+    heading.setAttribute('data-llm-state', 'showing-original');
+    machine.handleEditClick(click(heading));
+    expect(Animation.showCorrectionEditor).not.toHaveBeenCalled();
+  });
+
+  test('saving re-renders from the original and updates both caches', async () => {
+    const target = machine.findEditTarget(heading);
+    await machine.saveCorrection(target, ['ログインして続行'], false);
+
+    expect(heading.textContent).toBe('ログインして続行');
+    expect(machine.translatedElements.get(heading).translatedHTML).toBe('ログインして続行');
+    expect(job.receivedBlocks[0].items).toEqual([['ログインして続行']]);
+
+    const messages = chrome.runtime.sendMessage.mock.calls.map(([message]) => message);
+    expect(messages).toContainEqual({
+      action: 'CACHE_UPDATE_ITEM',
+      cacheKey: 'page_japanese',
+      blockId: 0,
+      itemIndex: 0,
+      segments: ['ログインして続行'],
+    });
+    const blockPut = messages.find(message => message.action === 'CACHE_PUT_BLOCKS');
+    expect(blockPut.blocks[0]).toMatchObject({
+      blockKey: machine.computeBlockKey([['Sign in to continue']], 'japanese', 'gpt-test', null),
+      items: [['ログインして続行']],
+    });
+    expect(messages.map(message => message.action)).not.toContain('LEARN_CORRECTION');
+  });
+
+  test('remembering a correction sends it to be learned', async () => {
+    await machine.saveCorrection(machine.findEditTarget(heading), ['ログインして続行'], true);
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      action: 'LEARN_CORRECTION',
+      targetLanguage: 'japanese',
+      source: 'Sign in to continue',
+      target: 'ログインして続行',
+    });
+  });
+
+  test('learned corrections are sent with translation requests', async () => {
+    const originalGet = chrome.storage.local.get.getMockImplementation();
+    chrome.storage.local.get.mockImplementation(async key =>
+      key === 'learnedCorrections'
+        ? { learnedCorrections: { japanese: [{ source: 'Sign in', target: 'ログイン' }] } }
+        : {}
+    );
+    machine.streamTranslationBlocks = jest.fn(async (blocks, data, completed) => {
+      data.blocks.forEach(block => completed.add(block.id));
+      return { fatal: false };
+    });
+
+    try {
+      const element = document.createElement('h2');
+      element.textContent = 'Please sign in first';
+      document.body.appendChild(element);
+      await machine.translateWithAnimations(
+        [{ element, originalText: element.textContent, textNodes: [element.firstChild] }],
+        true,
+        { lazy: false }
+      );
+    } finally {
+      chrome.storage.local.get.mockImplementation(originalGet);
+    }
+
+    const translationData = machine.streamTranslationBlocks.mock.calls[0][1];
+    expect(translationData.corrections).toEqual([{ source: 'Sign in', target: 'ログイン' }]);
+  });
+});
+
+// ─── Per-element swap ───────────────────────────────────────────────────────────
+
+describe('per-element original swap', () => {
+  let machine;
+  let origAnimation;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    origAnimation = { ...Animation };
+    Animation.showBlockControls = jest.fn();
+    Animation.showElementOriginal = jest.fn((element, data, showOriginal) =>
+      element.setAttribute('data-llm-state', showOriginal ? 'showing-original' : 'translated')
+    );
+
+    machine = new LineLocalizationMachine();
+    document.body.innerHTML = '<p id="first">第一</p><p id="second">第二 <a href="#">連結</a></p>';
+    first = document.getElementById('first');
+    second = document.getElementById('second');
+    for (const element of [first, second]) {
+      element.setAttribute('data-llm-state', 'translated');
+      machine.translatedElements.set(element, { originalHTML: 'x', translatedHTML: 'y' });
+    }
+  });
+
+  afterEach(() => {
+    Object.assign(Animation, origAnimation);
+    window.getSelection().removeAllRanges();
+    document.body.innerHTML = '';
+  });
+
+  const altO = () => ({
+    altKey: true,
+    code: 'KeyO',
+    preventDefault: jest.fn(),
+  });
+
+  test('an element showing its original can only be swapped back', () => {
+    first.setAttribute('data-llm-state', 'showing-original');
+    machine.handleHover({ target: first });
+
+    const [element, actions] = Animation.showBlockControls.mock.calls[0];
+    expect(element).toBe(first);
+    expect(actions).toMatchObject({ showingOriginal: true, onEdit: null, onRetranslate: null });
+
+    actions.onSwap();
+    expect(Animation.showElementOriginal).toHaveBeenCalledWith(
+      first,
+      machine.translatedElements.get(first),
+      false
+    );
+  });
+
+  test('Alt+O swaps the elements in the selection', () => {
+    const range = document.createRange();
+    range.setStart(first.firstChild, 1);
+    range.setEnd(second.firstChild, 1);
+    window.getSelection().addRange(range);
+
+    const event = altO();
+    machine.handleSwapKey(event);
+
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(first.getAttribute('data-llm-state')).toBe('showing-original');
+    expect(second.getAttribute('data-llm-state')).toBe('showing-original');
+
+    machine.handleSwapKey(altO());
+    expect(first.getAttribute('data-llm-state')).toBe('translated');
+  });
+
+  test('Alt+O swaps the element holding the focus, and nothing otherwise', () => {
+    const nothing = altO();
+    machine.handleSwapKey(nothing);
+    expect(nothing.preventDefault).not.toHaveBeenCalled();
+
+    second.querySelector('a').focus();
+    machine.handleSwapKey(altO());
+    expect(second.getAttribute('data-llm-state')).toBe('showing-original');
+    expect(first.getAttribute('data-llm-state')).toBe('translated');
+
+    machine.handleSwapKey({ ...altO(), code: 'KeyP' });
+    expect(Animation.showElementOriginal).toHaveBeenCalledTimes(1);
+  });
+
+  test('the toggle-originals shortcut message toggles every element', async () => {
+    Animation.toggleOriginals = jest.fn(() => true);
+    chrome.runtime.onMessage.addListener.mockClear();
+    machine = new LineLocalizationMachine();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const listener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+
+    const sendResponse = jest.fn();
+    listener({ action: 'TOGGLE_ORIGINALS' }, {}, sendResponse);
+    expect(sendResponse).toHaveBeenCalledWith({ success: false, error: expect.any(String) });
+
+    machine.translatedElements.set(first, { originalHTML: 'x', translatedHTML: 'y' });
+    listener({ action: 'TOGGLE_ORIGINALS' }, {}, sendResponse);
+    expect(Animation.toggleOriginals).toHaveBeenCalledWith(machine.translatedElements);
+    expect(sendResponse).toHaveBeenLastCalledWith({ success: true, showingOriginals: true });
+  });
+});
+
+// ─── Single-block re-translate ──────────────────────────────────────────────────
+
+describe('retranslateBlock', () => {
+  let machine;
+  let origAnimation;
+  let heading;
+  let job;
+
+  beforeEach(() => {
+    origAnimation = { ...Animation };
+    Animation.showBlockControls = jest.fn();
+    Animation.hideBlockControls = jest.fn();
+    Animation.animateLineTransition = jest.fn(async (item, segments) => {
+      item.textNodes[0].textContent = segments[0];
+      return { originalHTML: 'Sign in to continue', translatedHTML: segments[0] };
+    });
+    chrome.runtime.sendMessage.mockClear();
+
+    machine = new LineLocalizationMachine();
+    machine.translationSettings = {
+      targetLanguage: 'japanese',
+      model: 'gpt-test',
+      profileId: 'fast',
+      profiles: [
+        { id: 'fast', name: 'Fast', model: 'gpt-test' },
+        { id: 'careful', name: 'Careful', model: 'claude-test' },
+      ],
+    };
+
+    heading = document.createElement('h2');
+    heading.textContent = '続けるにはサインイン';
+    heading.setAttribute('data-llm-state', 'translated');
+    document.body.appendChild(heading);
+    job = {
+      textBlocks: [[{ element: heading, textNodes: [heading.firstChild] }]],
+      sourceBlocks: [{ id: 0, items: [['Sign in to continue']] }],
+      receivedBlocks: [{ id: 0, items: [['続けるにはサインイン']] }],
+      completedBlockIndices: new Set([0]),
+      cacheKey: 'page_japanese',
+      glossary: null,
+      corrections: null,
+    };
+    machine.translationJobs = [job];
+    machine.translatedElements.set(heading, {
+      originalHTML: 'Sign in to continue',
+      translatedHTML: '続けるにはサインイン',
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(Animation, origAnimation);
+    document.body.innerHTML = '';
+  });
+
+  test('hovering a translated element shows its controls', () => {
+    machine.handleHover({ target: heading.firstChild });
+    expect(Animation.showBlockControls).toHaveBeenCalledWith(heading, {
+      showingOriginal: false,
+      onSwap: expect.any(Function),
+      onEdit: expect.any(Function),
+      onRetranslate: expect.any(Function),
+    });
+
+    machine.handleHover({ target: document.body });
+    expect(Animation.hideBlockControls).toHaveBeenCalled();
+  });
+
+  test('streams just that block with the chosen profile and hint', async () => {
+    machine.streamTranslationBlocks = jest.fn(async (blocks, data, completed, received) => {
+      expect(heading.textContent).toBe('Sign in to continue');
+      received[0] = { id: 0, items: [['続行するにはログインしてください']] };
+      completed.add(0);
+      return { fatal: false };
+    });
+
+    await machine.retranslateBlock(machine.findEditTarget(heading), {
+      profileId: 'careful',
+      hint: 'more formal',
+    });
+
+    const [blocks, data, , , cacheKey, profile] = machine.streamTranslationBlocks.mock.calls[0];
+    expect(blocks).toBe(job.textBlocks);
+    expect(data).toEqual({
+      targetLanguage: 'Japanese',
+      blocks: [{ id: 0, items: [['Sign in to continue']] }],
+      context: { domain: 'localhost' },
+      hint: 'more formal',
+    });
+    // The page's cache entry is patched below, not rewritten by the stream
+    expect(cacheKey).toBeNull();
+    expect(profile.id).toBe('careful');
+    expect(job.receivedBlocks[0].items).toEqual([['続行するにはログインしてください']]);
+    expect(machine.isTranslating).toBe(false);
+
+    const messages = chrome.runtime.sendMessage.mock.calls.map(([message]) => message);
+    expect(messages).toContainEqual({
+      action: 'CACHE_UPDATE_BLOCK',
+      cacheKey: 'page_japanese',
+      block: { id: 0, items: [['続行するにはログインしてください']] },
+    });
+    const blockPut = messages.find(message => message.action === 'CACHE_PUT_BLOCKS');
+    expect(blockPut.blocks[0].blockKey).toBe(
+      machine.computeBlockKey([['Sign in to continue']], 'japanese', 'gpt-test', null)
+    );
+    expect(messages.map(message => message.action)).not.toContain('CACHE_PUT');
+  });
+
+  test('the active profile streams without a profile override', async () => {
+    machine.streamTranslationBlocks = jest.fn(async (blocks, data, completed, received) => {
+      received[0] = { id: 0, items: [['ログイン']] };
+      return { fatal: false };
+    });
+
+    await machine.retranslateBlock(machine.findEditTarget(heading), { profileId: 'fast' });
+
+    const [, data, , , , profile] = machine.streamTranslationBlocks.mock.calls[0];
+    expect(profile).toBeNull();
+    expect(data.hint).toBeUndefined();
+  });
+
+  test('puts the previous translation back when the stream fails', async () => {
+    const error = new Error('Rate limited');
+    machine.streamTranslationBlocks = jest.fn(async () => ({ fatal: true, error }));
+
+    await expect(machine.retranslateBlock(machine.findEditTarget(heading))).rejects.toBe(error);
+
+    expect(heading.textContent).toBe('続けるにはサインイン');
+    expect(job.receivedBlocks[0].items).toEqual([['続けるにはサインイン']]);
+    expect(chrome.runtime.sendMessage.mock.calls.map(([m]) => m.action)).not.toContain(
+      'CACHE_UPDATE_BLOCK'
+    );
+    expect(machine.isTranslating).toBe(false);
+  });
 });
 
 // ─── renderCachedBlocks ─────────────────────────────────────────────────────────
@@ -445,6 +1518,18 @@ describe('renderCachedBlocks', () => {
     expect(Animation.hideTranslationProgress).toHaveBeenCalled();
   });
 
+  test('re-translate from the toggle keeps a "Translate Anyway" override', async () => {
+    const cachedData = { blocks: [{ id: 0, items: [['你好世界']] }], totalBlocks: 1 };
+    machine.overrideSpending = true;
+    machine.startTranslation = jest.fn();
+
+    await machine.renderCachedBlocks(cachedData, textBlocks);
+    const retranslate = Animation.addGlobalToggleButton.mock.calls[0][1];
+    retranslate();
+
+    expect(machine.startTranslation).toHaveBeenCalledWith(machine.translationSettings, true, true);
+  });
+
   test('handles cached block id with no matching original', async () => {
     const cachedData = {
       blocks: [{ id: 99, items: [['missing']] }],
@@ -1,5 +1,6 @@
 /**
- * Unit tests for TranslationCache IndexedDB wrapper (shared/cache-db.js).
+ * Unit tests for TranslationCache IndexedDB wrapper (shared/cache-db.js)
+ * and ModelConfig.getCacheLimits (shared/models.js).
  *
  * IndexedDB is provided by fake-indexeddb loaded via tests/setup.js.
  */
@@ -11,6 +12,12 @@ const path = require('path');
 const cacheSource = fs.readFileSync(path.resolve(__dirname, '../../../shared/cache-db.js'), 'utf8');
 eval(cacheSource + '\nglobal.TranslationCache = TranslationCache;\n');
 
+// shared/models.js is an ES module; strip the export and evaluate it as a script
+const modelsSource = fs
+  .readFileSync(path.resolve(__dirname, '../../../shared/models.js'), 'utf8')
+  .replace(/^export default .*$/m, '');
+const ModelConfig = eval(modelsSource + '\nModelConfig;\n');
+
 describe('TranslationCache', () => {
   afterEach(async () => {
     // Close open connection, delete the database, then re-create the wrapper.
@@ -119,4 +126,497 @@ describe('TranslationCache', () => {
     expect(record.title).toBe('Test Article');
     expect(record.sourceText).toBe('Once upon a time...');
   });
+
+  test('getBlocks returns stored blocks in key order and null for misses', async () => {
+    await TranslationCache.putBlocks([
+      { blockKey: 'b1_ja_m', items: [['一']] },
+      { blockKey: 'b2_ja_m', items: [['二']], glossaryViolations: ['Foo'] },
+    ]);
+
+    const result = await TranslationCache.getBlocks(['b2_ja_m', 'missing', 'b1_ja_m']);
+    expect(result).toEqual([
+      { items: [['二']], glossaryViolations: ['Foo'] },
+      null,
+      { items: [['一']], glossaryViolations: undefined },
+    ]);
+  });
+
+  test('clear empties both pages and blocks', async () => {
+    await TranslationCache.put('key1_en', 'en', [{ id: 0, items: [['hello']] }], 1);
+    await TranslationCache.putBlocks([{ blockKey: 'b1_en_m', items: [['hello']] }]);
+
+    await TranslationCache.clear();
+
+    expect(await TranslationCache.list()).toEqual([]);
+    expect(await TranslationCache.getBlocks(['b1_en_m'])).toEqual([null]);
+  });
+
+  test('get refreshes lastAccessedAt for LRU eviction', async () => {
+    await TranslationCache.put('key1_en', 'en', [{ id: 0, items: [['hello']] }], 1);
+    const [before] = await TranslationCache.list();
+
+    await new Promise(r => setTimeout(r, 10));
+    await TranslationCache.get('key1_en');
+
+    const [after] = await TranslationCache.list();
+    expect(after.lastAccessedAt).toBeGreaterThan(before.lastAccessedAt);
+    expect(after.createdAt).toBe(before.createdAt);
+  });
+
+  test('evict removes least recently used pages beyond maxEntries', async () => {
+    await TranslationCache.put('old_en', 'en', [{ id: 0, items: [['a']] }], 1);
+    await new Promise(r => setTimeout(r, 10));
+    await TranslationCache.put('new_en', 'en', [{ id: 0, items: [['b']] }], 1);
+    await new Promise(r => setTimeout(r, 10));
+    // Reading the older page makes it the most recently used
+    await TranslationCache.get('old_en');
+
+    const removed = await TranslationCache.evict({ maxEntries: 1 });
+
+    expect(removed).toBe(1);
+    expect(await TranslationCache.get('old_en')).not.toBeNull();
+    expect(await TranslationCache.get('new_en')).toBeNull();
+  });
+
+  test('evict reads bookkeeping from the index without loading records', async () => {
+    await TranslationCache.put('page_en', 'en', [{ id: 0, items: [['a']] }], 1);
+    await TranslationCache.putBlocks([{ blockKey: 'block_en', items: [['b']] }]);
+    const indexCursor = jest.spyOn(globalThis.IDBIndex.prototype, 'openCursor');
+    const storeCursor = jest.spyOn(globalThis.IDBObjectStore.prototype, 'openCursor');
+
+    try {
+      expect(await TranslationCache.evict({ maxBytes: 1 })).toBe(2);
+      expect(indexCursor).not.toHaveBeenCalled();
+      expect(storeCursor).not.toHaveBeenCalled();
+    } finally {
+      indexCursor.mockRestore();
+      storeCursor.mockRestore();
+    }
+  });
+
+  test('upgrading a v1 database indexes existing pages by creation time', async () => {
+    await TranslationCache.closeDB();
+    await new Promise((resolve, reject) => {
+      const req = indexedDB.deleteDatabase('llm-translation-cache');
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(req.error);
+    });
+    await new Promise((resolve, reject) => {
+      const req = indexedDB.open('llm-translation-cache', 1);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore('translations', { keyPath: 'cacheKey' });
+        store.createIndex('createdAt', 'createdAt', { unique: false });
+        store.put({ cacheKey: 'legacy_en', blocks: [], totalBlocks: 0, createdAt: 1234 });
+      };
+      req.onsuccess = () => {
+        req.result.close();
+        resolve();
+      };
+      req.onerror = () => reject(req.error);
+    });
+
+    const [record] = await TranslationCache.list();
+    expect(record.lastAccessedAt).toBe(1234);
+    const usage = await TranslationCache.usage();
+    expect(usage.pages).toBe(1);
+    // Sized during the upgrade, so eviction can count it without loading it
+    expect(usage.bytes).toBeGreaterThan(0);
+  });
+
+  test('importRecords merges by cacheKey, keeping the newer translation', async () => {
+    await TranslationCache.put('same_en', 'en', [{ id: 0, items: [['local']] }], 1);
+    const [local] = await TranslationCache.list();
+
+    const counts = await TranslationCache.importRecords([
+      { cacheKey: 'new_en', targetLanguage: 'en', blocks: [], totalBlocks: 0, createdAt: 1000 },
+      {
+        cacheKey: 'same_en',
+        targetLanguage: 'en',
+        blocks: [{ id: 0, items: [['older']] }],
+        totalBlocks: 1,
+        createdAt: local.createdAt - 1,
+      },
+    ]);
+    expect(counts).toEqual({ added: 1, updated: 0, skipped: 1 });
+    expect((await TranslationCache.get('same_en')).blocks[0].items[0][0]).toBe('local');
+
+    const records = await TranslationCache.list();
+    const imported = records.find(r => r.cacheKey === 'new_en');
+    expect(imported.createdAt).toBe(1000);
+    expect(imported.lastAccessedAt).toBeGreaterThan(1000);
+
+    const newer = await TranslationCache.importRecords([
+      {
+        cacheKey: 'same_en',
+        targetLanguage: 'en',
+        blocks: [{ id: 0, items: [['newer']] }],
+        totalBlocks: 1,
+        createdAt: local.createdAt + 1,
+      },
+    ]);
+    expect(newer).toEqual({ added: 0, updated: 1, skipped: 0 });
+    expect((await TranslationCache.get('same_en')).blocks[0].items[0][0]).toBe('newer');
+  });
+
+  test('usage counts pages, blocks and bytes', async () => {
+    await TranslationCache.put('key1_en', 'en', [{ id: 0, items: [['hello']] }], 1);
+    await TranslationCache.putBlocks([
+      { blockKey: 'b1_en_m', items: [['hello']] },
+      { blockKey: 'b2_en_m', items: [['world']] },
+    ]);
+
+    const usage = await TranslationCache.usage();
+    expect(usage.pages).toBe(1);
+    expect(usage.blocks).toBe(2);
+    expect(usage.bytes).toBeGreaterThan(0);
+  });
+
+  test('updateItem replaces one item and clears its glossary warnings', async () => {
+    await TranslationCache.put(
+      'fix_ja',
+      'ja',
+      [
+        {
+          id: 0,
+          items: [['最初'], ['誤訳']],
+          glossaryViolations: [
+            { itemIndex: 0, missing: [{ term: 'a', expected: 'b' }] },
+            { itemIndex: 1, missing: [{ term: 'c', expected: 'd' }] },
+          ],
+        },
+      ],
+      1,
+      { title: 'Fixes' }
+    );
+
+    expect(await TranslationCache.updateItem('fix_ja', 0, 1, ['正しい訳'])).toBe(true);
+
+    const [block] = (await TranslationCache.get('fix_ja')).blocks;
+    expect(block.items).toEqual([['最初'], ['正しい訳']]);
+    expect(block.glossaryViolations.map(v => v.itemIndex)).toEqual([0]);
+    // Search follows the corrected text
+    const { entries } = await TranslationCache.query({ text: '正しい' });
+    expect(entries.map(e => e.cacheKey)).toEqual(['fix_ja']);
+
+    expect(await TranslationCache.updateItem('fix_ja', 0, 5, ['x'])).toBe(false);
+    expect(await TranslationCache.updateItem('missing_ja', 0, 0, ['x'])).toBe(false);
+  });
+
+  test('updateBlock replaces one block and leaves the rest of the page', async () => {
+    const blocks = [
+      { id: 0, items: [['Bonjour']] },
+      { id: 1, items: [['Salut']], glossaryViolations: [{ itemIndex: 0, missing: [] }] },
+    ];
+    await TranslationCache.put('block_fr', 'fr', blocks, 2, { title: 'Blocks' });
+
+    const fresh = { id: 1, items: [['Je vous salue']] };
+    expect(await TranslationCache.updateBlock('block_fr', fresh)).toBe(true);
+
+    const page = await TranslationCache.getRecord('block_fr');
+    expect(page.blocks).toEqual([blocks[0], fresh]);
+    expect(page.title).toBe('Blocks');
+
+    expect(await TranslationCache.updateBlock('block_fr', { id: 7, items: [] })).toBe(false);
+    expect(await TranslationCache.updateBlock('missing_fr', fresh)).toBe(false);
+  });
+
+  describe('original text', () => {
+    const blocks = [{ id: 0, items: [['Bonjour ', 'le monde']] }];
+    const sourceBlocks = [{ id: 0, items: [['Hello ', 'world']] }];
+
+    test('getRecord and list return the original text stored with a page', async () => {
+      await TranslationCache.put('key1_fr', 'fr', blocks, 1, { title: 'T' }, sourceBlocks);
+
+      expect((await TranslationCache.getRecord('key1_fr')).sourceBlocks).toEqual(sourceBlocks);
+      expect((await TranslationCache.list())[0].sourceBlocks).toEqual(sourceBlocks);
+      // History's listing and page replays don't carry it
+      const { entries } = await TranslationCache.query();
+      expect(entries[0].sourceBlocks).toBeUndefined();
+      expect(await TranslationCache.get('key1_fr')).toEqual({ blocks, totalBlocks: 1 });
+    });
+
+    test('counts the original text in the page size', async () => {
+      await TranslationCache.put('without_fr', 'fr', blocks, 1);
+      await TranslationCache.put('with_fr', 'fr', blocks, 1, undefined, sourceBlocks);
+
+      const [withSource, withoutSource] = await Promise.all(
+        ['with_fr', 'without_fr'].map(key => TranslationCache.getRecord(key))
+      );
+      expect(withSource.size).toBeGreaterThan(withoutSource.size);
+    });
+
+    // Read the sources store directly, through a second connection
+    const sourceKeys = () =>
+      new Promise((resolve, reject) => {
+        const req = indexedDB.open('llm-translation-cache');
+        req.onsuccess = () => {
+          const keys = req.result.transaction('sources').objectStore('sources').getAllKeys();
+          keys.onsuccess = () => {
+            req.result.close();
+            resolve(keys.result);
+          };
+        };
+        req.onerror = () => reject(req.error);
+      });
+
+    test('is deleted with its page, or when the page is rewritten without it', async () => {
+      for (const key of ['a_fr', 'b_fr', 'c_fr', 'd_fr']) {
+        await TranslationCache.put(key, 'fr', blocks, 1, undefined, sourceBlocks);
+      }
+      await TranslationCache.put('a_fr', 'fr', blocks, 1);
+      await TranslationCache.remove('b_fr');
+      await TranslationCache.removeMany(['c_fr']);
+      expect(await sourceKeys()).toEqual(['d_fr']);
+
+      await new Promise(r => setTimeout(r, 5));
+      await TranslationCache.evict({ ttlMs: 1 });
+      expect(await sourceKeys()).toEqual([]);
+    });
+
+    test('importRecords stores the original text of imported pages', async () => {
+      await TranslationCache.importRecords([
+        {
+          cacheKey: 'x_fr',
+          targetLanguage: 'fr',
+          blocks,
+          totalBlocks: 1,
+          createdAt: 5,
+          sourceBlocks,
+        },
+      ]);
+
+      const record = await TranslationCache.getRecord('x_fr');
+      expect(record.sourceBlocks).toEqual(sourceBlocks);
+      expect(record.createdAt).toBe(5);
+    });
+
+    test('upgrading a v4 database keeps its pages, without original text', async () => {
+      await new Promise((resolve, reject) => {
+        const req = indexedDB.open('llm-translation-cache', 4);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          const store = db.createObjectStore('translations', { keyPath: 'cacheKey' });
+          store.createIndex('createdAt', 'createdAt', { unique: false });
+          store.createIndex('lastAccessedAt', 'lastAccessedAt', { unique: false });
+          db.createObjectStore('blocks', { keyPath: 'blockKey' });
+          store.put({
+            cacheKey: 'legacy_fr',
+            targetLanguage: 'fr',
+            blocks,
+            totalBlocks: 1,
+            createdAt: 1234,
+            lastAccessedAt: 1234,
+            searchTerms: ['bonjour'],
+          });
+        };
+        req.onsuccess = () => {
+          req.result.close();
+          resolve();
+        };
+        req.onerror = () => reject(req.error);
+      });
+
+      const legacy = await TranslationCache.getRecord('legacy_fr');
+      expect(legacy.blocks).toEqual(blocks);
+      expect(legacy.sourceBlocks).toBeUndefined();
+
+      await TranslationCache.put('new_fr', 'fr', blocks, 1, undefined, sourceBlocks);
+      expect((await TranslationCache.getRecord('new_fr')).sourceBlocks).toEqual(sourceBlocks);
+    });
+  });
+});
+
+describe('TranslationCache.query', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const pages = [
+    {
+      cacheKey: 'react_ja',
+      targetLanguage: 'japanese',
+      title: 'React Hooks Guide',
+      url: 'https://react.dev/hooks',
+      model: 'gpt-a',
+      blocks: [{ id: 0, items: [['フックの使い方']] }],
+      totalBlocks: 3,
+      createdAt: 10 * DAY,
+    },
+    {
+      cacheKey: 'rust_fr',
+      targetLanguage: 'french',
+      title: 'Rust Ownership',
+      url: 'https://doc.rust-lang.org/book',
+      model: 'gpt-b',
+      blocks: [{ id: 0, items: [['La propriété en Rust']] }],
+      totalBlocks: 9,
+      createdAt: 20 * DAY,
+    },
+    {
+      cacheKey: 'vue_ja',
+      targetLanguage: 'japanese',
+      title: 'Vue Basics',
+      url: 'https://vuejs.org/guide',
+      model: 'gpt-b',
+      blocks: [{ id: 0, items: [['基本的な使い方']] }],
+      totalBlocks: 5,
+      createdAt: 30 * DAY,
+    },
+  ];
+  const keys = result => result.entries.map(entry => entry.cacheKey);
+
+  beforeEach(async () => {
+    await TranslationCache.importRecords(pages);
+  });
+
+  afterEach(async () => {
+    await TranslationCache.closeDB();
+    await new Promise((resolve, reject) => {
+      const req = indexedDB.deleteDatabase('llm-translation-cache');
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(req.error);
+    });
+  });
+
+  test('defaults to newest first and pages with offset/limit', async () => {
+    const first = await TranslationCache.query({ limit: 2 });
+    expect(keys(first)).toEqual(['vue_ja', 'rust_fr']);
+    expect(first.total).toBe(3);
+
+    const second = await TranslationCache.query({ offset: 2, limit: 2 });
+    expect(keys(second)).toEqual(['react_ja']);
+  });
+
+  test('returns summaries without the translated blocks', async () => {
+    const { entries } = await TranslationCache.query({ limit: 1 });
+    expect(entries[0]).not.toHaveProperty('blocks');
+    expect(entries[0]).not.toHaveProperty('searchTerms');
+    expect(entries[0].title).toBe('Vue Basics');
+  });
+
+  test('searches titles, URLs and translated text by word prefix', async () => {
+    expect(keys(await TranslationCache.query({ text: 'hook' }))).toEqual(['react_ja']);
+    expect(keys(await TranslationCache.query({ text: 'rust-lang' }))).toEqual(['rust_fr']);
+    expect(keys(await TranslationCache.query({ text: 'PROPRIÉTÉ' }))).toEqual(['rust_fr']);
+    // CJK text is matched without word boundaries
+    expect(keys(await TranslationCache.query({ text: '使い方' }))).toEqual(['vue_ja', 'react_ja']);
+    expect(keys(await TranslationCache.query({ text: 'guide hooks' }))).toEqual(['react_ja']);
+    expect((await TranslationCache.query({ text: 'angular' })).total).toBe(0);
+  });
+
+  test('filters by language, model and date range', async () => {
+    expect(keys(await TranslationCache.query({ targetLanguage: 'japanese' }))).toEqual([
+      'vue_ja',
+      'react_ja',
+    ]);
+    expect(
+      keys(await TranslationCache.query({ model: 'gpt-b', targetLanguage: 'japanese' }))
+    ).toEqual(['vue_ja']);
+    expect(keys(await TranslationCache.query({ from: 15 * DAY, to: 25 * DAY }))).toEqual([
+      'rust_fr',
+    ]);
+  });
+
+  test('sorts by other columns in either direction', async () => {
+    expect(keys(await TranslationCache.query({ sort: 'title', descending: false }))).toEqual([
+      'react_ja',
+      'rust_fr',
+      'vue_ja',
+    ]);
+    expect(keys(await TranslationCache.query({ sort: 'totalBlocks', descending: true }))).toEqual([
+      'rust_fr',
+      'vue_ja',
+      'react_ja',
+    ]);
+  });
+
+  test('facets lists distinct languages and models', async () => {
+    expect(await TranslationCache.facets()).toEqual({
+      languages: ['french', 'japanese'],
+      models: ['gpt-a', 'gpt-b'],
+    });
+  });
+
+  test('removeMany deletes several pages at once', async () => {
+    await TranslationCache.removeMany(['react_ja', 'vue_ja']);
+    expect(keys(await TranslationCache.query())).toEqual(['rust_fr']);
+  });
+
+  test('indexes pages written before search existed', async () => {
+    await TranslationCache.closeDB();
+    await new Promise((resolve, reject) => {
+      const req = indexedDB.deleteDatabase('llm-translation-cache');
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(req.error);
+    });
+    // A v3 database: LRU index but no search terms
+    await new Promise((resolve, reject) => {
+      const req = indexedDB.open('llm-translation-cache', 3);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        const store = db.createObjectStore('translations', { keyPath: 'cacheKey' });
+        store.createIndex('createdAt', 'createdAt', { unique: false });
+        store.createIndex('lastAccessedAt', 'lastAccessedAt', { unique: false });
+        db.createObjectStore('blocks', { keyPath: 'blockKey' });
+        store.put({ ...pages[1], lastAccessedAt: pages[1].createdAt });
+      };
+      req.onsuccess = () => {
+        req.result.close();
+        resolve();
+      };
+      req.onerror = () => reject(req.error);
+    });
+
+    expect(keys(await TranslationCache.query({ text: 'ownership' }))).toEqual(['rust_fr']);
+  });
+});
+
+describe('TranslationCache.selectEvictions', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = 100 * DAY;
+  // Least recently used first, as readEntries returns them
+  const entries = [
+    { store: 'translations', key: 'p1', createdAt: 10 * DAY, lastAccessedAt: 95 * DAY, size: 400 },
+    { store: 'blocks', key: 'b1', createdAt: 96 * DAY, lastAccessedAt: 96 * DAY, size: 100 },
+    { store: 'translations', key: 'p2', createdAt: 97 * DAY, lastAccessedAt: 97 * DAY, size: 300 },
+    { store: 'translations', key: 'p3', createdAt: 98 * DAY, lastAccessedAt: 98 * DAY, size: 200 },
+  ];
+  const keys = evicted => evicted.map(entry => entry.key);
+
+  test('keeps everything when no limit is set', () => {
+    expect(TranslationCache.selectEvictions(entries, {}, now)).toEqual([]);
+  });
+
+  test('drops entries created before the time-to-live', () => {
+    expect(keys(TranslationCache.selectEvictions(entries, { ttlMs: 30 * DAY }, now))).toEqual([
+      'p1',
+    ]);
+  });
+
+  test('counts only pages towards maxEntries', () => {
+    expect(keys(TranslationCache.selectEvictions(entries, { maxEntries: 1 }, now))).toEqual([
+      'p1',
+      'p2',
+    ]);
+  });
+
+  test('evicts least recently used entries of either kind until within maxBytes', () => {
+    expect(keys(TranslationCache.selectEvictions(entries, { maxBytes: 500 }, now))).toEqual([
+      'p1',
+      'b1',
+    ]);
+  });
+});
+
+describe('ModelConfig.getCacheLimits', () => {
+  test('converts the cache settings to bytes and milliseconds', () => {
+    expect(
+      ModelConfig.getCacheLimits({ cacheMaxEntries: 200, cacheMaxMB: 2, cacheTTLDays: 1 })
+    ).toEqual({ maxEntries: 200, maxBytes: 2 * 1024 * 1024, ttlMs: 24 * 60 * 60 * 1000 });
+  });
+
+  test('treats missing or invalid values as unlimited', () => {
+    expect(ModelConfig.getCacheLimits({ cacheMaxMB: 'lots', cacheTTLDays: -5 })).toEqual({
+      maxEntries: 0,
+      maxBytes: 0,
+      ttlMs: 0,
+    });
+  });
 });
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for translation cache keys (shared/cache-keys.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const cacheKeysSource = fs.readFileSync(
+  path.resolve(__dirname, '../../../shared/cache-keys.js'),
+  'utf8'
+);
+const CacheKeys = eval(cacheKeysSource + '\nCacheKeys;\n');
+
+const sourceBlocks = [{ id: 0, items: [['Hello'], ['world']] }];
+const glossary = [{ source: 'world', target: 'monde' }];
+const style = { tone: 'formal' };
+
+describe('CacheKeys', () => {
+  test('glossary and style change the page and block keys', () => {
+    const plain = CacheKeys.pageKey(sourceBlocks, 'french');
+    expect(plain).toMatch(/^[0-9a-f]+_french$/);
+    expect(CacheKeys.pageKey(sourceBlocks, 'french', glossary)).not.toBe(plain);
+    expect(CacheKeys.pageKey(sourceBlocks, 'french', null, style)).not.toBe(plain);
+
+    const block = CacheKeys.blockKey(sourceBlocks[0].items, 'french', 'gpt-4o');
+    expect(block).toMatch(/^[0-9a-f]+_french_gpt-4o$/);
+    expect(CacheKeys.blockKey(sourceBlocks[0].items, 'french', 'gpt-4o', glossary)).not.toBe(block);
+  });
+
+  test('blockKeyInPage matches blockKey under the page glossary and style', () => {
+    const items = sourceBlocks[0].items;
+    for (const [g, s] of [
+      [null, null],
+      [glossary, null],
+      [null, style],
+      [glossary, style],
+    ]) {
+      const page = CacheKeys.pageKey(sourceBlocks, 'french', g, s);
+      expect(CacheKeys.blockKeyInPage(page, 'french', 'gpt-4o', items)).toBe(
+        CacheKeys.blockKey(items, 'french', 'gpt-4o', g, s)
+      );
+    }
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the Glossary helpers (shared/glossary.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// shared/glossary.js is an ES module; strip the export and evaluate it as a script
+const glossarySource = fs
+  .readFileSync(path.resolve(__dirname, '../../../shared/glossary.js'), 'utf8')
+  .replace(/^export default .*$/m, '');
+const Glossary = eval(glossarySource + '\nGlossary;\n');
+
+describe('Glossary parsing', () => {
+  test('parseTerms reads "source = target" lines and skips malformed ones', () => {
+    const terms = Glossary.parseTerms('pull request = 合併請求\n\nno separator\n = empty\nA=B=C');
+    expect(terms).toEqual([
+      { source: 'pull request', target: '合併請求' },
+      { source: 'A', target: 'B=C' },
+    ]);
+  });
+
+  test('formatTerms round-trips through parseTerms', () => {
+    const terms = [{ source: 'commit', target: '提交' }];
+    expect(Glossary.parseTerms(Glossary.formatTerms(terms))).toEqual(terms);
+  });
+
+  test('buildPromptSection is empty without terms', () => {
+    expect(Glossary.buildPromptSection(null)).toBe('');
+    expect(Glossary.buildPromptSection({ terms: [], keep: [] })).toBe('');
+  });
+
+  test('buildPromptSection lists mappings and never-translate terms', () => {
+    const section = Glossary.buildPromptSection({
+      terms: [{ source: 'commit', target: '提交' }],
+      keep: ['Kubernetes'],
+    });
+    expect(section).toContain('"commit" → "提交"');
+    expect(section).toContain('NEVER TRANSLATE');
+    expect(section).toContain('"Kubernetes"');
+  });
+});
+
+describe('Glossary learned corrections', () => {
+  test('addCorrection keeps the newest first and replaces the same source text', () => {
+    let corrections = Glossary.addCorrection([], { source: 'Sign in', target: '登入' });
+    corrections = Glossary.addCorrection(corrections, { source: 'Log out', target: '登出' });
+    corrections = Glossary.addCorrection(corrections, { source: ' Sign in ', target: '簽到' });
+
+    expect(corrections).toEqual([
+      { source: 'Sign in', target: '簽到' },
+      { source: 'Log out', target: '登出' },
+    ]);
+  });
+
+  test('addCorrection ignores empty corrections and caps the list', () => {
+    expect(Glossary.addCorrection(undefined, { source: 'Hello', target: ' ' })).toEqual([]);
+
+    let corrections = [];
+    for (let i = 0; i < Glossary.MAX_CORRECTIONS + 5; i++) {
+      corrections = Glossary.addCorrection(corrections, { source: `s${i}`, target: `t${i}` });
+    }
+    expect(corrections).toHaveLength(Glossary.MAX_CORRECTIONS);
+    expect(corrections[0].source).toBe(`s${Glossary.MAX_CORRECTIONS + 4}`);
+  });
+
+  test('buildCorrectionsSection lists corrections as examples', () => {
+    expect(Glossary.buildCorrectionsSection(null)).toBe('');
+    expect(Glossary.buildCorrectionsSection([])).toBe('');
+
+    const section = Glossary.buildCorrectionsSection([{ source: 'Sign in', target: '登入' }]);
+    expect(section).toContain('PAST CORRECTIONS');
+    expect(section).toContain('"Sign in" → "登入"');
+  });
+});
+
+describe('Glossary.enforce', () => {
+  const glossary = {
+    terms: [{ source: 'pull request', target: '合併請求' }],
+    keep: ['Kubernetes'],
+  };
+
+  test('leaves compliant translations alone', () => {
+    const result = Glossary.enforce([['Open a pull request']], [['開啟一個合併請求']], glossary);
+    expect(result.items).toEqual([['開啟一個合併請求']]);
+    expect(result.violations).toEqual([]);
+    expect(result.corrections).toBe(0);
+  });
+
+  test('replaces a source term the model left untranslated', () => {
+    const result = Glossary.enforce(
+      [['Open a ', 'pull request']],
+      [['開啟一個', 'Pull Request']],
+      glossary
+    );
+    expect(result.items).toEqual([['開啟一個', '合併請求']]);
+    expect(result.violations).toEqual([]);
+    expect(result.corrections).toBe(1);
+  });
+
+  test('reports terms that could not be fixed', () => {
+    const result = Glossary.enforce(
+      [['Open a pull request'], ['Deploy to Kubernetes']],
+      [['開啟一個拉取請求'], ['部署到 K8s']],
+      glossary
+    );
+    expect(result.violations).toEqual([
+      { itemIndex: 0, missing: [{ term: 'pull request', expected: '合併請求' }] },
+      { itemIndex: 1, missing: [{ term: 'Kubernetes', expected: 'Kubernetes' }] },
+    ]);
+  });
+
+  test('does not match terms inside longer words', () => {
+    const result = Glossary.enforce([['Recommit changes']], [['重新提交變更']], {
+      terms: [{ source: 'commit', target: '提交' }],
+      keep: [],
+    });
+    expect(result.violations).toEqual([]);
+  });
+});
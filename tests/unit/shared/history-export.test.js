@@ -0,0 +1,168 @@
+/**
+ * Unit tests for the translation history export format (shared/history-export.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const exportSource = fs.readFileSync(
+  path.resolve(__dirname, '../../../shared/history-export.js'),
+  'utf8'
+);
+const HistoryExport = eval(exportSource + '\nHistoryExport;\n');
+
+const record = {
+  cacheKey: 'abc123_japanese',
+  targetLanguage: 'japanese',
+  blocks: [
+    { id: 0, items: [['こんにちは', '世界'], ['']] },
+    { id: 1, items: [['<b>太字</b>']] },
+  ],
+  totalBlocks: 2,
+  createdAt: Date.UTC(2026, 0, 15),
+  lastAccessedAt: Date.UTC(2026, 2, 1),
+  size: 321,
+  url: 'https://example.com/post',
+  title: 'Hello World',
+  sourceText: 'Hello world, this is the start',
+  model: 'gpt-test',
+};
+
+// The same page saved with its original text
+const bilingualRecord = {
+  ...record,
+  sourceBlocks: [
+    { id: 0, items: [['Hello', 'world'], ['']] },
+    { id: 1, items: [['<b>Bold</b>']] },
+  ],
+};
+
+describe('HistoryExport.buildExport', () => {
+  test('wraps portable records and drops per-machine bookkeeping', () => {
+    const data = HistoryExport.buildExport([record], Date.UTC(2026, 3, 1));
+
+    expect(data).toMatchObject({
+      format: HistoryExport.FORMAT,
+      version: HistoryExport.VERSION,
+      exportedAt: '2026-04-01T00:00:00.000Z',
+    });
+    expect(data.records[0]).not.toHaveProperty('lastAccessedAt');
+    expect(data.records[0]).not.toHaveProperty('size');
+    expect(data.records[0]).toMatchObject({ cacheKey: 'abc123_japanese', title: 'Hello World' });
+  });
+});
+
+describe('HistoryExport.parseExport', () => {
+  const exportText = records => JSON.stringify({ ...HistoryExport.buildExport([]), records });
+
+  test('round-trips an export', () => {
+    const text = JSON.stringify(HistoryExport.buildExport([record]));
+    const { records, invalid } = HistoryExport.parseExport(text);
+
+    expect(invalid).toBe(0);
+    expect(records).toEqual([HistoryExport.validateRecord(record)]);
+  });
+
+  test('rejects files that are not history exports', () => {
+    expect(() => HistoryExport.parseExport('not json')).toThrow('not valid JSON');
+    expect(() => HistoryExport.parseExport('{"records": []}')).toThrow('not a translation');
+    expect(() =>
+      HistoryExport.parseExport(
+        JSON.stringify({ format: HistoryExport.FORMAT, version: 99, records: [] })
+      )
+    ).toThrow('newer version');
+  });
+
+  test('counts malformed records and keeps the valid ones', () => {
+    const { records, invalid } = HistoryExport.parseExport(
+      exportText([
+        record,
+        { ...record, cacheKey: '' },
+        { ...record, blocks: [{ id: -1, items: [] }] },
+        { ...record, blocks: [{ id: 0, items: [[42]] }] },
+        { ...record, sourceBlocks: 'Hello' },
+        null,
+      ])
+    );
+    expect(records).toHaveLength(1);
+    expect(invalid).toBe(5);
+  });
+
+  test('keeps the original text of pages that have it', () => {
+    const { records } = HistoryExport.parseExport(
+      JSON.stringify(HistoryExport.buildExport([bilingualRecord]))
+    );
+    expect(records[0].sourceBlocks).toEqual(bilingualRecord.sourceBlocks);
+  });
+
+  test('fills in missing totals and dates and strips unknown fields', () => {
+    const { records } = HistoryExport.parseExport(
+      exportText([
+        {
+          cacheKey: 'k_fr',
+          targetLanguage: 'french',
+          blocks: [{ id: 0, items: [['Bonjour']] }],
+          title: 42,
+          onclick: 'alert(1)',
+        },
+      ])
+    );
+    expect(records[0].totalBlocks).toBe(1);
+    expect(Number.isFinite(records[0].createdAt)).toBe(true);
+    expect(records[0]).not.toHaveProperty('title');
+    expect(records[0]).not.toHaveProperty('onclick');
+  });
+});
+
+describe('HistoryExport.blockPairs', () => {
+  test('lines up translated items with their originals, skipping empty items', () => {
+    expect(HistoryExport.blockPairs(bilingualRecord)).toEqual([
+      [{ blockId: 0, itemIndex: 0, source: 'Hello world', translation: 'こんにちは 世界' }],
+      [{ blockId: 1, itemIndex: 0, source: '<b>Bold</b>', translation: '<b>太字</b>' }],
+    ]);
+  });
+
+  test('leaves the source empty for pages saved without it', () => {
+    expect(HistoryExport.blockPairs(record)[0]).toEqual([
+      { blockId: 0, itemIndex: 0, source: '', translation: 'こんにちは 世界' },
+    ]);
+  });
+});
+
+describe('HistoryExport documents', () => {
+  test('toMarkdown lists metadata and one paragraph per item', () => {
+    const markdown = HistoryExport.toMarkdown(record, 'Japanese');
+
+    expect(markdown).toContain('# Hello World');
+    expect(markdown).toContain('- Source: <https://example.com/post>');
+    expect(markdown).toContain('- Translated to: Japanese');
+    expect(markdown).toContain('- Date: 2026-01-15');
+    expect(markdown).toContain('こんにちは 世界');
+    expect(markdown.trim().endsWith('<b>太字</b>')).toBe(true);
+  });
+
+  test('toHTML escapes translated text', () => {
+    const html = HistoryExport.toHTML(record, 'Japanese');
+
+    expect(html).toContain('<title>Hello World</title>');
+    expect(html).toContain('<p>&lt;b&gt;太字&lt;/b&gt;</p>');
+    expect(html).not.toContain('<b>太字</b>');
+  });
+
+  test('bilingual documents pair each original with its translation', () => {
+    const markdown = HistoryExport.toMarkdown(bilingualRecord, 'Japanese');
+    expect(markdown).toContain('> Hello world\n\nこんにちは 世界');
+    // The excerpt is redundant once the full original is there
+    expect(markdown).not.toContain('this is the start');
+
+    const html = HistoryExport.toHTML(bilingualRecord, 'Japanese');
+    expect(html).toContain(
+      '<div class="pair"><p class="source">&lt;b&gt;Bold&lt;/b&gt;</p><p>&lt;b&gt;太字&lt;/b&gt;</p></div>'
+    );
+  });
+
+  test('fileName builds a safe slug', () => {
+    expect(HistoryExport.fileName(record, 'md')).toBe('hello-world-japanese.md');
+    expect(HistoryExport.fileName({ title: '../../' }, 'html')).toBe('translation.html');
+  });
+});
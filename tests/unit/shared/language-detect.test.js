@@ -0,0 +1,105 @@
+/**
+ * Unit tests for local source-language detection (shared/language-detect.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const languageDetectSource = fs.readFileSync(
+  path.resolve(__dirname, '../../../shared/language-detect.js'),
+  'utf8'
+);
+const LanguageDetect = eval(languageDetectSource + '\nLanguageDetect;\n');
+
+// Simplified text without the most common variant-specific characters
+const simplifiedSentences = [
+  '请输入您的密码以继续操作',
+  '购买须知：价格包含运费和税费',
+  '该产品仅限线上销售，请勿转卖',
+];
+
+describe('LanguageDetect.detect', () => {
+  test('identifies languages by script', () => {
+    expect(LanguageDetect.detect('これは日本語の文章です')).toBe('japanese');
+    expect(LanguageDetect.detect('이것은 한국어 문장입니다')).toBe('korean');
+    expect(LanguageDetect.detect('Это предложение на русском')).toBe('russian');
+    expect(LanguageDetect.detect('هذه جملة باللغة العربية')).toBe('arabic');
+    expect(LanguageDetect.detect('यह हिंदी में एक वाक्य है')).toBe('hindi');
+  });
+
+  test('separates Simplified and Traditional Chinese', () => {
+    expect(LanguageDetect.detect('这是我们的问题，现在还没有解决')).toBe('chinese');
+    expect(LanguageDetect.detect('這是我們的問題，現在還沒有解決')).toBe('chinese-traditional');
+    expect(LanguageDetect.detect('今天天氣很好')).toBe('chinese-any');
+  });
+
+  test('recognises everyday Simplified text', () => {
+    for (const text of simplifiedSentences) {
+      expect(LanguageDetect.detect(text)).toBe('chinese');
+    }
+  });
+
+  test('scores Latin-script text by stopwords', () => {
+    expect(LanguageDetect.detect('The quick fox is in the garden with the dog')).toBe('english');
+    expect(LanguageDetect.detect('El perro está en el jardín con los niños')).toBe('spanish');
+    expect(LanguageDetect.detect('Der Hund ist nicht in dem Garten und schläft')).toBe('german');
+    expect(LanguageDetect.detect('Le chien est dans le jardin avec les enfants')).toBe('french');
+  });
+
+  test('returns null for short or ambiguous text', () => {
+    expect(LanguageDetect.detect('OK')).toBeNull();
+    expect(LanguageDetect.detect('Kubernetes Terraform Docker')).toBeNull();
+    expect(LanguageDetect.detect('12345 67890')).toBeNull();
+  });
+});
+
+describe('LanguageDetect.matchesTarget', () => {
+  test('unmarked Chinese matches only the page variant', () => {
+    expect(LanguageDetect.matchesTarget('chinese-any', 'chinese-traditional')).toBe(false);
+    expect(
+      LanguageDetect.matchesTarget('chinese-any', 'chinese-traditional', 'chinese-traditional')
+    ).toBe(true);
+    expect(LanguageDetect.matchesTarget('chinese-any', 'chinese-traditional', 'chinese')).toBe(
+      false
+    );
+    expect(LanguageDetect.matchesTarget('chinese-any', 'japanese', 'japanese')).toBe(false);
+  });
+
+  test('Simplified text is not taken for Traditional', () => {
+    for (const text of simplifiedSentences) {
+      expect(
+        LanguageDetect.matchesTarget(
+          LanguageDetect.detect(text),
+          'chinese-traditional',
+          'chinese-traditional'
+        )
+      ).toBe(false);
+    }
+  });
+
+  test('variant-specific Chinese only matches its own target', () => {
+    expect(LanguageDetect.matchesTarget('chinese', 'chinese-traditional')).toBe(false);
+    expect(LanguageDetect.matchesTarget(null, 'english')).toBe(false);
+  });
+});
+
+describe('LanguageDetect.dominantLanguage', () => {
+  test('weights by text length', () => {
+    expect(
+      LanguageDetect.dominantLanguage([
+        'The article is about the history of the city and its people',
+        '這是我們的',
+      ])
+    ).toBe('english');
+  });
+
+  test('unmarked Chinese follows the page variant', () => {
+    expect(LanguageDetect.dominantLanguage(['今天天氣很好，大家出去玩', '這是我們的問題'])).toBe(
+      'chinese-traditional'
+    );
+  });
+
+  test('returns null when nothing is detected', () => {
+    expect(LanguageDetect.dominantLanguage(['OK', '42'])).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for provider profiles in ModelConfig (shared/models.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// shared/models.js is an ES module; strip the export and evaluate it as a script
+const modelsSource = fs
+  .readFileSync(path.resolve(__dirname, '../../../shared/models.js'), 'utf8')
+  .replace(/^export default .*$/m, '');
+const ModelConfig = eval(modelsSource + '\nModelConfig;\n');
+
+const legacySettings = {
+  ...ModelConfig.getDefaultSettings(),
+  provider: 'google',
+  apiKey: 'legacy-key',
+  apiEndpoint: 'https://generativelanguage.googleapis.com/v1beta/openai/',
+  model: 'gemini-2.5-flash',
+  reasoningEffort: 'low',
+};
+
+describe('ModelConfig profiles', () => {
+  test('migrateProfiles seeds a Default profile from top-level settings', () => {
+    const migrated = ModelConfig.migrateProfiles(legacySettings);
+
+    expect(migrated.profiles).toHaveLength(1);
+    expect(migrated.activeProfileId).toBe('default');
+    expect(migrated.profiles[0]).toMatchObject({
+      id: 'default',
+      name: 'Default',
+      provider: 'google',
+      apiKey: 'legacy-key',
+      model: 'gemini-2.5-flash',
+      reasoningEffort: 'low',
+    });
+  });
+
+  test('migrateProfiles falls back to the first profile for an unknown activeProfileId', () => {
+    const profiles = [
+      ModelConfig.createProfile('Cheap', { model: 'gpt-5.4-nano' }),
+      ModelConfig.createProfile('Strong', { model: 'gpt-5.4' }),
+    ];
+    const migrated = ModelConfig.migrateProfiles({ profiles, activeProfileId: 'gone' });
+    expect(migrated.activeProfileId).toBe(profiles[0].id);
+  });
+
+  test('createProfile fills missing fields from defaults and names untitled profiles', () => {
+    const profile = ModelConfig.createProfile('  ', { provider: 'ollama' });
+
+    expect(profile.name).toBe('Untitled');
+    expect(profile.id).toMatch(/^profile_/);
+    expect(profile.provider).toBe('ollama');
+    expect(profile.apiFormat).toBe(ModelConfig.DEFAULT_SETTINGS.apiFormat);
+    for (const field of ModelConfig.PROFILE_FIELDS) {
+      expect(profile).toHaveProperty(field);
+    }
+  });
+
+  test('applyActiveProfile flattens the active profile over top-level settings', () => {
+    const cheap = ModelConfig.createProfile('Cheap', { apiKey: 'k1', model: 'gpt-5.4-nano' });
+    const home = ModelConfig.createProfile('Home', {
+      provider: 'custom',
+      apiEndpoint: 'http://localhost:11434/v1',
+      apiKey: 'k2',
+      model: 'qwen3:8b',
+    });
+
+    const settings = ModelConfig.applyActiveProfile({
+      ...legacySettings,
+      targetLanguage: 'japanese',
+      profiles: [cheap, home],
+      activeProfileId: home.id,
+    });
+
+    expect(settings).toMatchObject({
+      profileId: home.id,
+      profileName: 'Home',
+      provider: 'custom',
+      apiEndpoint: 'http://localhost:11434/v1',
+      apiKey: 'k2',
+      model: 'qwen3:8b',
+      targetLanguage: 'japanese',
+    });
+  });
+
+  test('getActiveProfile returns the selected profile', () => {
+    const a = ModelConfig.createProfile('A');
+    const b = ModelConfig.createProfile('B');
+    expect(ModelConfig.getActiveProfile({ profiles: [a, b], activeProfileId: b.id })).toBe(b);
+  });
+});
+
+describe('ModelConfig.nextTargetLanguage', () => {
+  test('steps through the language list and wraps around', () => {
+    expect(ModelConfig.nextTargetLanguage('chinese')).toBe('chinese-traditional');
+    expect(ModelConfig.nextTargetLanguage('norwegian')).toBe('english');
+    expect(ModelConfig.nextTargetLanguage('klingon')).toBe('english');
+  });
+});
+
+describe('ModelConfig.getModelPrice', () => {
+  test("prefers the user's price, then the list price", () => {
+    const custom = { 'gpt-5.4-nano': { input: 0.1, output: 1 } };
+    expect(ModelConfig.getModelPrice('gpt-5.4-nano', custom)).toEqual({ input: 0.1, output: 1 });
+    expect(ModelConfig.getModelPrice('claude-haiku-4-5', custom)).toEqual({ input: 1, output: 5 });
+    expect(ModelConfig.getModelPrice('my-local-model', undefined)).toBeNull();
+  });
+});
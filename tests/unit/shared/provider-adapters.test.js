@@ -0,0 +1,274 @@
+/**
+ * Unit tests for the provider wire-format adapters (shared/provider-adapters.js)
+ * and ModelConfig.resolveApiFormat (shared/models.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Both files are ES modules; strip the export and evaluate them as scripts
+function loadModule(file, name) {
+  const source = fs
+    .readFileSync(path.resolve(__dirname, '../../../shared', file), 'utf8')
+    .replace(/^export default .*$/m, '');
+  return eval(`${source}\n${name};\n`);
+}
+
+const ProviderAdapters = loadModule('provider-adapters.js', 'ProviderAdapters');
+const ModelConfig = loadModule('models.js', 'ModelConfig');
+
+const config = {
+  apiKey: 'test-key',
+  apiEndpoint: 'https://api.example.com/v1',
+  model: 'test-model',
+};
+const messages = [
+  { role: 'system', content: 'You are a translator.' },
+  { role: 'user', content: 'Hello' },
+];
+
+// Parse raw SSE text the way APIClient.streamChatCompletion does
+function parseSSE(adapter, raw) {
+  const events = [];
+  for (const line of raw.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data: ') || trimmed === 'data: [DONE]') continue;
+    const event = adapter.parseStreamEvent(JSON.parse(trimmed.slice(6)));
+    if (event.done) break;
+    events.push(event);
+  }
+  return events;
+}
+
+describe('ProviderAdapters.get', () => {
+  test('returns the adapter for a known format', () => {
+    expect(ProviderAdapters.get('anthropic')).not.toBe(ProviderAdapters.get('openai'));
+  });
+
+  test('falls back to OpenAI-compatible for unknown or missing formats', () => {
+    expect(ProviderAdapters.get(undefined)).toBe(ProviderAdapters.get('openai'));
+    expect(ProviderAdapters.get('bogus')).toBe(ProviderAdapters.get('openai'));
+  });
+});
+
+describe('OpenAI adapter', () => {
+  const adapter = ProviderAdapters.get('openai');
+
+  test('builds a chat/completions request with bearer auth', () => {
+    const request = adapter.buildRequest(config, messages, {
+      maxTokens: 100,
+      reasoningEffort: 'low',
+      stream: true,
+    });
+    expect(request.path).toBe('chat/completions');
+    expect(request.headers.Authorization).toBe('Bearer test-key');
+    expect(request.body).toMatchObject({
+      model: 'test-model',
+      messages,
+      max_completion_tokens: 100,
+      reasoning_effort: 'low',
+      stream: true,
+    });
+  });
+
+  test('asks only OpenAI and Google for stream usage', () => {
+    const openai = { ...config, apiEndpoint: 'https://api.openai.com/v1' };
+    const google = {
+      ...config,
+      apiEndpoint: 'https://generativelanguage.googleapis.com/v1beta/openai/',
+    };
+    for (const known of [openai, google]) {
+      expect(adapter.buildRequest(known, messages, { stream: true }).body.stream_options).toEqual({
+        include_usage: true,
+      });
+    }
+    expect(adapter.buildRequest(openai, messages, {}).body.stream_options).toBeUndefined();
+    const ollama = { ...config, apiEndpoint: 'https://ollama.com/v1/' };
+    expect(adapter.buildRequest(ollama, messages, { stream: true }).body).not.toHaveProperty(
+      'stream_options'
+    );
+    expect(adapter.buildRequest(config, messages, { stream: true }).body).not.toHaveProperty(
+      'stream_options'
+    );
+  });
+
+  test('omits reasoning_effort when off', () => {
+    const request = adapter.buildRequest(config, messages, {
+      maxTokens: 100,
+      reasoningEffort: 'off',
+    });
+    expect(request.body).not.toHaveProperty('reasoning_effort');
+    expect(request.body).not.toHaveProperty('stream');
+  });
+
+  test('parses content and reasoning deltas', () => {
+    const raw = [
+      'data: {"choices":[{"delta":{"reasoning_content":"think"}}]}',
+      'data: {"choices":[{"delta":{"content":"Hi"}}]}',
+      'data: [DONE]',
+    ].join('\n');
+    expect(parseSSE(adapter, raw)).toEqual([
+      { reasoning: 'think', content: undefined },
+      { reasoning: undefined, content: 'Hi' },
+    ]);
+  });
+
+  test('reads token usage from the final stream chunk', () => {
+    const event = adapter.parseStreamEvent({
+      choices: [],
+      usage: {
+        prompt_tokens: 120,
+        completion_tokens: 80,
+        total_tokens: 200,
+        completion_tokens_details: { reasoning_tokens: 30 },
+      },
+    });
+    expect(event).toEqual({
+      usage: { prompt_tokens: 120, completion_tokens: 80, total_tokens: 200, reasoning_tokens: 30 },
+    });
+  });
+
+  test('falls back to reasoning fields in non-streaming responses', () => {
+    const result = adapter.parseResponse({
+      choices: [{ message: { content: null, reasoning_content: ' OK ' } }],
+      model: 'm',
+    });
+    expect(result.content).toBe('OK');
+  });
+
+  test('rejects responses without choices', () => {
+    expect(() => adapter.parseResponse({})).toThrow('Invalid API response format');
+  });
+});
+
+describe('Anthropic adapter', () => {
+  const adapter = ProviderAdapters.get('anthropic');
+
+  test('builds a messages request with the system prompt as a top-level field', () => {
+    const request = adapter.buildRequest(config, messages, { maxTokens: 100, stream: true });
+    expect(request.path).toBe('messages');
+    expect(request.headers['x-api-key']).toBe('test-key');
+    expect(request.headers['anthropic-version']).toBeTruthy();
+    expect(request.headers).not.toHaveProperty('Authorization');
+    expect(request.body).toEqual({
+      model: 'test-model',
+      max_tokens: 100,
+      system: 'You are a translator.',
+      messages: [{ role: 'user', content: 'Hello' }],
+      stream: true,
+    });
+  });
+
+  test('maps reasoningEffort to a thinking budget on top of max_tokens', () => {
+    const request = adapter.buildRequest(config, messages, {
+      maxTokens: 100,
+      reasoningEffort: 'low',
+    });
+    expect(request.body.thinking).toEqual({ type: 'enabled', budget_tokens: 2048 });
+    expect(request.body.max_tokens).toBe(2148);
+  });
+
+  test('clamps max_tokens to the model output cap, thinking budget included', () => {
+    const request = adapter.buildRequest({ ...config, model: 'claude-sonnet-4-5' }, messages, {
+      maxTokens: 64000,
+      reasoningEffort: 'high',
+    });
+    expect(request.body.thinking.budget_tokens).toBe(8192);
+    expect(request.body.max_tokens).toBe(64000);
+
+    const opus = adapter.buildRequest({ ...config, model: 'claude-opus-4-1' }, messages, {
+      maxTokens: 64000,
+    });
+    expect(opus.body.max_tokens).toBe(32000);
+  });
+
+  test.each(['off', 'none', undefined])('sends no thinking block for %s', effort => {
+    const request = adapter.buildRequest(config, messages, {
+      maxTokens: 100,
+      reasoningEffort: effort,
+    });
+    expect(request.body).not.toHaveProperty('thinking');
+    expect(request.body.max_tokens).toBe(100);
+  });
+
+  test('maps text and thinking deltas and stops at message_stop', () => {
+    const raw = [
+      'event: message_start',
+      'data: {"type":"message_start","message":{"id":"msg_1","content":[]}}',
+      'event: content_block_delta',
+      'data: {"type":"content_block_delta","index":0,"delta":{"type":"thinking_delta","thinking":"hmm"}}',
+      'event: content_block_delta',
+      'data: {"type":"content_block_delta","index":1,"delta":{"type":"text_delta","text":"Hola"}}',
+      'event: content_block_delta',
+      'data: {"type":"content_block_delta","index":1,"delta":{"type":"signature_delta","signature":"x"}}',
+      'event: message_stop',
+      'data: {"type":"message_stop"}',
+      'data: {"type":"content_block_delta","index":1,"delta":{"type":"text_delta","text":"late"}}',
+    ].join('\n');
+    const events = parseSSE(adapter, raw).filter(e => e.content || e.reasoning);
+    expect(events).toEqual([{ reasoning: 'hmm' }, { content: 'Hola' }]);
+  });
+
+  test('reports input tokens at message_start and output tokens at message_delta', () => {
+    expect(
+      adapter.parseStreamEvent({
+        type: 'message_start',
+        message: { id: 'msg_1', usage: { input_tokens: 42, output_tokens: 1 } },
+      })
+    ).toEqual({ usage: { prompt_tokens: 42 } });
+    expect(
+      adapter.parseStreamEvent({
+        type: 'message_delta',
+        delta: { stop_reason: 'end_turn' },
+        usage: { output_tokens: 17 },
+      })
+    ).toEqual({ usage: { completion_tokens: 17 } });
+  });
+
+  test('surfaces mid-stream error events', () => {
+    const event = adapter.parseStreamEvent({
+      type: 'error',
+      error: { type: 'overloaded_error', message: 'Overloaded' },
+    });
+    expect(event).toEqual({ error: 'Overloaded' });
+  });
+
+  test('joins text blocks and normalises usage in non-streaming responses', () => {
+    const result = adapter.parseResponse({
+      model: 'claude-test',
+      content: [
+        { type: 'thinking', thinking: 'ignored' },
+        { type: 'text', text: 'O' },
+        { type: 'text', text: 'K ' },
+      ],
+      usage: { input_tokens: 10, output_tokens: 2 },
+    });
+    expect(result).toEqual({
+      content: 'OK',
+      model: 'claude-test',
+      usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 },
+    });
+  });
+
+  test('reads the message from Anthropic error bodies', () => {
+    expect(
+      adapter.errorMessage({
+        type: 'error',
+        error: { type: 'authentication_error', message: 'invalid x-api-key' },
+      })
+    ).toBe('invalid x-api-key');
+  });
+});
+
+describe('ModelConfig.resolveApiFormat', () => {
+  test('preset providers use their own format', () => {
+    expect(ModelConfig.resolveApiFormat('anthropic', 'openai')).toBe('anthropic');
+    expect(ModelConfig.resolveApiFormat('openai', 'anthropic')).toBe('openai');
+  });
+
+  test('custom providers use the stored format, defaulting to openai', () => {
+    expect(ModelConfig.resolveApiFormat('custom', 'anthropic')).toBe('anthropic');
+    expect(ModelConfig.resolveApiFormat('custom', undefined)).toBe('openai');
+    expect(ModelConfig.resolveApiFormat('custom', 'bogus')).toBe('openai');
+  });
+});
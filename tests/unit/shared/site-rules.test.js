@@ -0,0 +1,106 @@
+/**
+ * Unit tests for per-site auto-translate rules (shared/site-rules.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const siteRulesSource = fs.readFileSync(
+  path.resolve(__dirname, '../../../shared/site-rules.js'),
+  'utf8'
+);
+const SiteRules = eval(siteRulesSource + '\nSiteRules;\n');
+
+describe('SiteRules.matchesHost', () => {
+  test('exact hostnames match case-insensitively', () => {
+    expect(SiteRules.matchesHost('news.example.jp', 'News.Example.JP')).toBe(true);
+    expect(SiteRules.matchesHost('news.example.jp', 'example.jp')).toBe(false);
+  });
+
+  test('leading *. matches subdomains and the bare domain', () => {
+    expect(SiteRules.matchesHost('*.example.jp', 'www.example.jp')).toBe(true);
+    expect(SiteRules.matchesHost('*.example.jp', 'a.b.example.jp')).toBe(true);
+    expect(SiteRules.matchesHost('*.example.jp', 'example.jp')).toBe(true);
+    expect(SiteRules.matchesHost('*.example.jp', 'notexample.jp')).toBe(false);
+  });
+
+  test('trailing wildcard matches any suffix', () => {
+    expect(SiteRules.matchesHost('docs.internal.*', 'docs.internal.corp')).toBe(true);
+    expect(SiteRules.matchesHost('docs.internal.*', 'docs.internal.co.uk')).toBe(true);
+    expect(SiteRules.matchesHost('docs.internal.*', 'wiki.internal.corp')).toBe(false);
+  });
+
+  test('pasted URLs are reduced to their hostname', () => {
+    expect(SiteRules.normalizePattern('https://Example.jp:8080/path?q=1')).toBe('example.jp');
+  });
+
+  test('rejects a bare wildcard', () => {
+    expect(SiteRules.isValidPattern('*')).toBe(false);
+    expect(SiteRules.matchesHost('*', 'example.jp')).toBe(false);
+  });
+});
+
+describe('SiteRules.findRule', () => {
+  const rules = [
+    { id: '1', pattern: '*.example.jp', mode: 'always', targetLanguage: 'english' },
+    { id: '2', pattern: 'forum.example.jp', mode: 'always', targetLanguage: 'french' },
+    { id: '3', pattern: 'docs.internal.*', mode: 'never', targetLanguage: '' },
+    { id: '4', pattern: '*.internal.corp', mode: 'always', targetLanguage: '' },
+  ];
+
+  test('the most specific matching rule wins', () => {
+    expect(SiteRules.findRule(rules, 'forum.example.jp').id).toBe('2');
+    expect(SiteRules.findRule(rules, 'shop.example.jp').id).toBe('1');
+  });
+
+  test('never rules win ties with always rules', () => {
+    expect(SiteRules.findRule(rules, 'docs.internal.corp').id).toBe('3');
+    expect(SiteRules.findRule(rules, 'wiki.internal.corp').id).toBe('4');
+  });
+
+  test('an exact always rule overrides a wildcard never rule', () => {
+    const excluded = [
+      { id: 'n', pattern: '*.internal.example', mode: 'never', targetLanguage: '' },
+      { id: 'a', pattern: 'wiki.internal.example', mode: 'always', targetLanguage: '' },
+    ];
+    expect(SiteRules.findRule(excluded, 'wiki.internal.example').id).toBe('a');
+    expect(SiteRules.findRule(excluded, 'docs.internal.example').id).toBe('n');
+  });
+
+  test('an exact never rule overrides a wildcard always rule', () => {
+    const excluded = [
+      { id: 'a', pattern: '*.example.jp', mode: 'always', targetLanguage: '' },
+      { id: 'n', pattern: 'forum.example.jp', mode: 'never', targetLanguage: '' },
+    ];
+    expect(SiteRules.findRule(excluded, 'forum.example.jp').id).toBe('n');
+  });
+
+  test('returns null when nothing matches or rules are missing', () => {
+    expect(SiteRules.findRule(rules, 'example.com')).toBeNull();
+    expect(SiteRules.findRule(undefined, 'example.jp')).toBeNull();
+  });
+});
+
+describe('SiteRules.createRule', () => {
+  test('normalizes the pattern and assigns an id', () => {
+    const rule = SiteRules.createRule({ pattern: ' *.Example.JP ', targetLanguage: 'english' });
+    expect(rule).toMatchObject({
+      pattern: '*.example.jp',
+      mode: 'always',
+      targetLanguage: 'english',
+    });
+    expect(rule.id).toMatch(/^rule_/);
+  });
+
+  test('never rules carry no language', () => {
+    const rule = SiteRules.createRule({ pattern: 'a.com', mode: 'never', targetLanguage: 'x' });
+    expect(rule.targetLanguage).toBe('');
+  });
+
+  test('throws on invalid input', () => {
+    expect(() => SiteRules.createRule({ pattern: 'bad pattern!' })).toThrow('Invalid site pattern');
+    expect(() => SiteRules.createRule({ pattern: 'a.com', mode: 'sometimes' })).toThrow(
+      'Invalid rule mode'
+    );
+  });
+});
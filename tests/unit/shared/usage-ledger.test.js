@@ -0,0 +1,177 @@
+/**
+ * Unit tests for the token usage ledger (shared/usage-ledger.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ledgerSource = fs.readFileSync(
+  path.resolve(__dirname, '../../../shared/usage-ledger.js'),
+  'utf8'
+);
+const UsageLedger = eval(ledgerSource + '\nUsageLedger;\n');
+
+const empty = () => ({ days: {}, pages: {} });
+const prices = { 'gpt-5.4-nano': { input: 0.2, output: 1.25 } };
+const priceOf = model => prices[model] || null;
+const usage = (prompt, completion, reasoning) => ({
+  prompt_tokens: prompt,
+  completion_tokens: completion,
+  ...(reasoning ? { reasoning_tokens: reasoning } : {}),
+});
+
+describe('UsageLedger.add', () => {
+  test('groups requests by day, provider, model and domain', () => {
+    const now = new Date(2026, 9, 19, 15, 0);
+    const ledger = empty();
+    const entry = { provider: 'openai', model: 'gpt-5.4-nano', domain: 'example.com' };
+
+    UsageLedger.add(ledger, { ...entry, cacheKey: 'page-1', usage: usage(100, 50, 20) }, now);
+    UsageLedger.add(ledger, { ...entry, cacheKey: 'page-1', usage: usage(10, 5) }, now);
+    UsageLedger.add(ledger, { ...entry, domain: 'other.org', usage: usage(1, 1) }, now);
+
+    expect(ledger.days['2026-10-19']).toEqual([
+      { ...entry, requests: 2, estimated: 0, prompt: 110, completion: 55, reasoning: 20 },
+      {
+        ...entry,
+        domain: 'other.org',
+        requests: 1,
+        estimated: 0,
+        prompt: 1,
+        completion: 1,
+        reasoning: 0,
+      },
+    ]);
+    expect(ledger.pages['page-1'].rows).toEqual([
+      {
+        provider: 'openai',
+        model: 'gpt-5.4-nano',
+        requests: 2,
+        estimated: 0,
+        prompt: 110,
+        completion: 55,
+        reasoning: 20,
+      },
+    ]);
+    expect(Object.keys(ledger.pages)).toEqual(['page-1']);
+  });
+
+  test('counts requests whose usage was estimated', () => {
+    const now = new Date(2026, 9, 19);
+    const ledger = empty();
+    const entry = { provider: 'ollama', model: 'gpt-oss:120b-cloud', domain: '', cacheKey: 'p' };
+    UsageLedger.add(ledger, { ...entry, usage: { ...usage(100, 50), estimated: 2 } }, now);
+    UsageLedger.add(ledger, { ...entry, usage: usage(10, 5) }, now);
+
+    expect(ledger.days['2026-10-19'][0]).toMatchObject({ requests: 2, estimated: 1, prompt: 110 });
+    expect(UsageLedger.pageTotal(ledger, 'p', priceOf)).toMatchObject({ estimated: 1 });
+  });
+
+  test('drops days older than a year or so', () => {
+    const ledger = empty();
+    ledger.days['2025-01-01'] = [];
+    UsageLedger.add(
+      ledger,
+      { provider: 'openai', model: 'm', domain: '', usage: usage(1, 1) },
+      new Date(2026, 9, 19)
+    );
+    expect(Object.keys(ledger.days)).toEqual(['2026-10-19']);
+  });
+});
+
+describe('UsageLedger totals', () => {
+  const ledger = empty();
+  const add = (date, model, tokens, cacheKey) =>
+    UsageLedger.add(
+      ledger,
+      { provider: 'openai', model, domain: 'example.com', cacheKey, usage: tokens },
+      date
+    );
+  add(new Date(2026, 9, 19), 'gpt-5.4-nano', usage(1000000, 200000), 'page-1');
+  add(new Date(2026, 9, 2), 'gpt-5.4-nano', usage(500000, 0));
+  add(new Date(2026, 9, 19), 'local-model', usage(300, 100));
+  add(new Date(2026, 8, 30), 'gpt-5.4-nano', usage(1000000, 1000000));
+
+  test('summarize prices today and this month, and breaks the month down', () => {
+    const { today, month, breakdown } = UsageLedger.summarize(
+      ledger,
+      priceOf,
+      new Date(2026, 9, 19, 12)
+    );
+
+    expect(today.requests).toBe(2);
+    expect(today.cost).toBeCloseTo(0.2 + 0.25);
+    expect(today.unpricedTokens).toBe(400);
+    expect(month.requests).toBe(3);
+    expect(month.cost).toBeCloseTo(0.45 + 0.1);
+    expect(breakdown.map(row => [row.model, row.requests])).toEqual([
+      ['gpt-5.4-nano', 2],
+      ['local-model', 1],
+    ]);
+  });
+
+  test('pageTotal covers one cached page', () => {
+    expect(UsageLedger.pageTotal(ledger, 'page-1', priceOf)).toMatchObject({
+      requests: 1,
+      prompt: 1000000,
+      completion: 200000,
+    });
+    expect(UsageLedger.pageTotal(ledger, 'missing', priceOf)).toBeNull();
+  });
+
+  test('formatCost shows fractions of a cent', () => {
+    expect(UsageLedger.formatCost(0)).toBe('$0.00');
+    expect(UsageLedger.formatCost(0.00421)).toBe('$0.0042');
+    expect(UsageLedger.formatCost(1.256)).toBe('$1.26');
+  });
+});
+
+describe('UsageLedger budgets', () => {
+  test('estimateCost prices an estimate, or returns null without a price', () => {
+    expect(UsageLedger.estimateCost(usage(1000000, 1000000), 'gpt-5.4-nano', priceOf)).toBeCloseTo(
+      1.45
+    );
+    expect(UsageLedger.estimateCost(usage(1000, 1000), 'local-model', priceOf)).toBeNull();
+  });
+
+  test('overBudget allows spending within the budgets', () => {
+    const budgets = { dailyBudget: 1, monthlyBudget: 10 };
+    expect(UsageLedger.overBudget({ today: 0.5, month: 5 }, 0.4, budgets)).toBeNull();
+    expect(UsageLedger.overBudget({ today: 50, month: 500 }, 10, {})).toBeNull();
+  });
+
+  test('overBudget names the budget an estimate would exceed', () => {
+    const budgets = { dailyBudget: 1, monthlyBudget: 10 };
+    expect(UsageLedger.overBudget({ today: 0.8, month: 5 }, 0.3, budgets)).toBe(
+      'This would cost about $0.30, going over your daily budget of $1.00 ($0.80 spent today).'
+    );
+    expect(UsageLedger.overBudget({ today: 0, month: 9.9 }, 0.3, budgets)).toMatch(
+      /monthly budget of \$10\.00 \(\$9\.90 spent this month\)/
+    );
+  });
+
+  test('overBudget refuses once a budget is used up, even without an estimate', () => {
+    expect(UsageLedger.overBudget({ today: 1.2, month: 1.2 }, 0, { dailyBudget: 1 })).toBe(
+      'Your daily budget of $1.00 is used up ($1.20 spent today).'
+    );
+  });
+});
+
+describe('UsageLedger.record', () => {
+  test('queues concurrent writes so none is lost', async () => {
+    let stored;
+    chrome.storage.local.get.mockImplementation(async () => ({ usageLedger: stored }));
+    chrome.storage.local.set.mockImplementation(async data => {
+      stored = JSON.parse(JSON.stringify(data.usageLedger));
+    });
+
+    const entry = { provider: 'anthropic', model: 'claude-haiku-4-5', domain: 'example.com' };
+    await Promise.all([
+      UsageLedger.record({ ...entry, usage: usage(10, 1) }),
+      UsageLedger.record({ ...entry, usage: usage(20, 2) }),
+    ]);
+
+    const [row] = stored.days[UsageLedger.dayKey()];
+    expect(row).toMatchObject({ requests: 2, prompt: 30, completion: 3 });
+  });
+});